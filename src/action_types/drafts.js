@@ -0,0 +1,10 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+// @flow
+
+import keyMirror from 'utils/key_mirror';
+
+export default keyMirror({
+    RECEIVED_DRAFT: null,
+    REMOVED_DRAFT: null,
+});
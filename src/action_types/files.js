@@ -10,6 +10,7 @@ export default keyMirror({
     UPLOAD_FILES_SUCCESS: null,
     UPLOAD_FILES_FAILURE: null,
     UPLOAD_FILES_CANCEL: null,
+    UPLOAD_FILES_PROGRESS: null,
 
     RECEIVED_FILES_FOR_POST: null,
     RECEIVED_UPLOAD_FILES: null,
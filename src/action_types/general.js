@@ -47,8 +47,12 @@ export default keyMirror({
     WEBSOCKET_SUCCESS: null,
     WEBSOCKET_FAILURE: null,
     WEBSOCKET_CLOSED: null,
+    WEBSOCKET_HEALTH_CHANGED: null,
+    WEBSOCKET_STATE_CHANGED: null,
 
     REDIRECT_LOCATION_REQUEST: null,
     REDIRECT_LOCATION_SUCCESS: null,
     REDIRECT_LOCATION_FAILURE: null,
+
+    CLIENT_THROTTLE_CHANGED: null,
 });
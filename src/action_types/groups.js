@@ -27,6 +27,8 @@ export default keyMirror({
     GET_GROUP_MEMBERS_SUCCESS: null,
     GET_GROUP_MEMBERS_FAILURE: null,
     RECEIVED_GROUP_MEMBERS: null,
+    RECEIVED_GROUP_MEMBER: null,
+    REMOVED_GROUP_MEMBER: null,
 
     GET_GROUP_REQUEST: null,
     GET_GROUP_SUCCESS: null,
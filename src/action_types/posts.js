@@ -23,6 +23,7 @@ export default keyMirror({
     GET_POSTS_SUCCESS: null,
     GET_POSTS_SINCE_SUCCESS: null,
 
+    // No longer dispatched since the *WithRetry actions were deprecated
     GET_POST_THREAD_WITH_RETRY_ATTEMPT: null,
     GET_POSTS_WITH_RETRY_ATTEMPT: null,
     GET_POSTS_SINCE_WITH_RETRY_ATTEMPT: null,
@@ -32,16 +33,21 @@ export default keyMirror({
     RECEIVED_POST: null,
     RECEIVED_NEW_POST: null,
     RECEIVED_POSTS: null,
+    RECEIVED_POSTS_IN_CHANNEL: null,
     RECEIVED_FOCUSED_POST: null,
     RECEIVED_POST_SELECTED: null,
     RECEIVED_EDIT_POST: null,
     POST_DELETED: null,
     REMOVE_POST: null,
+    PRUNE_POSTS: null,
     RECEIVED_REACTION: null,
     RECEIVED_REACTIONS: null,
     REACTION_DELETED: null,
     RECEIVED_OPEN_GRAPH_METADATA: null,
 
+    RECEIVED_SCHEDULED_POST: null,
+    REMOVED_SCHEDULED_POST: null,
+
     ADD_MESSAGE_INTO_HISTORY: null,
     RESET_HISTORY_INDEX: null,
     MOVE_HISTORY_INDEX_BACK: null,
@@ -8,6 +8,7 @@ export default keyMirror({
     SEARCH_POSTS_REQUEST: null,
     SEARCH_POSTS_SUCCESS: null,
     SEARCH_POSTS_FAILURE: null,
+    SEARCH_POSTS_CANCEL: null,
 
     SEARCH_FLAGGED_POSTS_REQUEST: null,
     SEARCH_FLAGGED_POSTS_SUCCESS: null,
@@ -26,6 +26,7 @@ export default keyMirror({
     AUTOCOMPLETE_USERS_REQUEST: null,
     AUTOCOMPLETE_USERS_SUCCESS: null,
     AUTOCOMPLETE_USERS_FAILURE: null,
+    AUTOCOMPLETE_USERS_CANCEL: null,
 
     UPDATE_ME_REQUEST: null,
     UPDATE_ME_SUCCESS: null,
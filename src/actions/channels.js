@@ -11,7 +11,7 @@ import {savePreferences, deletePreferences} from 'actions/preferences';
 import {getChannelsIdForTeam} from 'utils/channel_utils';
 
 import {logError} from './errors';
-import {bindClientFunc, forceLogoutIfNecessary} from './helpers';
+import {bindClientFunc, forceLogoutIfNecessary, getClient4} from './helpers';
 import {getMissingProfilesByIds} from './users';
 import {loadRolesIfNeeded} from './roles';
 
@@ -118,7 +118,7 @@ export function createDirectChannel(userId: string, otherUserId: string): Action
             {user_id: userId, category: Preferences.CATEGORY_CHANNEL_OPEN_TIME, name: created.id, value: new Date().getTime().toString()},
         ];
 
-        savePreferences(userId, preferences)(dispatch);
+        dispatch(savePreferences(userId, preferences));
 
         dispatch(batchActions([
             {
@@ -370,12 +370,14 @@ export function getChannelByNameAndTeamName(teamName: string, channelName: strin
 }
 
 export function getChannel(channelId: string): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let data;
         try {
-            data = await Client4.getChannel(channelId);
+            data = await client4.getChannel(channelId);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(batchActions([
                 {type: ChannelTypes.CHANNELS_FAILURE, error},
                 logError(error),
@@ -393,17 +395,19 @@ export function getChannel(channelId: string): ActionFunc {
 }
 
 export function getChannelAndMyMember(channelId: string): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let channel;
         let member;
         try {
-            const channelRequest = Client4.getChannel(channelId);
-            const memberRequest = Client4.getMyChannelMember(channelId);
+            const channelRequest = client4.getChannel(channelId);
+            const memberRequest = client4.getMyChannelMember(channelId);
 
             channel = await channelRequest;
             member = await memberRequest;
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(batchActions([
                 {type: ChannelTypes.CHANNELS_FAILURE, error},
                 logError(error),
@@ -445,7 +449,9 @@ export function getChannelTimezones(channelId: string): ActionFunc {
 }
 
 export function fetchMyChannelsAndMembers(teamId: string): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         dispatch({
             type: ChannelTypes.CHANNELS_REQUEST,
             data: null,
@@ -454,12 +460,12 @@ export function fetchMyChannelsAndMembers(teamId: string): ActionFunc {
         let channels;
         let channelMembers;
         try {
-            const channelRequest = Client4.getMyChannels(teamId);
-            const memberRequest = Client4.getMyChannelMembers(teamId);
+            const channelRequest = client4.getMyChannels(teamId);
+            const memberRequest = client4.getMyChannelMembers(teamId);
             channels = await channelRequest;
             channelMembers = await memberRequest;
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(batchActions([
                 {type: ChannelTypes.CHANNELS_FAILURE, error},
                 logError(error),
@@ -549,7 +555,7 @@ export function getChannelMembers(channelId: string, page: number = 0, perPage:
         }
 
         const userIds = channelMembers.map((cm) => cm.user_id);
-        getMissingProfilesByIds(userIds)(dispatch, getState);
+        dispatch(getMissingProfilesByIds(userIds));
 
         dispatch({
             type: ChannelTypes.RECEIVED_CHANNEL_MEMBERS,
@@ -686,7 +692,7 @@ export function viewChannel(channelId: string, prevChannelId: string = ''): Acti
             const preferences = [
                 {user_id: currentUserId, category: Preferences.CATEGORY_CHANNEL_APPROXIMATE_VIEW_TIME, name: channelId, value: new Date().getTime().toString()},
             ];
-            savePreferences(currentUserId, preferences)(dispatch);
+            dispatch(savePreferences(currentUserId, preferences));
         }
 
         try {
@@ -941,12 +947,14 @@ export function searchAllChannels(term: string): ActionFunc {
 }
 
 export function getChannelStats(channelId: string): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let stat;
         try {
-            stat = await Client4.getChannelStats(channelId);
+            stat = await client4.getChannelStats(channelId);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(logError(error));
             return {error};
         }
@@ -1042,8 +1050,10 @@ export function updateChannelMemberRoles(channelId: string, userId: string, role
 }
 
 export function updateChannelHeader(channelId: string, header: string): ActionFunc {
-    return async (dispatch, getState) => {
-        Client4.trackEvent('action', 'action_channels_update_header', {channel_id: channelId});
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
+        client4.trackEvent('action', 'action_channels_update_header', {channel_id: channelId});
 
         dispatch({
             type: ChannelTypes.UPDATE_CHANNEL_HEADER,
@@ -1058,8 +1068,10 @@ export function updateChannelHeader(channelId: string, header: string): ActionFu
 }
 
 export function updateChannelPurpose(channelId: string, purpose: string): ActionFunc {
-    return async (dispatch, getState) => {
-        Client4.trackEvent('action', 'action_channels_update_purpose', {channel_id: channelId});
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
+        client4.trackEvent('action', 'action_channels_update_purpose', {channel_id: channelId});
 
         dispatch({
             type: ChannelTypes.UPDATE_CHANNEL_PURPOSE,
@@ -1074,11 +1086,13 @@ export function updateChannelPurpose(channelId: string, purpose: string): Action
 }
 
 export function markChannelAsRead(channelId: string, prevChannelId: string, updateLastViewedAt: boolean = true): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         // Send channel last viewed at to the server
         if (updateLastViewedAt) {
-            Client4.viewMyChannel(channelId, prevChannelId).then().catch((error) => {
-                forceLogoutIfNecessary(error, dispatch, getState);
+            client4.viewMyChannel(channelId, prevChannelId).then().catch((error) => {
+                forceLogoutIfNecessary(error, dispatch, getState, client4);
                 dispatch(logError(error));
                 return {error};
             });
@@ -1230,7 +1244,7 @@ export function favoriteChannel(channelId: string): ActionFunc {
 
         Client4.trackEvent('action', 'action_channels_favorite');
 
-        return savePreferences(currentUserId, [preference])(dispatch);
+        return dispatch(savePreferences(currentUserId, [preference]));
     };
 }
 
@@ -1246,7 +1260,7 @@ export function unfavoriteChannel(channelId: string): ActionFunc {
 
         Client4.trackEvent('action', 'action_channels_unfavorite');
 
-        return deletePreferences(currentUserId, [preference])(dispatch, getState);
+        return dispatch(deletePreferences(currentUserId, [preference]));
     };
 }
 
@@ -0,0 +1,43 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+// @flow
+
+import {DraftTypes} from 'action_types';
+import {getDraft} from 'selectors/entities/drafts';
+
+import type {ActionFunc} from 'types/actions';
+import type {FileInfo} from 'types/files';
+
+// saveDraft stores the message and files that the user has entered in a channel or thread without sending them. Saving
+// a draft without either of those clears it.
+export function saveDraft(channelId: string, rootId: string, message: string, fileInfos: Array<FileInfo> = []): ActionFunc {
+    return async (dispatch, getState) => {
+        if (!message && fileInfos.length === 0) {
+            return dispatch(clearDraft(channelId, rootId));
+        }
+
+        const existing = getDraft(getState(), channelId, rootId);
+        const timestamp = Date.now();
+
+        const draft = {
+            channelId,
+            rootId,
+            message,
+            fileInfos,
+            createAt: existing ? existing.createAt : timestamp,
+            updateAt: timestamp,
+        };
+
+        dispatch({type: DraftTypes.RECEIVED_DRAFT, data: draft}, getState);
+
+        return {data: draft};
+    };
+}
+
+export function clearDraft(channelId: string, rootId: string): ActionFunc {
+    return async (dispatch, getState) => {
+        dispatch({type: DraftTypes.REMOVED_DRAFT, data: {channelId, rootId}}, getState);
+
+        return {data: true};
+    };
+}
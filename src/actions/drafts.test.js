@@ -0,0 +1,46 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import * as Actions from 'actions/drafts';
+import configureStore from 'test/test_store';
+
+describe('Actions.Drafts', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = await configureStore();
+    });
+
+    it('saveDraft', async () => {
+        await Actions.saveDraft('channel1', '', 'first')(store.dispatch, store.getState);
+
+        const draft = store.getState().entities.drafts.channel1[''];
+        assert.equal(draft.message, 'first');
+        assert.deepEqual(draft.fileInfos, []);
+
+        await Actions.saveDraft('channel1', '', 'second', [{id: 'file1'}])(store.dispatch, store.getState);
+
+        const updated = store.getState().entities.drafts.channel1[''];
+        assert.equal(updated.message, 'second');
+        assert.deepEqual(updated.fileInfos, [{id: 'file1'}]);
+        assert.equal(updated.createAt, draft.createAt);
+    });
+
+    it('saveDraft with nothing in it should clear the draft', async () => {
+        await Actions.saveDraft('channel1', 'root1', 'reply')(store.dispatch, store.getState);
+        await Actions.saveDraft('channel1', 'root1', '')(store.dispatch, store.getState);
+
+        assert.deepEqual(store.getState().entities.drafts, {});
+    });
+
+    it('clearDraft', async () => {
+        await Actions.saveDraft('channel1', '', 'test')(store.dispatch, store.getState);
+        await Actions.saveDraft('channel1', 'root1', 'reply')(store.dispatch, store.getState);
+
+        await Actions.clearDraft('channel1', '')(store.dispatch, store.getState);
+
+        assert.deepEqual(Object.keys(store.getState().entities.drafts.channel1), ['root1']);
+    });
+});
@@ -13,7 +13,7 @@ import {parseNeededCustomEmojisFromText} from 'utils/emoji_utils';
 import {isMinimumServerVersion} from 'utils/helpers';
 
 import {logError} from './errors';
-import {bindClientFunc, forceLogoutIfNecessary} from './helpers';
+import {bindClientFunc, bindClientPaginator, forceLogoutIfNecessary, getClient4} from './helpers';
 
 import type {GetStateFunc, DispatchFunc, ActionFunc} from 'types/actions';
 
@@ -45,27 +45,28 @@ export function getCustomEmoji(emojiId: string): ActionFunc {
 }
 
 export function getCustomEmojiByName(name: string): ActionFunc {
-    return async (dispatch, getState) => {
-        const serverVersion = Client4.getServerVersion();
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
+        const serverVersion = client4.getServerVersion();
         if (!isMinimumServerVersion(serverVersion, 4, 7)) {
             return {data: {}};
         }
 
         let data;
         try {
-            data = await Client4.getCustomEmojiByName(name);
+            data = await client4.getCustomEmojiByNameBatched(name);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
-
-            if (error.status_code === 404) {
-                dispatch({type: EmojiTypes.CUSTOM_EMOJI_DOES_NOT_EXIST, data: name});
-            } else {
-                dispatch(logError(error));
-            }
-
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
+            dispatch(logError(error));
             return {error};
         }
 
+        if (!data) {
+            dispatch({type: EmojiTypes.CUSTOM_EMOJI_DOES_NOT_EXIST, data: name});
+            return {data: null};
+        }
+
         dispatch({
             type: EmojiTypes.RECEIVED_CUSTOM_EMOJI,
             data,
@@ -76,13 +77,13 @@ export function getCustomEmojiByName(name: string): ActionFunc {
 }
 
 export function getCustomEmojisByName(names: Array<string>): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch) => {
         if (!names || names.length === 0) {
             return {data: true};
         }
 
         const promises = [];
-        names.forEach((name) => promises.push(getCustomEmojiByName(name)(dispatch, getState)));
+        names.forEach((name) => promises.push(dispatch(getCustomEmojiByName(name))));
 
         await Promise.all(promises);
         return {data: true};
@@ -101,7 +102,7 @@ export function getCustomEmojisInText(text: string): ActionFunc {
 
         const emojisToLoad = parseNeededCustomEmojisFromText(text, systemEmojis, customEmojisByName, nonExistentEmoji);
 
-        return getCustomEmojisByName(Array.from(emojisToLoad))(dispatch, getState);
+        return dispatch(getCustomEmojisByName(Array.from(emojisToLoad)));
     };
 }
 
@@ -161,32 +162,16 @@ export function getAllCustomEmojis(perPage: number = General.PAGE_SIZE_MAXIMUM):
             data: null,
         });
 
-        let hasMore = true;
-        let page = 0;
-        const allEmojis = [];
-
-        do {
-            try {
-                let emojis = [];
-                emojis = await Client4.getCustomEmojis(page, perPage, Emoji.SORT_BY_NAME); // eslint-disable-line no-await-in-loop
-                if (emojis.length < perPage) {
-                    hasMore = false;
-                } else {
-                    page += 1;
-                }
-                allEmojis.push(...emojis);
-            } catch (error) {
-                forceLogoutIfNecessary(error, dispatch, getState);
-
-                dispatch(logError(error));
-                return {error: true};
-            }
-        } while (hasMore);
+        const {error} = await dispatch(bindClientPaginator({
+            method: 'getCustomEmojis',
+            params: [Emoji.SORT_BY_NAME],
+            options: {perPage},
+            onPage: EmojiTypes.RECEIVED_CUSTOM_EMOJIS,
+        }), getState);
 
-        dispatch({
-            type: EmojiTypes.RECEIVED_CUSTOM_EMOJIS,
-            data: allEmojis,
-        });
+        if (error) {
+            return {error: true};
+        }
 
         return {data: true};
     };
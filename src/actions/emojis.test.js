@@ -343,8 +343,8 @@ describe('Actions.Emojis', () => {
         )(store.dispatch, store.getState);
 
         nock(Client4.getEmojisRoute()).
-            get(`/name/${created.name}`).
-            reply(200, created);
+            post('/names', [created.name]).
+            reply(200, [created]);
 
         await Actions.getCustomEmojiByName(created.name)(store.dispatch, store.getState);
 
@@ -357,8 +357,8 @@ describe('Actions.Emojis', () => {
         const missingName = TestHelper.generateId();
 
         nock(Client4.getEmojisRoute()).
-            get(`/name/${missingName}`).
-            reply(404, {message: 'Not found', status_code: 404});
+            post('/names', [missingName]).
+            reply(200, []);
 
         await Actions.getCustomEmojiByName(missingName)(store.dispatch, store.getState);
 
@@ -390,15 +390,11 @@ describe('Actions.Emojis', () => {
             testImageData
         )(store.dispatch, store.getState);
 
-        nock(Client4.getEmojisRoute()).
-            get(`/name/${created.name}`).
-            reply(200, created);
-
         const missingName = TestHelper.generateId();
 
         nock(Client4.getEmojisRoute()).
-            get(`/name/${missingName}`).
-            reply(404, {message: 'Not found', status_code: 404});
+            post('/names', [created.name, missingName]).
+            reply(200, [created]);
 
         await Actions.getCustomEmojisByName([created.name, missingName])(store.dispatch, store.getState);
 
@@ -427,15 +423,11 @@ describe('Actions.Emojis', () => {
             testImageData
         )(store.dispatch, store.getState);
 
-        nock(Client4.getEmojisRoute()).
-            get(`/name/${created.name}`).
-            reply(200, created);
-
         const missingName = TestHelper.generateId();
 
         nock(Client4.getEmojisRoute()).
-            get(`/name/${missingName}`).
-            reply(404, {message: 'Not found', status_code: 404});
+            post('/names', [created.name, missingName]).
+            reply(200, [created]);
 
         await Actions.getCustomEmojisInText(`some text :${created.name}: :${missingName}:`)(store.dispatch, store.getState);
 
@@ -6,9 +6,10 @@ import {batchActions} from 'redux-batched-actions';
 
 import {Client4} from 'client';
 import {FileTypes} from 'action_types';
+import {RequestStatus} from 'constants';
 import {logError} from './errors';
-import {bindClientFunc, forceLogoutIfNecessary} from './helpers';
-import type {DispatchFunc, GetStateFunc} from 'types/actions';
+import {bindClientFunc, createAbortController, forceLogoutIfNecessary} from './helpers';
+import type {ActionFunc, DispatchFunc, GetStateFunc} from 'types/actions';
 
 export function getFilesForPost(postId: string) {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
@@ -45,15 +46,51 @@ export function getMissingFilesForPost(postId: string) {
     };
 }
 
-export function uploadFile(channelId: string, rootId: string, clientIds: Array<String>,
+// The uploads that haven't finished yet, keyed by the client ID of each of their files, so that they can be cancelled
+// or retried. Uploading multiple files with a single request means that they're cancelled and retried together.
+const pendingUploads: Map<string, PendingUpload> = new Map();
+
+type PendingUpload = {
+    clientIds: Array<string>,
+    controller: {signal: Object, abort: () => void},
+    retry: () => ActionFunc,
+};
+
+function trackUpload(clientIds: Array<string>, retry: () => ActionFunc): PendingUpload {
+    const upload = {
+        clientIds,
+        controller: createAbortController(),
+        retry,
+    };
+
+    clientIds.forEach((clientId) => pendingUploads.set(clientId, upload));
+
+    return upload;
+}
+
+function untrackUpload(upload: PendingUpload) {
+    upload.clientIds.forEach((clientId) => {
+        if (pendingUploads.get(clientId) === upload) {
+            pendingUploads.delete(clientId);
+        }
+    });
+}
+
+export function uploadFile(channelId: string, rootId: string, clientIds: Array<string>,
     fileFormData: File, formBoundary: string) {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
-        dispatch({type: FileTypes.UPLOAD_FILES_REQUEST, data: {}}, getState);
+        const upload = trackUpload(clientIds, () => uploadFile(channelId, rootId, clientIds, fileFormData, formBoundary));
+
+        dispatch({type: FileTypes.UPLOAD_FILES_REQUEST, data: {}, clientIds, channelId, rootId}, getState);
 
         let files;
         try {
-            files = await Client4.uploadFile(fileFormData, formBoundary);
+            files = await Client4.withSignal(upload.controller.signal, () => Client4.uploadFile(fileFormData, formBoundary));
         } catch (error) {
+            if (error.aborted) {
+                return {error};
+            }
+
             forceLogoutIfNecessary(error, dispatch, getState);
 
             const failure = {
@@ -68,6 +105,8 @@ export function uploadFile(channelId: string, rootId: string, clientIds: Array<S
             return {error};
         }
 
+        untrackUpload(upload);
+
         const data = files.file_infos.map((file, index) => {
             return {
                 ...file,
@@ -91,6 +130,108 @@ export function uploadFile(channelId: string, rootId: string, clientIds: Array<S
     };
 }
 
+// uploadFileInChunks uploads a single file a piece at a time, dispatching UPLOAD_FILES_PROGRESS as each piece is
+// received by the server. If the upload fails, retrying it continues from where it stopped. The file can be a Blob,
+// a Buffer or anything else supported by Client4.uploadFileInChunks.
+export function uploadFileInChunks(channelId: string, rootId: string, clientId: string, file: Object, filename: string,
+    chunkSize?: number) {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+        const upload = trackUpload([clientId], () => uploadFileInChunks(channelId, rootId, clientId, file, filename, chunkSize));
+
+        const previous = getState().entities.files.uploads[clientId];
+        let uploadId = previous ? previous.uploadId : null;
+
+        dispatch({type: FileTypes.UPLOAD_FILES_REQUEST, data: {}, clientIds: [clientId], channelId, rootId}, getState);
+
+        let fileInfo;
+        try {
+            fileInfo = await Client4.uploadFileInChunks(file, {
+                channelId,
+                filename,
+                uploadId,
+                chunkSize,
+                signal: upload.controller.signal,
+                onSession: (session) => {
+                    uploadId = session.id;
+                },
+                onProgress: (loaded, total) => {
+                    dispatch({
+                        type: FileTypes.UPLOAD_FILES_PROGRESS,
+                        data: {clientId, loaded, total, uploadId},
+                    }, getState);
+                },
+            });
+        } catch (error) {
+            if (error.aborted) {
+                return {error};
+            }
+
+            forceLogoutIfNecessary(error, dispatch, getState);
+
+            const failure = {
+                type: FileTypes.UPLOAD_FILES_FAILURE,
+                clientIds: [clientId],
+                channelId,
+                rootId,
+                error,
+            };
+
+            dispatch(batchActions([failure, logError(error)]), getState);
+            return {error};
+        }
+
+        untrackUpload(upload);
+
+        dispatch(batchActions([
+            {
+                type: FileTypes.RECEIVED_UPLOAD_FILES,
+                data: [{...fileInfo, clientId}],
+                channelId,
+                rootId,
+            },
+            {
+                type: FileTypes.UPLOAD_FILES_SUCCESS,
+            },
+        ]), getState);
+
+        return {data: fileInfo};
+    };
+}
+
+// cancelUploadFile stops uploading the file with the given client ID along with any other files that are being
+// uploaded by the same request
+export function cancelUploadFile(clientId: string) {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+        const upload = pendingUploads.get(clientId);
+
+        let clientIds = [clientId];
+        if (upload) {
+            upload.controller.abort();
+            untrackUpload(upload);
+
+            clientIds = upload.clientIds;
+        }
+
+        dispatch({type: FileTypes.UPLOAD_FILES_CANCEL, clientIds}, getState);
+
+        return {data: true};
+    };
+}
+
+// retryUploadFile uploads the file with the given client ID again after its upload has failed
+export function retryUploadFile(clientId: string) {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+        const upload = pendingUploads.get(clientId);
+        const state = getState().entities.files.uploads[clientId];
+
+        if (!upload || !state || state.status !== RequestStatus.FAILURE) {
+            return {error: new Error(`There is no failed upload for ${clientId}`)};
+        }
+
+        return dispatch(upload.retry(), getState);
+    };
+}
+
 export function getFilePublicLink(fileId: string) {
     return bindClientFunc({
         clientFunc: Client4.getFilePublicLink,
@@ -56,6 +56,68 @@ describe('Actions.Files', () => {
         assert.ok(file, 'Could not find uploaded file.');
     });
 
+    it('uploadFileInChunks', async () => {
+        const {basicChannel} = TestHelper;
+        const clientId = TestHelper.generateId();
+        const fileId = TestHelper.generateId();
+
+        nock(Client4.getBaseRoute()).
+            post('/uploads').
+            reply(201, {id: 'upload1', channel_id: basicChannel.id, filename: 'test.txt', file_size: 4, file_offset: 0}).
+            post('/uploads/upload1', 'ab').
+            reply(204).
+            post('/uploads/upload1', 'cd').
+            reply(500, {message: 'error'});
+
+        let result = await store.dispatch(Actions.uploadFileInChunks(basicChannel.id, '', clientId, Buffer.from('abcd'), 'test.txt', 2));
+        assert.ok(result.error);
+
+        const upload = store.getState().entities.files.uploads[clientId];
+        assert.equal(upload.status, RequestStatus.FAILURE);
+        assert.equal(upload.loaded, 2);
+        assert.equal(upload.total, 4);
+        assert.equal(upload.uploadId, 'upload1');
+
+        nock(Client4.getBaseRoute()).
+            get('/uploads/upload1').
+            reply(200, {id: 'upload1', channel_id: basicChannel.id, filename: 'test.txt', file_size: 4, file_offset: 2}).
+            post('/uploads/upload1', 'cd').
+            reply(201, {id: fileId, name: 'test.txt'});
+
+        result = await store.dispatch(Actions.retryUploadFile(clientId));
+        assert.equal(result.data.id, fileId);
+
+        const state = store.getState();
+        assert.ok(!state.entities.files.uploads[clientId]);
+        assert.equal(state.entities.files.files[fileId].clientId, clientId);
+        assert.ok(nock.isDone());
+    });
+
+    it('cancelUploadFile', async () => {
+        const {basicChannel} = TestHelper;
+        const clientId = TestHelper.generateId();
+
+        nock(Client4.getBaseRoute()).
+            post('/uploads').
+            delay(100).
+            reply(201, {id: 'upload1', channel_id: basicChannel.id, filename: 'test.txt', file_size: 4, file_offset: 0});
+
+        const promise = store.dispatch(Actions.uploadFileInChunks(basicChannel.id, '', clientId, Buffer.from('abcd'), 'test.txt'));
+        assert.ok(store.getState().entities.files.uploads[clientId]);
+
+        await store.dispatch(Actions.cancelUploadFile(clientId));
+
+        const result = await promise;
+        assert.equal(result.error.aborted, true);
+
+        const state = store.getState();
+        assert.ok(!state.entities.files.uploads[clientId]);
+        assert.equal(state.requests.files.uploadFiles.status, RequestStatus.CANCELLED);
+
+        const retry = await store.dispatch(Actions.retryUploadFile(clientId));
+        assert.ok(retry.error);
+    });
+
     it('getFilesForPost', async () => {
         const {basicClient4, basicChannel} = TestHelper;
         const testFileName = 'test.png';
@@ -3,7 +3,7 @@
 // @flow
 
 import {Client4} from 'client';
-import {bindClientFunc, forceLogoutIfNecessary, FormattedError} from './helpers.js';
+import {bindClientFunc, forceLogoutIfNecessary, FormattedError, getClient4} from './helpers.js';
 import {GeneralTypes} from 'action_types';
 import {loadMe} from './users';
 import {loadRolesIfNeeded} from './roles';
@@ -14,7 +14,7 @@ import {isMinimumServerVersion} from 'utils/helpers';
 
 import type {GeneralState} from 'types/general';
 import type {GenericClientResponse, logLevel} from 'types/client4';
-import type {GetStateFunc, DispatchFunc, ActionFunc} from 'types/actions';
+import type {GetStateFunc, DispatchFunc, ActionFunc, ThunkExtra} from 'types/actions';
 
 export function getPing(): ActionFunc {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
@@ -55,14 +55,16 @@ export function resetPing(): ActionFunc {
 }
 
 export function getClientConfig(): ActionFunc {
-    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc, extra: ?ThunkExtra) => {
+        const client4 = getClient4(extra);
+
         dispatch({type: GeneralTypes.CLIENT_CONFIG_REQUEST, data: {}}, getState);
 
         let data;
         try {
-            data = await Client4.getClientConfigOld();
+            data = await client4.getClientConfigOld();
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(batchActions([
                 {
                     type: GeneralTypes.CLIENT_CONFIG_FAILURE,
@@ -73,8 +75,8 @@ export function getClientConfig(): ActionFunc {
             return {error};
         }
 
-        Client4.setEnableLogging(data.EnableDeveloper === 'true');
-        Client4.setDiagnosticId(data.DiagnosticId);
+        client4.setEnableLogging(data.EnableDeveloper === 'true');
+        client4.setDiagnosticId(data.DiagnosticId);
 
         dispatch(batchActions([
             {type: GeneralTypes.CLIENT_CONFIG_RECEIVED, data},
@@ -161,11 +163,11 @@ export function setServerVersion(serverVersion: string): ActionFunc {
 }
 
 export function setStoreFromLocalData(data: { token: string, url: string }): ActionFunc {
-    return async (dispatch: DispatchFunc, getState) => {
+    return async (dispatch: DispatchFunc) => {
         Client4.setToken(data.token);
         Client4.setUrl(data.url);
 
-        return loadMe()(dispatch, getState);
+        return dispatch(loadMe());
     };
 }
 
@@ -4,23 +4,67 @@
 
 import {batchActions} from 'redux-batched-actions';
 import {Client4} from 'client';
+import {AuthError} from 'client/client4';
 import {UserTypes} from 'action_types';
 import {logError} from './errors';
 
 import type {Client4Error} from 'types/client4';
-import type {ActionFunc, GenericAction, DispatchFunc, GetStateFunc} from 'types/actions';
+import type {ActionFunc, GenericAction, DispatchFunc, GetStateFunc, ThunkExtra} from 'types/actions';
 type ActionType = string;
 
-const HTTP_UNAUTHORIZED = 401;
-
-export function forceLogoutIfNecessary(err: Client4Error, dispatch: DispatchFunc, getState: GetStateFunc) {
+export function forceLogoutIfNecessary(err: Client4Error, dispatch: DispatchFunc, getState: GetStateFunc, client4: Object = Client4) {
     const {currentUserId} = getState().entities.users;
-    if (err.status_code === HTTP_UNAUTHORIZED && err.url && err.url.indexOf('/login') === -1 && currentUserId) {
-        Client4.setToken('');
+    if (err instanceof AuthError && err.url && err.url.indexOf('/login') === -1 && currentUserId) {
+        client4.setToken('');
+        client4.getEtagCache().clear();
         dispatch({type: UserTypes.LOGOUT_SUCCESS, data: {}});
     }
 }
 
+// getClient4 returns the Client4 that a thunk should make its requests with. That's the one passed in the thunk's
+// extra argument, which the websocket actions and stores created for a specific server provide, or the default one.
+export function getClient4(extra: ?ThunkExtra): Object {
+    return (extra && extra.client4) || Client4;
+}
+
+// bindDispatchToClient4 returns a dispatch function that passes the given Client4 to any thunk dispatched through it,
+// including the ones which that thunk dispatches in turn
+export function bindDispatchToClient4(dispatch: DispatchFunc, getState: GetStateFunc, client4: Object): DispatchFunc {
+    const extra = {client4};
+
+    const boundDispatch = (action, ...args) => {
+        if (typeof action === 'function') {
+            return action(boundDispatch, getState, extra);
+        }
+
+        return dispatch(action, ...args);
+    };
+
+    return boundDispatch;
+}
+
+// The names of the default Client4's methods, keyed by the methods themselves
+const clientFuncNames: Map<Function, string> = new Map();
+
+// getClientFunc returns the method of client4 with the same name as clientFunc, which is a method of the default
+// Client4, so that actions created with bindClientFunc can be used with other instances of Client4
+function getClientFunc(client4: Object, clientFunc: Function): Function {
+    if (client4 === Client4) {
+        return clientFunc;
+    }
+
+    if (clientFuncNames.size === 0) {
+        for (const key of Object.keys(Client4)) {
+            if (typeof Client4[key] === 'function') {
+                clientFuncNames.set(Client4[key], key);
+            }
+        }
+    }
+
+    const name = clientFuncNames.get(clientFunc);
+    return name ? client4[name] : clientFunc;
+}
+
 function dispatcher(type: ActionType, data: any, dispatch: DispatchFunc, getState: GetStateFunc) {
     if (type.indexOf('SUCCESS') === -1) { // we don't want to pass the data for the request types
         dispatch(requestSuccess(type, data), getState);
@@ -61,6 +105,8 @@ export function requestFailure(type: ActionType, error: Client4Error) {
  * @param {(ActionType | Array<ActionType>)} obj.onSuccess   ActionType to dispatch on success
  * @param {ActionType} obj.onFailure                         ActionType to dispatch on failure
  * @param {...Array<any>} obj.params
+ * @param {AbortSignal} obj.signal                           signal used to cancel the request. Nothing is dispatched
+ *                                                           on success or failure once the request has been aborted.
  * @returns {ActionFunc} ActionFunc
  */
 export function bindClientFunc({
@@ -69,23 +115,32 @@ export function bindClientFunc({
     onSuccess,
     onFailure,
     params = [],
+    signal,
 }: {|
   clientFunc: () => Promise<mixed>,
   onRequest?: ActionType,
   onSuccess?: ActionType | Array<ActionType>,
   onFailure?: ActionType,
   params?: Array<any>,
+  signal?: ?AbortSignal,
 |}): ActionFunc {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+        const func = getClientFunc(client4, clientFunc);
+
         if (onRequest) {
             dispatch(requestData(onRequest), getState);
         }
 
         let data = null;
         try {
-            data = await clientFunc(...params);
+            data = await client4.withSignal(signal, () => func(...params));
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            if (error.aborted) {
+                return {error};
+            }
+
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             const actions = [logError(error)];
             if (onFailure) {
                 actions.push(requestFailure(onFailure, error));
@@ -106,6 +161,148 @@ export function bindClientFunc({
     };
 }
 
+/**
+ * Returns an ActionFunc which requests every page of results from one of the paginated
+ * Client4 methods and dispatches each page to the store as soon as it's received.
+ *
+ * @export
+ * @param {Object} obj                    an object for destructirung required properties
+ * @param {string} obj.method             name of the Client4 method to paginate
+ * @param {Array<any>} obj.params         arguments to the method other than page and perPage
+ * @param {Object} obj.options            options passed to Client4.paginate
+ * @param {ActionType} obj.onRequest      ActionType to dispatch on request
+ * @param {ActionType} obj.onPage         ActionType to dispatch with the results of each page
+ * @param {ActionType} obj.onSuccess      ActionType to dispatch once every page has been received
+ * @param {ActionType} obj.onFailure      ActionType to dispatch on failure
+ * @param {AbortSignal} obj.signal        signal used to stop requesting pages. Nothing more is
+ *                                        dispatched once it has been aborted.
+ * @returns {ActionFunc} ActionFunc which resolves to all of the results
+ */
+export function bindClientPaginator({
+    method,
+    params = [],
+    options = {},
+    onRequest,
+    onPage,
+    onSuccess,
+    onFailure,
+    signal,
+}: {|
+  method: string,
+  params?: Array<any>,
+  options?: Object,
+  onRequest?: ActionType,
+  onPage: ActionType,
+  onSuccess?: ActionType,
+  onFailure?: ActionType,
+  signal?: ?AbortSignal,
+|}): ActionFunc {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
+        if (onRequest) {
+            dispatch(requestData(onRequest), getState);
+        }
+
+        const data = [];
+        try {
+            for await (const items of client4.paginate(method, params, {...options, signal})) {
+                data.push(...items);
+                dispatch(requestSuccess(onPage, items), getState);
+            }
+        } catch (error) {
+            if (error.aborted) {
+                return {error};
+            }
+
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
+            const actions = [logError(error)];
+            if (onFailure) {
+                actions.push(requestFailure(onFailure, error));
+            }
+            dispatch(batchActions(actions));
+            return {error};
+        }
+
+        if (onSuccess) {
+            dispatch(requestData(onSuccess), getState);
+        }
+
+        return {data};
+    };
+}
+
+// createAbortController returns an AbortController or, on platforms that don't support them, an object that can be
+// used in its place. Client4 checks the signal itself, so requests made with the latter can't be interrupted, but
+// their results will still be discarded.
+export function createAbortController(): {signal: Object, abort: () => void} {
+    if (typeof AbortController !== 'undefined') {
+        return new AbortController();
+    }
+
+    let listeners = [];
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => {
+            listeners.push(listener);
+        },
+        removeEventListener: (type, listener) => {
+            listeners = listeners.filter((l) => l !== listener);
+        },
+    };
+    return {
+        signal,
+        abort: () => {
+            if (signal.aborted) {
+                return;
+            }
+
+            signal.aborted = true;
+            listeners.forEach((listener) => listener());
+        },
+    };
+}
+
+// onAbort calls callback as soon as signal is aborted, or immediately if it already has been. It returns a function
+// that stops listening for it, which should be called once the request using that signal has finished.
+export function onAbort(signal: ?Object, callback: () => mixed): () => void {
+    if (signal && signal.aborted) {
+        callback();
+    } else if (signal) {
+        signal.addEventListener('abort', callback);
+        return () => signal.removeEventListener('abort', callback);
+    }
+
+    return () => {}; //eslint-disable-line no-empty-function
+}
+
+// latestWins returns a function that wraps ActionFuncs so that dispatching one aborts the requests of the one that was
+// dispatched through it previously to the same store, meaning that only the most recent of them can update it. Each
+// ActionFunc is created by a function that receives the AbortSignal to use.
+export function latestWins() {
+    const controllers: WeakMap<GetStateFunc, {signal: Object, abort: () => void}> = new WeakMap();
+
+    return (makeAction: (signal: Object) => ActionFunc): ActionFunc => {
+        return async (dispatch, getState) => {
+            const previous = controllers.get(getState);
+            if (previous) {
+                previous.abort();
+            }
+
+            const current = createAbortController();
+            controllers.set(getState, current);
+
+            const result = await dispatch(makeAction(current.signal), getState);
+
+            if (controllers.get(getState) === current) {
+                controllers.delete(getState);
+            }
+
+            return result;
+        };
+    };
+}
+
 // Debounce function based on underscores modified to use es6 and a cb
 export function debounce(func: (...args: any) => mixed, wait: number, immediate: boolean, cb: () => mixed) {
     let timeout;
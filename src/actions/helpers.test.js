@@ -2,11 +2,22 @@
 // See LICENSE.txt for license information.
 
 import assert from 'assert';
+import nock from 'nock';
 
 import {UserTypes} from 'action_types';
-import {forceLogoutIfNecessary} from 'actions/helpers';
+import {
+    bindClientFunc,
+    bindDispatchToClient4,
+    createAbortController,
+    forceLogoutIfNecessary,
+    getClient4,
+    latestWins,
+    onAbort,
+} from 'actions/helpers';
 import {Client4} from 'client';
-import {ClientError} from 'client/client4';
+import ClientClass4 from 'client/client4';
+import {AuthError, ClientError, PermissionError} from 'client/client4';
+import TestHelper from 'test/test_helper';
 import configureStore, {mockDispatch} from 'test/test_store';
 
 describe('Actions.Helpers', () => {
@@ -48,7 +59,7 @@ describe('Actions.Helpers', () => {
             });
             const dispatch = mockDispatch(store.dispatch);
 
-            const error = new ClientError(Client4.getUrl(), {
+            const error = new PermissionError(Client4.getUrl(), {
                 message: 'Failed to do something',
                 status_code: 403,
                 url: '/api/v4/foo/bar',
@@ -70,7 +81,7 @@ describe('Actions.Helpers', () => {
             });
             const dispatch = mockDispatch(store.dispatch);
 
-            const error = new ClientError(Client4.getUrl(), {
+            const error = new AuthError(Client4.getUrl(), {
                 message: 'Failed to do something',
                 status_code: 401,
                 url: '/api/v4/foo/bar',
@@ -92,7 +103,7 @@ describe('Actions.Helpers', () => {
             });
             const dispatch = mockDispatch(store.dispatch);
 
-            const error = new ClientError(Client4.getUrl(), {
+            const error = new AuthError(Client4.getUrl(), {
                 message: 'Failed to do something',
                 status_code: 401,
                 url: '/api/v4/login',
@@ -114,7 +125,7 @@ describe('Actions.Helpers', () => {
             });
             const dispatch = mockDispatch(store.dispatch);
 
-            const error = new ClientError(Client4.getUrl(), {
+            const error = new AuthError(Client4.getUrl(), {
                 message: 'Failed to do something',
                 status_code: 401,
                 url: '/api/v4/foo/bar',
@@ -126,4 +137,183 @@ describe('Actions.Helpers', () => {
             assert.deepEqual(dispatch.actions, []);
         });
     });
+
+    describe('bindClientFunc', () => {
+        beforeAll(async () => {
+            await TestHelper.initBasic(Client4);
+        });
+
+        afterAll(async () => {
+            await TestHelper.tearDown();
+        });
+
+        it('should not dispatch anything once the request is aborted', async () => {
+            const store = await configureStore();
+            const dispatch = mockDispatch(store.dispatch);
+
+            nock(Client4.getBaseRoute()).
+                get('/users/me').
+                reply(200, TestHelper.basicUser);
+
+            const controller = createAbortController();
+            const promise = bindClientFunc({
+                clientFunc: Client4.getMe,
+                onSuccess: UserTypes.RECEIVED_ME,
+                onFailure: UserTypes.LOGIN_FAILURE,
+                signal: controller.signal,
+            })(dispatch, store.getState);
+
+            controller.abort();
+
+            const {error} = await promise;
+
+            assert.ok(error.aborted);
+            assert.deepEqual(dispatch.actions, []);
+        });
+
+        it('should make the request with the Client4 passed to the thunk', async () => {
+            const store = await configureStore();
+
+            const client4 = new ClientClass4();
+            client4.setUrl('http://example.com');
+            client4.setToken('other-token');
+
+            nock('http://example.com', {reqheaders: {Authorization: 'BEARER other-token'}}).
+                get('/api/v4/users/me').
+                reply(200, TestHelper.basicUser);
+
+            const {data} = await bindClientFunc({
+                clientFunc: Client4.getMe,
+                onSuccess: UserTypes.RECEIVED_ME,
+            })(store.dispatch, store.getState, {client4});
+
+            assert.equal(data.id, TestHelper.basicUser.id);
+            assert.equal(store.getState().entities.users.currentUserId, TestHelper.basicUser.id);
+        });
+    });
+
+    describe('bindDispatchToClient4', () => {
+        it('should pass the Client4 to the thunks dispatched through it and the ones they dispatch', async () => {
+            const store = await configureStore();
+            const client4 = new ClientClass4();
+
+            const clients = [];
+            const inner = () => async (dispatch, getState, extra) => {
+                clients.push(getClient4(extra));
+                return {data: true};
+            };
+            const outer = () => async (dispatch, getState, extra) => {
+                clients.push(getClient4(extra));
+                return dispatch(inner());
+            };
+
+            const dispatch = bindDispatchToClient4(store.dispatch, store.getState, client4);
+            await dispatch(outer());
+
+            assert.equal(clients.length, 2);
+            assert.equal(clients[0], client4);
+            assert.equal(clients[1], client4);
+
+            clients.length = 0;
+            await store.dispatch(outer());
+
+            assert.equal(clients[0], Client4);
+            assert.equal(clients[1], Client4);
+        });
+
+        it('should pass plain actions to the store', async () => {
+            const store = await configureStore();
+            const dispatch = bindDispatchToClient4(store.dispatch, store.getState, new ClientClass4());
+
+            dispatch({type: UserTypes.RECEIVED_ME, data: TestHelper.fakeUserWithId()});
+
+            assert.ok(store.getState().entities.users.currentUserId);
+        });
+    });
+
+    describe('latestWins', () => {
+        it('should abort the previous action when a new one is dispatched', async () => {
+            const store = await configureStore();
+            const latest = latestWins();
+
+            const signals = [];
+            const makeAction = (signal) => async () => {
+                signals.push(signal);
+                return {data: true};
+            };
+
+            const first = store.dispatch(latest(makeAction));
+            const second = store.dispatch(latest(makeAction));
+
+            await Promise.all([first, second]);
+
+            assert.equal(signals.length, 2);
+            assert.equal(signals[0].aborted, true);
+            assert.equal(signals[1].aborted, false);
+        });
+
+        it('should not abort actions dispatched to other stores', async () => {
+            const store1 = await configureStore();
+            const store2 = await configureStore();
+            const latest = latestWins();
+
+            const signals = [];
+            const makeAction = (signal) => async () => {
+                signals.push(signal);
+                return {data: true};
+            };
+
+            const first = store1.dispatch(latest(makeAction));
+            const second = store2.dispatch(latest(makeAction));
+
+            await Promise.all([first, second]);
+
+            assert.equal(signals.length, 2);
+            assert.equal(signals[0].aborted, false);
+            assert.equal(signals[1].aborted, false);
+        });
+    });
+
+    describe('onAbort', () => {
+        it('should call the callback when the signal is aborted', () => {
+            const controller = createAbortController();
+
+            let calls = 0;
+            onAbort(controller.signal, () => {
+                calls += 1;
+            });
+
+            assert.equal(calls, 0);
+
+            controller.abort();
+
+            assert.equal(calls, 1);
+        });
+
+        it('should call the callback immediately when the signal has already been aborted', () => {
+            const controller = createAbortController();
+            controller.abort();
+
+            let calls = 0;
+            onAbort(controller.signal, () => {
+                calls += 1;
+            });
+
+            assert.equal(calls, 1);
+        });
+
+        it('should not call the callback once it has stopped listening', () => {
+            const controller = createAbortController();
+
+            let calls = 0;
+            const stopListening = onAbort(controller.signal, () => {
+                calls += 1;
+            });
+
+            stopListening();
+            controller.abort();
+
+            assert.equal(calls, 0);
+        });
+    });
 });
@@ -4,31 +4,38 @@
 import {batchActions} from 'redux-batched-actions';
 
 import {Client4} from 'client';
+import {PermissionError, ValidationError} from 'client/client4';
 import {General, Preferences, Posts} from 'constants';
-import {PostTypes, FileTypes, IntegrationTypes} from 'action_types';
+import {DraftTypes, PostTypes, FileTypes, IntegrationTypes, PreferenceTypes} from 'action_types';
+import {getCurrentChannelId} from 'selectors/entities/channels';
+import {getDraft} from 'selectors/entities/drafts';
 import {getUsersByUsername} from 'selectors/entities/users';
 import {getCustomEmojisByName as selectCustomEmojisByName} from 'selectors/entities/emojis';
 
 import * as Selectors from 'selectors/entities/posts';
 import {getConfig} from 'selectors/entities/general';
+import {getMyPreferences} from 'selectors/entities/preferences';
 
 import {parseNeededCustomEmojisFromText} from 'utils/emoji_utils';
+import {generateId} from 'utils/helpers';
+import {getPreferenceKey} from 'utils/preference_utils';
 
-import {bindClientFunc, forceLogoutIfNecessary} from './helpers';
+import {forceLogoutIfNecessary, getClient4} from './helpers';
 import {logError} from './errors';
-import {deletePreferences, savePreferences} from './preferences';
 import {getProfilesByIds, getProfilesByUsernames, getStatusesByIds} from './users';
 import {systemEmojis, getCustomEmojiByName, getCustomEmojisByName} from './emojis';
 
 export function getPost(postId) {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let post;
 
         try {
-            post = await Client4.getPost(postId);
+            post = await client4.getPost(postId);
             getProfilesAndStatusesForPosts([post], dispatch, getState);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(batchActions([
                 {type: PostTypes.GET_POSTS_FAILURE, error},
                 logError(error),
@@ -123,6 +130,11 @@ export function createPost(post, files = []) {
                             type: PostTypes.CREATE_POST_SUCCESS,
                         });
 
+                        const removeDraft = getRemoveDraftForPost(getState(), payload, timestamp);
+                        if (removeDraft) {
+                            actions.push(removeDraft);
+                        }
+
                         dispatch(batchActions(actions));
                     },
                     maxRetry: 0,
@@ -138,11 +150,9 @@ export function createPost(post, files = []) {
                             {type: PostTypes.CREATE_POST_FAILURE, error},
                         ];
 
-                        // If the failure was because: the root post was deleted or
-                        // TownSquareIsReadOnly=true then remove the post
-                        if (error.server_error_id === 'api.post.create_post.root_id.app_error' ||
-                            error.server_error_id === 'api.post.create_post.town_square_read_only'
-                        ) {
+                        // If the server rejected the post, such as because the root post was deleted or
+                        // TownSquareIsReadOnly=true, then remove the post since retrying it would fail again
+                        if (error instanceof ValidationError || error instanceof PermissionError) {
                             dispatch(removePost(data));
                         } else {
                             actions.push({
@@ -235,16 +245,197 @@ export function createPostImmediately(post, files = []) {
             type: PostTypes.CREATE_POST_SUCCESS,
         });
 
+        const removeDraft = getRemoveDraftForPost(getState(), newPost, timestamp);
+        if (removeDraft) {
+            actions.push(removeDraft);
+        }
+
         dispatch(batchActions(actions), getState);
 
         return {data: newPost};
     };
 }
 
+// getRemoveDraftForPost returns the action to clear the draft that a post was created from, unless the draft has been
+// changed since the post was sent
+function getRemoveDraftForPost(state, post, sentAt) {
+    const rootId = post.root_id || '';
+
+    const draft = getDraft(state, post.channel_id, rootId);
+    if (!draft || draft.updateAt > sentAt) {
+        return null;
+    }
+
+    return {
+        type: DraftTypes.REMOVED_DRAFT,
+        data: {channelId: post.channel_id, rootId},
+    };
+}
+
 export function resetCreatePostRequest() {
     return {type: PostTypes.CREATE_POST_RESET_REQUEST};
 }
 
+// setTimeout can't wait for longer than this, so a post scheduled further in the future than that is waited for in steps
+const MAX_SCHEDULED_POST_TIMEOUT = 2147483647;
+
+// The timers that send each store's scheduled posts when they're due, keyed by the store's getState
+const scheduledPostTimers = new WeakMap();
+
+// schedulePost saves a post to be created by createPost at the given time. Scheduled posts are only sent while the
+// client is running, so any that were due while it wasn't are sent when startScheduledPosts is next called.
+export function schedulePost(post, scheduledAt, files = []) {
+    return async (dispatch, getState) => {
+        const timestamp = Date.now();
+
+        const scheduledPost = {
+            id: generateId(),
+            post,
+            files,
+            scheduledAt,
+            createAt: timestamp,
+            updateAt: timestamp,
+        };
+
+        dispatch({
+            type: PostTypes.RECEIVED_SCHEDULED_POST,
+            data: scheduledPost,
+        }, getState);
+
+        getScheduledPostTimer(dispatch, getState).update();
+
+        return {data: scheduledPost};
+    };
+}
+
+// editScheduledPost changes the post, files or time of a scheduled post that hasn't been sent yet
+export function editScheduledPost(scheduledPost) {
+    return async (dispatch, getState) => {
+        const existing = Selectors.getScheduledPost(getState(), scheduledPost.id);
+        if (!existing) {
+            return {error: new Error(`There is no scheduled post with id ${scheduledPost.id}`)};
+        }
+
+        const updated = {
+            ...existing,
+            ...scheduledPost,
+            updateAt: Date.now(),
+        };
+
+        dispatch({
+            type: PostTypes.RECEIVED_SCHEDULED_POST,
+            data: updated,
+        }, getState);
+
+        getScheduledPostTimer(dispatch, getState).update();
+
+        return {data: updated};
+    };
+}
+
+export function cancelScheduledPost(scheduledPostId) {
+    return async (dispatch, getState) => {
+        const existing = Selectors.getScheduledPost(getState(), scheduledPostId);
+        if (!existing) {
+            return {error: new Error(`There is no scheduled post with id ${scheduledPostId}`)};
+        }
+
+        dispatch({
+            type: PostTypes.REMOVED_SCHEDULED_POST,
+            data: existing,
+        }, getState);
+
+        getScheduledPostTimer(dispatch, getState).update();
+
+        return {data: true};
+    };
+}
+
+// startScheduledPosts sends any scheduled posts that are due and then waits to send the remaining ones at their
+// scheduled times. It should be called once the store has been rehydrated so that posts scheduled before the client was
+// last closed are sent.
+export function startScheduledPosts() {
+    return async (dispatch, getState) => {
+        sendDueScheduledPosts(dispatch, getState);
+        getScheduledPostTimer(dispatch, getState).update();
+
+        return {data: true};
+    };
+}
+
+// stopScheduledPosts stops waiting to send the scheduled posts in the store until startScheduledPosts is called again
+export function stopScheduledPosts() {
+    return async (dispatch, getState) => {
+        const timer = scheduledPostTimers.get(getState);
+        if (timer) {
+            timer.stop();
+            scheduledPostTimers.delete(getState);
+        }
+
+        return {data: true};
+    };
+}
+
+function sendDueScheduledPosts(dispatch, getState) {
+    const now = Date.now();
+
+    for (const scheduledPost of Selectors.getScheduledPosts(getState())) {
+        if (scheduledPost.scheduledAt > now) {
+            break;
+        }
+
+        dispatch({
+            type: PostTypes.REMOVED_SCHEDULED_POST,
+            data: scheduledPost,
+        }, getState);
+
+        dispatch(createPost(scheduledPost.post, scheduledPost.files));
+    }
+}
+
+function getScheduledPostTimer(dispatch, getState) {
+    let timer = scheduledPostTimers.get(getState);
+    if (!timer) {
+        timer = createScheduledPostTimer(dispatch, getState);
+        scheduledPostTimers.set(getState, timer);
+    }
+
+    return timer;
+}
+
+// createScheduledPostTimer returns an update function that waits until the next of a store's scheduled posts is due to
+// send it and a stop function that stops waiting
+function createScheduledPostTimer(dispatch, getState) {
+    let timeoutId = null;
+
+    const stop = () => {
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+        }
+    };
+
+    const update = () => {
+        stop();
+
+        const scheduledPosts = Selectors.getScheduledPosts(getState());
+        if (scheduledPosts.length === 0) {
+            return;
+        }
+
+        const timeout = Math.max(scheduledPosts[0].scheduledAt - Date.now(), 0);
+
+        timeoutId = setTimeout(() => {
+            timeoutId = null;
+
+            sendDueScheduledPosts(dispatch, getState);
+            update();
+        }, Math.min(timeout, MAX_SCHEDULED_POST_TIMEOUT));
+    };
+
+    return {update, stop};
+}
+
 export function deletePost(post) {
     return async (dispatch, getState) => {
         const state = getState();
@@ -262,6 +453,14 @@ export function deletePost(post) {
                 data: delPost,
             });
         } else {
+            // Deleting a post also removes its comments and reactions from the store, so keep them to restore if the
+            // post couldn't be deleted
+            const previousPost = Selectors.getPost(state, post.id) || delPost;
+            const comments = Object.values(state.entities.posts.posts).filter((p) => p.root_id === post.id);
+            const commentIds = comments.map((comment) => comment.id);
+            const previousBlocks = (state.entities.posts.postsInChannel[post.channel_id] || []).filter((block) => block.order.some((id) => commentIds.includes(id)));
+            const previousReactions = state.entities.posts.reactions[post.id];
+
             dispatch({
                 type: PostTypes.POST_DELETED,
                 data: delPost,
@@ -269,9 +468,46 @@ export function deletePost(post) {
                     offline: {
                         effect: () => Client4.deletePost(post.id),
                         commit: {type: PostTypes.POST_DELETED},
-                        rollback: {
-                            type: PostTypes.RECEIVED_POST,
-                            data: delPost,
+                        maxRetry: 0,
+                        rollback: (success, error) => {
+                            const actions = [{
+                                type: PostTypes.RECEIVED_POST,
+                                data: previousPost,
+                            }];
+
+                            if (comments.length) {
+                                const commentsById = comments.reduce((postsById, comment) => ({...postsById, [comment.id]: comment}), {});
+
+                                // Put the comments back in the thread and then in the same places in the channel
+                                actions.push({
+                                    type: PostTypes.RECEIVED_POSTS,
+                                    data: {order: [], posts: commentsById},
+                                    channelId: post.channel_id,
+                                    skipAddToChannel: true,
+                                });
+
+                                for (const block of previousBlocks) {
+                                    actions.push({
+                                        type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
+                                        data: {order: block.order, posts: commentsById},
+                                        channelId: post.channel_id,
+                                        recent: block.recent,
+                                        oldest: block.oldest,
+                                    });
+                                }
+                            }
+
+                            if (previousReactions) {
+                                actions.push({
+                                    type: PostTypes.RECEIVED_REACTIONS,
+                                    data: Object.values(previousReactions),
+                                    postId: post.id,
+                                });
+                            }
+
+                            actions.push(logError(error));
+
+                            dispatch(batchActions(actions));
                         },
                     },
                 },
@@ -282,110 +518,155 @@ export function deletePost(post) {
     };
 }
 
+// editPost applies the changes to the post in the store straight away and returns the edited post. They're then sent to
+// the server and rolled back if the server rejects them.
 export function editPost(post) {
-    return bindClientFunc({
-        clientFunc: Client4.patchPost,
-        onRequest: PostTypes.EDIT_POST_REQUEST,
-        onSuccess: [PostTypes.RECEIVED_POST, PostTypes.EDIT_POST_SUCCESS],
-        onFailure: PostTypes.EDIT_POST_FAILURE,
-        params: [
-            post,
-        ],
-    });
-}
-
-export function pinPost(postId) {
     return async (dispatch, getState) => {
+        const previousPost = Selectors.getPost(getState(), post.id);
+        const editedPost = {
+            ...previousPost,
+            ...post,
+            edit_at: Date.now(),
+        };
+
         dispatch({type: PostTypes.EDIT_POST_REQUEST}, getState);
-        let posts;
 
-        try {
-            posts = await Client4.pinPost(postId);
-        } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
-            dispatch(batchActions([
-                {type: PostTypes.EDIT_POST_FAILURE, error},
-                logError(error),
-            ]), getState);
-            return {error};
-        }
+        dispatch({
+            type: PostTypes.RECEIVED_POST,
+            data: editedPost,
+            meta: {
+                offline: {
+                    effect: () => Client4.patchPost(post),
+                    commit: (success, payload) => {
+                        dispatch(batchActions([
+                            {type: PostTypes.RECEIVED_POST, data: payload},
+                            {type: PostTypes.EDIT_POST_SUCCESS},
+                        ]));
+                    },
+                    maxRetry: 0,
+                    rollback: (success, error) => {
+                        forceLogoutIfNecessary(error, dispatch, getState);
 
-        const actions = [
-            {
-                type: PostTypes.EDIT_POST_SUCCESS,
-            },
-        ];
+                        const actions = [
+                            {type: PostTypes.EDIT_POST_FAILURE, error},
+                        ];
 
-        const post = Selectors.getPost(getState(), postId);
-        if (post) {
-            actions.push(
-                {
-                    type: PostTypes.RECEIVED_POST,
-                    data: {...post, is_pinned: true},
-                }
-            );
-        }
+                        if (previousPost) {
+                            actions.push({
+                                type: PostTypes.RECEIVED_POST,
+                                data: previousPost,
+                            });
+                        }
 
-        dispatch(batchActions(actions), getState);
+                        actions.push(logError(error));
 
-        return {data: posts};
+                        dispatch(batchActions(actions));
+                    },
+                },
+            },
+        });
+
+        return {data: editedPost};
     };
 }
 
+export function pinPost(postId) {
+    return setPostPinned(postId, true);
+}
+
 export function unpinPost(postId) {
+    return setPostPinned(postId, false);
+}
+
+// setPostPinned pins or unpins the post in the store straight away if it's been loaded and then sends the change to the
+// server, rolling it back if the server rejects it. If the post hasn't been loaded, it waits for the server instead.
+function setPostPinned(postId, isPinned) {
     return async (dispatch, getState) => {
+        const effect = () => (isPinned ? Client4.pinPost(postId) : Client4.unpinPost(postId));
+
         dispatch({type: PostTypes.EDIT_POST_REQUEST}, getState);
-        let posts;
 
-        try {
-            posts = await Client4.unpinPost(postId);
-        } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
-            dispatch(batchActions([
-                {type: PostTypes.EDIT_POST_FAILURE, error},
-                logError(error),
-            ]), getState);
-            return {error};
-        }
+        const post = Selectors.getPost(getState(), postId);
+        if (!post) {
+            // There's nothing to update until the server has responded
+            let data;
+            try {
+                data = await effect();
+            } catch (error) {
+                forceLogoutIfNecessary(error, dispatch, getState);
+                dispatch(batchActions([
+                    {type: PostTypes.EDIT_POST_FAILURE, error},
+                    logError(error),
+                ]), getState);
+                return {error};
+            }
 
-        const actions = [
-            {
-                type: PostTypes.EDIT_POST_SUCCESS,
-            },
-        ];
+            dispatch({type: PostTypes.EDIT_POST_SUCCESS}, getState);
 
-        const post = Selectors.getPost(getState(), postId);
-        if (post) {
-            actions.push(
-                {
-                    type: PostTypes.RECEIVED_POST,
-                    data: {...post, is_pinned: false},
-                }
-            );
+            return {data};
         }
 
-        dispatch(batchActions(actions), getState);
+        dispatch({
+            type: PostTypes.RECEIVED_POST,
+            data: {...post, is_pinned: isPinned},
+            meta: {
+                offline: {
+                    effect,
+                    commit: {type: PostTypes.EDIT_POST_SUCCESS},
+                    maxRetry: 0,
+                    rollback: (success, error) => {
+                        forceLogoutIfNecessary(error, dispatch, getState);
+                        dispatch(batchActions([
+                            {type: PostTypes.EDIT_POST_FAILURE, error},
+                            {type: PostTypes.RECEIVED_POST, data: {...(Selectors.getPost(getState(), postId) || post), is_pinned: post.is_pinned}},
+                            logError(error),
+                        ]));
+                    },
+                },
+            },
+        });
 
-        return {data: posts};
+        return {data: true};
     };
 }
 
+// addReaction adds the reaction to the store straight away and then sends it to the server. Like removeReaction, the
+// change is rolled back if the server rejects it.
 export function addReaction(postId, emojiName) {
     return async (dispatch, getState) => {
-        const currentUserId = getState().entities.users.currentUserId;
+        const state = getState();
+        const currentUserId = state.entities.users.currentUserId;
+        const previousReaction = getReaction(state, currentUserId, postId, emojiName);
 
-        let reaction;
-        try {
-            reaction = await Client4.addReaction(currentUserId, postId, emojiName);
-        } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
-            dispatch(logError(error));
-            return {error};
-        }
+        const reaction = {
+            user_id: currentUserId,
+            post_id: postId,
+            emoji_name: emojiName,
+            create_at: Date.now(),
+        };
 
         dispatch({
             type: PostTypes.RECEIVED_REACTION,
             data: reaction,
+            meta: {
+                offline: {
+                    effect: () => Client4.addReaction(currentUserId, postId, emojiName),
+                    commit: (success, payload) => {
+                        dispatch({
+                            type: PostTypes.RECEIVED_REACTION,
+                            data: payload,
+                        });
+                    },
+                    maxRetry: 0,
+                    rollback: (success, error) => {
+                        forceLogoutIfNecessary(error, dispatch, getState);
+                        dispatch(batchActions([
+                            previousReaction ? {type: PostTypes.RECEIVED_REACTION, data: previousReaction} : {type: PostTypes.REACTION_DELETED, data: reaction},
+                            logError(error),
+                        ]));
+                    },
+                },
+            },
         });
 
         return {data: true};
@@ -394,25 +675,50 @@ export function addReaction(postId, emojiName) {
 
 export function removeReaction(postId, emojiName) {
     return async (dispatch, getState) => {
-        const currentUserId = getState().entities.users.currentUserId;
+        const state = getState();
+        const currentUserId = state.entities.users.currentUserId;
+        const previousReaction = getReaction(state, currentUserId, postId, emojiName);
 
-        try {
-            await Client4.removeReaction(currentUserId, postId, emojiName);
-        } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
-            dispatch(logError(error));
-            return {error};
-        }
+        const reaction = {user_id: currentUserId, post_id: postId, emoji_name: emojiName};
 
         dispatch({
             type: PostTypes.REACTION_DELETED,
-            data: {user_id: currentUserId, post_id: postId, emoji_name: emojiName},
+            data: reaction,
+            meta: {
+                offline: {
+                    effect: () => Client4.removeReaction(currentUserId, postId, emojiName),
+                    commit: {type: PostTypes.REACTION_DELETED, data: reaction},
+                    maxRetry: 0,
+                    rollback: (success, error) => {
+                        forceLogoutIfNecessary(error, dispatch, getState);
+
+                        const actions = [];
+
+                        if (previousReaction) {
+                            actions.push({
+                                type: PostTypes.RECEIVED_REACTION,
+                                data: previousReaction,
+                            });
+                        }
+
+                        actions.push(logError(error));
+
+                        dispatch(batchActions(actions));
+                    },
+                },
+            },
         });
 
         return {data: true};
     };
 }
 
+function getReaction(state, userId, postId, emojiName) {
+    const reactionsForPost = state.entities.posts.reactions[postId];
+
+    return reactionsForPost ? reactionsForPost[userId + '-' + emojiName] : null;
+}
+
 export function getCustomEmojiForReaction(name) {
     return async (dispatch, getState) => {
         const nonExistentEmoji = getState().entities.emojis.nonExistentEmoji;
@@ -487,31 +793,25 @@ export function getReactionsForPost(postId) {
 }
 
 export function flagPost(postId) {
-    return async (dispatch, getState) => {
-        const {currentUserId} = getState().entities.users;
-        const preference = {
-            user_id: currentUserId,
-            category: Preferences.CATEGORY_FLAGGED_POST,
-            name: postId,
-            value: 'true',
-        };
-
+    return async (dispatch) => {
         Client4.trackEvent('action', 'action_posts_flag');
 
-        return savePreferences(currentUserId, [preference])(dispatch, getState);
+        return dispatch(setPostFlagged(postId, true));
     };
 }
 
 export function getPostThread(postId, skipAddToChannel = true) {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         dispatch({type: PostTypes.GET_POST_THREAD_REQUEST}, getState);
 
         let posts;
         try {
-            posts = await Client4.getPostThread(postId);
+            posts = await client4.getPostThread(postId);
             getProfilesAndStatusesForPosts(posts.posts, dispatch, getState);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(batchActions([
                 {type: PostTypes.GET_POST_THREAD_FAILURE, error},
                 logError(error),
@@ -537,130 +837,57 @@ export function getPostThread(postId, skipAddToChannel = true) {
     };
 }
 
+// getPostThreadWithRetry is deprecated. Client4 now retries failed requests itself, so use getPostThread instead.
 export function getPostThreadWithRetry(postId) {
-    return async (dispatch, getState) => {
-        dispatch({
-            type: PostTypes.GET_POST_THREAD_REQUEST,
-        });
-
-        dispatch({
-            type: PostTypes.GET_POST_THREAD_WITH_RETRY_ATTEMPT,
-            data: {},
-            meta: {
-                offline: {
-                    effect: () => Client4.getPostThread(postId),
-                    commit: (success, payload) => {
-                        const {posts} = payload;
-                        const post = posts[postId];
-                        getProfilesAndStatusesForPosts(posts, dispatch, getState);
-
-                        dispatch(batchActions([
-                            {
-                                type: PostTypes.RECEIVED_POSTS,
-                                data: payload,
-                                channelId: post.channel_id,
-                                skipAddToChannel: true,
-                            },
-                            {
-                                type: PostTypes.GET_POST_THREAD_SUCCESS,
-                            },
-                        ]), getState);
-                    },
-                    maxRetry: 2,
-                    cancel: true,
-                    onRetryScheduled: () => {
-                        dispatch({
-                            type: PostTypes.GET_POST_THREAD_WITH_RETRY_ATTEMPT,
-                        });
-                    },
-                    rollback: (success, error) => {
-                        forceLogoutIfNecessary(error, dispatch, getState);
-                        dispatch(batchActions([
-                            {type: PostTypes.GET_POST_THREAD_FAILURE, error},
-                            logError(error),
-                        ]), getState);
-                    },
-                },
-            },
-        });
-
-        return {data: true};
-    };
+    return getPostThread(postId);
 }
 
-export function getPosts(channelId, page = 0, perPage = Posts.POST_CHUNK_SIZE) {
-    return async (dispatch, getState) => {
+export function getPosts(channelId, page = 0, perPage = Posts.POST_CHUNK_SIZE, signal = null) {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let posts;
 
         try {
-            posts = await Client4.getPosts(channelId, page, perPage);
+            posts = await client4.withSignal(signal, () => client4.getPosts(channelId, page, perPage));
             getProfilesAndStatusesForPosts(posts.posts, dispatch, getState);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            if (error.aborted) {
+                return {error};
+            }
+
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(logError(error));
             return {error};
         }
 
         dispatch({
-            type: PostTypes.RECEIVED_POSTS,
+            type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
             data: posts,
             channelId,
+            recent: page === 0,
+            oldest: posts.order.length < perPage,
         });
 
         return {data: posts};
     };
 }
 
+// getPostsWithRetry is deprecated. Client4 now retries failed requests itself, so use getPosts instead.
 export function getPostsWithRetry(channelId, page = 0, perPage = Posts.POST_CHUNK_SIZE) {
-    return async (dispatch, getState) => {
-        dispatch({
-            type: PostTypes.GET_POSTS_WITH_RETRY_ATTEMPT,
-            data: {},
-            meta: {
-                offline: {
-                    effect: () => Client4.getPosts(channelId, page, perPage),
-                    commit: (success, payload) => {
-                        const {posts} = payload;
-                        getProfilesAndStatusesForPosts(posts, dispatch, getState);
-
-                        dispatch(batchActions([
-                            {
-                                type: PostTypes.RECEIVED_POSTS,
-                                data: payload,
-                                channelId,
-                            },
-                            {
-                                type: PostTypes.GET_POSTS_SUCCESS,
-                            },
-                        ]));
-                    },
-                    maxRetry: 2,
-                    cancel: true,
-                    onRetryScheduled: () => {
-                        dispatch({
-                            type: PostTypes.GET_POSTS_WITH_RETRY_ATTEMPT,
-                        });
-                    },
-                    rollback: (success, error) => {
-                        forceLogoutIfNecessary(error, dispatch, getState);
-                        dispatch(logError(error));
-                    },
-                },
-            },
-        });
-
-        return {data: true};
-    };
+    return getPosts(channelId, page, perPage);
 }
 
 export function getPostsSince(channelId, since) {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let posts;
         try {
-            posts = await Client4.getPostsSince(channelId, since);
+            posts = await client4.getPostsSince(channelId, since);
             getProfilesAndStatusesForPosts(posts.posts, dispatch, getState);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(logError(error));
             return {error};
         }
@@ -680,164 +907,71 @@ export function getPostsSince(channelId, since) {
     };
 }
 
+// getPostsSinceWithRetry is deprecated. Client4 now retries failed requests itself, so use getPostsSince instead.
 export function getPostsSinceWithRetry(channelId, since) {
-    return async (dispatch, getState) => {
-        dispatch({
-            type: PostTypes.GET_POSTS_SINCE_WITH_RETRY_ATTEMPT,
-            data: {},
-            meta: {
-                offline: {
-                    effect: () => Client4.getPostsSince(channelId, since),
-                    commit: (success, payload) => {
-                        const {posts} = payload;
-                        getProfilesAndStatusesForPosts(posts, dispatch, getState);
-
-                        dispatch(batchActions([
-                            {
-                                type: PostTypes.RECEIVED_POSTS,
-                                data: payload,
-                                channelId,
-                            },
-                            {
-                                type: PostTypes.GET_POSTS_SINCE_SUCCESS,
-                            },
-                        ]));
-                    },
-                    maxRetry: 2,
-                    cancel: true,
-                    onRetryScheduled: () => {
-                        dispatch({
-                            type: PostTypes.GET_POSTS_SINCE_WITH_RETRY_ATTEMPT,
-                        });
-                    },
-                    rollback: (success, error) => {
-                        forceLogoutIfNecessary(error, dispatch, getState);
-                        dispatch(logError(error));
-                    },
-                },
-            },
-        });
-
-        return {data: true};
-    };
+    return getPostsSince(channelId, since);
 }
 
 export function getPostsBefore(channelId, postId, page = 0, perPage = Posts.POST_CHUNK_SIZE) {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let posts;
         try {
-            posts = await Client4.getPostsBefore(channelId, postId, page, perPage);
+            posts = await client4.getPostsBefore(channelId, postId, page, perPage);
             getProfilesAndStatusesForPosts(posts.posts, dispatch, getState);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(logError(error));
             return {error};
         }
 
         dispatch({
-            type: PostTypes.RECEIVED_POSTS,
+            type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
             data: posts,
             channelId,
+            beforePostId: page === 0 ? postId : '',
+            oldest: posts.order.length < perPage,
         });
 
         return {data: posts};
     };
 }
 
+// getPostsBeforeWithRetry is deprecated. Client4 now retries failed requests itself, so use getPostsBefore instead.
 export function getPostsBeforeWithRetry(channelId, postId, page = 0, perPage = Posts.POST_CHUNK_SIZE) {
-    return async (dispatch, getState) => {
-        dispatch({
-            type: PostTypes.GET_POSTS_BEFORE_WITH_RETRY_ATTEMPT,
-            data: {},
-            meta: {
-                offline: {
-                    effect: () => Client4.getPostsBefore(channelId, postId, page, perPage),
-                    commit: (success, payload) => {
-                        const {posts} = payload;
-                        getProfilesAndStatusesForPosts(posts, dispatch, getState);
-
-                        dispatch({
-                            type: PostTypes.RECEIVED_POSTS,
-                            data: payload,
-                            channelId,
-                        });
-                    },
-                    maxRetry: 2,
-                    cancel: true,
-                    onRetryScheduled: () => {
-                        dispatch({
-                            type: PostTypes.GET_POSTS_BEFORE_WITH_RETRY_ATTEMPT,
-                        });
-                    },
-                    rollback: (success, error) => {
-                        forceLogoutIfNecessary(error, dispatch, getState);
-                        dispatch(logError(error));
-                    },
-                },
-            },
-        });
-
-        return {data: true};
-    };
+    return getPostsBefore(channelId, postId, page, perPage);
 }
 
 export function getPostsAfter(channelId, postId, page = 0, perPage = Posts.POST_CHUNK_SIZE) {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
+        const client4 = getClient4(extra);
+
         let posts;
         try {
-            posts = await Client4.getPostsAfter(channelId, postId, page, perPage);
+            posts = await client4.getPostsAfter(channelId, postId, page, perPage);
             getProfilesAndStatusesForPosts(posts.posts, dispatch, getState);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(getState);
             return {error};
         }
 
         dispatch({
-            type: PostTypes.RECEIVED_POSTS,
+            type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
             data: posts,
             channelId,
+            afterPostId: page === 0 ? postId : '',
+            recent: posts.order.length < perPage,
         });
 
         return {data: posts};
     };
 }
 
+// getPostsAfterWithRetry is deprecated. Client4 now retries failed requests itself, so use getPostsAfter instead.
 export function getPostsAfterWithRetry(channelId, postId, page = 0, perPage = Posts.POST_CHUNK_SIZE) {
-    return async (dispatch, getState) => {
-        dispatch({
-            type: PostTypes.GET_POSTS_AFTER_WITH_RETRY_ATTEMPT,
-            data: {},
-            meta: {
-                offline: {
-                    effect: () => Client4.getPostsAfter(channelId, postId, page, perPage),
-                    commit: (success, payload) => {
-                        const {posts} = payload;
-                        getProfilesAndStatusesForPosts(posts, dispatch, getState);
-
-                        dispatch({
-                            type: PostTypes.RECEIVED_POSTS,
-                            data: payload,
-                            channelId,
-                        });
-                    },
-                    maxRetry: 2,
-                    cancel: true,
-                    onRetryScheduled: () => {
-                        dispatch({
-                            type: PostTypes.GET_POSTS_AFTER_WITH_RETRY_ATTEMPT,
-                        });
-                    },
-                    rollback: (success, error) => {
-                        forceLogoutIfNecessary(error, dispatch, getState);
-                        dispatch(logError(error));
-                    },
-                },
-            },
-        });
-
-        return {data: true};
-    };
+    return getPostsAfter(channelId, postId, page, perPage);
 }
 
 // Note that getProfilesAndStatusesForPosts can take either an array of posts or a map of ids to posts
@@ -878,25 +1012,25 @@ export function getProfilesAndStatusesForPosts(postsArrayOrMap, dispatch, getSta
 
     const promises = [];
     if (userIdsToLoad.size > 0) {
-        promises.push(getProfilesByIds(Array.from(userIdsToLoad))(dispatch, getState));
+        promises.push(dispatch(getProfilesByIds(Array.from(userIdsToLoad))));
     }
 
     if (statusesToLoad.size > 0) {
-        promises.push(getStatusesByIds(Array.from(statusesToLoad))(dispatch, getState));
+        promises.push(dispatch(getStatusesByIds(Array.from(statusesToLoad))));
     }
 
     // Profiles of users mentioned in the posts
     const usernamesToLoad = getNeededAtMentionedUsernames(state, posts);
 
     if (usernamesToLoad.size > 0) {
-        promises.push(getProfilesByUsernames(Array.from(usernamesToLoad))(dispatch, getState));
+        promises.push(dispatch(getProfilesByUsernames(Array.from(usernamesToLoad))));
     }
 
     // Emojis used in the posts
     const emojisToLoad = getNeededCustomEmojis(state, posts);
 
     if (emojisToLoad && emojisToLoad.size > 0) {
-        promises.push(getCustomEmojisByName(Array.from(emojisToLoad))(dispatch, getState));
+        promises.push(dispatch(getCustomEmojisByName(Array.from(emojisToLoad))));
     }
 
     return Promise.all(promises);
@@ -1022,6 +1156,125 @@ export function removePost(post) {
     };
 }
 
+// getPostsToPrune returns the posts and related data that can be removed from the store according to the given retention
+// policy. Posts are kept for the current channel, any channel with a post being sent, and then the most recently viewed
+// channels up to the policy's maxChannels. Only the most recent maxPostsPerChannel posts are kept in each of those other
+// than the current channel. Pending posts, the selected thread, the focused post, and search results are always kept.
+export function getPostsToPrune(state, policy = {}) {
+    const {maxPostsPerChannel, maxChannels} = {...Posts.DEFAULT_RETENTION_POLICY, ...policy};
+    const {posts, postsInChannel, postsInThread, pendingPostIds, sendingPostIds, selectedPostId, currentFocusedPostId, visitedChannelIds} = state.entities.posts;
+    const {results, flagged, pinned} = state.entities.search;
+    const currentChannelId = getCurrentChannelId(state);
+
+    const keptPostIds = new Set([...pendingPostIds, ...sendingPostIds, ...results, ...flagged]);
+    for (const ids of Object.values(pinned)) {
+        ids.forEach((id) => keptPostIds.add(id));
+    }
+
+    if (currentFocusedPostId) {
+        keptPostIds.add(currentFocusedPostId);
+    }
+
+    if (selectedPostId) {
+        keptPostIds.add(selectedPostId);
+        (postsInThread[selectedPostId] || []).forEach((id) => keptPostIds.add(id));
+    }
+
+    const keptChannelIds = new Set();
+    if (currentChannelId) {
+        keptChannelIds.add(currentChannelId);
+    }
+
+    for (const id of [...pendingPostIds, ...sendingPostIds]) {
+        if (posts[id]) {
+            keptChannelIds.add(posts[id].channel_id);
+        }
+    }
+
+    for (const channelId of visitedChannelIds) {
+        if (keptChannelIds.size >= maxChannels) {
+            break;
+        }
+
+        keptChannelIds.add(channelId);
+    }
+
+    for (const channelId of keptChannelIds) {
+        const limit = channelId === currentChannelId ? Infinity : maxPostsPerChannel;
+
+        let count = 0;
+        for (const block of postsInChannel[channelId] || []) {
+            for (const id of block.order) {
+                if (count >= limit) {
+                    break;
+                }
+
+                keptPostIds.add(id);
+                count++;
+            }
+        }
+    }
+
+    // Also keep anything that the kept posts depend on to be displayed
+    for (const id of Array.from(keptPostIds)) {
+        const post = posts[id];
+        if (!post) {
+            continue;
+        }
+
+        if (post.root_id) {
+            keptPostIds.add(post.root_id);
+        }
+
+        if (post.system_post_ids) {
+            post.system_post_ids.forEach((systemPostId) => keptPostIds.add(systemPostId));
+        }
+    }
+
+    const postIds = Object.keys(posts).filter((id) => !keptPostIds.has(id));
+    const prunedPostIds = new Set(postIds);
+
+    const channelIds = Object.keys(postsInChannel).filter((id) => !keptChannelIds.has(id));
+
+    const fileIds = Object.values(state.entities.files.files).filter((file) => prunedPostIds.has(file.post_id)).map((file) => file.id);
+
+    const keptUrls = new Set();
+    const prunedUrls = new Set();
+    for (const post of Object.values(posts)) {
+        if (!post.metadata || !post.metadata.embeds) {
+            continue;
+        }
+
+        const urls = prunedPostIds.has(post.id) ? prunedUrls : keptUrls;
+        post.metadata.embeds.forEach((embed) => {
+            if (embed.type === 'opengraph') {
+                urls.add(embed.url);
+            }
+        });
+    }
+
+    const openGraphUrls = Array.from(prunedUrls).filter((url) => !keptUrls.has(url));
+
+    return {postIds, channelIds, fileIds, openGraphUrls};
+}
+
+// prunePosts removes posts from the store that aren't needed according to the given retention policy along with their
+// files, reactions and OpenGraph metadata. See getPostsToPrune for which posts are kept.
+export function prunePosts(policy = {}) {
+    return async (dispatch, getState) => {
+        const data = getPostsToPrune(getState(), policy);
+
+        if (data.postIds.length > 0 || data.channelIds.length > 0) {
+            dispatch({
+                type: PostTypes.PRUNE_POSTS,
+                data,
+            }, getState);
+        }
+
+        return {data: true};
+    };
+}
+
 export function selectPost(postId) {
     return async (dispatch, getState) => {
         dispatch({
@@ -1041,17 +1294,48 @@ export function selectFocusedPostId(postId) {
 }
 
 export function unflagPost(postId) {
+    return async (dispatch) => {
+        Client4.trackEvent('action', 'action_posts_unflag');
+
+        return dispatch(setPostFlagged(postId, false));
+    };
+}
+
+// setPostFlagged flags or unflags the post in the store straight away and then saves the preference used to flag it to
+// the server, restoring the previous preference if the server rejects it.
+function setPostFlagged(postId, isFlagged) {
     return async (dispatch, getState) => {
-        const {currentUserId} = getState().entities.users;
+        const state = getState();
+        const {currentUserId} = state.entities.users;
         const preference = {
             user_id: currentUserId,
             category: Preferences.CATEGORY_FLAGGED_POST,
             name: postId,
+            value: 'true',
         };
+        const previousPreference = getMyPreferences(state)[getPreferenceKey(Preferences.CATEGORY_FLAGGED_POST, postId)];
+        const type = isFlagged ? PreferenceTypes.RECEIVED_PREFERENCES : PreferenceTypes.DELETED_PREFERENCES;
 
-        Client4.trackEvent('action', 'action_posts_unflag');
+        dispatch({
+            type,
+            data: [preference],
+            meta: {
+                offline: {
+                    effect: () => (isFlagged ? Client4.savePreferences(currentUserId, [preference]) : Client4.deletePreferences(currentUserId, [preference])),
+                    commit: {type},
+                    maxRetry: 0,
+                    rollback: (success, error) => {
+                        forceLogoutIfNecessary(error, dispatch, getState);
+                        dispatch(batchActions([
+                            previousPreference ? {type: PreferenceTypes.RECEIVED_PREFERENCES, data: [previousPreference]} : {type: PreferenceTypes.DELETED_PREFERENCES, data: [preference]},
+                            logError(error),
+                        ]));
+                    },
+                },
+            },
+        });
 
-        return deletePreferences(currentUserId, [preference])(dispatch, getState);
+        return {data: true};
     };
 }
 
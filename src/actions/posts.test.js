@@ -6,6 +6,7 @@ import assert from 'assert';
 import nock from 'nock';
 
 import * as Actions from 'actions/posts';
+import {saveDraft} from 'actions/drafts';
 import {login} from 'actions/users';
 import {setSystemEmojis, createCustomEmoji} from 'actions/emojis';
 import {Client4} from 'client';
@@ -62,7 +63,7 @@ describe('Actions.Posts', () => {
         assert.ok(found, 'failed to find new post in posts');
 
         found = false;
-        for (const postIdInChannel of postsInChannel[channelId]) {
+        for (const postIdInChannel of postsInChannel[channelId][0].order) {
             if (posts[postIdInChannel].message === post.message) {
                 found = true;
                 break;
@@ -71,6 +72,143 @@ describe('Actions.Posts', () => {
         assert.ok(found, 'failed to find new post in postsInChannel');
     });
 
+    describe('scheduled posts', () => {
+        afterEach(async () => {
+            await Actions.stopScheduledPosts()(store.dispatch, store.getState);
+        });
+
+        it('schedulePost', async () => {
+            const post = TestHelper.fakePost(TestHelper.basicChannel.id);
+            const scheduledAt = Date.now() + 60000;
+
+            const {data} = await Actions.schedulePost(post, scheduledAt)(store.dispatch, store.getState);
+
+            const {scheduledPosts} = store.getState().entities.posts;
+            assert.deepEqual(scheduledPosts[data.id].post, post);
+            assert.equal(scheduledPosts[data.id].scheduledAt, scheduledAt);
+        });
+
+        it('editScheduledPost', async () => {
+            const post = TestHelper.fakePost(TestHelper.basicChannel.id);
+
+            const {data} = await Actions.schedulePost(post, Date.now() + 60000)(store.dispatch, store.getState);
+
+            const scheduledAt = Date.now() + 120000;
+            await Actions.editScheduledPost({id: data.id, post: {...post, message: 'edited'}, scheduledAt})(store.dispatch, store.getState);
+
+            const {scheduledPosts} = store.getState().entities.posts;
+            assert.equal(scheduledPosts[data.id].post.message, 'edited');
+            assert.equal(scheduledPosts[data.id].scheduledAt, scheduledAt);
+
+            const {error} = await Actions.editScheduledPost({id: 'missing'})(store.dispatch, store.getState);
+            assert.ok(error);
+        });
+
+        it('cancelScheduledPost', async () => {
+            const post = TestHelper.fakePost(TestHelper.basicChannel.id);
+
+            const {data} = await Actions.schedulePost(post, Date.now() + 60000)(store.dispatch, store.getState);
+            await Actions.cancelScheduledPost(data.id)(store.dispatch, store.getState);
+
+            assert.ok(!store.getState().entities.posts.scheduledPosts[data.id]);
+        });
+
+        it('should send scheduled posts when they are due', async () => {
+            const channelId = TestHelper.basicChannel.id;
+            const post = TestHelper.fakePost(channelId);
+
+            nock(Client4.getPostsRoute()).
+                post('').
+                reply(201, {...post, id: TestHelper.generateId()});
+
+            const {data} = await Actions.schedulePost(post, Date.now() + 10)(store.dispatch, store.getState);
+            await TestHelper.wait(100);
+
+            const {posts, scheduledPosts} = store.getState().entities.posts;
+            assert.ok(!scheduledPosts[data.id]);
+            assert.ok(Object.values(posts).some((storedPost) => storedPost.message === post.message));
+        });
+
+        it('should keep a separate timer for each store', async () => {
+            const post = TestHelper.fakePost(TestHelper.basicChannel.id);
+            const otherStore = await configureStore();
+
+            nock(Client4.getPostsRoute()).
+                post('').
+                reply(201, {...post, id: TestHelper.generateId()});
+
+            await Actions.schedulePost(post, Date.now() + 10)(store.dispatch, store.getState);
+            await Actions.schedulePost(TestHelper.fakePost(TestHelper.basicChannel.id), Date.now() + 60000)(otherStore.dispatch, otherStore.getState);
+            await Actions.stopScheduledPosts()(otherStore.dispatch, otherStore.getState);
+
+            await TestHelper.wait(100);
+
+            const {posts} = store.getState().entities.posts;
+            assert.ok(Object.values(posts).some((storedPost) => storedPost.message === post.message));
+        });
+
+        it('startScheduledPosts should send posts that were due while the client was closed', async () => {
+            const post = TestHelper.fakePost(TestHelper.basicChannel.id);
+
+            nock(Client4.getPostsRoute()).
+                post('').
+                reply(201, {...post, id: TestHelper.generateId()});
+
+            store = await configureStore({
+                entities: {
+                    posts: {
+                        scheduledPosts: {
+                            scheduled1: {id: 'scheduled1', post, files: [], scheduledAt: Date.now() - 1000},
+                        },
+                    },
+                },
+            });
+
+            await Actions.startScheduledPosts()(store.dispatch, store.getState);
+            await TestHelper.wait(100);
+
+            const {posts, scheduledPosts} = store.getState().entities.posts;
+            assert.deepEqual(scheduledPosts, {});
+            assert.ok(Object.values(posts).some((storedPost) => storedPost.message === post.message));
+        });
+    });
+
+    it('createPost should clear the draft it was created from', async () => {
+        const channelId = TestHelper.basicChannel.id;
+        const post = TestHelper.fakePost(channelId);
+
+        await saveDraft(channelId, '', post.message)(store.dispatch, store.getState);
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            reply(201, {...post, id: TestHelper.generateId()});
+
+        await Actions.createPost(post)(store.dispatch, store.getState);
+        await TestHelper.wait(100);
+
+        assert.ok(!store.getState().entities.drafts[channelId]);
+    });
+
+    it('createPost should keep a draft that was changed after the post was sent', async () => {
+        const channelId = TestHelper.basicChannel.id;
+        const post = TestHelper.fakePost(channelId);
+
+        await saveDraft(channelId, '', post.message)(store.dispatch, store.getState);
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            delay(100).
+            reply(201, {...post, id: TestHelper.generateId()});
+
+        await Actions.createPost(post)(store.dispatch, store.getState);
+        await TestHelper.wait(10);
+
+        await saveDraft(channelId, '', 'a new message')(store.dispatch, store.getState);
+        await TestHelper.wait(200);
+
+        assert.equal(store.getState().entities.drafts[channelId][''].message, 'a new message');
+    });
+
     it('resetCreatePostRequest', async () => {
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.fakePost(channelId);
@@ -111,6 +249,42 @@ describe('Actions.Posts', () => {
         assert.equal(createRequest.error, null);
     });
 
+    it('createPost removes the post when the server rejects it', async () => {
+        const channelId = TestHelper.basicChannel.id;
+        const post = TestHelper.fakePost(channelId);
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            reply(403, {
+                message: 'Only System Admins can post in Town Square',
+                server_error_id: 'api.post.create_post.town_square_read_only',
+                status_code: 403,
+            });
+
+        await Actions.createPost(post)(store.dispatch, store.getState);
+        await TestHelper.wait(50);
+
+        const {posts} = store.getState().entities.posts;
+        assert.ok(!Object.values(posts).some((p) => p.message === post.message));
+    });
+
+    it('createPost keeps the post as failed when it can be retried', async () => {
+        const channelId = TestHelper.basicChannel.id;
+        const post = TestHelper.fakePost(channelId);
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            reply(503, {message: 'Service unavailable', status_code: 503});
+
+        await Actions.createPost(post)(store.dispatch, store.getState);
+        await TestHelper.wait(50);
+
+        const {posts} = store.getState().entities.posts;
+        const failedPost = Object.values(posts).find((p) => p.message === post.message);
+        assert.ok(failedPost);
+        assert.ok(failedPost.failed);
+    });
+
     it('createPost with file attachments', async () => {
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.fakePost(channelId);
@@ -226,9 +400,10 @@ describe('Actions.Posts', () => {
             put(`/${post.id}/patch`).
             reply(200, post);
 
-        await Actions.editPost(
+        const {data} = await Actions.editPost(
             post
         )(store.dispatch, store.getState);
+        assert.equal(data.message, post.message);
 
         const state = store.getState();
         const editRequest = state.requests.posts.editPost;
@@ -247,6 +422,33 @@ describe('Actions.Posts', () => {
         );
     });
 
+    it('editPost should roll back when it fails', async () => {
+        const channelId = TestHelper.basicChannel.id;
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            reply(201, TestHelper.fakePostWithId(channelId));
+        await Actions.createPost(TestHelper.fakePost(channelId))(store.dispatch, store.getState);
+
+        const initialPosts = store.getState().entities.posts;
+        const created = initialPosts.posts[initialPosts.postsInChannel[channelId][0].order[0]];
+
+        nock(Client4.getPostsRoute()).
+            put(`/${created.id}/patch`).
+            reply(403, {id: 'api.post.update_post.permissions_denied.app_error', message: 'Permission denied', status_code: 403});
+
+        const {data} = await Actions.editPost({...created, message: `${created.message} (edited)`})(store.dispatch, store.getState);
+        assert.equal(data.message, `${created.message} (edited)`);
+        assert.equal(store.getState().entities.posts.posts[created.id].message, `${created.message} (edited)`);
+
+        await TestHelper.wait(100);
+
+        const state = store.getState();
+        assert.equal(state.entities.posts.posts[created.id].message, created.message);
+        assert.equal(state.requests.posts.editPost.status, RequestStatus.FAILURE);
+        assert.equal(state.requests.posts.editPost.error.status_code, 403);
+    });
+
     it('deletePost', async () => {
         const channelId = TestHelper.basicChannel.id;
 
@@ -256,7 +458,7 @@ describe('Actions.Posts', () => {
         await Actions.createPost(TestHelper.fakePost(channelId))(store.dispatch, store.getState);
 
         const initialPosts = store.getState().entities.posts;
-        const created = initialPosts.posts[initialPosts.postsInChannel[channelId][0]];
+        const created = initialPosts.posts[initialPosts.postsInChannel[channelId][0].order[0]];
 
         await Actions.deletePost(created)(store.dispatch, store.getState);
 
@@ -272,6 +474,66 @@ describe('Actions.Posts', () => {
         );
     });
 
+    it('deletePost should restore the post when it fails', async () => {
+        const channelId = TestHelper.basicChannel.id;
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            reply(201, TestHelper.fakePostWithId(channelId));
+        await Actions.createPost(TestHelper.fakePost(channelId))(store.dispatch, store.getState);
+
+        const initialPosts = store.getState().entities.posts;
+        const created = initialPosts.posts[initialPosts.postsInChannel[channelId][0].order[0]];
+
+        nock(Client4.getPostsRoute()).
+            delete(`/${created.id}`).
+            reply(403, {id: 'api.post.delete_post.permissions.app_error', message: 'Permission denied', status_code: 403});
+
+        await Actions.deletePost(created)(store.dispatch, store.getState);
+        assert.strictEqual(store.getState().entities.posts.posts[created.id].state, Posts.POST_DELETED);
+
+        await TestHelper.wait(100);
+
+        assert.deepEqual(store.getState().entities.posts.posts[created.id], created);
+    });
+
+    it('deletePost should restore the comments in the channel when it fails', async () => {
+        const channelId = TestHelper.generateId();
+        const rootPost = {...TestHelper.fakePostWithId(channelId), create_at: 1000};
+        const comment = {...TestHelper.fakePostWithId(channelId), root_id: rootPost.id, create_at: 2000};
+        const recentPost = {...TestHelper.fakePostWithId(channelId), create_at: 5000};
+
+        // The thread is in an older block than the most recent posts in the channel
+        store.dispatch({
+            type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
+            data: {order: [recentPost.id], posts: {[recentPost.id]: recentPost}},
+            channelId,
+            recent: true,
+        });
+        store.dispatch({
+            type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
+            data: {order: [comment.id, rootPost.id], posts: {[rootPost.id]: rootPost, [comment.id]: comment}},
+            channelId,
+        });
+
+        nock(Client4.getPostsRoute()).
+            delete(`/${rootPost.id}`).
+            reply(403, {id: 'api.post.delete_post.permissions.app_error', message: 'Permission denied', status_code: 403});
+
+        await Actions.deletePost(rootPost)(store.dispatch, store.getState);
+        assert.deepEqual(store.getState().entities.posts.postsInChannel[channelId][1].order, [rootPost.id]);
+
+        await TestHelper.wait(100);
+
+        const {posts, postsInChannel, postsInThread} = store.getState().entities.posts;
+        assert.deepEqual(posts[comment.id], comment);
+        assert.deepEqual(postsInChannel[channelId], [
+            {order: [recentPost.id], recent: true, oldest: false},
+            {order: [comment.id, rootPost.id], recent: false, oldest: false},
+        ]);
+        assert.deepEqual(postsInThread[rootPost.id], [comment.id]);
+    });
+
     it('deletePostWithReaction', async () => {
         TestHelper.mockLogin();
         await login(TestHelper.basicUser.email, 'password1')(store.dispatch, store.getState);
@@ -326,7 +588,7 @@ describe('Actions.Posts', () => {
             channelId
         )(store.dispatch, store.getState);
 
-        const postsCount = store.getState().entities.posts.postsInChannel[channelId].length;
+        const postsCount = store.getState().entities.posts.postsInChannel[channelId][0].order.length;
 
         await Actions.removePost(
             TestHelper.basicPost
@@ -339,7 +601,7 @@ describe('Actions.Posts', () => {
         assert.ok(postsInChannel[channelId]);
 
         // this should count that the basic post and post1a were removed
-        assert.equal(postsInChannel[channelId].length, postsCount - 2);
+        assert.equal(postsInChannel[channelId][0].order.length, postsCount - 2);
         assert.ok(!posts[postId]);
         assert.ok(!posts[post1a.id]);
         assert.ok(!postsInThread[postId]);
@@ -404,17 +666,15 @@ describe('Actions.Posts', () => {
         assert.ok(posts);
         assert.ok(posts[post.id]);
 
-        let found = false;
-        for (const postIdInChannel of postsInChannel[channelId]) {
-            if (postIdInChannel === post.id) {
-                found = true;
-                break;
-            }
-        }
+        const found = (postsInChannel[channelId] || []).some((block) => block.order.includes(post.id));
         assert.ok(!found, 'found post in postsInChannel');
     });
 
     it('getPostThreadWithRetry', async () => {
+        // Failed requests are retried by Client4 itself
+        const retryPolicy = Client4.getRetryPolicy();
+        Client4.setRetryPolicy({baseDelay: 0, maxAttempts: 3});
+
         const channelId = TestHelper.basicChannel.id;
 
         nock(Client4.getPostsRoute()).
@@ -424,7 +684,7 @@ describe('Actions.Posts', () => {
             TestHelper.fakePost(channelId)
         );
 
-        nock(Client4.getPostsRoute()).get(`/${post.id}/thread`).reply(400, {});
+        nock(Client4.getPostsRoute()).get(`/${post.id}/thread`).reply(503, {});
 
         const postList = {order: [post.id], posts: {}};
         postList.posts[post.id] = post;
@@ -435,8 +695,6 @@ describe('Actions.Posts', () => {
 
         await Actions.getPostThreadWithRetry(post.id)(store.dispatch, store.getState);
 
-        await TestHelper.wait(500);
-
         const state = store.getState();
         const getRequest = state.requests.posts.getPostThread;
         const {posts, postsInChannel} = state.entities.posts;
@@ -448,14 +706,10 @@ describe('Actions.Posts', () => {
         assert.ok(posts);
         assert.ok(posts[post.id]);
 
-        let found = false;
-        for (const postIdInChannel of postsInChannel[channelId]) {
-            if (postIdInChannel === post.id) {
-                found = true;
-                break;
-            }
-        }
+        const found = (postsInChannel[channelId] || []).some((block) => block.order.includes(post.id));
         assert.ok(!found, 'found post in postsInChannel');
+
+        Client4.setRetryPolicy(retryPolicy);
     });
 
     it('getPosts', async () => {
@@ -515,7 +769,7 @@ describe('Actions.Posts', () => {
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post3a.id, 'wrong order for post3a');
         assert.equal(postsForChannel[1], post3.id, 'wrong order for post3');
@@ -537,6 +791,10 @@ describe('Actions.Posts', () => {
     });
 
     it('getPostsWithRetry', async () => {
+        // Failed requests are retried by Client4 itself
+        const retryPolicy = Client4.getRetryPolicy();
+        Client4.setRetryPolicy({baseDelay: 0, maxAttempts: 3});
+
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.basicPost;
 
@@ -571,7 +829,7 @@ describe('Actions.Posts', () => {
             {...TestHelper.fakePost(channelId), root_id: post3.id}
         );
 
-        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(400, {});
+        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(503, {});
 
         const postList = {order: [post3a.id, post3.id, post2.id, post1a.id, post1.id, post.id], posts: {}};
         postList.posts[post.id] = TestHelper.basicPost;
@@ -586,19 +844,17 @@ describe('Actions.Posts', () => {
             query(true).
             reply(200, postList);
 
-        Actions.getPostsWithRetry(
+        await Actions.getPostsWithRetry(
             channelId
         )(store.dispatch, store.getState);
 
-        await TestHelper.wait(500); // wait for retry action to complete after 200ms
-
         const state = store.getState();
         const {posts, postsInChannel, postsInThread} = state.entities.posts;
 
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post3a.id, 'wrong order for post3a');
         assert.equal(postsForChannel[1], post3.id, 'wrong order for post3');
@@ -617,6 +873,8 @@ describe('Actions.Posts', () => {
         postsForThread = postsInThread[post3.id];
         assert.ok(postsForThread);
         assert.ok(postsForThread.includes(post3a.id));
+
+        Client4.setRetryPolicy(retryPolicy);
     });
 
     it('getNeededAtMentionedUsernames', async () => {
@@ -897,6 +1155,111 @@ describe('Actions.Posts', () => {
         });
     });
 
+    describe('getPostsToPrune', () => {
+        function makePosts(channelId, count, props = {}) {
+            const posts = {};
+            for (let i = 0; i < count; i++) {
+                const id = `${channelId}_post${i}`;
+                posts[id] = {id, channel_id: channelId, create_at: count - i, ...props};
+            }
+            return posts;
+        }
+
+        const posts = {
+            ...makePosts('channel1', 3),
+            ...makePosts('channel2', 3),
+            ...makePosts('channel3', 3),
+            channel3_reply: {id: 'channel3_reply', channel_id: 'channel3', root_id: 'channel3_post2', create_at: 4},
+        };
+        posts.channel2_post2 = {
+            ...posts.channel2_post2,
+            metadata: {
+                embeds: [{type: 'opengraph', url: 'https://example.com'}],
+            },
+        };
+
+        const baseState = {
+            entities: {
+                channels: {
+                    currentChannelId: 'channel1',
+                },
+                files: {
+                    files: {
+                        file1: {id: 'file1', post_id: 'channel2_post2'},
+                        file2: {id: 'file2', post_id: 'channel1_post2'},
+                    },
+                },
+                posts: {
+                    posts,
+                    postsInChannel: {
+                        channel1: [{order: ['channel1_post0', 'channel1_post1', 'channel1_post2'], recent: true, oldest: true}],
+                        channel2: [{order: ['channel2_post0', 'channel2_post1', 'channel2_post2'], recent: true, oldest: true}],
+                        channel3: [{order: ['channel3_post0', 'channel3_post1', 'channel3_post2'], recent: true, oldest: true}],
+                    },
+                    postsInThread: {
+                        channel3_post2: ['channel3_reply'],
+                    },
+                    pendingPostIds: [],
+                    sendingPostIds: [],
+                    selectedPostId: '',
+                    currentFocusedPostId: '',
+                    visitedChannelIds: ['channel1', 'channel2', 'channel3'],
+                },
+                search: {
+                    results: [],
+                    flagged: [],
+                    pinned: {},
+                },
+            },
+        };
+
+        it('should keep the posts in recently visited channels up to the limit', () => {
+            const data = Actions.getPostsToPrune(baseState, {maxPostsPerChannel: 2, maxChannels: 2});
+
+            assert.deepEqual(data.postIds.sort(), [
+                'channel2_post2',
+                'channel3_post0',
+                'channel3_post1',
+                'channel3_post2',
+                'channel3_reply',
+            ]);
+            assert.deepEqual(data.channelIds, ['channel3']);
+            assert.deepEqual(data.fileIds, ['file1']);
+            assert.deepEqual(data.openGraphUrls, ['https://example.com']);
+        });
+
+        it('should never limit the posts in the current channel', () => {
+            const data = Actions.getPostsToPrune(baseState, {maxPostsPerChannel: 1, maxChannels: 3});
+
+            assert.ok(!data.postIds.some((id) => id.startsWith('channel1_')));
+            assert.deepEqual(data.channelIds, []);
+        });
+
+        it('should keep pending posts, the selected thread and search results', () => {
+            const state = {
+                entities: {
+                    ...baseState.entities,
+                    posts: {
+                        ...baseState.entities.posts,
+                        pendingPostIds: ['channel3_post0'],
+                        selectedPostId: 'channel3_post2',
+                    },
+                    search: {
+                        ...baseState.entities.search,
+                        flagged: ['channel2_post2'],
+                    },
+                },
+            };
+
+            const data = Actions.getPostsToPrune(state, {maxPostsPerChannel: 1, maxChannels: 1});
+
+            assert.deepEqual(data.postIds.sort(), ['channel2_post0', 'channel2_post1', 'channel3_post1']);
+            assert.deepEqual(data.channelIds, ['channel2']);
+            assert.deepEqual(data.fileIds, []);
+            assert.deepEqual(data.openGraphUrls, []);
+        });
+    });
+
     it('getPostsSince', async () => {
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.basicPost;
@@ -951,7 +1314,7 @@ describe('Actions.Posts', () => {
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post3a.id, 'wrong order for post3a');
         assert.equal(postsForChannel[1], post3.id, 'wrong order for post3');
@@ -959,6 +1322,10 @@ describe('Actions.Posts', () => {
     });
 
     it('getPostsSinceWithRetry', async () => {
+        // Failed requests are retried by Client4 itself
+        const retryPolicy = Client4.getRetryPolicy();
+        Client4.setRetryPolicy({baseDelay: 0, maxAttempts: 3});
+
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.basicPost;
 
@@ -993,7 +1360,7 @@ describe('Actions.Posts', () => {
             {...TestHelper.fakePost(channelId), root_id: post3.id}
         );
 
-        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(400, {});
+        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(503, {});
 
         const postList = {order: [post3a.id, post3.id], posts: {}};
         postList.posts[post3.id] = post3;
@@ -1004,24 +1371,24 @@ describe('Actions.Posts', () => {
             query(true).
             reply(200, postList);
 
-        Actions.getPostsSinceWithRetry(
+        await Actions.getPostsSinceWithRetry(
             channelId,
             post2.create_at
         )(store.dispatch, store.getState);
 
-        await TestHelper.wait(300);
-
         const state = store.getState();
         const {posts, postsInChannel} = state.entities.posts;
 
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post3a.id, 'wrong order for post3a');
         assert.equal(postsForChannel[1], post3.id, 'wrong order for post3');
         assert.equal(postsForChannel.length, 2, 'wrong size');
+
+        Client4.setRetryPolicy(retryPolicy);
     });
 
     it('getPostsBefore', async () => {
@@ -1080,7 +1447,7 @@ describe('Actions.Posts', () => {
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post1a.id, 'wrong order for post1a');
         assert.equal(postsForChannel[1], post1.id, 'wrong order for post1');
@@ -1092,6 +1459,10 @@ describe('Actions.Posts', () => {
     });
 
     it('getPostsBeforeWithRetry', async () => {
+        // Failed requests are retried by Client4 itself
+        const retryPolicy = Client4.getRetryPolicy();
+        Client4.setRetryPolicy({baseDelay: 0, maxAttempts: 3});
+
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.basicPost;
 
@@ -1126,7 +1497,7 @@ describe('Actions.Posts', () => {
             {...TestHelper.fakePost(channelId), root_id: post3.id}
         );
 
-        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(400, {});
+        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(503, {});
 
         const postList = {order: [post1a.id, post1.id], posts: {}};
         postList.posts[post1a.id] = post1a;
@@ -1137,26 +1508,26 @@ describe('Actions.Posts', () => {
             query(true).
             reply(200, postList);
 
-        Actions.getPostsBeforeWithRetry(
+        await Actions.getPostsBeforeWithRetry(
             channelId,
             post2.id,
             0,
             10
         )(store.dispatch, store.getState);
 
-        await TestHelper.wait(300);
-
         const state = store.getState();
         const {posts, postsInChannel} = state.entities.posts;
 
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post1a.id, 'wrong order for post1a');
         assert.equal(postsForChannel[1], post1.id, 'wrong order for post1');
         assert.ok(postsForChannel.length <= 10, 'wrong size');
+
+        Client4.setRetryPolicy(retryPolicy);
     });
 
     it('getPostsAfter', async () => {
@@ -1216,7 +1587,7 @@ describe('Actions.Posts', () => {
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post3a.id, 'wrong order for post3a');
         assert.equal(postsForChannel[1], post3.id, 'wrong order for post3');
@@ -1228,6 +1599,10 @@ describe('Actions.Posts', () => {
     });
 
     it('getPostsAfterWithRetry', async () => {
+        // Failed requests are retried by Client4 itself
+        const retryPolicy = Client4.getRetryPolicy();
+        Client4.setRetryPolicy({baseDelay: 0, maxAttempts: 3});
+
         const channelId = TestHelper.basicChannel.id;
         const post = TestHelper.basicPost;
 
@@ -1262,7 +1637,7 @@ describe('Actions.Posts', () => {
             {...TestHelper.fakePost(channelId), root_id: post3.id}
         );
 
-        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(400, {});
+        nock(Client4.getChannelsRoute()).get(`/${channelId}/posts`).query(true).reply(503, {});
 
         const postList = {order: [post3a.id, post3.id], posts: {}};
         postList.posts[post3a.id] = post3a;
@@ -1273,26 +1648,26 @@ describe('Actions.Posts', () => {
             query(true).
             reply(200, postList);
 
-        Actions.getPostsAfterWithRetry(
+        await Actions.getPostsAfterWithRetry(
             channelId,
             post2.id,
             0,
             10
         )(store.dispatch, store.getState);
 
-        await TestHelper.wait(300);
-
         const state = store.getState();
         const {posts, postsInChannel} = state.entities.posts;
 
         assert.ok(posts);
         assert.ok(postsInChannel);
 
-        const postsForChannel = postsInChannel[channelId];
+        const postsForChannel = postsInChannel[channelId][0].order;
         assert.ok(postsForChannel);
         assert.equal(postsForChannel[0], post3a.id, 'wrong order for post3a');
         assert.equal(postsForChannel[1], post3.id, 'wrong order for post3');
         assert.equal(postsForChannel.length, 2, 'wrong size');
+
+        Client4.setRetryPolicy(retryPolicy);
     });
 
     it('flagPost', async () => {
@@ -1463,6 +1838,33 @@ describe('Actions.Posts', () => {
         assert.ok(reactions[TestHelper.basicUser.id + '-' + emojiName]);
     });
 
+    it('addReaction should roll back when it fails', async () => {
+        const {dispatch, getState} = store;
+
+        TestHelper.mockLogin();
+        await login(TestHelper.basicUser.email, 'password1')(dispatch, getState);
+
+        nock(Client4.getPostsRoute()).
+            post('').
+            reply(201, TestHelper.fakePostWithId(TestHelper.basicChannel.id));
+        const post1 = await Client4.createPost(
+            TestHelper.fakePost(TestHelper.basicChannel.id)
+        );
+
+        const emojiName = '+1';
+
+        nock(Client4.getReactionsRoute()).
+            post('').
+            reply(403, {id: 'api.reaction.save_reaction.user_id.app_error', message: 'Permission denied', status_code: 403});
+        await Actions.addReaction(post1.id, emojiName)(dispatch, getState);
+
+        assert.ok(getState().entities.posts.reactions[post1.id][TestHelper.basicUser.id + '-' + emojiName]);
+
+        await TestHelper.wait(100);
+
+        assert.ok(!getState().entities.posts.reactions[post1.id][TestHelper.basicUser.id + '-' + emojiName]);
+    });
+
     it('removeReaction', async () => {
         const {dispatch, getState} = store;
 
@@ -1550,15 +1952,11 @@ describe('Actions.Posts', () => {
             testImageData
         )(store.dispatch, store.getState);
 
-        nock(Client4.getEmojisRoute()).
-            get(`/name/${created.name}`).
-            reply(200, created);
-
         const missingEmojiName = ':notrealemoji:';
 
         nock(Client4.getEmojisRoute()).
-            get(`/name/${missingEmojiName}`).
-            reply(404, {message: 'Not found', status_code: 404});
+            post('/names', [missingEmojiName]).
+            reply(200, []);
 
         await Actions.getCustomEmojiForReaction(missingEmojiName)(dispatch, getState);
 
@@ -9,15 +9,17 @@ import {getMyPreferences as getMyPreferencesSelector} from 'selectors/entities/p
 import {getCurrentUserId} from 'selectors/entities/users';
 import {getPreferenceKey} from 'utils/preference_utils';
 
-import {bindClientFunc} from './helpers';
+import {bindClientFunc, getClient4} from './helpers';
 import {getProfilesByIds, getProfilesInChannel} from './users';
 import {getChannelAndMyMember, getMyChannelMember} from './channels';
 
-import type {GetStateFunc, DispatchFunc, ActionFunc} from 'types/actions';
+import type {GetStateFunc, DispatchFunc, ActionFunc, ThunkExtra} from 'types/actions';
 import type {PreferenceType} from 'types/preferences';
 
 export function deletePreferences(userId: string, preferences: Array<PreferenceType>): ActionFunc {
-    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc, extra: ?ThunkExtra) => {
+        const client4 = getClient4(extra);
+
         const state = getState();
         const myPreferences = getMyPreferencesSelector(state);
         const currentPreferences = preferences.map((pref) => myPreferences[getPreferenceKey(pref.category, pref.name)]);
@@ -27,7 +29,7 @@ export function deletePreferences(userId: string, preferences: Array<PreferenceT
             data: preferences,
             meta: {
                 offline: {
-                    effect: () => Client4.deletePreferences(userId, preferences),
+                    effect: () => client4.deletePreferences(userId, preferences),
                     commit: {
                         type: PreferenceTypes.DELETED_PREFERENCES,
                     },
@@ -67,8 +69,8 @@ export function makeDirectChannelVisibleIfNecessary(otherUserId: string): Action
                 name: otherUserId,
                 value: 'true',
             };
-            getProfilesByIds([otherUserId])(dispatch, getState);
-            savePreferences(currentUserId, [preference])(dispatch);
+            dispatch(getProfilesByIds([otherUserId]));
+            dispatch(savePreferences(currentUserId, [preference]));
         }
 
         return {data: true};
@@ -93,13 +95,13 @@ export function makeGroupMessageVisibleIfNecessary(channelId: string): ActionFun
             };
 
             if (channels[channelId]) {
-                getMyChannelMember(channelId)(dispatch, getState);
+                dispatch(getMyChannelMember(channelId));
             } else {
-                getChannelAndMyMember(channelId)(dispatch, getState);
+                dispatch(getChannelAndMyMember(channelId));
             }
 
-            getProfilesInChannel(channelId, 0)(dispatch, getState);
-            savePreferences(currentUserId, [preference])(dispatch);
+            dispatch(getProfilesInChannel(channelId, 0));
+            dispatch(savePreferences(currentUserId, [preference]));
         }
 
         return {data: true};
@@ -107,13 +109,15 @@ export function makeGroupMessageVisibleIfNecessary(channelId: string): ActionFun
 }
 
 export function savePreferences(userId: string, preferences: Array<PreferenceType>) {
-    return async (dispatch: DispatchFunc) => {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc, extra: ?ThunkExtra) => {
+        const client4 = getClient4(extra);
+
         dispatch({
             type: PreferenceTypes.RECEIVED_PREFERENCES,
             data: preferences,
             meta: {
                 offline: {
-                    effect: () => Client4.savePreferences(userId, preferences),
+                    effect: () => client4.savePreferences(userId, preferences),
                     commit: {
                         type: PreferenceTypes.RECEIVED_PREFERENCES,
                     },
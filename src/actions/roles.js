@@ -80,13 +80,13 @@ export function loadRolesIfNeeded(roles: Iterable<string>): ActionFunc {
             pendingRoles.add(role);
         }
         if (!state.entities.general.serverVersion) {
-            setPendingRoles(Array.from(pendingRoles))(dispatch, getState);
+            dispatch(setPendingRoles(Array.from(pendingRoles)));
             setTimeout(() => dispatch(loadRolesIfNeeded([])), 500);
             return {data: []};
         }
         if (!hasNewPermissions(state)) {
             if (state.entities.roles.pending) {
-                await setPendingRoles([])(dispatch, getState);
+                await dispatch(setPendingRoles([]));
             }
             return {data: []};
         }
@@ -99,10 +99,10 @@ export function loadRolesIfNeeded(roles: Iterable<string>): ActionFunc {
         }
 
         if (state.entities.roles.pending) {
-            await setPendingRoles([])(dispatch, getState);
+            await dispatch(setPendingRoles([]));
         }
         if (newRoles.size > 0) {
-            return getRolesByNames(Array.from(newRoles))(dispatch, getState);
+            return dispatch(getRolesByNames(Array.from(newRoles)));
         }
         return {data: state.entities.roles.roles};
     };
@@ -10,12 +10,14 @@ import {getCurrentTeamId} from 'selectors/entities/teams';
 import {getCurrentUserId, getCurrentUserMentionKeys} from 'selectors/entities/users';
 
 import {getChannelAndMyMember, getChannelMembers} from './channels';
-import {forceLogoutIfNecessary} from './helpers';
+import {forceLogoutIfNecessary, latestWins, onAbort} from './helpers';
 import {logError} from './errors';
 import {getProfilesAndStatusesForPosts} from './posts';
 
 const WEBAPP_SEARCH_PER_PAGE = 20;
 
+const latestSearch = latestWins();
+
 export function getMissingChannelsFromPosts(posts) {
     return async (dispatch, getState) => {
         const {channels, membersInChannel, myMembers} = getState().entities.channels;
@@ -36,7 +38,7 @@ export function getMissingChannelsFromPosts(posts) {
     };
 }
 
-export function searchPostsWithParams(teamId, params) {
+export function searchPostsWithParams(teamId, params, signal) {
     return async (dispatch, getState) => {
         const isGettingMore = (params.page > 0);
         dispatch({
@@ -44,15 +46,23 @@ export function searchPostsWithParams(teamId, params) {
             isGettingMore,
         });
 
+        const stopListening = onAbort(signal, () => dispatch({type: SearchTypes.SEARCH_POSTS_CANCEL}));
+
         let posts;
         try {
-            posts = await Client4.searchPostsWithParams(teamId, params);
+            posts = await Client4.withSignal(signal, () => Client4.searchPostsWithParams(teamId, params));
 
             await Promise.all([
                 getProfilesAndStatusesForPosts(posts.posts, dispatch, getState),
                 dispatch(getMissingChannelsFromPosts(posts.posts)),
             ]);
         } catch (error) {
+            stopListening();
+
+            if (error.aborted) {
+                return {error};
+            }
+
             forceLogoutIfNecessary(error, dispatch, getState);
             dispatch(batchActions([
                 {type: SearchTypes.SEARCH_POSTS_FAILURE, error},
@@ -61,6 +71,12 @@ export function searchPostsWithParams(teamId, params) {
             return {error};
         }
 
+        stopListening();
+
+        if (signal && signal.aborted) {
+            return {error: {aborted: true}};
+        }
+
         dispatch(batchActions([
             {
                 type: SearchTypes.RECEIVED_SEARCH_POSTS,
@@ -84,8 +100,11 @@ export function searchPostsWithParams(teamId, params) {
     };
 }
 
+// searchPosts cancels any search that it started previously which is still in progress
 export function searchPosts(teamId, terms, isOrSearch, includeDeletedChannels) {
-    return searchPostsWithParams(teamId, {terms, is_or_search: isOrSearch, include_deleted_channels: includeDeletedChannels, page: 0, per_page: WEBAPP_SEARCH_PER_PAGE});
+    const params = {terms, is_or_search: isOrSearch, include_deleted_channels: includeDeletedChannels, page: 0, per_page: WEBAPP_SEARCH_PER_PAGE};
+
+    return latestSearch((signal) => searchPostsWithParams(teamId, params, signal));
 }
 
 export function getMorePostsForSearch() {
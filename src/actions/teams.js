@@ -34,11 +34,11 @@ async function getProfilesAndStatusesForMembers(userIds, dispatch, getState) {
     const requests = [];
 
     if (profilesToLoad.length) {
-        requests.push(getProfilesByIds(profilesToLoad)(dispatch, getState));
+        requests.push(dispatch(getProfilesByIds(profilesToLoad)));
     }
 
     if (statusesToLoad.length) {
-        requests.push(getStatusesByIds(statusesToLoad)(dispatch, getState));
+        requests.push(dispatch(getStatusesByIds(statusesToLoad)));
     }
 
     await Promise.all(requests);
@@ -208,13 +208,13 @@ export function patchTeam(team: Team): ActionFunc {
 }
 
 export function getMyTeamMembers(): ActionFunc {
-    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+    return async (dispatch: DispatchFunc) => {
         const getMyTeamMembersFunc = bindClientFunc({
             clientFunc: Client4.getMyTeamMembers,
             onSuccess: TeamTypes.RECEIVED_MY_TEAM_MEMBERS,
         });
 
-        const teamMembers: ActionResult = await getMyTeamMembersFunc(dispatch, getState);
+        const teamMembers: ActionResult = await dispatch(getMyTeamMembersFunc);
 
         if (teamMembers.data) {
             const roles = new Set();
@@ -520,11 +520,11 @@ export function joinTeam(inviteId: string, teamId: string): ActionFunc {
             return {error};
         }
 
-        getMyTeamUnreads()(dispatch, getState);
+        dispatch(getMyTeamUnreads());
 
         await Promise.all([
-            getTeam(teamId)(dispatch, getState),
-            getMyTeamMembers()(dispatch, getState),
+            dispatch(getTeam(teamId)),
+            dispatch(getMyTeamMembers()),
         ]);
 
         dispatch({type: TeamTypes.JOIN_TEAM_SUCCESS, data: null}, getState);
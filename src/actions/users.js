@@ -2,7 +2,7 @@
 // See LICENSE.txt for license information.
 // @flow
 
-import type {ActionFunc, ActionResult, DispatchFunc, GetStateFunc} from 'types/actions';
+import type {ActionFunc, ActionResult, DispatchFunc, GetStateFunc, ThunkExtra} from 'types/actions';
 import type {UserProfile} from 'types/users';
 import type {TeamMembership} from 'types/teams';
 
@@ -13,6 +13,7 @@ import {UserTypes, TeamTypes, AdminTypes} from 'action_types';
 import {getAllCustomEmojis} from 'actions/emojis';
 import {getClientConfig} from 'actions/general';
 import {getMyTeams, getMyTeamMembers, getMyTeamUnreads} from 'actions/teams';
+import {stopScheduledPosts} from 'actions/posts';
 import {loadRolesIfNeeded} from 'actions/roles';
 
 import {
@@ -27,7 +28,7 @@ import {removeUserFromList} from 'utils/user_utils';
 import {isMinimumServerVersion} from 'utils/helpers';
 
 import {logError} from './errors';
-import {bindClientFunc, forceLogoutIfNecessary, debounce} from './helpers';
+import {bindClientFunc, forceLogoutIfNecessary, getClient4, latestWins, onAbort} from './helpers';
 import {
     getMyPreferences,
     makeDirectChannelVisibleIfNecessary,
@@ -37,6 +38,8 @@ import {
 import {getConfig} from 'selectors/entities/general';
 import {getCurrentUserId} from 'selectors/entities/users';
 
+const latestAutocomplete = latestWins();
+
 export function checkMfa(loginId: string): ActionFunc {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
         dispatch({type: UserTypes.CHECK_MFA_REQUEST, data: null}, getState);
@@ -103,7 +106,7 @@ export function login(loginId: string, password: string, mfaToken: string = '',
             return {error};
         }
 
-        return completeLogin(data)(dispatch, getState);
+        return dispatch(completeLogin(data));
     };
 }
 
@@ -127,7 +130,7 @@ export function loginById(id: string, password: string, mfaToken: string = ''):
             return {error};
         }
 
-        return completeLogin(data)(dispatch, getState);
+        return dispatch(completeLogin(data));
     };
 }
 
@@ -253,6 +256,7 @@ export function loadMe(): ActionFunc {
 export function logout(): ActionFunc {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
         dispatch({type: UserTypes.LOGOUT_REQUEST, data: null}, getState);
+        dispatch(stopScheduledPosts());
 
         try {
             await Client4.logout();
@@ -308,8 +312,8 @@ export function getMissingProfilesByIds(userIds: Array<string>): ActionFunc {
         });
 
         if (missingIds.length > 0) {
-            getStatusesByIds(missingIds)(dispatch, getState);
-            return getProfilesByIds(missingIds)(dispatch, getState);
+            dispatch(getStatusesByIds(missingIds));
+            return dispatch(getProfilesByIds(missingIds));
         }
 
         return {data: []};
@@ -333,7 +337,7 @@ export function getMissingProfilesByUsernames(usernames: Array<string>): ActionF
         });
 
         if (missingUsernames.length > 0) {
-            return getProfilesByUsernames(missingUsernames)(dispatch, getState);
+            return dispatch(getProfilesByUsernames(missingUsernames));
         }
 
         return {data: []};
@@ -341,15 +345,17 @@ export function getMissingProfilesByUsernames(usernames: Array<string>): ActionF
 }
 
 export function getProfilesByIds(userIds: Array<string>): ActionFunc {
-    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc, extra: ?ThunkExtra) => {
+        const client4 = getClient4(extra);
+
         const {currentUserId} = getState().entities.users;
 
         let profiles = null;
         try {
-            profiles = await Client4.getProfilesByIds(userIds);
+            profiles = await client4.getProfilesByIdsBatched(userIds);
             removeUserFromList(currentUserId, profiles);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(logError(error));
             return {error};
         }
@@ -364,15 +370,17 @@ export function getProfilesByIds(userIds: Array<string>): ActionFunc {
 }
 
 export function getProfilesByUsernames(usernames: Array<string>): ActionFunc {
-    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+    return async (dispatch: DispatchFunc, getState: GetStateFunc, extra: ?ThunkExtra) => {
+        const client4 = getClient4(extra);
+
         const {currentUserId} = getState().entities.users;
 
         let profiles = null;
         try {
-            profiles = await Client4.getProfilesByUsernames(usernames);
+            profiles = await client4.getProfilesByUsernames(usernames);
             removeUserFromList(currentUserId, profiles);
         } catch (error) {
-            forceLogoutIfNecessary(error, dispatch, getState);
+            forceLogoutIfNecessary(error, dispatch, getState, client4);
             dispatch(logError(error));
             return {error};
         }
@@ -468,14 +476,18 @@ export function getProfilesWithoutTeam(page: number, perPage: number = General.P
     };
 }
 
-export function getProfilesInChannel(channelId: string, page: number, perPage: number = General.PROFILE_CHUNK_SIZE, sort: string = ''): ActionFunc {
+export function getProfilesInChannel(channelId: string, page: number, perPage: number = General.PROFILE_CHUNK_SIZE, sort: string = '', signal: ?AbortSignal = null): ActionFunc {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
         const {currentUserId} = getState().entities.users;
 
         let profiles = null;
         try {
-            profiles = await Client4.getProfilesInChannel(channelId, page, perPage, sort);
+            profiles = await Client4.withSignal(signal, () => Client4.getProfilesInChannel(channelId, page, perPage, sort));
         } catch (error) {
+            if (error.aborted) {
+                return {error};
+            }
+
             forceLogoutIfNecessary(error, dispatch, getState);
             dispatch(logError(error));
             return {error};
@@ -527,12 +539,12 @@ export function getProfilesNotInChannel(teamId: string, channelId: string, page:
 }
 
 export function getMe(): ActionFunc {
-    return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
+    return async (dispatch: DispatchFunc) => {
         const getMeFunc = bindClientFunc({
             clientFunc: Client4.getMe,
             onSuccess: UserTypes.RECEIVED_ME,
         });
-        const me: $Subtype<ActionResult> = await getMeFunc(dispatch, getState);
+        const me: $Subtype<ActionResult> = await dispatch(getMeFunc);
         if (me.error) {
             return me;
         }
@@ -618,26 +630,15 @@ export function getUserByEmail(email: string): ActionFunc {
     });
 }
 
-// We create an array to hold the id's that we want to get a status for. We build our
-// debounced function that will get called after a set period of idle time in which
-// the array of id's will be passed to the getStatusesByIds with a cb that clears out
-// the array. Helps with performance because instead of making 75 different calls for
-// statuses, we are only making one call for 75 ids.
-// We could maybe clean it up somewhat by storing the array of ids in redux state possbily?
-let ids: Array<string> = [];
-const debouncedGetStatusesByIds = debounce(async (dispatch: DispatchFunc, getState: GetStateFunc) => {
-    getStatusesByIds([...new Set(ids)])(dispatch, getState);
-}, 20, false, () => {
-    ids = [];
-});
-export function getStatusesByIdsBatchedDebounced(id: string) {
-    ids = [...ids, id];
-    return debouncedGetStatusesByIds;
+// Statuses requested at around the same time are always fetched together by Client4, so this is only kept for
+// compatibility with existing callers.
+export function getStatusesByIdsBatchedDebounced(id: string): ActionFunc {
+    return getStatusesByIds([id]);
 }
 
 export function getStatusesByIds(userIds: Array<string>): ActionFunc {
     return bindClientFunc({
-        clientFunc: Client4.getStatusesByIds,
+        clientFunc: Client4.getStatusesByIdsBatched,
         onSuccess: UserTypes.RECEIVED_STATUSES,
         params: [
             userIds,
@@ -745,11 +746,11 @@ export function loadProfilesForDirect(): ActionFunc {
                 if (member.mention_count > 0 && isDirectChannel(channel)) {
                     const otherUserId = getUserIdFromChannelName(currentUserId, channel.name);
                     if (!isDirectChannelVisible(profiles[otherUserId] || otherUserId, config, myPreferences, channel)) {
-                        makeDirectChannelVisibleIfNecessary(otherUserId)(dispatch, getState);
+                        dispatch(makeDirectChannelVisibleIfNecessary(otherUserId));
                     }
                 } else if ((member.mention_count > 0 || member.msg_count < channel.total_msg_count) &&
                     isGroupChannel(channel) && !isGroupChannelVisible(config, myPreferences, channel)) {
-                    makeGroupMessageVisibleIfNecessary(channel.id)(dispatch, getState);
+                    dispatch(makeGroupMessageVisibleIfNecessary(channel.id));
                 }
             }
         }
@@ -770,16 +771,29 @@ export function getUserAudits(userId: string, page: number = 0, perPage: number
     });
 }
 
+// autocompleteUsers cancels any autocomplete request that it started previously which is still in progress
 export function autocompleteUsers(term: string, teamId: string = '', channelId: string = '', options: {|limit: number|} = {limit: General.AUTOCOMPLETE_LIMIT_DEFAULT}): ActionFunc {
+    return latestAutocomplete((signal) => requestAutocompleteUsers(term, teamId, channelId, options, signal));
+}
+
+function requestAutocompleteUsers(term: string, teamId: string, channelId: string, options: {|limit: number|}, signal: ?AbortSignal): ActionFunc {
     return async (dispatch: DispatchFunc, getState: GetStateFunc) => {
         dispatch({type: UserTypes.AUTOCOMPLETE_USERS_REQUEST, data: null}, getState);
 
         const {currentUserId} = getState().entities.users;
 
+        const stopListening = onAbort(signal, () => dispatch({type: UserTypes.AUTOCOMPLETE_USERS_CANCEL, data: null}, getState));
+
         let data;
         try {
-            data = await Client4.autocompleteUsers(term, teamId, channelId, options);
+            data = await Client4.withSignal(signal, () => Client4.autocompleteUsers(term, teamId, channelId, options));
         } catch (error) {
+            stopListening();
+
+            if (error.aborted) {
+                return {error};
+            }
+
             forceLogoutIfNecessary(error, dispatch, getState);
             dispatch(batchActions([
                 {type: UserTypes.AUTOCOMPLETE_USERS_FAILURE, error},
@@ -788,6 +802,8 @@ export function autocompleteUsers(term: string, teamId: string = '', channelId:
             return {error};
         }
 
+        stopListening();
+
         let users = [...data.users];
         if (data.out_of_channel) {
             users = [...users, ...data.out_of_channel];
@@ -910,7 +926,7 @@ export function startPeriodicStatusUpdates(): ActionFunc {
                     return;
                 }
 
-                getStatusesByIds(userIds)(dispatch, getState);
+                dispatch(getStatusesByIds(userIds));
             },
             General.STATUS_INTERVAL
         );
@@ -737,6 +737,62 @@ describe('Actions.Users', () => {
         assert.ok(profiles[user.id]);
     });
 
+    it('autocompleteUsers cancels the previous request', async () => {
+        nock(Client4.getUsersRoute()).
+            get('/autocomplete').
+            query(true).
+            delay(100).
+            reply(200, {users: [TestHelper.basicUser]});
+
+        nock(Client4.getUsersRoute()).
+            get('/autocomplete').
+            query(true).
+            reply(200, {users: [TestHelper.basicUser]});
+
+        const first = store.dispatch(Actions.autocompleteUsers('a', TestHelper.basicTeam.id));
+        const second = store.dispatch(Actions.autocompleteUsers('ab', TestHelper.basicTeam.id));
+
+        const [firstResult, secondResult] = await Promise.all([first, second]);
+
+        assert.ok(firstResult.error.aborted);
+        assert.ok(secondResult.data);
+        assert.equal(store.getState().requests.users.autocompleteUsers.status, RequestStatus.SUCCESS);
+    });
+
+    it('autocompleteUsers marks the previous request as cancelled', async () => {
+        nock(Client4.getUsersRoute()).
+            get('/autocomplete').
+            query(true).
+            delay(100).
+            reply(200, {users: [TestHelper.basicUser]});
+
+        nock(Client4.getUsersRoute()).
+            get('/autocomplete').
+            query(true).
+            reply(200, {users: [TestHelper.basicUser]});
+
+        const statuses = [];
+        const unsubscribe = store.subscribe(() => {
+            const status = store.getState().requests.users.autocompleteUsers.status;
+            if (status !== statuses[statuses.length - 1]) {
+                statuses.push(status);
+            }
+        });
+
+        const first = store.dispatch(Actions.autocompleteUsers('a', TestHelper.basicTeam.id));
+        const second = store.dispatch(Actions.autocompleteUsers('ab', TestHelper.basicTeam.id));
+
+        await Promise.all([first, second]);
+        unsubscribe();
+
+        assert.deepEqual(statuses, [
+            RequestStatus.STARTED,
+            RequestStatus.CANCELLED,
+            RequestStatus.STARTED,
+            RequestStatus.SUCCESS,
+        ]);
+    });
+
     it('updateMe', async () => {
         TestHelper.mockLogin();
         await Actions.login(TestHelper.basicUser.email, TestHelper.basicUser.password)(store.dispatch, store.getState);
@@ -28,6 +28,7 @@ import {
     getPostsSince,
     getProfilesAndStatusesForPosts,
     getCustomEmojiForReaction,
+    stopScheduledPosts,
 } from './posts';
 import {
     getMyPreferences,
@@ -39,12 +40,16 @@ import {
     getClientConfig,
 } from './general';
 
+import {loadRolesIfNeeded} from './roles';
 import {getTeam, getTeams, getMyTeams, getMyTeamMembers, getMyTeamUnreads} from './teams';
+import {logError} from './errors';
+import {bindDispatchToClient4, forceLogoutIfNecessary, getClient4} from './helpers';
 
 import {
     ChannelTypes,
     GeneralTypes,
     EmojiTypes,
+    GroupTypes,
     PostTypes,
     PreferenceTypes,
     TeamTypes,
@@ -52,6 +57,7 @@ import {
     RoleTypes,
     AdminTypes,
     IntegrationTypes,
+    SchemeTypes,
 } from 'action_types';
 import {General, WebsocketEvents, Preferences, Posts} from 'constants';
 
@@ -64,16 +70,35 @@ import {getUserIdFromChannelName} from 'utils/channel_utils';
 import {isFromWebhook, isSystemMessage, getLastCreateAt, shouldIgnorePost} from 'utils/post_utils';
 import EventEmitter from 'utils/event_emitter';
 
-let doDispatch;
+import {WebSocketEventRegistry} from './websocket_event_registry';
 
-export function init(platform, siteUrl, token, optionalWebSocket, additionalOptions = {}) {
+// When the websocket reconnects or the server drops events, we only request what's changed since we were last up to
+// date unless we've missed so much that it's simpler to reload everything
+const MAX_CATCH_UP_TIME = 10 * 60 * 1000;
+const MAX_MISSED_EVENTS = 100;
+
+// How long before the last event to start catching up from in case the client's clock is ahead of the server's
+const CATCH_UP_MARGIN = 60 * 1000;
+
+// The clients which should reload everything once they've connected again after being closed
+const reconnectingClients = new WeakSet();
+
+// The registry of event handlers for each WebSocketClient
+const eventRegistries = new WeakMap();
+
+// getWebSocketClient4 returns the Client4 that a WebSocketClient connects to the server of
+function getWebSocketClient4(client) {
+    return client.client4 || Client4;
+}
+
+// init connects a WebSocketClient to the server and dispatches the events that it receives into the store. Each
+// WebSocketClient may only be used with one store at a time.
+export function init(platform, siteUrl, token, optionalWebSocket, additionalOptions = {}, client = websocketClient) {
     return async (dispatch, getState) => {
+        const client4 = getWebSocketClient4(client);
         const config = getConfig(getState());
-        let connUrl = siteUrl || config.WebsocketURL || Client4.getUrl();
-        const authToken = token || Client4.getToken();
-
-        // Set the dispatch and getState globally
-        doDispatch = dispatch;
+        let connUrl = siteUrl || config.WebsocketURL || client4.getUrl();
+        const authToken = token || client4.getToken();
 
         // replace the protocol with a websocket one
         if (platform !== 'ios' && platform !== 'android') {
@@ -93,12 +118,19 @@ export function init(platform, siteUrl, token, optionalWebSocket, additionalOpti
             }
         }
 
-        connUrl += `${Client4.getUrlVersion()}/websocket`;
-        websocketClient.setFirstConnectCallback(handleFirstConnect);
-        websocketClient.setEventCallback(handleEvent);
-        websocketClient.setReconnectCallback(handleReconnect);
-        websocketClient.setCloseCallback(handleClose);
-        websocketClient.setConnectingCallback(handleConnecting);
+        connUrl += `${client4.getUrlVersion()}/websocket`;
+
+        // Anything loaded because of the websocket has to be requested from the same server as it's connected to
+        const boundDispatch = bindDispatchToClient4(dispatch, getState, client4);
+
+        client.setFirstConnectCallback(() => handleFirstConnect(client, boundDispatch));
+        client.setEventCallback((msg) => handleEvent(msg, boundDispatch, getState, client4, client));
+        client.setReconnectCallback((lastSyncAt) => handleReconnect(lastSyncAt, boundDispatch));
+        client.setCloseCallback((connectFailCount) => handleClose(connectFailCount, boundDispatch));
+        client.setConnectingCallback(() => handleConnecting(boundDispatch));
+        client.setMissedEventsCallback((missedEvents, lastSyncAt) => handleMissedEvents(missedEvents, lastSyncAt, boundDispatch));
+        client.setHeartbeatCallback((health) => handleHeartbeat(health, boundDispatch));
+        client.setStateCallback((state) => handleStateChange(state, boundDispatch));
 
         const websocketOpts = {
             connectionUrl: connUrl,
@@ -110,15 +142,19 @@ export function init(platform, siteUrl, token, optionalWebSocket, additionalOpti
             websocketOpts.webSocketConnector = optionalWebSocket;
         }
 
-        return websocketClient.initialize(authToken, websocketOpts);
+        return client.initialize(authToken, websocketOpts);
     };
 }
 
-let reconnect = false;
-export function close(shouldReconnect = false) {
+export function close(shouldReconnect = false, client = websocketClient) {
     return async (dispatch) => {
-        reconnect = shouldReconnect;
-        websocketClient.close(true);
+        if (shouldReconnect) {
+            reconnectingClients.add(client);
+        } else {
+            reconnectingClients.delete(client);
+        }
+
+        client.close(true);
         if (dispatch) {
             dispatch({type: GeneralTypes.WEBSOCKET_CLOSED});
         }
@@ -127,10 +163,7 @@ export function close(shouldReconnect = false) {
 
 function doReconnect() {
     return (dispatch, getState) => {
-        const state = getState();
-        const currentTeamId = getCurrentTeamId(state);
-        const currentChannelId = getCurrentChannelId(state);
-        const currentUserId = getCurrentUserId(state);
+        const currentChannelId = getCurrentChannelId(getState());
 
         // We try and get the posts for the current channel as soon as possible
         if (currentChannelId) {
@@ -146,6 +179,54 @@ function doReconnect() {
         dispatch(getMyPreferences());
         dispatch(loadProfilesForDirect());
         dispatch(getTeams());
+        dispatch(syncMyChannelsAndMembers());
+
+        dispatch({type: GeneralTypes.WEBSOCKET_SUCCESS});
+    };
+}
+
+// catchUp requests the posts, channels, memberships and preferences that have changed since the given time
+function catchUp(since) {
+    return (dispatch, getState) => {
+        const state = getState();
+        const currentChannelId = getCurrentChannelId(state);
+        const postsSince = since - CATCH_UP_MARGIN;
+
+        // We try and get the posts for the current channel as soon as possible
+        if (currentChannelId) {
+            dispatch(markChannelAsRead(currentChannelId));
+
+            if (getPostIdsInChannel(state, currentChannelId)) {
+                dispatch(getPostsSince(currentChannelId, postsSince));
+            } else {
+                dispatch(getPosts(currentChannelId));
+            }
+        }
+
+        // Channels that we haven't loaded the most recent posts for will get them when they're opened
+        for (const channelId of Object.keys(state.entities.posts.postsInChannel)) {
+            if (channelId !== currentChannelId && getPostIdsInChannel(state, channelId)) {
+                dispatch(getPostsSince(channelId, postsSince));
+            }
+        }
+
+        dispatch(getMyTeamMembers());
+        dispatch(getMyTeamUnreads());
+        dispatch(getMyPreferences());
+        dispatch(syncMyChannelsAndMembers());
+
+        dispatch({type: GeneralTypes.WEBSOCKET_SUCCESS});
+    };
+}
+
+// syncMyChannelsAndMembers reloads the channels in the current team and moves the user out of the current channel or
+// team if they've been removed from it
+function syncMyChannelsAndMembers() {
+    return (dispatch, getState) => {
+        const state = getState();
+        const currentTeamId = getCurrentTeamId(state);
+        const currentChannelId = getCurrentChannelId(state);
+        const currentUserId = getCurrentUserId(state);
 
         if (currentTeamId) {
             dispatch(fetchMyChannelsAndMembers(currentTeamId)).then(({data}) => {
@@ -157,7 +238,7 @@ function doReconnect() {
                         const defaultChannel = channels.find((c) => c.team_id === currentTeamId && c.name === General.DEFAULT_CHANNEL);
                         if (defaultChannel) {
                             EventEmitter.emit(General.DEFAULT_CHANNEL, defaultChannel.display_name);
-                            selectChannel(defaultChannel.id)(dispatch, getState);
+                            dispatch(selectChannel(defaultChannel.id));
                         }
                     }
                 }
@@ -172,145 +253,141 @@ function doReconnect() {
                         team_id: currentTeamId,
                     },
                 };
-                handleLeaveTeamEvent(newMsg, dispatch, getState);
+                dispatch(handleLeaveTeamEvent(newMsg));
             }
         }
-
-        dispatch({type: GeneralTypes.WEBSOCKET_SUCCESS});
     };
 }
 
-function handleConnecting() {
-    doDispatch({type: GeneralTypes.WEBSOCKET_REQUEST});
+// syncAfterGap brings the store back up to date after we've stopped receiving events from the server for a while
+function syncAfterGap(since, missedEvents = 0) {
+    if (!since || Date.now() - since > MAX_CATCH_UP_TIME || missedEvents > MAX_MISSED_EVENTS) {
+        return doReconnect();
+    }
+
+    return catchUp(since);
+}
+
+function handleConnecting(dispatch) {
+    dispatch({type: GeneralTypes.WEBSOCKET_REQUEST});
 }
 
-function handleFirstConnect() {
-    if (reconnect) {
-        reconnect = false;
-        doDispatch(doReconnect());
+function handleFirstConnect(client, dispatch) {
+    if (reconnectingClients.has(client)) {
+        reconnectingClients.delete(client);
+        dispatch(doReconnect());
     } else {
-        doDispatch({type: GeneralTypes.WEBSOCKET_SUCCESS});
+        dispatch({type: GeneralTypes.WEBSOCKET_SUCCESS});
     }
 }
 
-function handleReconnect() {
-    doDispatch(doReconnect());
+function handleReconnect(lastSyncAt, dispatch) {
+    dispatch(syncAfterGap(lastSyncAt));
 }
 
-function handleClose(connectFailCount) {
-    doDispatch({
+function handleStateChange(state, dispatch) {
+    dispatch({
+        type: GeneralTypes.WEBSOCKET_STATE_CHANGED,
+        data: state,
+    });
+}
+
+function handleHeartbeat(health, dispatch) {
+    dispatch({
+        type: GeneralTypes.WEBSOCKET_HEALTH_CHANGED,
+        data: health,
+    });
+}
+
+function handleMissedEvents(missedEvents, lastSyncAt, dispatch) {
+    dispatch(syncAfterGap(lastSyncAt, missedEvents));
+}
+
+function handleClose(connectFailCount, dispatch) {
+    dispatch({
         type: GeneralTypes.WEBSOCKET_FAILURE,
         error: connectFailCount,
     });
 }
 
-function handleEvent(msg) {
-    switch (msg.event) {
-    case WebsocketEvents.POSTED:
-    case WebsocketEvents.EPHEMERAL_MESSAGE:
-        doDispatch(handleNewPostEvent(msg));
-        break;
-    case WebsocketEvents.POST_EDITED:
-        doDispatch(handlePostEdited(msg));
-        break;
-    case WebsocketEvents.POST_DELETED:
-        doDispatch(handlePostDeleted(msg));
-        break;
-    case WebsocketEvents.LEAVE_TEAM:
-        doDispatch(handleLeaveTeamEvent(msg));
-        break;
-    case WebsocketEvents.UPDATE_TEAM:
-        doDispatch(handleUpdateTeamEvent(msg));
-        break;
-    case WebsocketEvents.PATCH_TEAM:
-        doDispatch(handlePatchTeamEvent(msg));
-        break;
-    case WebsocketEvents.ADDED_TO_TEAM:
-        doDispatch(handleTeamAddedEvent(msg));
-        break;
-    case WebsocketEvents.USER_ADDED:
-        doDispatch(handleUserAddedEvent(msg));
-        break;
-    case WebsocketEvents.USER_REMOVED:
-        doDispatch(handleUserRemovedEvent(msg));
-        break;
-    case WebsocketEvents.USER_UPDATED:
-        doDispatch(handleUserUpdatedEvent(msg));
-        break;
-    case WebsocketEvents.ROLE_ADDED:
-        doDispatch(handleRoleAddedEvent(msg));
-        break;
-    case WebsocketEvents.ROLE_REMOVED:
-        doDispatch(handleRoleRemovedEvent(msg));
-        break;
-    case WebsocketEvents.ROLE_UPDATED:
-        doDispatch(handleRoleUpdatedEvent(msg));
-        break;
-    case WebsocketEvents.CHANNEL_CREATED:
-        doDispatch(handleChannelCreatedEvent(msg));
-        break;
-    case WebsocketEvents.CHANNEL_DELETED:
-        doDispatch(handleChannelDeletedEvent(msg));
-        break;
-    case WebsocketEvents.CHANNEL_UPDATED:
-        doDispatch(handleChannelUpdatedEvent(msg));
-        break;
-    case WebsocketEvents.CHANNEL_CONVERTED:
-        doDispatch(handleChannelConvertedEvent(msg));
-        break;
-    case WebsocketEvents.CHANNEL_VIEWED:
-        doDispatch(handleChannelViewedEvent(msg));
-        break;
-    case WebsocketEvents.CHANNEL_MEMBER_UPDATED:
-        doDispatch(handleChannelMemberUpdatedEvent(msg));
-        break;
-    case WebsocketEvents.DIRECT_ADDED:
-        doDispatch(handleDirectAddedEvent(msg));
-        break;
-    case WebsocketEvents.PREFERENCE_CHANGED:
-        doDispatch(handlePreferenceChangedEvent(msg));
-        break;
-    case WebsocketEvents.PREFERENCES_CHANGED:
-        doDispatch(handlePreferencesChangedEvent(msg));
-        break;
-    case WebsocketEvents.PREFERENCES_DELETED:
-        doDispatch(handlePreferencesDeletedEvent(msg));
-        break;
-    case WebsocketEvents.STATUS_CHANGED:
-        doDispatch(handleStatusChangedEvent(msg));
-        break;
-    case WebsocketEvents.TYPING:
-        doDispatch(handleUserTypingEvent(msg));
-        break;
-    case WebsocketEvents.HELLO:
-        handleHelloEvent(msg);
-        break;
-    case WebsocketEvents.REACTION_ADDED:
-        doDispatch(handleReactionAddedEvent(msg));
-        break;
-    case WebsocketEvents.REACTION_REMOVED:
-        doDispatch(handleReactionRemovedEvent(msg));
-        break;
-    case WebsocketEvents.EMOJI_ADDED:
-        doDispatch(handleAddEmoji(msg));
-        break;
-    case WebsocketEvents.LICENSE_CHANGED:
-        doDispatch(handleLicenseChangedEvent(msg));
-        break;
-    case WebsocketEvents.CONFIG_CHANGED:
-        doDispatch(handleConfigChangedEvent(msg));
-        break;
-    case WebsocketEvents.PLUGIN_STATUSES_CHANGED:
-        doDispatch(handlePluginStatusesChangedEvent(msg));
-        break;
-    case WebsocketEvents.OPEN_DIALOG:
-        doDispatch(handleOpenDialogEvent(msg));
-        break;
+function handleEvent(msg, dispatch, getState, client4, client) {
+    getEventRegistry(client).handle(msg, dispatch, getState, client4, client);
+}
+
+// The handlers for the events sent by the server. Apps can override these by registering a handler with a higher
+// priority that calls stopPropagation or by unregistering them from the registry returned by getEventRegistry.
+const builtInHandlers = {
+    [WebsocketEvents.POSTED]: (msg, {dispatch}) => dispatch(handleNewPostEvent(msg)),
+    [WebsocketEvents.EPHEMERAL_MESSAGE]: (msg, {dispatch}) => dispatch(handleEphemeralMessageEvent(msg)),
+    [WebsocketEvents.POST_EDITED]: (msg, {dispatch}) => dispatch(handlePostEdited(msg)),
+    [WebsocketEvents.POST_DELETED]: (msg, {dispatch}) => dispatch(handlePostDeleted(msg)),
+    [WebsocketEvents.LEAVE_TEAM]: (msg, {dispatch}) => dispatch(handleLeaveTeamEvent(msg)),
+    [WebsocketEvents.UPDATE_TEAM]: (msg, {dispatch}) => dispatch(handleUpdateTeamEvent(msg)),
+    [WebsocketEvents.PATCH_TEAM]: (msg, {dispatch}) => dispatch(handlePatchTeamEvent(msg)),
+    [WebsocketEvents.DELETE_TEAM]: (msg, {dispatch}) => dispatch(handleDeleteTeamEvent(msg)),
+    [WebsocketEvents.ADDED_TO_TEAM]: (msg, {dispatch}) => dispatch(handleTeamAddedEvent(msg)),
+    [WebsocketEvents.MEMBERROLE_UPDATED]: (msg, {dispatch}) => dispatch(handleTeamMemberRoleUpdatedEvent(msg)),
+    [WebsocketEvents.NEW_USER]: (msg, {dispatch}) => dispatch(handleNewUserEvent(msg)),
+    [WebsocketEvents.USER_ADDED]: (msg, {dispatch}) => dispatch(handleUserAddedEvent(msg)),
+    [WebsocketEvents.USER_REMOVED]: (msg, {dispatch}) => dispatch(handleUserRemovedEvent(msg)),
+    [WebsocketEvents.USER_UPDATED]: (msg, {dispatch, websocketClient}) => dispatch(handleUserUpdatedEvent(msg, websocketClient)),
+    [WebsocketEvents.USER_ROLE_UPDATED]: (msg, {dispatch}) => dispatch(handleUserRoleUpdatedEvent(msg)),
+    [WebsocketEvents.ROLE_ADDED]: (msg, {dispatch}) => dispatch(handleRoleAddedEvent(msg)),
+    [WebsocketEvents.ROLE_REMOVED]: (msg, {dispatch}) => dispatch(handleRoleRemovedEvent(msg)),
+    [WebsocketEvents.ROLE_UPDATED]: (msg, {dispatch}) => dispatch(handleRoleUpdatedEvent(msg)),
+    [WebsocketEvents.CHANNEL_CREATED]: (msg, {dispatch}) => dispatch(handleChannelCreatedEvent(msg)),
+    [WebsocketEvents.CHANNEL_DELETED]: (msg, {dispatch}) => dispatch(handleChannelDeletedEvent(msg)),
+    [WebsocketEvents.CHANNEL_RESTORED]: (msg, {dispatch}) => dispatch(handleChannelRestoredEvent(msg)),
+    [WebsocketEvents.CHANNEL_UPDATED]: (msg, {dispatch}) => dispatch(handleChannelUpdatedEvent(msg)),
+    [WebsocketEvents.CHANNEL_CONVERTED]: (msg, {dispatch}) => dispatch(handleChannelConvertedEvent(msg)),
+    [WebsocketEvents.CHANNEL_VIEWED]: (msg, {dispatch}) => dispatch(handleChannelViewedEvent(msg)),
+    [WebsocketEvents.CHANNEL_MEMBER_UPDATED]: (msg, {dispatch}) => dispatch(handleChannelMemberUpdatedEvent(msg)),
+    [WebsocketEvents.DIRECT_ADDED]: (msg, {dispatch}) => dispatch(handleDirectAddedEvent(msg)),
+    [WebsocketEvents.GROUP_ADDED]: (msg, {dispatch}) => dispatch(handleDirectAddedEvent(msg)),
+    [WebsocketEvents.PREFERENCE_CHANGED]: (msg, {dispatch}) => dispatch(handlePreferenceChangedEvent(msg)),
+    [WebsocketEvents.PREFERENCES_CHANGED]: (msg, {dispatch}) => dispatch(handlePreferencesChangedEvent(msg)),
+    [WebsocketEvents.PREFERENCES_DELETED]: (msg, {dispatch}) => dispatch(handlePreferencesDeletedEvent(msg)),
+    [WebsocketEvents.STATUS_CHANGED]: (msg, {dispatch}) => dispatch(handleStatusChangedEvent(msg)),
+    [WebsocketEvents.TYPING]: (msg, {dispatch}) => dispatch(handleUserTypingEvent(msg)),
+    [WebsocketEvents.HELLO]: (msg, {client4}) => handleHelloEvent(msg, client4),
+    [WebsocketEvents.REACTION_ADDED]: (msg, {dispatch}) => dispatch(handleReactionAddedEvent(msg)),
+    [WebsocketEvents.REACTION_REMOVED]: (msg, {dispatch}) => dispatch(handleReactionRemovedEvent(msg)),
+    [WebsocketEvents.EMOJI_ADDED]: (msg, {dispatch}) => dispatch(handleAddEmoji(msg)),
+    [WebsocketEvents.EMOJI_DELETED]: (msg, {dispatch}) => dispatch(handleDeleteEmoji(msg)),
+    [WebsocketEvents.RECEIVED_GROUP]: (msg, {dispatch}) => dispatch(handleReceivedGroupEvent(msg)),
+    [WebsocketEvents.GROUP_MEMBER_ADDED]: (msg, {dispatch}) => dispatch(handleGroupMemberAddedEvent(msg)),
+    [WebsocketEvents.GROUP_MEMBER_DELETED]: (msg, {dispatch}) => dispatch(handleGroupMemberDeletedEvent(msg)),
+    [WebsocketEvents.SCHEME_UPDATED]: (msg, {dispatch}) => dispatch(handleSchemeUpdatedEvent(msg)),
+    [WebsocketEvents.SCHEME_DELETED]: (msg, {dispatch}) => dispatch(handleSchemeDeletedEvent(msg)),
+    [WebsocketEvents.LICENSE_CHANGED]: (msg, {dispatch}) => dispatch(handleLicenseChangedEvent(msg)),
+    [WebsocketEvents.CONFIG_CHANGED]: (msg, {dispatch}) => dispatch(handleConfigChangedEvent(msg)),
+    [WebsocketEvents.PLUGIN_STATUSES_CHANGED]: (msg, {dispatch}) => dispatch(handlePluginStatusesChangedEvent(msg)),
+    [WebsocketEvents.OPEN_DIALOG]: (msg, {dispatch}) => dispatch(handleOpenDialogEvent(msg)),
+};
+
+// registerBuiltInHandlers adds the handlers for the events sent by the server to a WebSocketEventRegistry
+export function registerBuiltInHandlers(registry) {
+    for (const event of Object.keys(builtInHandlers)) {
+        registry.register(event, builtInHandlers[event]);
     }
 }
 
+// getEventRegistry returns the registry of handlers for the events received by a WebSocketClient, which starts out
+// containing the built-in handlers. Handlers registered for one WebSocketClient aren't called for any other.
+export function getEventRegistry(client = websocketClient) {
+    let registry = eventRegistries.get(client);
+
+    if (!registry) {
+        registry = new WebSocketEventRegistry();
+        registerBuiltInHandlers(registry);
+        eventRegistries.set(client, registry);
+    }
+
+    return registry;
+}
+
 function handleNewPostEvent(msg) {
-    return async (dispatch, getState) => {
+    return async (dispatch, getState, extra) => {
         const state = getState();
         const currentChannelId = getCurrentChannelId(state);
         const users = getUsers(state);
@@ -338,11 +415,14 @@ function handleNewPostEvent(msg) {
         }
 
         if (post.root_id && posts && !posts[post.root_id]) {
+            const client4 = getClient4(extra);
+
             let data;
             try {
-                data = await Client4.getPostThread(post.root_id);
-            } catch (e) {
-                console.warn('failed to get thread for new post event', e); // eslint-disable-line no-console
+                data = await client4.getPostThread(post.root_id);
+            } catch (error) {
+                forceLogoutIfNecessary(error, dispatch, getState, client4);
+                dispatch(logError(error));
             }
 
             if (data) {
@@ -421,6 +501,27 @@ function handleNewPostEvent(msg) {
     };
 }
 
+// handleEphemeralMessageEvent adds a post that only the current user can see, such as the response to a slash
+// command, without changing whether or not the channel is read since it isn't a real post
+function handleEphemeralMessageEvent(msg) {
+    return (dispatch, getState) => {
+        const post = JSON.parse(msg.data.post);
+
+        getProfilesAndStatusesForPosts([post], dispatch, getState);
+
+        dispatch({
+            type: PostTypes.RECEIVED_POSTS,
+            data: {
+                order: [],
+                posts: {
+                    [post.id]: post,
+                },
+            },
+            channelId: post.channel_id,
+        });
+    };
+}
+
 function handlePostEdited(msg) {
     return (dispatch, getState) => {
         const data = JSON.parse(msg.data.post);
@@ -468,6 +569,34 @@ function handlePatchTeamEvent(msg) {
     };
 }
 
+function handleDeleteTeamEvent(msg) {
+    return (dispatch, getState) => {
+        const team = JSON.parse(msg.data.team);
+        const currentTeamId = getCurrentTeamId(getState());
+
+        dispatch({type: TeamTypes.RECEIVED_TEAM_DELETED, data: {id: team.id}});
+
+        // if they are on the team being deleted deselect the current team and channel
+        if (currentTeamId === team.id) {
+            EventEmitter.emit('leave_team');
+        }
+    };
+}
+
+function handleTeamMemberRoleUpdatedEvent(msg) {
+    return (dispatch, getState) => {
+        const member = JSON.parse(msg.data.member);
+        const actions = [{type: TeamTypes.RECEIVED_MEMBER_IN_TEAM, data: member}];
+
+        if (member.user_id === getCurrentUserId(getState())) {
+            actions.push({type: TeamTypes.RECEIVED_MY_TEAM_MEMBER, data: member});
+            dispatch(loadRolesIfNeeded(member.roles.split(' ')));
+        }
+
+        dispatch(batchActions(actions));
+    };
+}
+
 function handleTeamAddedEvent(msg) {
     return async (dispatch) => {
         await Promise.all([
@@ -477,6 +606,16 @@ function handleTeamAddedEvent(msg) {
     };
 }
 
+function handleNewUserEvent(msg) {
+    return (dispatch, getState) => {
+        const userId = msg.data.user_id;
+
+        if (userId !== getCurrentUserId(getState())) {
+            dispatch(getProfilesByIds([userId]));
+        }
+    };
+}
+
 function handleUserAddedEvent(msg) {
     return (dispatch, getState) => {
         const state = getState();
@@ -549,24 +688,59 @@ function handleUserRemovedEvent(msg) {
     };
 }
 
-function handleUserUpdatedEvent(msg) {
-    return (dispatch, getState) => {
+function handleUserUpdatedEvent(msg, client) {
+    return (dispatch, getState, extra) => {
         const currentUser = getCurrentUser(getState());
         const user = msg.data.user;
 
         if (user.id === currentUser.id) {
-            if (user.update_at > currentUser.update_at) {
+            if (user.delete_at > 0) {
+                // The server revokes all of a user's sessions when they're deactivated
+                getClient4(extra).setToken('');
+                dispatch(close(false, client));
+                dispatch(stopScheduledPosts());
+                dispatch({type: UserTypes.LOGOUT_SUCCESS, data: {}});
+            } else if (user.update_at > currentUser.update_at) {
                 // Need to request me to make sure we don't override with sanitized fields from the
                 // websocket event
                 dispatch(getMe());
             }
         } else {
-            dispatch({
+            const actions = [{
                 type: UserTypes.RECEIVED_PROFILES,
                 data: {
                     [user.id]: user,
                 },
-            });
+            }];
+
+            // Deactivated users can't be online
+            if (user.delete_at > 0) {
+                actions.push({
+                    type: UserTypes.RECEIVED_STATUSES,
+                    data: [{user_id: user.id, status: General.OFFLINE}],
+                });
+            }
+
+            dispatch(batchActions(actions));
+        }
+    };
+}
+
+function handleUserRoleUpdatedEvent(msg) {
+    return (dispatch, getState) => {
+        const {user_id: userId, roles} = msg.data;
+        const state = getState();
+        const user = getUsers(state)[userId];
+
+        if (!user) {
+            return;
+        }
+
+        if (userId === getCurrentUserId(state)) {
+            dispatch({type: UserTypes.RECEIVED_ME, data: {...user, roles}});
+            dispatch(loadRolesIfNeeded(roles.split(' ')));
+        } else {
+            dispatch({type: UserTypes.RECEIVED_PROFILE, data: {...user, roles}});
         }
     };
 }
@@ -642,6 +816,14 @@ function handleChannelDeletedEvent(msg) {
     };
 }
 
+function handleChannelRestoredEvent(msg) {
+    return (dispatch, getState) => {
+        if (msg.broadcast.team_id === getCurrentTeamId(getState())) {
+            dispatch(getChannelAndMyMember(msg.data.channel_id));
+        }
+    };
+}
+
 function handleChannelUpdatedEvent(msg) {
     return (dispatch, getState) => {
         let channel;
@@ -696,11 +878,16 @@ function handleChannelViewedEvent(msg) {
 }
 
 function handleChannelMemberUpdatedEvent(msg) {
-    const channelMember = JSON.parse(msg.data.channelMember);
+    return (dispatch) => {
+        const channelMember = JSON.parse(msg.data.channelMember);
 
-    return {
-        type: ChannelTypes.RECEIVED_MY_CHANNEL_MEMBER,
-        data: channelMember,
+        dispatch({
+            type: ChannelTypes.RECEIVED_MY_CHANNEL_MEMBER,
+            data: channelMember,
+        });
+
+        // The member's roles may have changed
+        dispatch(loadRolesIfNeeded(channelMember.roles.split(' ')));
     };
 }
 
@@ -748,10 +935,10 @@ function handleStatusChangedEvent(msg) {
     };
 }
 
-function handleHelloEvent(msg) {
+function handleHelloEvent(msg, client4) {
     const serverVersion = msg.data.server_version;
-    if (serverVersion && Client4.serverVersion !== serverVersion) {
-        Client4.serverVersion = serverVersion;
+    if (serverVersion && client4.serverVersion !== serverVersion) {
+        client4.serverVersion = serverVersion;
         EventEmitter.emit(General.SERVER_VERSION_CHANGED, serverVersion);
     }
 }
@@ -827,6 +1014,74 @@ function handleAddEmoji(msg) {
     };
 }
 
+function handleDeleteEmoji(msg) {
+    const data = JSON.parse(msg.data.emoji);
+
+    return {
+        type: EmojiTypes.DELETED_CUSTOM_EMOJI,
+        data,
+    };
+}
+
+function handleReceivedGroupEvent(msg) {
+    const data = JSON.parse(msg.data.group);
+
+    return {
+        type: GroupTypes.RECEIVED_GROUP,
+        data,
+    };
+}
+
+// handleGroupMemberAddedEvent adds a user to a group's members if they've already been loaded
+function handleGroupMemberAddedEvent(msg) {
+    return async (dispatch, getState) => {
+        const {group_id: groupId, user_id: userId} = JSON.parse(msg.data.group_member);
+
+        if (!getState().entities.groups.members[groupId]) {
+            return;
+        }
+
+        if (!getUsers(getState())[userId]) {
+            await dispatch(getProfilesByIds([userId]));
+        }
+
+        const user = getUsers(getState())[userId];
+        if (user) {
+            dispatch({
+                type: GroupTypes.RECEIVED_GROUP_MEMBER,
+                group_id: groupId,
+                data: user,
+            });
+        }
+    };
+}
+
+function handleGroupMemberDeletedEvent(msg) {
+    const data = JSON.parse(msg.data.group_member);
+
+    return {
+        type: GroupTypes.REMOVED_GROUP_MEMBER,
+        group_id: data.group_id,
+        data,
+    };
+}
+
+function handleSchemeUpdatedEvent(msg) {
+    const data = JSON.parse(msg.data.scheme);
+
+    return {
+        type: SchemeTypes.RECEIVED_SCHEME,
+        data,
+    };
+}
+
+function handleSchemeDeletedEvent(msg) {
+    return {
+        type: SchemeTypes.DELETED_SCHEME,
+        data: {schemeId: msg.data.scheme_id},
+    };
+}
+
 function handleLicenseChangedEvent(msg) {
     const data = msg.data.license;
 
@@ -925,8 +1180,10 @@ function loadPostsHelper(channelId) {
     };
 }
 
-let lastTimeTypingSent = 0;
-export function userTyping(channelId, parentPostId) {
+// The last time that each WebSocketClient told the server that the user was typing
+const lastTimeTypingSent = new WeakMap();
+
+export function userTyping(channelId, parentPostId, client = websocketClient) {
     return async (dispatch, getState) => {
         const state = getState();
         const config = getConfig(state);
@@ -934,10 +1191,10 @@ export function userTyping(channelId, parentPostId) {
         const stats = getCurrentChannelStats(state);
         const membersInChannel = stats ? stats.member_count : 0;
 
-        if (((t - lastTimeTypingSent) > config.TimeBetweenUserTypingUpdatesMilliseconds) &&
+        if (((t - (lastTimeTypingSent.get(client) || 0)) > config.TimeBetweenUserTypingUpdatesMilliseconds) &&
             (membersInChannel < config.MaxNotificationsPerChannel) && (config.EnableUserTypingMessages === 'true')) {
-            websocketClient.userTyping(channelId, parentPostId);
-            lastTimeTypingSent = t;
+            client.userTyping(channelId, parentPostId);
+            lastTimeTypingSent.set(client, t);
         }
 
         return {data: true};
@@ -10,8 +10,10 @@ import * as ChannelActions from 'actions/channels';
 import * as TeamActions from 'actions/teams';
 
 import {Client4} from 'client';
+import ClientClass4 from 'client/client4';
+import {WebSocketClient, WebSocketStates} from 'client/websocket_client';
 import {General, Posts, RequestStatus, WebsocketEvents} from 'constants';
-import {PostTypes, TeamTypes, UserTypes, ChannelTypes} from 'action_types';
+import {EmojiTypes, GroupTypes, PostTypes, TeamTypes, UserTypes, ChannelTypes} from 'action_types';
 import TestHelper from 'test/test_helper';
 import configureStore from 'test/test_store';
 
@@ -58,7 +60,7 @@ describe('Actions.Websocket', () => {
 
         const entities = store.getState().entities;
         const {posts, postsInChannel} = entities.posts;
-        const postId = postsInChannel[channelId][0];
+        const postId = postsInChannel[channelId][0].order[0];
 
         assert.ok(posts[postId].message.indexOf('Unit Test') > -1);
     });
@@ -428,4 +430,174 @@ describe('Actions.Websocket', () => {
 
         test();
     });
+
+    it('handle ephemeral message', async () => {
+        const channelId = TestHelper.basicChannel.id;
+        const post = {...TestHelper.fakePostWithId(channelId), user_id: TestHelper.basicUser.id, type: 'system_ephemeral'};
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.EPHEMERAL_MESSAGE, data: {post: JSON.stringify(post)}}));
+
+        await TestHelper.wait(100);
+
+        const {posts} = store.getState().entities.posts;
+        assert.ok(posts[post.id]);
+    });
+
+    it('handle team deleted', async () => {
+        const team = {...TestHelper.fakeTeam(), id: TestHelper.generateId()};
+        store.dispatch({type: TeamTypes.RECEIVED_TEAM, data: team});
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.DELETE_TEAM, data: {team: JSON.stringify(team)}}));
+
+        await TestHelper.wait(100);
+
+        const {teams} = store.getState().entities.teams;
+        assert.ifError(teams[team.id]);
+    });
+
+    it('handle user deactivated', async () => {
+        const user = {...TestHelper.fakeUser(), id: TestHelper.generateId(), delete_at: 1508253268652};
+        store.dispatch({type: UserTypes.RECEIVED_STATUSES, data: [{user_id: user.id, status: General.ONLINE}]});
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.USER_UPDATED, data: {user}}));
+
+        await TestHelper.wait(100);
+
+        const {profiles, statuses} = store.getState().entities.users;
+        assert.equal(profiles[user.id].delete_at, user.delete_at);
+        assert.equal(statuses[user.id], General.OFFLINE);
+    });
+
+    it('handle user role updated', async () => {
+        const user = {...TestHelper.fakeUser(), id: TestHelper.generateId(), roles: 'system_user'};
+        store.dispatch({type: UserTypes.RECEIVED_PROFILE, data: user});
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.USER_ROLE_UPDATED, data: {user_id: user.id, roles: 'system_user system_admin'}}));
+
+        await TestHelper.wait(100);
+
+        const {profiles} = store.getState().entities.users;
+        assert.equal(profiles[user.id].roles, 'system_user system_admin');
+    });
+
+    it('handle emoji deleted', async () => {
+        const emoji = {id: TestHelper.generateId(), name: 'emoji', creator_id: TestHelper.basicUser.id};
+        store.dispatch({type: EmojiTypes.RECEIVED_CUSTOM_EMOJI, data: emoji});
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.EMOJI_DELETED, data: {emoji: JSON.stringify(emoji)}}));
+
+        await TestHelper.wait(100);
+
+        const {customEmoji} = store.getState().entities.emojis;
+        assert.ifError(customEmoji[emoji.id]);
+    });
+
+    it('handle group member removed', async () => {
+        const groupId = TestHelper.generateId();
+        const user = {...TestHelper.fakeUser(), id: TestHelper.generateId()};
+        store.dispatch({type: GroupTypes.RECEIVED_GROUP_MEMBERS, group_id: groupId, data: {members: [user], total_member_count: 1}});
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.GROUP_MEMBER_DELETED, data: {group_member: JSON.stringify({group_id: groupId, user_id: user.id})}}));
+
+        await TestHelper.wait(100);
+
+        const {members} = store.getState().entities.groups;
+        assert.deepEqual(members[groupId], {members: [], totalMemberCount: 0});
+    });
+
+    it('handle scheme updated', async () => {
+        const scheme = {id: TestHelper.generateId(), name: 'scheme', scope: 'team'};
+
+        mockServer.emit('message', JSON.stringify({event: WebsocketEvents.SCHEME_UPDATED, data: {scheme: JSON.stringify(scheme)}}));
+
+        await TestHelper.wait(100);
+
+        assert.deepEqual(store.getState().entities.schemes.schemes[scheme.id], scheme);
+    });
+
+    describe('with a separate Client4', () => {
+        let otherStore;
+        let otherServer;
+        let otherClient;
+
+        beforeAll(async () => {
+            otherStore = await configureStore();
+
+            const client4 = new ClientClass4();
+            client4.setUrl('http://example.com');
+            client4.setToken('other-token');
+            otherClient = new WebSocketClient(client4);
+
+            otherServer = new Server('ws://example.com:80/api/v4/websocket');
+            await otherStore.dispatch(Actions.init(
+                'web',
+                null,
+                null,
+                MockWebSocket,
+                {},
+                otherClient
+            ));
+        });
+
+        afterAll(() => {
+            Actions.close(false, otherClient)();
+            otherServer.stop();
+        });
+
+        it('should load the data needed for an event from the server that the websocket is connected to', async () => {
+            const user = TestHelper.fakeUserWithId();
+            const post = {...TestHelper.fakePostWithId(TestHelper.generateId()), user_id: user.id};
+
+            nock('http://example.com', {reqheaders: {Authorization: 'BEARER other-token'}}).
+                post('/api/v4/users/ids').
+                reply(200, [user]);
+            nock('http://example.com', {reqheaders: {Authorization: 'BEARER other-token'}}).
+                post('/api/v4/users/status/ids').
+                reply(200, [{user_id: user.id, status: General.ONLINE}]);
+
+            otherServer.emit('message', JSON.stringify({event: WebsocketEvents.POSTED, data: {post: JSON.stringify(post)}}));
+
+            await TestHelper.wait(100);
+
+            const {profiles, statuses} = otherStore.getState().entities.users;
+            assert.ok(profiles[user.id]);
+            assert.equal(statuses[user.id], General.ONLINE);
+            assert.ifError(store.getState().entities.users.profiles[user.id]);
+        });
+
+        it('should only call the handlers registered for the websocket that received the event', async () => {
+            const received = [];
+            const unregister = Actions.getEventRegistry(otherClient).register('custom_com.example.plugin_ping', (msg) => {
+                received.push(msg.data.text);
+            });
+
+            assert.notEqual(Actions.getEventRegistry(otherClient), Actions.getEventRegistry());
+            assert.equal(Actions.getEventRegistry().getHandlers('custom_com.example.plugin_ping').length, 0);
+            assert.equal(Actions.getEventRegistry(otherClient).getHandlers(WebsocketEvents.POSTED).length, 1);
+
+            mockServer.emit('message', JSON.stringify({event: 'custom_com.example.plugin_ping', data: {text: 'default'}}));
+            otherServer.emit('message', JSON.stringify({event: 'custom_com.example.plugin_ping', data: {text: 'other'}}));
+
+            await TestHelper.wait(100);
+
+            assert.deepEqual(received, ['other']);
+
+            unregister();
+        });
+
+        it('should log out of the server that the websocket is connected to when the current user is deactivated', async () => {
+            const user = TestHelper.fakeUserWithId();
+            otherStore.dispatch({type: UserTypes.RECEIVED_ME, data: user});
+
+            const token = Client4.getToken();
+            otherServer.emit('message', JSON.stringify({event: WebsocketEvents.USER_UPDATED, data: {user: {...user, delete_at: 1508253268652}}}));
+
+            await TestHelper.wait(100);
+
+            assert.equal(otherClient.client4.getToken(), '');
+            assert.equal(Client4.getToken(), token);
+            assert.equal(otherClient.state, WebSocketStates.STOPPED);
+            assert.equal(otherStore.getState().entities.users.currentUserId, '');
+        });
+    });
 });
@@ -0,0 +1,84 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import {logError} from './errors';
+
+// WebSocketEventRegistry keeps track of the functions that handle each type of websocket event, including the ones
+// emitted by plugins. Handlers are called with the event and a context containing dispatch, getState, the Client4
+// used by the websocket, the WebSocketClient that received the event, and stopPropagation which prevents any lower
+// priority handlers from being called for that event. Handlers with a higher priority are called first, and handlers
+// with the same priority are called in the order that they were registered.
+//
+// Each WebSocketClient has its own registry which can be retrieved with getEventRegistry from actions/websocket.
+export class WebSocketEventRegistry {
+    constructor() {
+        this.handlers = {};
+        this.registered = 0;
+    }
+
+    // register adds a handler for the given event type and returns a function that removes it again
+    register = (event, handler, priority = 0) => {
+        const entry = {handler, priority, order: this.registered++};
+
+        const handlers = [...(this.handlers[event] || []), entry];
+        handlers.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+        this.handlers = {...this.handlers, [event]: handlers};
+
+        return () => this.unregister(event, handler);
+    };
+
+    // unregister removes the given handler for an event type or, if no handler is given, all of them
+    unregister = (event, handler) => {
+        if (!this.handlers[event]) {
+            return;
+        }
+
+        const handlers = handler ? this.handlers[event].filter((entry) => entry.handler !== handler) : [];
+
+        const nextHandlers = {...this.handlers};
+        if (handlers.length > 0) {
+            nextHandlers[event] = handlers;
+        } else {
+            Reflect.deleteProperty(nextHandlers, event);
+        }
+        this.handlers = nextHandlers;
+    };
+
+    getHandlers = (event) => {
+        return (this.handlers[event] || []).map((entry) => entry.handler);
+    };
+
+    // handle calls each of the handlers registered for the type of the given event. An error thrown by one handler, or
+    // a rejected promise returned by it, is logged and doesn't stop the others from being called.
+    handle = (msg, dispatch, getState, client4, websocketClient) => {
+        let stopped = false;
+        const context = {
+            dispatch,
+            getState,
+            client4,
+            websocketClient,
+            stopPropagation: () => {
+                stopped = true;
+            },
+        };
+
+        const handleError = (error) => {
+            dispatch(logError(error));
+        };
+
+        for (const handler of this.getHandlers(msg.event)) {
+            try {
+                const result = handler(msg, context);
+                if (result && typeof result.then === 'function') {
+                    result.catch(handleError);
+                }
+            } catch (error) {
+                handleError(error);
+            }
+
+            if (stopped) {
+                break;
+            }
+        }
+    };
+}
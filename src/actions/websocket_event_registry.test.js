@@ -0,0 +1,114 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import {WebSocketEventRegistry} from 'actions/websocket_event_registry';
+
+describe('WebSocketEventRegistry', () => {
+    let registry;
+    beforeEach(() => {
+        registry = new WebSocketEventRegistry();
+    });
+
+    it('should call handlers for events emitted by plugins', () => {
+        const received = [];
+        registry.register('custom_com.example.plugin_ping', (msg) => received.push(msg.data.text));
+
+        registry.handle({event: 'custom_com.example.plugin_ping', data: {text: 'pong'}});
+        registry.handle({event: 'posted', data: {}});
+
+        assert.deepEqual(received, ['pong']);
+    });
+
+    it('should call handlers in order of priority', () => {
+        const called = [];
+        registry.register('posted', () => called.push('first'));
+        registry.register('posted', () => called.push('second'));
+        registry.register('posted', () => called.push('high'), 10);
+        registry.register('posted', () => called.push('low'), -10);
+
+        registry.handle({event: 'posted'});
+
+        assert.deepEqual(called, ['high', 'first', 'second', 'low']);
+    });
+
+    it('should give handlers access to the store', () => {
+        const dispatch = () => null;
+        const getState = () => ({});
+        const client4 = {};
+        const websocketClient = {};
+
+        let context;
+        registry.register('posted', (msg, ctx) => {
+            context = ctx;
+        });
+
+        registry.handle({event: 'posted'}, dispatch, getState, client4, websocketClient);
+
+        assert.equal(context.dispatch, dispatch);
+        assert.equal(context.getState, getState);
+        assert.equal(context.client4, client4);
+        assert.equal(context.websocketClient, websocketClient);
+    });
+
+    it('should let a handler override lower priority ones', () => {
+        const called = [];
+        registry.register('posted', () => called.push('built-in'));
+        registry.register('posted', (msg, {stopPropagation}) => {
+            called.push('override');
+            stopPropagation();
+        }, 10);
+
+        registry.handle({event: 'posted'});
+
+        assert.deepEqual(called, ['override']);
+    });
+
+    it('should keep calling handlers after one fails', () => {
+        const dispatch = jest.fn();
+        const called = [];
+        registry.register('posted', () => {
+            throw new Error('failed');
+        }, 10);
+        registry.register('posted', () => called.push('built-in'));
+
+        registry.handle({event: 'posted'}, dispatch);
+
+        assert.deepEqual(called, ['built-in']);
+        assert.equal(dispatch.mock.calls.length, 1);
+    });
+
+    it('should log errors from handlers that return a rejected promise', async () => {
+        const dispatch = jest.fn();
+        const called = [];
+        registry.register('posted', async () => {
+            throw new Error('failed');
+        }, 10);
+        registry.register('posted', () => called.push('built-in'));
+
+        registry.handle({event: 'posted'}, dispatch);
+        await Promise.resolve();
+
+        assert.deepEqual(called, ['built-in']);
+        assert.equal(dispatch.mock.calls.length, 1);
+    });
+
+    it('should unregister handlers', () => {
+        const called = [];
+        const first = () => called.push('first');
+        const second = () => called.push('second');
+
+        const unregisterFirst = registry.register('posted', first);
+        registry.register('posted', second);
+        registry.register('typing', second);
+
+        unregisterFirst();
+        registry.handle({event: 'posted'});
+        assert.deepEqual(called, ['second']);
+
+        registry.unregister('posted');
+        assert.deepEqual(registry.getHandlers('posted'), []);
+        assert.deepEqual(registry.getHandlers('typing'), [second]);
+    });
+});
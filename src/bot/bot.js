@@ -0,0 +1,199 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import {applyMiddleware, combineReducers, createStore} from 'redux';
+import {enableBatching} from 'redux-batched-actions';
+import thunk from 'redux-thunk';
+
+import {UserTypes} from 'action_types';
+import {close, init} from 'actions/websocket';
+import {Client4} from 'client';
+import {WebSocketClient} from 'client/websocket_client';
+import {General, WebsocketEvents} from 'constants';
+import serviceReducer from 'reducers';
+import {listenForThrottling} from 'store/helpers';
+import initialState from 'store/initial_state';
+
+const DEFAULT_TOKEN_DESCRIPTION = 'Bot';
+
+// Bot runs a Mattermost user outside of any UI. It logs in with a personal access token, keeps a store up to date
+// using the websocket actions, and calls the handlers registered with it when posts and reactions are received.
+//
+// By default, a Bot uses the global Client4. Pass a separate instance of Client4 as the client4 option to run multiple
+// bots in the same process. The bot's store and websocket pass that Client4 to the actions that they dispatch so that
+// any missing data is loaded from the bot's own server with its own token.
+export default class Bot {
+    constructor({url, client4 = Client4, webSocketConnector = null} = {}) {
+        this.client4 = client4;
+        if (url) {
+            this.client4.setUrl(url);
+        }
+
+        this.webSocketConnector = webSocketConnector;
+        this.websocket = new WebSocketClient(this.client4);
+        this.store = createStore(
+            enableBatching(combineReducers(serviceReducer)),
+            initialState,
+            applyMiddleware(thunk.withExtraArgument({client4: this.client4}))
+        );
+        listenForThrottling(this.store, this.client4);
+
+        this.user = null;
+        this.messageHandlers = [];
+        this.mentionHandlers = [];
+        this.reactionHandlers = [];
+    }
+
+    // login authenticates the bot with either a personal access token or, if a login ID and password are provided
+    // instead, by using them to create a new personal access token. It resolves to the token being used so that it
+    // can be saved and reused instead of the password.
+    login = async ({token, loginId, password, description = DEFAULT_TOKEN_DESCRIPTION}) => {
+        if (token) {
+            this.client4.setToken(token);
+        } else {
+            const user = await this.client4.login(loginId, password);
+            const accessToken = await this.client4.createUserAccessToken(user.id, description);
+
+            // Access tokens don't expire like the session created by logging in does
+            await this.client4.logout();
+            this.client4.setToken(accessToken.token);
+        }
+
+        this.user = await this.client4.getMe();
+        this.client4.setUserId(this.user.id);
+        this.store.dispatch({type: UserTypes.RECEIVED_ME, data: this.user});
+
+        return this.client4.getToken();
+    }
+
+    // connect opens the websocket connection used to receive events. login must have been called first.
+    connect = async () => {
+        const connected = this.store.dispatch(init('node', null, null, this.webSocketConnector, {}, this.websocket));
+
+        // Let the websocket actions update the store before calling any handlers so that they can use it
+        const handleEvent = this.websocket.eventCallback;
+        this.websocket.setEventCallback((msg) => {
+            handleEvent(msg);
+            this.handleEvent(msg);
+        });
+
+        await connected;
+    }
+
+    disconnect = () => {
+        return this.store.dispatch(close(false, this.websocket));
+    }
+
+    getState = () => {
+        return this.store.getState();
+    }
+
+    // onMessage registers a handler that is called with every post made by another user in a channel that the bot is
+    // a member of. It returns a function that removes the handler again.
+    onMessage = (handler) => {
+        return addHandler(this.messageHandlers, handler);
+    }
+
+    // onMention registers a handler that is called with every post that mentions the bot, including all posts in
+    // direct message channels with it. It returns a function that removes the handler again.
+    onMention = (handler) => {
+        return addHandler(this.mentionHandlers, handler);
+    }
+
+    // onReaction registers a handler that is called with every reaction added by another user to a post that the
+    // bot can see. It returns a function that removes the handler again.
+    onReaction = (handler) => {
+        return addHandler(this.reactionHandlers, handler);
+    }
+
+    handleEvent = (msg) => {
+        switch (msg.event) {
+        case WebsocketEvents.POSTED: {
+            const post = JSON.parse(msg.data.post);
+            if (post.user_id === this.user.id) {
+                return;
+            }
+
+            callHandlers(this.messageHandlers, post, msg);
+
+            if (this.isMentioned(msg)) {
+                callHandlers(this.mentionHandlers, post, msg);
+            }
+            break;
+        }
+        case WebsocketEvents.REACTION_ADDED: {
+            const reaction = JSON.parse(msg.data.reaction);
+            if (reaction.user_id === this.user.id) {
+                return;
+            }
+
+            callHandlers(this.reactionHandlers, reaction, msg);
+            break;
+        }
+        }
+    }
+
+    isMentioned = (msg) => {
+        if (msg.data.channel_type === General.DM_CHANNEL) {
+            return true;
+        }
+
+        const mentions = msg.data.mentions ? JSON.parse(msg.data.mentions) : [];
+        return mentions.includes(this.user.id);
+    }
+
+    // post creates a new post in the given channel
+    post = (channelId, message, props = {}) => {
+        return this.client4.createPost({
+            channel_id: channelId,
+            message,
+            props,
+        });
+    }
+
+    // reply creates a new post in the thread containing the given post
+    reply = (post, message, props = {}) => {
+        return this.client4.createPost({
+            channel_id: post.channel_id,
+            root_id: post.root_id || post.id,
+            parent_id: post.id,
+            message,
+            props,
+        });
+    }
+
+    react = (post, emojiName) => {
+        return this.client4.addReaction(this.user.id, post.id, emojiName);
+    }
+
+    // executeCommand runs a slash command, such as "/echo hello", in the given channel as the bot
+    executeCommand = (channelId, command) => {
+        const channel = this.getState().entities.channels.channels[channelId];
+
+        return this.client4.executeCommand(command, {
+            channel_id: channelId,
+            team_id: channel ? channel.team_id : '',
+        });
+    }
+}
+
+function addHandler(handlers, handler) {
+    handlers.push(handler);
+
+    return () => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    };
+}
+
+// callHandlers calls each handler with the given arguments. An error in one handler, including a rejected promise,
+// doesn't stop the others from being called.
+function callHandlers(handlers, ...args) {
+    for (const handler of [...handlers]) {
+        Promise.resolve().then(() => handler(...args)).catch((error) => {
+            console.warn('bot handler failed', error); // eslint-disable-line no-console
+        });
+    }
+}
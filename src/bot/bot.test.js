@@ -0,0 +1,265 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+import nock from 'nock';
+import {Server, WebSocket as MockWebSocket} from 'mock-socket';
+
+import {UserTypes} from 'action_types';
+import {Bot} from 'bot';
+import ClientClass4 from 'client/client4';
+import {General, WebsocketEvents} from 'constants';
+import TestHelper from 'test/test_helper';
+
+describe('Bot', () => {
+    const url = 'http://localhost:8065';
+    const connectionUrl = 'ws://localhost:8065/api/v4/websocket';
+
+    const botUser = {...TestHelper.fakeUserWithId(), username: 'testbot'};
+    const otherUser = TestHelper.fakeUserWithId();
+
+    let client4;
+    let mockServer;
+    let bot;
+    beforeEach(() => {
+        if (!nock.isActive()) {
+            nock.activate();
+        }
+
+        client4 = new ClientClass4();
+        mockServer = new Server(connectionUrl);
+        bot = new Bot({url, client4, webSocketConnector: MockWebSocket});
+    });
+
+    afterEach(() => {
+        bot.disconnect();
+        mockServer.stop();
+        nock.cleanAll();
+    });
+
+    afterAll(() => {
+        nock.restore();
+    });
+
+    function nockMe() {
+        nock(client4.getBaseRoute()).
+            get('/users/me').
+            reply(200, botUser);
+    }
+
+    it('should log in with a personal access token', async () => {
+        nockMe();
+
+        const token = await bot.login({token: 'accesstoken'});
+
+        assert.equal(token, 'accesstoken');
+        assert.equal(client4.getToken(), 'accesstoken');
+        assert.equal(bot.user.id, botUser.id);
+        assert.equal(bot.getState().entities.users.currentUserId, botUser.id);
+    });
+
+    it('should create a personal access token when logging in with a password', async () => {
+        nock(client4.getBaseRoute()).
+            post('/users/login').
+            reply(200, botUser, {Token: 'sessiontoken'});
+        nock(client4.getBaseRoute()).
+            post(`/users/${botUser.id}/tokens`, {description: 'Test bot'}).
+            reply(201, {id: 'tokenid', token: 'accesstoken', user_id: botUser.id, description: 'Test bot'});
+        nock(client4.getBaseRoute()).
+            post('/users/logout').
+            reply(200, {status: 'OK'});
+        nockMe();
+
+        const token = await bot.login({loginId: botUser.username, password: 'password', description: 'Test bot'});
+
+        assert.equal(token, 'accesstoken');
+        assert.equal(client4.getToken(), 'accesstoken');
+        assert.ok(nock.isDone());
+    });
+
+    describe('events', () => {
+        const channelId = TestHelper.generateId();
+
+        beforeEach(async () => {
+            mockServer.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    socket.send(JSON.stringify({seq_reply: msg.seq, status: 'OK'}));
+                });
+            });
+
+            nockMe();
+            await bot.login({token: 'accesstoken'});
+
+            // Avoid loading the other user when they post
+            bot.store.dispatch({type: UserTypes.RECEIVED_PROFILES, data: {[otherUser.id]: otherUser}});
+            bot.store.dispatch({
+                type: UserTypes.RECEIVED_STATUSES,
+                data: [
+                    {user_id: botUser.id, status: General.ONLINE},
+                    {user_id: otherUser.id, status: General.ONLINE},
+                ],
+            });
+
+            await bot.connect();
+        });
+
+        function emitPost(post, data = {}) {
+            mockServer.emit('message', JSON.stringify({
+                event: WebsocketEvents.POSTED,
+                data: {channel_type: General.OPEN_CHANNEL, post: JSON.stringify(post), ...data},
+                broadcast: {channel_id: post.channel_id},
+            }));
+        }
+
+        it('should call message handlers for posts by other users', async () => {
+            const received = [];
+            bot.onMessage((post) => received.push(post.message));
+
+            emitPost({...TestHelper.fakePostWithId(channelId), user_id: botUser.id, message: 'own post'});
+            emitPost({...TestHelper.fakePostWithId(channelId), user_id: otherUser.id, message: 'hello'});
+
+            await TestHelper.wait(50);
+
+            assert.deepEqual(received, ['hello']);
+        });
+
+        it('should call mention handlers only for posts that mention the bot', async () => {
+            const mentioned = [];
+            const removeHandler = bot.onMention((post) => mentioned.push(post.message));
+
+            emitPost({...TestHelper.fakePostWithId(channelId), user_id: otherUser.id, message: 'hello'});
+            emitPost({...TestHelper.fakePostWithId(channelId), user_id: otherUser.id, message: 'hello @testbot'}, {mentions: JSON.stringify([botUser.id])});
+
+            await TestHelper.wait(50);
+
+            removeHandler();
+            emitPost({...TestHelper.fakePostWithId(channelId), user_id: otherUser.id, message: 'bye @testbot'}, {mentions: JSON.stringify([botUser.id])});
+
+            await TestHelper.wait(50);
+
+            assert.deepEqual(mentioned, ['hello @testbot']);
+        });
+
+        it('should call reaction handlers and react to posts', async () => {
+            const post = {...TestHelper.fakePostWithId(channelId), user_id: botUser.id};
+
+            nock(client4.getBaseRoute()).
+                post('/reactions', {user_id: botUser.id, post_id: post.id, emoji_name: 'wave'}).
+                reply(201, {user_id: botUser.id, post_id: post.id, emoji_name: 'wave'});
+
+            const reacted = new Promise((resolve) => {
+                bot.onReaction((reaction) => resolve(bot.react({id: reaction.post_id}, 'wave')));
+            });
+
+            mockServer.emit('message', JSON.stringify({
+                event: WebsocketEvents.REACTION_ADDED,
+                data: {reaction: JSON.stringify({user_id: otherUser.id, post_id: post.id, emoji_name: '+1'})},
+                broadcast: {channel_id: channelId},
+            }));
+
+            const reaction = await reacted;
+            assert.equal(reaction.emoji_name, 'wave');
+        });
+
+        it('should reply in the thread of a post', async () => {
+            const post = {...TestHelper.fakePostWithId(channelId), user_id: otherUser.id, message: 'ping'};
+
+            nock(client4.getBaseRoute()).
+                post('/posts', {channel_id: channelId, root_id: post.id, parent_id: post.id, message: 'pong', props: {}}).
+                reply(201, {id: TestHelper.generateId(), user_id: botUser.id, channel_id: channelId, root_id: post.id, message: 'pong'});
+
+            const replied = new Promise((resolve) => {
+                bot.onMessage((received) => resolve(bot.reply(received, 'pong')));
+            });
+
+            emitPost(post);
+
+            const reply = await replied;
+            assert.equal(reply.root_id, post.id);
+            assert.equal(reply.message, 'pong');
+        });
+    });
+
+    it('should load missing data for each bot from its own server', async () => {
+        const otherUrl = 'http://example.com';
+        const otherClient4 = new ClientClass4();
+        const otherServer = new Server('ws://example.com:80/api/v4/websocket');
+        const otherBot = new Bot({url: otherUrl, client4: otherClient4, webSocketConnector: MockWebSocket});
+
+        for (const server of [mockServer, otherServer]) {
+            server.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    socket.send(JSON.stringify({seq_reply: msg.seq, status: 'OK'}));
+                });
+            });
+        }
+
+        nockMe();
+        await bot.login({token: 'accesstoken'});
+
+        nock(otherClient4.getBaseRoute()).
+            get('/users/me').
+            reply(200, botUser);
+        await otherBot.login({token: 'otheraccesstoken'});
+
+        await bot.connect();
+        await otherBot.connect();
+
+        const post = {...TestHelper.fakePostWithId(TestHelper.generateId()), user_id: otherUser.id};
+        for (const [route, token] of [[client4.getBaseRoute(), 'accesstoken'], [otherClient4.getBaseRoute(), 'otheraccesstoken']]) {
+            nock(route, {reqheaders: {Authorization: `BEARER ${token}`}}).
+                post('/users/ids').
+                reply(200, [otherUser]);
+            nock(route, {reqheaders: {Authorization: `BEARER ${token}`}}).
+                post('/users/status/ids').
+                reply(200, [{user_id: otherUser.id, status: General.ONLINE}]);
+        }
+
+        for (const server of [mockServer, otherServer]) {
+            server.emit('message', JSON.stringify({
+                event: WebsocketEvents.POSTED,
+                data: {channel_type: General.OPEN_CHANNEL, post: JSON.stringify(post)},
+                broadcast: {channel_id: post.channel_id},
+            }));
+        }
+
+        await TestHelper.wait(100);
+
+        otherBot.disconnect();
+        otherServer.stop();
+
+        assert.ok(nock.isDone());
+        for (const eachBot of [bot, otherBot]) {
+            assert.ok(eachBot.getState().entities.users.profiles[otherUser.id]);
+            assert.equal(eachBot.getState().entities.users.currentUserId, botUser.id);
+        }
+        assert.equal(client4.getToken(), 'accesstoken');
+        assert.equal(otherClient4.getToken(), 'otheraccesstoken');
+    });
+
+    it('should report when its own Client4 is being throttled', () => {
+        const otherBot = new Bot({url, client4: new ClientClass4(), webSocketConnector: MockWebSocket});
+
+        client4.getRateLimiter().setThrottled(true);
+
+        assert.equal(bot.getState().entities.general.throttle.throttled, true);
+        assert.equal(otherBot.getState().entities.general.throttle.throttled, false);
+    });
+
+    it('should execute slash commands', async () => {
+        const channelId = TestHelper.generateId();
+
+        nock(client4.getBaseRoute()).
+            post('/commands/execute', {command: '/echo hello', channel_id: channelId, team_id: ''}).
+            reply(200, {response_type: 'ephemeral', text: 'hello'});
+
+        nockMe();
+        await bot.login({token: 'accesstoken'});
+
+        const response = await bot.executeCommand(channelId, '/echo hello');
+
+        assert.equal(response.text, 'hello');
+    });
+});
@@ -3,9 +3,11 @@
 
 const FormData = require('form-data');
 
-import fetch from './fetch_etag';
+import EtagCache from './fetch_etag';
+import RateLimiter from './rate_limiter';
 import {buildQueryString, isMinimumServerVersion} from 'src/utils/helpers';
 import {cleanUrlForLogging} from 'src/utils/sentry';
+import BatchLoader, {alignToKeys} from 'src/utils/batch_loader';
 import {General} from 'constants';
 
 const HEADER_AUTH = 'Authorization';
@@ -14,10 +16,69 @@ const HEADER_REQUESTED_WITH = 'X-Requested-With';
 const HEADER_USER_AGENT = 'User-Agent';
 const HEADER_X_CLUSTER_ID = 'X-Cluster-Id';
 const HEADER_X_CSRF_TOKEN = 'X-CSRF-Token';
+const HEADER_X_REQUEST_ID = 'X-Request-Id';
 export const HEADER_X_VERSION_ID = 'X-Version-Id';
 
+const HEADER_RETRY_AFTER = 'Retry-After';
+
 const PER_PAGE_DEFAULT = 60;
 const LOGS_PER_PAGE_DEFAULT = 10000;
+const UPLOAD_CHUNK_SIZE_DEFAULT = 1024 * 1024;
+
+// The most names that the server accepts in a single request to getCustomEmojisByNames
+const MAX_CUSTOM_EMOJIS_BY_NAMES = 200;
+
+// The methods that can be used with paginate mapped to the position of their page argument. Each of them takes
+// perPage as the following argument and returns an array.
+const PAGINATED_METHODS = {
+    getProfiles: 0,
+    getProfilesInTeam: 1,
+    getProfilesNotInTeam: 1,
+    getProfilesWithoutTeam: 0,
+    getProfilesInChannel: 1,
+    getProfilesNotInChannel: 2,
+    getUserAudits: 1,
+    getUserAccessTokensForUser: 1,
+    getUserAccessTokens: 0,
+    getTeams: 0,
+    getTeamMembers: 1,
+    getAllChannels: 0,
+    getChannels: 1,
+    getChannelMembers: 1,
+    getIncomingWebhooks: 1,
+    getOutgoingWebhooks: 2,
+    getAutocompleteCommandsList: 1,
+    getOAuthApps: 0,
+    getCustomEmojis: 0,
+    getJobs: 0,
+    getJobsByType: 1,
+    getAudits: 0,
+    getComplianceReports: 0,
+    getSchemes: 1,
+    getSchemeTeams: 1,
+    getSchemeChannels: 1,
+};
+
+// By default, only idempotent requests are retried, and only when the request never reached the server or the
+// server reported a failure that is likely to be transient.
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    retryMethods: ['get', 'head', 'options'],
+    retryStatusCodes: [408, 429, 500, 502, 503, 504],
+    retryAfterStatusCodes: [429, 503],
+};
+
+// Identical GET requests made while one is already in progress share its response instead of being sent again.
+// Requests to URLs matching any of the patterns in exclude, which may be strings or regular expressions, are always
+// sent separately.
+export const DEFAULT_DEDUPE_POLICY = {
+    enabled: true,
+    exclude: [],
+};
 
 /* eslint-disable no-throw-literal */
 
@@ -37,6 +98,31 @@ export default class Client4 {
         this.diagnosticId = '';
         this.includeCookies = true;
         this.online = true;
+        this.retryPolicy = {...DEFAULT_RETRY_POLICY};
+        this.dedupePolicy = {...DEFAULT_DEDUPE_POLICY};
+        this.inFlightRequests = new Map();
+        this.dedupeStats = {requests: 0, deduplicated: 0};
+        this.signal = null;
+        this.etagCache = new EtagCache();
+        this.rateLimiter = new RateLimiter();
+
+        // These combine requests for individual objects that are made at around the same time into as few requests
+        // as possible. Since those requests are made later, they can't be cancelled using withSignal. Channels aren't
+        // batched because the server has no endpoint for getting multiple channels by ID, but concurrent requests for
+        // the same channel still share a response since doFetch deduplicates GET requests.
+        this.profilesLoader = new BatchLoader(async (userIds) => {
+            return alignToKeys(userIds, await this.getProfilesByIds(userIds), (profile) => profile.id);
+        });
+        this.statusesLoader = new BatchLoader(async (userIds) => {
+            return alignToKeys(userIds, await this.getStatusesByIds(userIds), (status) => status.user_id);
+        }, {wait: 20});
+        this.customEmojisLoader = new BatchLoader(async (names) => {
+            return alignToKeys(names, await this.getCustomEmojisByNames(names), (emoji) => emoji.name);
+        }, {maxBatchSize: MAX_CUSTOM_EMOJIS_BY_NAMES});
+
+        this.interceptors = [];
+        this.addInterceptor({onRequest: this.addDefaultOptions});
+        this.addInterceptor({onResponse: this.readServerHeaders});
 
         this.translations = {
             connectionError: 'There appears to be a problem with your internet connection.',
@@ -86,16 +172,64 @@ export default class Client4 {
 
     setUserId(userId) {
         this.userId = userId;
+        this.etagCache.setPartition(userId);
     }
 
     setDiagnosticId(diagnosticId) {
         this.diagnosticId = diagnosticId;
     }
 
+    getDedupePolicy() {
+        return this.dedupePolicy;
+    }
+
+    setDedupePolicy(dedupePolicy) {
+        this.dedupePolicy = {...this.dedupePolicy, ...dedupePolicy};
+    }
+
+    // getDedupeStats returns how many requests could have shared a response, how many of those actually did, and how
+    // many requests are currently in progress that others can share
+    getDedupeStats() {
+        return {
+            ...this.dedupeStats,
+            inFlight: this.inFlightRequests.size,
+        };
+    }
+
+    getEtagCache() {
+        return this.etagCache;
+    }
+
+    getRateLimiter() {
+        return this.rateLimiter;
+    }
+
+    getRetryPolicy() {
+        return this.retryPolicy;
+    }
+
+    // setRetryPolicy overrides any of the fields of DEFAULT_RETRY_POLICY. Set maxAttempts to 1 to disable retries.
+    setRetryPolicy(retryPolicy) {
+        this.retryPolicy = {...this.retryPolicy, ...retryPolicy};
+    }
+
     getServerVersion() {
         return this.serverVersion;
     }
 
+    // withSignal calls func and returns its result. Any request started synchronously by func, such as the one made
+    // by calling any of the API methods below, can be cancelled by aborting the provided AbortSignal.
+    withSignal(signal, func) {
+        const previousSignal = this.signal;
+        this.signal = signal;
+
+        try {
+            return func();
+        } finally {
+            this.signal = previousSignal;
+        }
+    }
+
     getUrlVersion() {
         return this.urlVersion;
     }
@@ -180,6 +314,14 @@ export default class Client4 {
         return `${this.getFilesRoute()}/${fileId}`;
     }
 
+    getUploadsRoute() {
+        return `${this.getBaseRoute()}/uploads`;
+    }
+
+    getUploadRoute(uploadId) {
+        return `${this.getUploadsRoute()}/${uploadId}`;
+    }
+
     getPreferencesRoute(userId) {
         return `${this.getUserRoute(userId)}/preferences`;
     }
@@ -260,7 +402,36 @@ export default class Client4 {
         return `${this.getBaseRoute()}/redirect_location`;
     }
 
-    getOptions(options) {
+    // Interceptors are objects with any of the following methods which are called in the order that the interceptors
+    // were added:
+    // - onRequest({url, options}) returns the request that should be passed to fetch. It's also called by getOptions,
+    //   in which case url may be empty.
+    // - onResponse({response, headers, data}, request) is called for every response received from the server, including
+    //   ones with an error status, and returns the response that should be used instead.
+    // - onError(error, request) is called when a request fails for any reason and returns the error to throw instead.
+    // The default headers and the handling of server headers are implemented as interceptors added by the constructor.
+    addInterceptor(interceptor) {
+        this.interceptors = [...this.interceptors, interceptor];
+
+        return () => this.removeInterceptor(interceptor);
+    }
+
+    removeInterceptor(interceptor) {
+        this.interceptors = this.interceptors.filter((i) => i !== interceptor);
+    }
+
+    interceptRequest(request) {
+        return this.interceptors.reduce((req, interceptor) => {
+            return interceptor.onRequest ? interceptor.onRequest(req) : req;
+        }, request);
+    }
+
+    getOptions(options, url = '') {
+        return this.interceptRequest({url, options}).options;
+    }
+
+    addDefaultOptions = (request) => {
+        const {options} = request;
         const newOptions = Object.assign({}, options);
 
         const headers = {
@@ -289,10 +460,33 @@ export default class Client4 {
         }
 
         return {
-            ...newOptions,
-            headers,
+            ...request,
+            options: {
+                ...newOptions,
+                headers,
+            },
         };
-    }
+    };
+
+    readServerHeaders = (result) => {
+        const {headers} = result;
+
+        if (headers.has(HEADER_X_VERSION_ID) && !headers.get('Cache-Control')) {
+            const serverVersion = headers.get(HEADER_X_VERSION_ID);
+            if (serverVersion && this.serverVersion !== serverVersion) {
+                this.serverVersion = serverVersion;
+            }
+        }
+
+        if (headers.has(HEADER_X_CLUSTER_ID)) {
+            const clusterId = headers.get(HEADER_X_CLUSTER_ID);
+            if (clusterId && this.clusterId !== clusterId) {
+                this.clusterId = clusterId;
+            }
+        }
+
+        return result;
+    };
 
     // User Routes
 
@@ -518,6 +712,8 @@ export default class Client4 {
     logout = async () => {
         this.trackEvent('api', 'api_users_logout');
 
+        this.etagCache.clear();
+
         const {response} = await this.doFetchWithResponse(
             `${this.getUsersRoute()}/logout`,
             {method: 'post'}
@@ -550,6 +746,12 @@ export default class Client4 {
         );
     };
 
+    getProfilesByIdsBatched = async (userIds) => {
+        const profiles = await this.profilesLoader.loadMany(userIds);
+
+        return profiles.filter((profile) => profile);
+    };
+
     getProfilesByUsernames = async (usernames) => {
         this.trackEvent('api', 'api_profiles_get_by_usernames');
 
@@ -724,6 +926,12 @@ export default class Client4 {
         );
     };
 
+    getStatusesByIdsBatched = async (userIds) => {
+        const statuses = await this.statusesLoader.loadMany(userIds);
+
+        return statuses.filter((status) => status);
+    };
+
     getStatus = async (userId) => {
         return this.doFetch(
             `${this.getUserRoute(userId)}/status`,
@@ -1638,6 +1846,101 @@ export default class Client4 {
         );
     };
 
+    // createUploadSession starts a resumable upload of a file with the given channel_id, filename and file_size
+    createUploadSession = async (session) => {
+        this.trackEvent('api', 'api_files_upload_session_create');
+
+        return this.doFetch(
+            `${this.getUploadsRoute()}`,
+            {method: 'post', body: JSON.stringify(session)}
+        );
+    };
+
+    getUploadSession = async (uploadId) => {
+        return this.doFetch(
+            `${this.getUploadRoute(uploadId)}`,
+            {method: 'get'}
+        );
+    };
+
+    // uploadData appends data to the file being uploaded by an upload session. It returns the file's FileInfo once
+    // the whole file has been received and null before then.
+    uploadData = async (uploadId, data) => {
+        const fileInfo = await this.doFetch(
+            `${this.getUploadRoute(uploadId)}`,
+            {method: 'post', body: data}
+        );
+
+        return fileInfo && fileInfo.id ? fileInfo : null;
+    };
+
+    // uploadFileInChunks uploads a file through an upload session so that an interrupted upload can be continued
+    // later by passing the ID of its session as uploadId. The file can be anything with a slice method and either a
+    // size or a length, such as a Blob or a Buffer. The following options are supported:
+    // - channelId and filename are required when starting a new upload.
+    // - chunkSize is the number of bytes to send per request.
+    // - onSession(session) is called once the upload session has been created or retrieved.
+    // - onProgress(loaded, total) is called after each chunk has been received by the server.
+    // - signal is an AbortSignal used to stop uploading the file.
+    uploadFileInChunks = async (file, options = {}) => {
+        const {
+            channelId,
+            filename,
+            uploadId,
+            chunkSize = UPLOAD_CHUNK_SIZE_DEFAULT,
+            onSession,
+            onProgress,
+            signal = this.signal,
+        } = options;
+
+        const fileSize = typeof file.size === 'number' ? file.size : file.length;
+
+        let session;
+        if (uploadId) {
+            session = await this.withSignal(signal, () => this.getUploadSession(uploadId));
+        } else {
+            session = await this.withSignal(signal, () => this.createUploadSession({
+                channel_id: channelId,
+                filename,
+                file_size: fileSize,
+            }));
+        }
+
+        if (onSession) {
+            onSession(session);
+        }
+
+        // The server knows how much of the file it has received, so resume from there instead of from where we think
+        // the last attempt stopped
+        let offset = session.file_offset || 0;
+        if (onProgress) {
+            onProgress(offset, fileSize);
+        }
+
+        let fileInfo = null;
+        do {
+            const end = Math.min(offset + chunkSize, fileSize);
+            const chunk = file.slice(offset, end);
+
+            fileInfo = await this.withSignal(signal, () => this.uploadData(session.id, chunk)); // eslint-disable-line no-await-in-loop
+            offset = end;
+
+            if (onProgress) {
+                onProgress(offset, fileSize);
+            }
+        } while (!fileInfo && offset < fileSize);
+
+        if (!fileInfo) {
+            throw new ClientError(this.getUrl(), {
+                message: 'The server did not finish receiving the file.',
+                method: 'post',
+                url: this.getUploadRoute(session.id),
+            });
+        }
+
+        return fileInfo;
+    };
+
     getFilePublicLink = async (fileId) => {
         return this.doFetch(
             `${this.getFileRoute(fileId)}/link`,
@@ -1997,6 +2300,18 @@ export default class Client4 {
         );
     };
 
+    getCustomEmojisByNames = async (names) => {
+        return this.doFetch(
+            `${this.getEmojisRoute()}/names`,
+            {method: 'post', body: JSON.stringify(names)}
+        );
+    };
+
+    // getCustomEmojiByNameBatched returns the custom emoji with the given name or null if it doesn't exist
+    getCustomEmojiByNameBatched = async (name) => {
+        return this.customEmojisLoader.load(name);
+    };
+
     getCustomEmojis = async (page = 0, perPage = PER_PAGE_DEFAULT, sort = '') => {
         return this.doFetch(
             `${this.getEmojisRoute()}${buildQueryString({page, per_page: perPage, sort})}`,
@@ -2577,6 +2892,73 @@ export default class Client4 {
 
     // Client Helpers
 
+    // paginate returns an async iterator over the pages of results returned by one of the PAGINATED_METHODS. args
+    // are the method's arguments other than page and perPage. The following options are supported:
+    // - perPage is the number of results to request per page.
+    // - startPage is the first page to request.
+    // - maxPages is the maximum number of pages to request.
+    // - concurrency is the number of pages to request at once. Pages are still returned in order.
+    // - stopWhen(items, pageCount) is called with each page and returns true if no more pages should be requested.
+    // - signal is an AbortSignal used to cancel the requests for any remaining pages.
+    // Iteration ends after the first page which has fewer than perPage results.
+    paginate = (method, args = [], options = {}) => {
+        if (!PAGINATED_METHODS.hasOwnProperty(method)) {
+            throw new Error(`Client4.paginate: ${method} is not a paginated method`);
+        }
+
+        const {
+            perPage = PER_PAGE_DEFAULT,
+            startPage = 0,
+            maxPages = Infinity,
+            concurrency = 1,
+            stopWhen = null,
+            signal = this.signal,
+        } = options;
+
+        const pageIndex = PAGINATED_METHODS[method];
+        const fetchPage = (page) => {
+            const argsBefore = Array.from({length: pageIndex}, (value, i) => args[i]);
+
+            return this.withSignal(signal, () => this[method](...argsBefore, page, perPage, ...args.slice(pageIndex)));
+        };
+
+        return (async function* paginate() {
+            const endPage = startPage + maxPages;
+            const inFlight = [];
+
+            let nextPage = startPage;
+            const requestPages = () => {
+                while (inFlight.length < concurrency && nextPage < endPage) {
+                    const request = fetchPage(nextPage);
+
+                    // Pages requested ahead of time may fail before we get to them or may not be needed at all
+                    request.catch(() => null);
+
+                    inFlight.push(request);
+                    nextPage += 1;
+                }
+            };
+
+            requestPages();
+
+            let pageCount = 0;
+            while (inFlight.length > 0) {
+                const items = await inFlight.shift(); // eslint-disable-line no-await-in-loop
+                pageCount += 1;
+
+                const isLastPage = items.length < perPage || Boolean(stopWhen && stopWhen(items, pageCount));
+
+                yield items;
+
+                if (isLastPage) {
+                    return;
+                }
+
+                requestPages();
+            }
+        }());
+    };
+
     doFetch = async (url, options) => {
         const {data} = await this.doFetchWithResponse(url, options);
 
@@ -2584,62 +2966,189 @@ export default class Client4 {
     };
 
     doFetchWithResponse = async (url, options) => {
+        // This must be read before anything is awaited since it's only set while withSignal is running
+        const signal = options.signal || this.signal;
+        const fetchOptions = signal ? {...options, signal} : options;
+
+        // Requests that can be cancelled aren't shared since cancelling one would cancel the others
+        const key = signal ? null : this.getDedupeKey(url, fetchOptions);
+        if (!key) {
+            return this.sendInterceptedRequest(url, fetchOptions);
+        }
+
+        this.dedupeStats.requests += 1;
+
+        const inFlight = this.inFlightRequests.get(key);
+        if (inFlight) {
+            this.dedupeStats.deduplicated += 1;
+            return inFlight;
+        }
+
+        const request = this.sendInterceptedRequest(url, fetchOptions);
+        this.inFlightRequests.set(key, request);
+
+        try {
+            return await request;
+        } finally {
+            this.inFlightRequests.delete(key);
+        }
+    };
+
+    getDedupeKey(url, options) {
+        const {enabled, exclude} = this.dedupePolicy;
+        if (!enabled || (options.method && options.method.toLowerCase() !== 'get')) {
+            return null;
+        }
+
+        const excluded = exclude.some((pattern) => {
+            return typeof pattern === 'string' ? url.includes(pattern) : pattern.test(url);
+        });
+        if (excluded) {
+            return null;
+        }
+
+        return JSON.stringify([this.token, url, options.headers || {}]);
+    }
+
+    sendInterceptedRequest = async (url, options) => {
+        try {
+            return await this.sendRequest(url, options);
+        } catch (error) {
+            throw this.interceptors.reduce((err, interceptor) => {
+                return interceptor.onError ? interceptor.onError(err, {url, options}) : err;
+            }, error);
+        }
+    };
+
+    sendRequest = async (url, options) => {
+        const signal = options.signal;
+
+        const policy = this.retryPolicy;
+        const method = (options.method || 'get').toLowerCase();
+        const canRetry = policy.retryMethods.includes(method);
+
         if (!this.online) {
-            throw new ClientError(this.getUrl(), {
+            throw new NetworkError(this.getUrl(), {
                 message: 'no internet connection',
+                method,
                 url,
             });
         }
 
-        const response = await fetch(url, this.getOptions(options));
+        let request;
+        let response;
+        for (let attempt = 1; ; attempt++) {
+            const isLastAttempt = !canRetry || attempt >= policy.maxAttempts;
+
+            if (signal && signal.aborted) {
+                throw new ClientError(this.getUrl(), {message: 'Request aborted', aborted: true, method, url});
+            }
+
+            await this.rateLimiter.acquire(); // eslint-disable-line no-await-in-loop
+
+            request = this.interceptRequest({url, options});
+
+            try {
+                response = await this.etagCache.fetch(request.url, request.options); // eslint-disable-line no-await-in-loop
+            } catch (err) {
+                if (signal && signal.aborted) {
+                    throw new ClientError(this.getUrl(), {message: 'Request aborted', aborted: true, method, url});
+                }
+
+                if (isLastAttempt) {
+                    throw new NetworkError(this.getUrl(), {
+                        message: this.translations.connectionError,
+                        intl: {
+                            id: 'mobile.request.network_error',
+                            defaultMessage: this.translations.connectionError,
+                        },
+                        method,
+                        url,
+                    });
+                }
+
+                await wait(getRetryDelay(policy, attempt), signal); // eslint-disable-line no-await-in-loop
+                continue;
+            }
+
+            const responseHeaders = parseAndMergeNestedHeaders(response.headers);
+            this.rateLimiter.update(responseHeaders);
+
+            if (response.status === 429) {
+                this.rateLimiter.retryAfter(getRetryAfterHeader(responseHeaders) || 0);
+            }
+
+            if (isLastAttempt || !policy.retryStatusCodes.includes(response.status)) {
+                break;
+            }
+
+            let delay = getRetryDelay(policy, attempt);
+            if (policy.retryAfterStatusCodes.includes(response.status) && responseHeaders.has(HEADER_RETRY_AFTER)) {
+                const retryAfter = getRetryAfterHeader(responseHeaders);
+
+                if (retryAfter > policy.maxDelay) {
+                    // The server wants us to back off for longer than we're willing to wait, so give up now
+                    break;
+                }
+
+                delay = Math.max(delay, retryAfter);
+            }
+
+            await wait(delay, signal); // eslint-disable-line no-await-in-loop
+        }
+
+        // Not every implementation of fetch supports cancellation, so make sure that we don't return stale results
+        if (signal && signal.aborted) {
+            throw new ClientError(this.getUrl(), {message: 'Request aborted', aborted: true, method, url});
+        }
+
         const headers = parseAndMergeNestedHeaders(response.headers);
 
         let data;
         try {
-            data = await response.json();
+            // Some endpoints, such as the one for uploading part of a file, reply with no content
+            data = response.status === 204 ? {} : await response.json();
         } catch (err) {
-            throw new ClientError(this.getUrl(), {
+            const ErrorClass = response.ok ? ServerError : getErrorClassForStatus(response.status);
+
+            throw new ErrorClass(this.getUrl(), {
                 message: 'Received invalid response from the server.',
                 intl: {
                     id: 'mobile.request.invalid_response',
                     defaultMessage: 'Received invalid response from the server.',
                 },
+                status_code: response.status,
+                request_id: headers.get(HEADER_X_REQUEST_ID),
+                retry_after: getRetryAfterHeader(headers),
+                method,
                 url,
             });
         }
 
-        if (headers.has(HEADER_X_VERSION_ID) && !headers.get('Cache-Control')) {
-            const serverVersion = headers.get(HEADER_X_VERSION_ID);
-            if (serverVersion && this.serverVersion !== serverVersion) {
-                this.serverVersion = serverVersion;
-            }
-        }
-
-        if (headers.has(HEADER_X_CLUSTER_ID)) {
-            const clusterId = headers.get(HEADER_X_CLUSTER_ID);
-            if (clusterId && this.clusterId !== clusterId) {
-                this.clusterId = clusterId;
-            }
-        }
+        const result = this.interceptors.reduce((res, interceptor) => {
+            return interceptor.onResponse ? interceptor.onResponse(res, request) : res;
+        }, {response, headers, data});
 
-        if (response.ok) {
-            return {
-                response,
-                headers,
-                data,
-            };
+        if (result.response.ok) {
+            return result;
         }
 
-        const msg = data.message || '';
+        const msg = result.data.message || '';
 
         if (this.logToConsole) {
             console.error(msg); // eslint-disable-line no-console
         }
 
-        throw new ClientError(this.getUrl(), {
+        const ErrorClass = getErrorClassForStatus(result.response.status);
+
+        throw new ErrorClass(this.getUrl(), {
             message: msg,
-            server_error_id: data.id,
-            status_code: data.status_code,
+            server_error_id: result.data.id,
+            status_code: result.data.status_code || result.response.status,
+            detailed_error: result.data.detailed_error,
+            request_id: result.data.request_id || result.headers.get(HEADER_X_REQUEST_ID),
+            retry_after: getRetryAfterHeader(result.headers),
+            method,
             url,
         });
     };
@@ -2684,6 +3193,71 @@ export default class Client4 {
     }
 }
 
+// wait resolves after the given delay or as soon as the signal is aborted, whichever comes first, so that a request
+// that's cancelled while waiting to be retried stops straight away. Signals that can't be listened to are only checked
+// once the delay is over.
+function wait(delay, signal) {
+    if (!signal || !signal.addEventListener) {
+        return new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    return new Promise((resolve) => {
+        if (signal.aborted) {
+            resolve();
+            return;
+        }
+
+        let timeout = null;
+        const onAbort = () => {
+            clearTimeout(timeout);
+            resolve();
+        };
+
+        timeout = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+
+        signal.addEventListener('abort', onAbort);
+    });
+}
+
+// getRetryDelay returns how long to wait before making the next attempt using exponential backoff. When jitter is
+// enabled, a random delay of up to that length is used instead so that many clients don't retry in lockstep.
+export function getRetryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+
+    if (policy.jitter) {
+        return Math.floor(Math.random() * delay);
+    }
+
+    return delay;
+}
+
+// parseRetryAfter converts the value of a Retry-After header, which is either a number of seconds or an HTTP date,
+// into a number of milliseconds. Unparseable values are treated as no delay.
+export function parseRetryAfter(value) {
+    const seconds = Number(value);
+    if (value !== '' && !isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return 0;
+}
+
+function getRetryAfterHeader(headers) {
+    if (!headers.has(HEADER_RETRY_AFTER)) {
+        return null;
+    }
+
+    return parseRetryAfter(headers.get(HEADER_RETRY_AFTER));
+}
+
 function parseAndMergeNestedHeaders(originalHeaders) {
     const headers = new Map();
     let nestedHeaders = new Map();
@@ -2709,12 +3283,89 @@ export class ClientError extends Error {
 
         this.message = data.message;
         this.url = data.url;
+        this.method = data.method;
         this.intl = data.intl;
         this.server_error_id = data.server_error_id;
         this.status_code = data.status_code;
+        this.detailed_error = data.detailed_error;
+        this.requestId = data.request_id;
+        this.aborted = Boolean(data.aborted);
+
+        // Whether or not the same request may succeed if it's made again later
+        this.isRetriable = false;
 
         // Ensure message is treated as a property of this class when object spreading. Without this,
         // copying the object by using `{...error}` would not include the message.
         Object.defineProperty(this, 'message', {enumerable: true});
     }
 }
+
+// NetworkError is thrown when the server couldn't be reached
+export class NetworkError extends ClientError {
+    constructor(baseUrl, data) {
+        super(baseUrl, data);
+
+        this.isRetriable = true;
+    }
+}
+
+// TimeoutError is thrown when the server or a proxy in front of it timed out while handling the request
+export class TimeoutError extends ClientError {
+    constructor(baseUrl, data) {
+        super(baseUrl, data);
+
+        this.isRetriable = true;
+    }
+}
+
+// AuthError is thrown when the user's session is missing, invalid or expired
+export class AuthError extends ClientError {}
+
+// PermissionError is thrown when the user isn't allowed to make the request
+export class PermissionError extends ClientError {}
+
+// RateLimitError is thrown when too many requests have been made. retryAfter is the number of milliseconds to wait
+// before trying again if the server provided one.
+export class RateLimitError extends ClientError {
+    constructor(baseUrl, data) {
+        super(baseUrl, data);
+
+        this.isRetriable = true;
+        this.retryAfter = data.retry_after;
+    }
+}
+
+// ValidationError is thrown when the server rejected the contents of the request
+export class ValidationError extends ClientError {}
+
+// ServerError is thrown when the server failed to handle the request or returned an invalid response
+export class ServerError extends ClientError {
+    constructor(baseUrl, data) {
+        super(baseUrl, data);
+
+        this.isRetriable = true;
+    }
+}
+
+export function getErrorClassForStatus(status) {
+    switch (status) {
+    case 400:
+    case 413:
+        return ValidationError;
+    case 401:
+        return AuthError;
+    case 403:
+        return PermissionError;
+    case 408:
+    case 504:
+        return TimeoutError;
+    case 429:
+        return RateLimitError;
+    }
+
+    if (status >= 500) {
+        return ServerError;
+    }
+
+    return ClientError;
+}
@@ -4,7 +4,19 @@
 import assert from 'assert';
 import nock from 'nock';
 
-import {ClientError, HEADER_X_VERSION_ID} from 'client/client4';
+import {createAbortController} from 'actions/helpers';
+import {
+    AuthError,
+    ClientError,
+    HEADER_X_VERSION_ID,
+    NetworkError,
+    PermissionError,
+    RateLimitError,
+    ServerError,
+    ValidationError,
+    getRetryDelay,
+    parseRetryAfter,
+} from 'client/client4';
 import TestHelper from 'test/test_helper';
 import {isMinimumServerVersion} from 'utils/helpers';
 
@@ -45,6 +57,705 @@ describe('Client4', () => {
             assert.equal(isMinimumServerVersion(client.serverVersion, 5, 0, 0), true);
             assert.equal(isMinimumServerVersion(client.serverVersion, 5, 1, 0), true);
         });
+
+        it('should retry GET requests that fail with a retriable status', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({baseDelay: 0});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(503, {message: 'Unavailable', status_code: 503});
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            const user = await client.getMe();
+
+            assert.equal(user.id, 'user1');
+            assert.ok(nock.isDone());
+        });
+
+        it('should retry GET requests that fail to reach the server', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({baseDelay: 0});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                replyWithError('socket hang up');
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            const user = await client.getMe();
+
+            assert.equal(user.id, 'user1');
+        });
+
+        it('should stop retrying after maxAttempts', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({baseDelay: 0, maxAttempts: 2});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                times(2).
+                reply(500, {message: 'Internal error', status_code: 500});
+
+            try {
+                await client.getMe();
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof ClientError);
+                assert.equal(error.status_code, 500);
+            }
+
+            assert.ok(nock.isDone());
+        });
+
+        it('should throw errors based on the response status', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({maxAttempts: 1});
+
+            const cases = [
+                [400, ValidationError, false],
+                [401, AuthError, false],
+                [403, PermissionError, false],
+                [429, RateLimitError, true],
+                [500, ServerError, true],
+            ];
+
+            for (const [status, ErrorClass, isRetriable] of cases) {
+                nock(client.getBaseRoute()).
+                    get('/users/me').
+                    reply(status, {message: 'Failed', status_code: status, id: 'api.error', detailed_error: 'details', request_id: 'request1'});
+
+                try {
+                    await client.getMe(); // eslint-disable-line no-await-in-loop
+                    assert.fail('should have thrown');
+                } catch (error) {
+                    assert.ok(error instanceof ErrorClass);
+                    assert.ok(error instanceof ClientError);
+                    assert.equal(error.status_code, status);
+                    assert.equal(error.isRetriable, isRetriable);
+                    assert.equal(error.method, 'get');
+                    assert.equal(error.detailed_error, 'details');
+                    assert.equal(error.requestId, 'request1');
+                    assert.equal(error.server_error_id, 'api.error');
+                }
+            }
+        });
+
+        it('should include the Retry-After header in a RateLimitError', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({maxAttempts: 1});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(429, {message: 'Too many requests', status_code: 429}, {'Retry-After': '2', 'X-Request-Id': 'request1'});
+
+            try {
+                await client.getMe();
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof RateLimitError);
+                assert.equal(error.retryAfter, 2000);
+                assert.equal(error.requestId, 'request1');
+            }
+        });
+
+        it('should throw a ClientError when the server cannot be reached', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({maxAttempts: 1});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                replyWithError('socket hang up');
+
+            try {
+                await client.getMe();
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof NetworkError);
+                assert.equal(error.isRetriable, true);
+                assert.equal(error.message, client.translations.connectionError);
+            }
+        });
+
+        it('should not retry non-idempotent requests', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({baseDelay: 0});
+
+            const scope = nock(client.getBaseRoute()).
+                post('/posts').
+                reply(503, {message: 'Unavailable', status_code: 503});
+            const retryScope = nock(client.getBaseRoute()).
+                post('/posts').
+                reply(201, {id: 'post1'});
+
+            try {
+                await client.createPost({channel_id: 'channel1', message: 'test'});
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.status_code, 503);
+            }
+
+            assert.ok(scope.isDone());
+            assert.ok(!retryScope.isDone());
+            nock.cleanAll();
+        });
+
+        it('should give up when Retry-After is longer than maxDelay', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({baseDelay: 0, maxDelay: 1000});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(429, {message: 'Too many requests', status_code: 429}, {'Retry-After': '60'});
+            const retryScope = nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            try {
+                await client.getMe();
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.status_code, 429);
+            }
+
+            assert.ok(!retryScope.isDone());
+            nock.cleanAll();
+        });
+    });
+
+    describe('deduplication', () => {
+        it('should share the response of identical GET requests', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/channels/channel1').
+                once().
+                reply(200, {id: 'channel1'});
+
+            const [first, second] = await Promise.all([
+                client.getChannel('channel1'),
+                client.getChannel('channel1'),
+            ]);
+
+            assert.deepEqual(first, {id: 'channel1'});
+            assert.equal(first, second);
+            assert.deepEqual(client.getDedupeStats(), {requests: 2, deduplicated: 1, inFlight: 0});
+        });
+
+        it('should not share responses between users', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                times(2).
+                reply(200, {id: 'user1'});
+
+            client.setToken('token1');
+            const first = client.getMe();
+            client.setToken('token2');
+            const second = client.getMe();
+
+            await Promise.all([first, second]);
+
+            assert.equal(client.getDedupeStats().deduplicated, 0);
+            assert.ok(nock.isDone());
+        });
+
+        it('should not share responses for excluded routes', async () => {
+            const client = TestHelper.createClient4();
+            client.setDedupePolicy({exclude: [/\/channels\//]});
+
+            nock(client.getBaseRoute()).
+                get('/channels/channel1').
+                times(2).
+                reply(200, {id: 'channel1'});
+
+            await Promise.all([
+                client.getChannel('channel1'),
+                client.getChannel('channel1'),
+            ]);
+
+            assert.equal(client.getDedupeStats().deduplicated, 0);
+            assert.ok(nock.isDone());
+        });
+
+        it('should not share responses of other requests', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                post('/users/ids').
+                times(2).
+                reply(200, []);
+
+            await Promise.all([
+                client.getProfilesByIds(['user1']),
+                client.getProfilesByIds(['user1']),
+            ]);
+
+            assert.equal(client.getDedupeStats().requests, 0);
+            assert.ok(nock.isDone());
+        });
+    });
+
+    describe('batched requests', () => {
+        it('should combine concurrent requests for profiles', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                post('/users/ids', ['user1', 'user2', 'user3']).
+                reply(200, [{id: 'user3'}, {id: 'user1'}]);
+
+            const [first, second] = await Promise.all([
+                client.getProfilesByIdsBatched(['user1', 'user2']),
+                client.getProfilesByIdsBatched(['user2', 'user3']),
+            ]);
+
+            assert.deepEqual(first, [{id: 'user1'}]);
+            assert.deepEqual(second, [{id: 'user3'}]);
+            assert.ok(nock.isDone());
+        });
+
+        it('should combine concurrent requests for custom emojis', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getEmojisRoute()).
+                post('/names', ['emoji1', 'emoji2']).
+                reply(200, [{id: 'id2', name: 'emoji2'}]);
+
+            const [first, second] = await Promise.all([
+                client.getCustomEmojiByNameBatched('emoji1'),
+                client.getCustomEmojiByNameBatched('emoji2'),
+            ]);
+
+            assert.equal(first, null);
+            assert.deepEqual(second, {id: 'id2', name: 'emoji2'});
+            assert.ok(nock.isDone());
+        });
+    });
+
+    describe('interceptors', () => {
+        it('should allow requests to be modified', async () => {
+            const client = TestHelper.createClient4();
+            client.setToken('token');
+
+            client.addInterceptor({
+                onRequest: (request) => ({
+                    ...request,
+                    options: {
+                        ...request.options,
+                        headers: {...request.options.headers, 'X-Trace-Id': 'trace1'},
+                    },
+                }),
+            });
+
+            nock(client.getBaseRoute(), {
+                reqheaders: {
+                    Authorization: 'BEARER token',
+                    'X-Trace-Id': 'trace1',
+                },
+            }).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            const user = await client.getMe();
+
+            assert.equal(user.id, 'user1');
+            assert.equal(client.getOptions({method: 'get'}).headers['X-Trace-Id'], 'trace1');
+        });
+
+        it('should call onResponse and onError with the request', async () => {
+            const client = TestHelper.createClient4();
+
+            const responses = [];
+            const errors = [];
+            client.addInterceptor({
+                onResponse: (result, request) => {
+                    responses.push([result.response.status, request.url]);
+                    return result;
+                },
+                onError: (error, request) => {
+                    errors.push([error.status_code, request.url]);
+                    return error;
+                },
+            });
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+            nock(client.getBaseRoute()).
+                get('/users/user2').
+                reply(404, {message: 'Not found', status_code: 404});
+
+            await client.getMe();
+
+            try {
+                await client.getUser('user2');
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.status_code, 404);
+            }
+
+            assert.deepEqual(responses, [
+                [200, client.getUserRoute('me')],
+                [404, client.getUserRoute('user2')],
+            ]);
+            assert.deepEqual(errors, [
+                [404, client.getUserRoute('user2')],
+            ]);
+        });
+
+        it('should allow interceptors to be removed', async () => {
+            const client = TestHelper.createClient4();
+
+            const onRequest = jest.fn((request) => request);
+            const remove = client.addInterceptor({onRequest});
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                times(2).
+                reply(200, {id: 'user1'});
+
+            await client.getMe();
+            remove();
+            await client.getMe();
+
+            expect(onRequest).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('withSignal', () => {
+        it('should not return the response of an aborted request', async () => {
+            const client = TestHelper.createClient4();
+            const signal = {aborted: false};
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            const promise = client.withSignal(signal, () => client.getMe());
+            signal.aborted = true;
+
+            try {
+                await promise;
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof ClientError);
+                assert.equal(error.aborted, true);
+            }
+        });
+
+        it('should not make requests that were aborted before starting', async () => {
+            const client = TestHelper.createClient4();
+
+            const scope = nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            try {
+                await client.withSignal({aborted: true}, () => client.getMe());
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.aborted, true);
+            }
+
+            assert.ok(!scope.isDone());
+            nock.cleanAll();
+        });
+
+        it('should stop waiting to retry a request once aborted', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({baseDelay: 10000, jitter: false});
+            const controller = createAbortController();
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(503, {message: 'Unavailable', status_code: 503});
+
+            const start = Date.now();
+            const promise = client.withSignal(controller.signal, () => client.getMe());
+            setTimeout(() => controller.abort(), 50);
+
+            try {
+                await promise;
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.aborted, true);
+            }
+
+            assert.ok(Date.now() - start < 1000);
+        });
+
+        it('should only apply to requests started by the function', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/users/me').
+                reply(200, {id: 'user1'});
+
+            client.withSignal({aborted: true}, () => null);
+
+            const user = await client.getMe();
+
+            assert.equal(user.id, 'user1');
+        });
+    });
+
+    describe('paginate', () => {
+        async function collect(iterator) {
+            const pages = [];
+            for await (const page of iterator) {
+                pages.push(page);
+            }
+            return pages;
+        }
+
+        it('should request pages until one is not full', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/emoji').
+                query({page: 0, per_page: 2, sort: 'name'}).
+                reply(200, [{id: 'emoji1'}, {id: 'emoji2'}]).
+                get('/emoji').
+                query({page: 1, per_page: 2, sort: 'name'}).
+                reply(200, [{id: 'emoji3'}]);
+
+            const pages = await collect(client.paginate('getCustomEmojis', ['name'], {perPage: 2}));
+
+            assert.deepEqual(pages, [[{id: 'emoji1'}, {id: 'emoji2'}], [{id: 'emoji3'}]]);
+            assert.ok(nock.isDone());
+        });
+
+        it('should pass the arguments around page and perPage', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/users').
+                query({not_in_channel: 'channel1', in_team: 'team1', page: 0, per_page: 2}).
+                reply(200, [{id: 'user1'}]);
+
+            const pages = await collect(client.paginate('getProfilesNotInChannel', ['team1', 'channel1'], {perPage: 2}));
+
+            assert.deepEqual(pages, [[{id: 'user1'}]]);
+            assert.ok(nock.isDone());
+        });
+
+        it('should stop after maxPages or when stopWhen returns true', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/teams').
+                query({page: 3, per_page: 1}).
+                reply(200, [{id: 'team1'}]).
+                get('/teams').
+                query({page: 4, per_page: 1}).
+                reply(200, [{id: 'team2'}]);
+
+            let pages = await collect(client.paginate('getTeams', [], {perPage: 1, startPage: 3, maxPages: 2}));
+            assert.deepEqual(pages, [[{id: 'team1'}], [{id: 'team2'}]]);
+            assert.ok(nock.isDone());
+
+            nock(client.getBaseRoute()).
+                get('/teams').
+                query({page: 0, per_page: 1}).
+                reply(200, [{id: 'team1'}]);
+
+            pages = await collect(client.paginate('getTeams', [], {perPage: 1, stopWhen: (items) => items[0].id === 'team1'}));
+            assert.deepEqual(pages, [[{id: 'team1'}]]);
+            assert.ok(nock.isDone());
+        });
+
+        it('should request multiple pages at once and return them in order', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/jobs').
+                query({page: 0, per_page: 1}).
+                delay(50).
+                reply(200, [{id: 'job1'}]).
+                get('/jobs').
+                query({page: 1, per_page: 1}).
+                reply(200, [{id: 'job2'}]).
+                get('/jobs').
+                query({page: 2, per_page: 1}).
+                reply(200, []);
+
+            const pages = await collect(client.paginate('getJobs', [], {perPage: 1, concurrency: 3}));
+
+            assert.deepEqual(pages, [[{id: 'job1'}], [{id: 'job2'}], []]);
+            assert.ok(nock.isDone());
+        });
+
+        it('should throw if a page fails', async () => {
+            const client = TestHelper.createClient4();
+            client.setRetryPolicy({maxAttempts: 1});
+
+            nock(client.getBaseRoute()).
+                get('/teams').
+                query({page: 0, per_page: 1}).
+                reply(200, [{id: 'team1'}]).
+                get('/teams').
+                query({page: 1, per_page: 1}).
+                reply(403, {message: 'forbidden'});
+
+            const pages = [];
+            try {
+                for await (const page of client.paginate('getTeams', [], {perPage: 1})) {
+                    pages.push(page);
+                }
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.status_code, 403);
+            }
+
+            assert.deepEqual(pages, [[{id: 'team1'}]]);
+        });
+
+        it('should only accept paginated methods', () => {
+            const client = TestHelper.createClient4();
+
+            assert.throws(() => client.paginate('getMe'));
+        });
+    });
+
+    describe('uploadFileInChunks', () => {
+        it('should upload a file in pieces', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                post('/uploads', {channel_id: 'channel1', filename: 'test.txt', file_size: 5}).
+                reply(201, {id: 'upload1', file_size: 5, file_offset: 0}).
+                post('/uploads/upload1', 'ab').
+                reply(204).
+                post('/uploads/upload1', 'cd').
+                reply(204).
+                post('/uploads/upload1', 'e').
+                reply(201, {id: 'file1', name: 'test.txt'});
+
+            const progress = [];
+            const fileInfo = await client.uploadFileInChunks(Buffer.from('abcde'), {
+                channelId: 'channel1',
+                filename: 'test.txt',
+                chunkSize: 2,
+                onProgress: (loaded, total) => progress.push([loaded, total]),
+            });
+
+            assert.deepEqual(fileInfo, {id: 'file1', name: 'test.txt'});
+            assert.deepEqual(progress, [[0, 5], [2, 5], [4, 5], [5, 5]]);
+            assert.ok(nock.isDone());
+        });
+
+        it('should resume from the offset reported by the server', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/uploads/upload1').
+                reply(200, {id: 'upload1', file_size: 5, file_offset: 3}).
+                post('/uploads/upload1', 'de').
+                reply(201, {id: 'file1', name: 'test.txt'});
+
+            let sessionId = null;
+            const fileInfo = await client.uploadFileInChunks(Buffer.from('abcde'), {
+                uploadId: 'upload1',
+                chunkSize: 2,
+                onSession: (session) => {
+                    sessionId = session.id;
+                },
+            });
+
+            assert.equal(sessionId, 'upload1');
+            assert.deepEqual(fileInfo, {id: 'file1', name: 'test.txt'});
+            assert.ok(nock.isDone());
+        });
+
+        it('should fail if the server never finishes the file', async () => {
+            const client = TestHelper.createClient4();
+
+            nock(client.getBaseRoute()).
+                get('/uploads/upload1').
+                reply(200, {id: 'upload1', file_size: 5, file_offset: 3}).
+                post('/uploads/upload1', 'de').
+                reply(204);
+
+            try {
+                await client.uploadFileInChunks(Buffer.from('abcde'), {uploadId: 'upload1'});
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.message, 'The server did not finish receiving the file.');
+            }
+        });
+
+        it('should stop once aborted', async () => {
+            const client = TestHelper.createClient4();
+            const signal = {aborted: false};
+
+            nock(client.getBaseRoute()).
+                post('/uploads').
+                reply(201, {id: 'upload1', file_size: 4, file_offset: 0}).
+                post('/uploads/upload1', 'ab').
+                reply(204);
+
+            try {
+                await client.uploadFileInChunks(Buffer.from('abcd'), {
+                    channelId: 'channel1',
+                    filename: 'test.txt',
+                    chunkSize: 2,
+                    signal,
+                    onProgress: (loaded) => {
+                        if (loaded === 2) {
+                            signal.aborted = true;
+                        }
+                    },
+                });
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.aborted, true);
+            }
+
+            assert.ok(nock.isDone());
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        const policy = {baseDelay: 100, maxDelay: 1000, factor: 2, jitter: false};
+
+        it('should back off exponentially', () => {
+            assert.equal(getRetryDelay(policy, 1), 100);
+            assert.equal(getRetryDelay(policy, 2), 200);
+            assert.equal(getRetryDelay(policy, 3), 400);
+        });
+
+        it('should not exceed maxDelay', () => {
+            assert.equal(getRetryDelay(policy, 10), 1000);
+        });
+
+        it('should randomize the delay when jitter is enabled', () => {
+            for (let i = 0; i < 10; i++) {
+                const delay = getRetryDelay({...policy, jitter: true}, 3);
+
+                assert.ok(delay >= 0 && delay < 400);
+            }
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('should parse a number of seconds', () => {
+            assert.equal(parseRetryAfter('5'), 5000);
+        });
+
+        it('should parse an HTTP date', () => {
+            const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+
+            assert.ok(delay > 8000 && delay <= 10000);
+        });
+
+        it('should treat invalid values as no delay', () => {
+            assert.equal(parseRetryAfter(''), 0);
+            assert.equal(parseRetryAfter('soon'), 0);
+        });
     });
 });
 
@@ -58,6 +769,9 @@ describe('ClientError', () => {
             },
             server_error_id: 'test.app_error',
             status_code: 418,
+            detailed_error: 'Some details',
+            request_id: 'request1',
+            method: 'get',
             url: 'https://example.com/api/v4/error',
         });
 
@@ -68,5 +782,9 @@ describe('ClientError', () => {
         assert.strictEqual(copy.server_error_id, error.server_error_id);
         assert.strictEqual(copy.status_code, error.status_code);
         assert.strictEqual(copy.url, error.url);
+        assert.strictEqual(copy.detailed_error, error.detailed_error);
+        assert.strictEqual(copy.requestId, error.requestId);
+        assert.strictEqual(copy.method, error.method);
+        assert.strictEqual(copy.isRetriable, error.isRetriable);
     });
 });
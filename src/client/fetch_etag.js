@@ -1,38 +1,231 @@
 // Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
 // See LICENSE.txt for license information.
 
-const data = {};
-const etags = {};
+import DelayedAction from 'utils/delayed_action';
 
-export default (url = null, options = {headers: {}}) => {
-    url = url || options.url; // eslint-disable-line no-param-reassign
+const HEADER_ETAG = 'Etag';
+const HEADER_IF_NONE_MATCH = 'If-None-Match';
 
-    if (options.method === 'GET' || !options.method) {
-        const etag = etags[url];
-        const cachedResponse = data[`${url}${etag}`]; // ensure etag is for url
-        if (etag) {
-            options.headers['If-None-Match'] = etag;
+const DEFAULT_OPTIONS = {
+
+    // The maximum number of responses to keep for each user
+    maxEntries: 500,
+
+    // The maximum total length of the response bodies to keep for each user
+    maxSize: 5 * 1024 * 1024,
+
+    // An optional object used to persist the cache with the same interface as React Native's AsyncStorage. Its
+    // getItem, setItem and removeItem methods may return either a value or a promise.
+    storage: null,
+    storagePrefix: '@mm-etag-cache:',
+
+    // How long to wait after the cache is modified before writing it to storage
+    persistDelay: 1000,
+};
+
+// EtagCache stores the responses to GET requests which were returned with an ETag so that they can be reused when
+// the server replies to a subsequent request for the same URL with a 304 Not Modified. The responses are kept
+// separately for each user, and the least recently used ones are discarded once the cache is full.
+export default class EtagCache {
+    constructor(options = {}) {
+        this.options = {...DEFAULT_OPTIONS, ...options};
+
+        this.partition = '';
+        this.entries = new Map();
+        this.size = 0;
+        this.loading = null;
+        this.dirty = false;
+
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+
+        this.persistAction = new DelayedAction(this.persist);
+    }
+
+    setOptions(options) {
+        this.options = {...this.options, ...options};
+
+        this.loading = null;
+        this.evict();
+    }
+
+    // setPartition switches the cache to the responses of the given user. The current user's responses are
+    // dropped from memory, but remain in storage.
+    setPartition(partition) {
+        if (partition === this.partition) {
+            return;
+        }
+
+        this.flush();
+
+        this.partition = partition;
+        this.entries = new Map();
+        this.size = 0;
+        this.loading = null;
+    }
+
+    // clear removes the current user's responses from both memory and storage
+    clear() {
+        this.persistAction.cancel();
+        this.dirty = false;
+
+        this.entries = new Map();
+        this.size = 0;
+
+        const {storage} = this.options;
+        if (storage) {
+            this.loading = Promise.resolve(storage.removeItem(this.getStorageKey())).catch(() => null);
+        }
+    }
+
+    getStats() {
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            entries: this.entries.size,
+            size: this.size,
+        };
+    }
+
+    fetch = async (url, options = {headers: {}}) => {
+        if (options.method && options.method.toLowerCase() !== 'get') {
+            return fetch(url, options);
+        }
+
+        await this.load();
+
+        const entry = this.entries.get(url);
+
+        let requestOptions = options;
+        if (entry) {
+            requestOptions = {
+                ...options,
+                headers: {
+                    ...options.headers,
+                    [HEADER_IF_NONE_MATCH]: entry.etag,
+                },
+            };
+        }
+
+        const response = await fetch(url, requestOptions);
+
+        if (response.status === 304 && entry) {
+            this.hits += 1;
+
+            // Mark the entry as the most recently used
+            this.entries.delete(url);
+            this.entries.set(url, entry);
+
+            return new Response(entry.body, {status: 200, headers: entry.headers});
         }
 
-        return fetch(url, options).
-            then((response) => {
-                if (response.status === 304) {
-                    return cachedResponse.clone();
+        this.misses += 1;
+
+        const etag = response.headers.get(HEADER_ETAG);
+        if (response.status !== 200 || !etag) {
+            return response;
+        }
+
+        // Read the body now instead of cloning the response since some implementations of clone can stall when
+        // one copy of a large response is read before the other
+        const body = await response.text();
+
+        const headers = [];
+        response.headers.forEach((value, key) => {
+            headers.push([key, value]);
+        });
+
+        this.set(url, {etag, body, headers});
+
+        return new Response(body, {status: response.status, statusText: response.statusText, headers});
+    };
+
+    set(url, entry) {
+        this.remove(url);
+
+        this.entries.set(url, entry);
+        this.size += entry.body.length;
+
+        this.evict();
+
+        this.dirty = true;
+        this.persistAction.fireAfter(this.options.persistDelay);
+    }
+
+    remove(url) {
+        const entry = this.entries.get(url);
+
+        if (entry) {
+            this.entries.delete(url);
+            this.size -= entry.body.length;
+        }
+    }
+
+    evict() {
+        const {maxEntries, maxSize} = this.options;
+
+        // Maps iterate in insertion order, so the first key is always the least recently used one
+        while (this.entries.size > 0 && (this.entries.size > maxEntries || this.size > maxSize)) {
+            this.remove(this.entries.keys().next().value);
+            this.evictions += 1;
+        }
+    }
+
+    getStorageKey(partition = this.partition) {
+        return `${this.options.storagePrefix}${partition}`;
+    }
+
+    load() {
+        const {storage} = this.options;
+        if (!storage) {
+            return Promise.resolve();
+        }
+
+        if (!this.loading) {
+            const partition = this.partition;
+
+            this.loading = Promise.resolve(storage.getItem(this.getStorageKey(partition))).then((value) => {
+                if (!value || partition !== this.partition) {
+                    return;
                 }
 
-                if (response.status === 200) {
-                    const responseEtag = response.headers.get('Etag');
+                // Anything received since we started loading is newer than what was stored
+                const stored = JSON.parse(value);
+                const current = this.entries;
 
-                    if (responseEtag) {
-                        data[`${url}${responseEtag}`] = response.clone();
-                        etags[url] = responseEtag;
-                    }
+                this.entries = new Map();
+                this.size = 0;
+
+                for (const [url, entry] of [...stored, ...current]) {
+                    this.remove(url);
+                    this.entries.set(url, entry);
+                    this.size += entry.body.length;
                 }
 
-                return response;
-            });
+                this.evict();
+            }).catch(() => null);
+        }
+
+        return this.loading;
     }
 
-    // all other requests go straight to fetch
-    return Reflect.apply(fetch, undefined, [url, options]); //eslint-disable-line no-undefined
-};
+    persist = () => {
+        const {storage} = this.options;
+        if (!storage) {
+            return Promise.resolve();
+        }
+
+        this.dirty = false;
+
+        return Promise.resolve(storage.setItem(this.getStorageKey(), JSON.stringify([...this.entries]))).catch(() => null);
+    };
+
+    flush() {
+        if (this.dirty) {
+            this.persistAction.cancel();
+            this.persist();
+        }
+    }
+}
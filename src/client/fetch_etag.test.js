@@ -0,0 +1,161 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+import nock from 'nock';
+
+import EtagCache from 'client/fetch_etag';
+
+const SERVER = 'http://localhost:8065';
+
+class MemoryStorage {
+    constructor() {
+        this.items = {};
+    }
+
+    getItem(key) {
+        return Promise.resolve(this.items[key]);
+    }
+
+    setItem(key, value) {
+        this.items[key] = value;
+        return Promise.resolve();
+    }
+
+    removeItem(key) {
+        Reflect.deleteProperty(this.items, key);
+        return Promise.resolve();
+    }
+}
+
+describe('EtagCache', () => {
+    beforeAll(() => {
+        if (!nock.isActive()) {
+            nock.activate();
+        }
+    });
+
+    afterEach(() => {
+        nock.cleanAll();
+    });
+
+    afterAll(() => {
+        nock.restore();
+    });
+
+    function mockEtagResponse(path, etag, body) {
+        nock(SERVER).
+            get(path).
+            reply(200, body, {Etag: etag});
+
+        nock(SERVER, {reqheaders: {'If-None-Match': etag}}).
+            get(path).
+            reply(304);
+    }
+
+    it('should return the cached response when the server replies with a 304', async () => {
+        const cache = new EtagCache();
+        mockEtagResponse('/api/v4/users/me', 'etag1', {id: 'user1'});
+
+        const first = await cache.fetch(`${SERVER}/api/v4/users/me`, {method: 'get', headers: {}});
+        assert.deepEqual(await first.json(), {id: 'user1'});
+
+        const second = await cache.fetch(`${SERVER}/api/v4/users/me`, {method: 'get', headers: {}});
+        assert.equal(second.status, 200);
+        assert.deepEqual(await second.json(), {id: 'user1'});
+
+        assert.deepEqual(cache.getStats(), {
+            hits: 1,
+            misses: 1,
+            evictions: 0,
+            entries: 1,
+            size: JSON.stringify({id: 'user1'}).length,
+        });
+    });
+
+    it('should not cache other requests', async () => {
+        const cache = new EtagCache();
+
+        nock(SERVER).
+            post('/api/v4/posts').
+            reply(201, {id: 'post1'}, {Etag: 'etag1'});
+
+        await cache.fetch(`${SERVER}/api/v4/posts`, {method: 'post', headers: {}});
+
+        assert.equal(cache.getStats().entries, 0);
+    });
+
+    it('should evict the least recently used responses', async () => {
+        const cache = new EtagCache({maxEntries: 2});
+
+        mockEtagResponse('/a', 'etag-a', {id: 'a'});
+        mockEtagResponse('/b', 'etag-b', {id: 'b'});
+        mockEtagResponse('/c', 'etag-c', {id: 'c'});
+
+        await cache.fetch(`${SERVER}/a`);
+        await cache.fetch(`${SERVER}/b`);
+        await cache.fetch(`${SERVER}/a`);
+        await cache.fetch(`${SERVER}/c`);
+
+        assert.deepEqual([...cache.entries.keys()], [`${SERVER}/a`, `${SERVER}/c`]);
+        assert.equal(cache.getStats().evictions, 1);
+    });
+
+    it('should evict responses once the maximum size is exceeded', async () => {
+        const cache = new EtagCache({maxSize: 20});
+
+        mockEtagResponse('/a', 'etag-a', {id: 'aaaaaaaaaa'});
+        mockEtagResponse('/b', 'etag-b', {id: 'bbbbbbbbbb'});
+
+        await cache.fetch(`${SERVER}/a`);
+        await cache.fetch(`${SERVER}/b`);
+
+        assert.deepEqual([...cache.entries.keys()], [`${SERVER}/b`]);
+    });
+
+    it('should keep responses separately for each user', async () => {
+        const cache = new EtagCache();
+        cache.setPartition('user1');
+
+        mockEtagResponse('/a', 'etag-a', {id: 'a'});
+        await cache.fetch(`${SERVER}/a`);
+
+        cache.setPartition('user2');
+
+        assert.equal(cache.getStats().entries, 0);
+    });
+
+    it('should persist responses to storage', async () => {
+        const storage = new MemoryStorage();
+        const cache = new EtagCache({storage, persistDelay: 0});
+        cache.setPartition('user1');
+
+        mockEtagResponse('/a', 'etag-a', {id: 'a'});
+        await cache.fetch(`${SERVER}/a`);
+        cache.flush();
+
+        const restored = new EtagCache({storage});
+        restored.setPartition('user1');
+
+        const response = await restored.fetch(`${SERVER}/a`);
+
+        assert.deepEqual(await response.json(), {id: 'a'});
+        assert.equal(restored.getStats().hits, 1);
+    });
+
+    it('should remove responses from storage when cleared', async () => {
+        const storage = new MemoryStorage();
+        const cache = new EtagCache({storage});
+        cache.setPartition('user1');
+
+        mockEtagResponse('/a', 'etag-a', {id: 'a'});
+        await cache.fetch(`${SERVER}/a`);
+        cache.flush();
+
+        cache.clear();
+        await cache.load();
+
+        assert.equal(cache.getStats().entries, 0);
+        assert.deepEqual(storage.items, {});
+    });
+});
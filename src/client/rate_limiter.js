@@ -0,0 +1,131 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+export const HEADER_X_RATELIMIT_LIMIT = 'X-Ratelimit-Limit';
+export const HEADER_X_RATELIMIT_REMAINING = 'X-Ratelimit-Remaining';
+export const HEADER_X_RATELIMIT_RESET = 'X-Ratelimit-Reset';
+
+// RateLimiter keeps track of the rate limit reported by the server and delays requests that would exceed it until
+// the server's rate limit window resets. Requests are let through in the order that they were made.
+export default class RateLimiter {
+    constructor() {
+        this.enabled = true;
+
+        // These are null until the server has told us about its rate limit
+        this.limit = null;
+        this.remaining = null;
+        this.resetAt = 0;
+
+        this.throttled = false;
+        this.listeners = [];
+
+        this.queue = Promise.resolve();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    // addListener adds a function that's called with whether or not requests are being delayed and, if they are,
+    // the time at which they'll resume. It returns a function that removes the listener again.
+    addListener(listener) {
+        this.listeners = [...this.listeners, listener];
+
+        return () => this.removeListener(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter((l) => l !== listener);
+    }
+
+    getState() {
+        return {
+            limit: this.limit,
+            remaining: this.remaining,
+            resetAt: this.resetAt,
+            throttled: this.throttled,
+        };
+    }
+
+    // update reads the rate limit headers from a response
+    update(headers) {
+        if (!headers.has(HEADER_X_RATELIMIT_REMAINING)) {
+            return;
+        }
+
+        const remaining = parseInt(headers.get(HEADER_X_RATELIMIT_REMAINING), 10);
+        if (isNaN(remaining)) {
+            return;
+        }
+
+        const limit = parseInt(headers.get(HEADER_X_RATELIMIT_LIMIT), 10);
+        if (!isNaN(limit)) {
+            this.limit = limit;
+        }
+
+        // Responses may arrive out of order, so don't let an older one give us back requests that we've used
+        if (this.remaining === null || Date.now() >= this.resetAt || remaining < this.remaining) {
+            this.remaining = remaining;
+        }
+
+        // The server reports the number of seconds until the window resets
+        const reset = parseInt(headers.get(HEADER_X_RATELIMIT_RESET), 10);
+        if (!isNaN(reset)) {
+            this.resetAt = Date.now() + (reset * 1000);
+        }
+    }
+
+    // retryAfter is called when the server rejected a request for exceeding the rate limit
+    retryAfter(delay) {
+        this.remaining = 0;
+        this.resetAt = Math.max(this.resetAt, Date.now() + delay);
+    }
+
+    // acquire returns a promise that resolves once a request can be sent without exceeding the rate limit
+    acquire() {
+        if (!this.enabled) {
+            return Promise.resolve();
+        }
+
+        const next = this.queue.then(this.waitForCapacity);
+        this.queue = next;
+
+        return next;
+    }
+
+    waitForCapacity = async () => {
+        while (this.remaining !== null && this.remaining <= 0 && Date.now() < this.resetAt) {
+            this.setThrottled(true);
+
+            await wait(this.resetAt - Date.now()); // eslint-disable-line no-await-in-loop
+        }
+
+        if (this.remaining !== null && Date.now() >= this.resetAt) {
+            // The window has reset, so assume that we have the full limit again until the server tells us otherwise
+            this.remaining = this.limit;
+        }
+
+        if (this.remaining !== null) {
+            this.remaining -= 1;
+        }
+
+        this.setThrottled(false);
+    };
+
+    setThrottled(throttled) {
+        if (throttled === this.throttled) {
+            return;
+        }
+
+        this.throttled = throttled;
+
+        const resetAt = throttled ? this.resetAt : 0;
+        for (const listener of this.listeners) {
+            listener(throttled, resetAt);
+        }
+    }
+}
+
+function wait(delay) {
+    return new Promise((resolve) => setTimeout(resolve, delay));
+}
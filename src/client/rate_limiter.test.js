@@ -0,0 +1,102 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import RateLimiter from 'client/rate_limiter';
+
+describe('RateLimiter', () => {
+    function rateLimitHeaders(limit, remaining, reset) {
+        return new Map([
+            ['X-Ratelimit-Limit', String(limit)],
+            ['X-Ratelimit-Remaining', String(remaining)],
+            ['X-Ratelimit-Reset', String(reset)],
+        ]);
+    }
+
+    it('should read the rate limit headers', () => {
+        const limiter = new RateLimiter();
+        const now = Date.now();
+
+        limiter.update(rateLimitHeaders(10, 5, 2));
+
+        const state = limiter.getState();
+        assert.equal(state.limit, 10);
+        assert.equal(state.remaining, 5);
+        assert.ok(state.resetAt >= now + 2000);
+        assert.equal(state.throttled, false);
+    });
+
+    it('should ignore responses without rate limit headers', () => {
+        const limiter = new RateLimiter();
+
+        limiter.update(new Map());
+
+        assert.equal(limiter.getState().remaining, null);
+    });
+
+    it('should count requests made before the server responds', async () => {
+        const limiter = new RateLimiter();
+        limiter.update(rateLimitHeaders(10, 5, 60));
+
+        await Promise.all([limiter.acquire(), limiter.acquire()]);
+
+        assert.equal(limiter.getState().remaining, 3);
+
+        // An older response shouldn't increase the number of remaining requests
+        limiter.update(rateLimitHeaders(10, 4, 60));
+
+        assert.equal(limiter.getState().remaining, 3);
+    });
+
+    it('should delay requests until the rate limit resets', async () => {
+        const limiter = new RateLimiter();
+        const listener = jest.fn();
+        limiter.addListener(listener);
+
+        limiter.update(rateLimitHeaders(10, 5, 60));
+        limiter.retryAfter(50);
+        limiter.resetAt = Date.now() + 50;
+
+        const start = Date.now();
+        await limiter.acquire();
+
+        assert.ok(Date.now() - start >= 40);
+        assert.equal(limiter.getState().remaining, 9);
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[0][0]).toBe(true);
+        expect(listener.mock.calls[1]).toEqual([false, 0]);
+    });
+
+    it('should notify each listener until it is removed', () => {
+        const limiter = new RateLimiter();
+        const first = jest.fn();
+        const second = jest.fn();
+        const removeFirst = limiter.addListener(first);
+        limiter.addListener(second);
+
+        limiter.setThrottled(true);
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenCalledTimes(1);
+
+        removeFirst();
+        limiter.setThrottled(false);
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenCalledTimes(2);
+        expect(second.mock.calls[1]).toEqual([false, 0]);
+    });
+
+    it('should not delay requests when disabled', async () => {
+        const limiter = new RateLimiter();
+        limiter.setEnabled(false);
+
+        limiter.update(rateLimitHeaders(10, 0, 60));
+
+        await limiter.acquire();
+
+        assert.equal(limiter.getState().throttled, false);
+    });
+});
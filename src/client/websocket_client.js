@@ -1,18 +1,94 @@
 // Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
 // See LICENSE.txt for license information.
 
+import {getRetryDelay} from './client4';
+
 const MAX_WEBSOCKET_FAILS = 7;
 const MIN_WEBSOCKET_RETRY_TIME = 3000; // 3 sec
 const MAX_WEBSOCKET_RETRY_TIME = 300000; // 5 mins
-
-let Socket;
-
-class WebSocketClient {
-    constructor() {
+const WEBSOCKET_REPLY_TIMEOUT = 10000; // 10 sec
+const WEBSOCKET_QUEUE_TIMEOUT = 30000; // 30 sec
+const MAX_QUEUED_MESSAGES = 100;
+const WEBSOCKET_HEARTBEAT_INTERVAL = 30000; // 30 sec
+const WEBSOCKET_HEARTBEAT_TIMEOUT = 10000; // 10 sec
+
+// The actions for which only the most recent message needs to be sent after reconnecting, mapped to a function that
+// returns what makes messages with that action distinct from each other
+const COALESCED_ACTIONS = {
+    user_typing: (data) => `${data.channel_id}:${data.parent_id}`,
+    get_statuses: () => '',
+};
+
+export const WebSocketStates = {
+    CONNECTING: 'connecting',
+    AUTHENTICATING: 'authenticating',
+    OPEN: 'open',
+    BACKING_OFF: 'backing_off',
+    STOPPED: 'stopped',
+};
+
+// ReconnectStrategies create functions that return how long to wait before each attempt to reconnect, starting from 1
+export const ReconnectStrategies = {
+
+    // linear waits for minDelay until maxFastAttempts attempts have failed, after which it waits longer after each one
+    linear: ({minDelay = MIN_WEBSOCKET_RETRY_TIME, maxDelay = MAX_WEBSOCKET_RETRY_TIME, maxFastAttempts = MAX_WEBSOCKET_FAILS} = {}) => {
+        return (attempt) => (attempt > maxFastAttempts ? Math.min(minDelay * attempt, maxDelay) : minDelay);
+    },
+
+    // exponential doubles the delay after each attempt
+    exponential: ({baseDelay = MIN_WEBSOCKET_RETRY_TIME, maxDelay = MAX_WEBSOCKET_RETRY_TIME, factor = 2} = {}) => {
+        return (attempt) => getRetryDelay({baseDelay, maxDelay, factor, jitter: false}, attempt);
+    },
+
+    // fullJitter waits for a random amount of time up to the delay used by exponential so that clients which were
+    // disconnected at the same time, such as when the server restarts, don't all reconnect at once
+    fullJitter: ({baseDelay = MIN_WEBSOCKET_RETRY_TIME, maxDelay = MAX_WEBSOCKET_RETRY_TIME, factor = 2} = {}) => {
+        return (attempt) => getRetryDelay({baseDelay, maxDelay, factor, jitter: true}, attempt);
+    },
+};
+
+// WebSocketClient maintains a websocket connection to a Mattermost server. Each instance has its own connection, so a
+// process can connect to multiple servers, or to the same server as different users, at the same time.
+export class WebSocketClient {
+    constructor(client4 = null) {
+        // The Client4 whose server and session this connects with, or null to use the default Client4
+        this.client4 = client4;
+
+        this.Socket = null;
         this.conn = null;
         this.connectionUrl = null;
+        this.options = null;
         this.token = null;
         this.sequence = 1;
+
+        // The messages that were sent while disconnected, which are sent once the connection has been re-established
+        this.queue = [];
+        this.queueTimeout = WEBSOCKET_QUEUE_TIMEOUT;
+
+        // The messages that are waiting for a reply from the server, keyed by their sequence number
+        this.pendingReplies = new Map();
+        this.replyTimeout = WEBSOCKET_REPLY_TIMEOUT;
+
+        // The sequence number of the last event received from the server on the current connection
+        this.serverSequence = null;
+
+        // The last time at which we know that we'd received every event sent by the server
+        this.lastSyncAt = 0;
+
+        // How often to ping the server to check that the connection is still alive and how long to wait for it to
+        // respond. Setting heartbeatInterval to 0 disables this.
+        this.heartbeatInterval = WEBSOCKET_HEARTBEAT_INTERVAL;
+        this.heartbeatTimeout = WEBSOCKET_HEARTBEAT_TIMEOUT;
+        this.heartbeatTimer = null;
+
+        this.latency = null;
+        this.lastMessageAt = 0;
+
+        this.state = WebSocketStates.STOPPED;
+        this.reconnectStrategy = ReconnectStrategies.fullJitter();
+        this.retryAt = 0;
+        this.listeningForOnline = false;
+
         this.connectFailCount = 0;
         this.eventCallback = null;
         this.firstConnectCallback = null;
@@ -20,6 +96,10 @@ class WebSocketClient {
         this.errorCallback = null;
         this.closeCallback = null;
         this.connectingCallback = null;
+        this.missedEventsCallback = null;
+        this.heartbeatCallback = null;
+        this.stateCallback = null;
+        this.closeHandler = null;
         this.stop = false;
         this.platform = '';
     }
@@ -31,16 +111,40 @@ class WebSocketClient {
             webSocketConnector: WebSocket,
         };
 
-        const {connectionUrl, forceConnection, webSocketConnector, platform, ...additionalOptions} = Object.assign({}, defaults, opts);
+        const {
+            connectionUrl,
+            forceConnection,
+            webSocketConnector,
+            platform,
+            heartbeatInterval,
+            heartbeatTimeout,
+            reconnectStrategy,
+            ...additionalOptions
+        } = Object.assign({}, defaults, opts);
 
         if (platform) {
             this.platform = platform;
         }
 
+        if (typeof heartbeatInterval === 'number') {
+            this.heartbeatInterval = heartbeatInterval;
+        }
+
+        if (typeof heartbeatTimeout === 'number') {
+            this.heartbeatTimeout = heartbeatTimeout;
+        }
+
+        if (reconnectStrategy) {
+            this.reconnectStrategy = reconnectStrategy;
+        }
+
         if (forceConnection) {
             this.stop = false;
         }
 
+        // Remember these so that the connection can be re-established with the same options when sending a message
+        this.options = opts;
+
         return new Promise((resolve, reject) => {
             if (this.conn) {
                 resolve();
@@ -57,7 +161,10 @@ class WebSocketClient {
                 console.log('websocket connecting to ' + connectionUrl); //eslint-disable-line no-console
             }
 
-            Socket = webSocketConnector;
+            this.Socket = webSocketConnector;
+            this.setState(WebSocketStates.CONNECTING);
+            this.listenForOnline();
+
             if (this.connectingCallback) {
                 this.connectingCallback();
             }
@@ -86,21 +193,56 @@ class WebSocketClient {
                 return;
             }
 
-            this.conn = new Socket(connectionUrl, [], {headers: {origin}, ...(additionalOptions || {})});
+            this.conn = new this.Socket(connectionUrl, [], {headers: {origin}, ...(additionalOptions || {})});
             this.connectionUrl = connectionUrl;
             this.token = token;
 
             this.conn.onopen = () => {
+                const lastSyncAt = this.lastSyncAt;
+                this.lastSyncAt = Date.now();
+                this.lastMessageAt = Date.now();
+                this.startHeartbeat();
+
                 if (token && platform !== 'android') {
                     // we check for the platform as a workaround until we fix on the server that further authentications
                     // are ignored
-                    this.sendMessage('authentication_challenge', {token});
+                    this.setState(WebSocketStates.AUTHENTICATING);
+
+                    // Anything sent before we're authenticated is queued until then since the server would reject
+                    // it. If the server doesn't reply, we reconnect and try again, but if it rejects the token,
+                    // we stop since it'll never be accepted.
+                    const conn = this.conn;
+                    this.send('authentication_challenge', {token}).then(() => {
+                        if (this.conn === conn) {
+                            this.setState(WebSocketStates.OPEN);
+                            this.flushQueue();
+                        }
+                    }, (error) => {
+                        if (this.conn !== conn) {
+                            return;
+                        }
+
+                        if (error.timedOut) {
+                            this.closeDeadConnection();
+                            return;
+                        }
+
+                        console.log('websocket authentication failed'); //eslint-disable-line no-console
+                        this.close(true);
+
+                        if (this.errorCallback) {
+                            this.errorCallback(error);
+                        }
+                    });
+                } else {
+                    this.setState(WebSocketStates.OPEN);
+                    this.flushQueue();
                 }
 
                 if (this.connectFailCount > 0) {
                     console.log('websocket re-established connection'); //eslint-disable-line no-console
                     if (this.reconnectCallback) {
-                        this.reconnectCallback();
+                        this.reconnectCallback(lastSyncAt);
                     }
                 } else if (this.firstConnectCallback) {
                     this.firstConnectCallback();
@@ -110,9 +252,13 @@ class WebSocketClient {
                 resolve();
             };
 
-            this.conn.onclose = () => {
+            // This is kept so that closeDeadConnection can run it without waiting for the connection to close
+            this.closeHandler = () => {
                 this.conn = null;
                 this.sequence = 1;
+                this.serverSequence = null;
+                this.stopHeartbeat();
+                this.rejectPendingReplies();
 
                 if (this.connectFailCount === 0) {
                     console.log('websocket closed'); //eslint-disable-line no-console
@@ -124,24 +270,24 @@ class WebSocketClient {
                     this.closeCallback(this.connectFailCount);
                 }
 
-                let retryTime = MIN_WEBSOCKET_RETRY_TIME;
-
-                // If we've failed a bunch of connections then start backing off
-                if (this.connectFailCount > MAX_WEBSOCKET_FAILS) {
-                    retryTime = MIN_WEBSOCKET_RETRY_TIME * this.connectFailCount;
-                    if (retryTime > MAX_WEBSOCKET_RETRY_TIME) {
-                        retryTime = MAX_WEBSOCKET_RETRY_TIME;
-                    }
-                }
-
                 if (this.connectionTimeout) {
                     clearTimeout(this.connectionTimeout);
                 }
 
+                if (this.stop) {
+                    this.setState(WebSocketStates.STOPPED);
+                    return;
+                }
+
+                const retryTime = this.reconnectStrategy(this.connectFailCount);
+                this.retryAt = Date.now() + retryTime;
+                this.setState(WebSocketStates.BACKING_OFF);
+
                 this.connectionTimeout = setTimeout(
                     () => {
                         if (this.stop) {
                             clearTimeout(this.connectionTimeout);
+                            this.setState(WebSocketStates.STOPPED);
                             return;
                         }
                         this.initialize(token, opts);
@@ -149,6 +295,7 @@ class WebSocketClient {
                     retryTime
                 );
             };
+            this.conn.onclose = this.closeHandler;
 
             this.conn.onerror = (evt) => {
                 if (this.connectFailCount <= 1) {
@@ -162,13 +309,17 @@ class WebSocketClient {
             };
 
             this.conn.onmessage = (evt) => {
+                this.lastMessageAt = Date.now();
+
                 const msg = JSON.parse(evt.data);
                 if (msg.seq_reply) {
-                    if (msg.error) {
-                        console.warn(msg); //eslint-disable-line no-console
+                    this.handleReply(msg);
+                } else {
+                    this.trackSequence(msg);
+
+                    if (this.eventCallback) {
+                        this.eventCallback(msg);
                     }
-                } else if (this.eventCallback) {
-                    this.eventCallback(msg);
                 }
             };
         });
@@ -178,6 +329,96 @@ class WebSocketClient {
         this.connectingCallback = callback;
     }
 
+    // trackSequence checks the sequence number of an event from the server to find out whether the server dropped any
+    // events since the previous one, which it does when the client can't keep up with them
+    trackSequence(msg) {
+        if (typeof msg.seq !== 'number') {
+            return;
+        }
+
+        if (this.serverSequence !== null && msg.seq > this.serverSequence + 1 && this.missedEventsCallback) {
+            this.missedEventsCallback(msg.seq - this.serverSequence - 1, this.lastSyncAt);
+        }
+
+        if (this.serverSequence === null || msg.seq > this.serverSequence) {
+            this.serverSequence = msg.seq;
+        }
+
+        this.lastSyncAt = Date.now();
+    }
+
+    getLastSyncAt() {
+        return this.lastSyncAt;
+    }
+
+    // getHealth returns the round trip time of the last heartbeat and the last time that anything was received from
+    // the server
+    getHealth() {
+        return {
+            latency: this.latency,
+            lastMessageAt: this.lastMessageAt,
+        };
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        if (this.heartbeatInterval > 0) {
+            this.heartbeatTimer = setInterval(this.sendHeartbeat, this.heartbeatInterval);
+        }
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    // sendHeartbeat pings the server to make sure that the connection is still alive. A connection that's been lost
+    // without being closed, such as when a phone changes networks, can otherwise go unnoticed for minutes.
+    sendHeartbeat = () => {
+        const conn = this.conn;
+        if (!conn || conn.readyState !== this.Socket.OPEN) {
+            return;
+        }
+
+        const sentAt = Date.now();
+        this.send('ping', null, this.heartbeatTimeout).then(() => null, (error) => error).then((error) => {
+            if (error && error.timedOut) {
+                if (this.conn === conn) {
+                    console.log('websocket heartbeat timed out'); //eslint-disable-line no-console
+                    this.closeDeadConnection();
+                }
+                return;
+            }
+
+            // Any reply, including an error from a server that doesn't support pings, means that the connection works
+            if (error && !error.server_error_id) {
+                return;
+            }
+
+            this.latency = Date.now() - sentAt;
+
+            if (this.heartbeatCallback) {
+                this.heartbeatCallback(this.getHealth());
+            }
+        });
+    };
+
+    // closeDeadConnection stops using a connection that isn't responding and reconnects. We don't wait for the
+    // connection to close since that requires a response from the server as well.
+    closeDeadConnection() {
+        const conn = this.conn;
+
+        conn.onclose = () => {}; //eslint-disable-line no-empty-function
+        conn.onmessage = () => {}; //eslint-disable-line no-empty-function
+        conn.onerror = () => {}; //eslint-disable-line no-empty-function
+        conn.close();
+
+        this.closeHandler();
+    }
+
     setEventCallback(callback) {
         this.eventCallback = callback;
     }
@@ -198,49 +439,288 @@ class WebSocketClient {
         this.closeCallback = callback;
     }
 
+    // setStateCallback sets a function that's called with the result of getState whenever the connection changes state
+    setStateCallback(callback) {
+        this.stateCallback = callback;
+    }
+
+    // setHeartbeatCallback sets a function that's called with the result of getHealth after each heartbeat
+    setHeartbeatCallback(callback) {
+        this.heartbeatCallback = callback;
+    }
+
+    // setMissedEventsCallback sets a function that's called with the number of events that were dropped by the server
+    // and the time at which the last event before them was received
+    setMissedEventsCallback(callback) {
+        this.missedEventsCallback = callback;
+    }
+
     close(stop = false) {
         this.stop = stop;
         this.connectFailCount = 0;
         this.sequence = 1;
-        if (this.conn && this.conn.readyState === Socket.OPEN) {
+        this.serverSequence = null;
+        this.stopHeartbeat();
+        this.rejectPendingReplies();
+        this.rejectQueue();
+
+        if (this.connectionTimeout) {
+            clearTimeout(this.connectionTimeout);
+        }
+
+        if (stop) {
+            this.stopListeningForOnline();
+        }
+
+        if (this.conn && (this.conn.readyState === this.Socket.OPEN || this.conn.readyState === this.Socket.CONNECTING)) {
+            this.conn.onopen = () => {}; //eslint-disable-line no-empty-function
             this.conn.onclose = () => {}; //eslint-disable-line no-empty-function
             this.conn.close();
             this.conn = null;
             console.log('websocket closed'); //eslint-disable-line no-console
         }
+
+        this.setState(WebSocketStates.STOPPED);
     }
 
+    getState() {
+        return {
+            state: this.state,
+            attempt: this.connectFailCount,
+            retryAt: this.state === WebSocketStates.BACKING_OFF ? this.retryAt : 0,
+        };
+    }
+
+    setState(state) {
+        if (state === this.state) {
+            return;
+        }
+
+        this.state = state;
+
+        if (this.stateCallback) {
+            this.stateCallback(this.getState());
+        }
+    }
+
+    // setReconnectStrategy sets the function used to decide how long to wait before reconnecting. It's called with the
+    // number of the attempt, starting from 1, and returns a number of milliseconds. See ReconnectStrategies.
+    setReconnectStrategy(strategy) {
+        this.reconnectStrategy = strategy;
+    }
+
+    // reconnectNow skips the rest of the delay before reconnecting, such as when the device comes back online
+    reconnectNow = () => {
+        if (this.state !== WebSocketStates.BACKING_OFF) {
+            return;
+        }
+
+        clearTimeout(this.connectionTimeout);
+        this.initialize(this.token, this.options);
+    };
+
+    listenForOnline() {
+        if (this.listeningForOnline || typeof window === 'undefined' || !window.addEventListener) {
+            return;
+        }
+
+        window.addEventListener('online', this.reconnectNow);
+        this.listeningForOnline = true;
+    }
+
+    stopListeningForOnline() {
+        if (!this.listeningForOnline) {
+            return;
+        }
+
+        window.removeEventListener('online', this.reconnectNow);
+        this.listeningForOnline = false;
+    }
+
+    // sendMessage sends a message to the server and returns a promise that resolves to the data in the server's reply.
+    // It's rejected with a WebSocketError if the server replies with an error or doesn't reply in time. Messages sent
+    // while disconnected or authenticating are queued until the connection is ready.
     sendMessage(action, data) {
+        let reply;
+        if (this.isReady()) {
+            reply = this.send(action, data);
+        } else {
+            reply = this.enqueue(action, data);
+
+            if (!this.conn || this.conn.readyState === this.Socket.CLOSED) {
+                this.conn = null;
+                this.initialize(this.token, this.options);
+            }
+        }
+
+        // Most messages are sent without waiting for the reply, so don't report errors that nobody is listening for
+        reply.catch(() => null);
+
+        return reply;
+    }
+
+    // isReady returns true if the connection is open and authenticated
+    isReady() {
+        return Boolean(this.conn) && this.conn.readyState === this.Socket.OPEN && this.state === WebSocketStates.OPEN;
+    }
+
+    send(action, data, timeout = this.replyTimeout) {
         const msg = {
             action,
             seq: this.sequence++,
             data,
         };
 
-        if (this.conn && this.conn.readyState === Socket.OPEN) {
-            this.conn.send(JSON.stringify(msg));
-        } else if (!this.conn || this.conn.readyState === Socket.CLOSED) {
-            this.conn = null;
-            this.initialize(this.token, {platform: this.platform});
+        const reply = this.waitForReply(msg, timeout);
+        this.conn.send(JSON.stringify(msg));
+
+        return reply;
+    }
+
+    enqueue(action, data) {
+        return new Promise((resolve, reject) => {
+            const getKey = COALESCED_ACTIONS[action];
+            const key = getKey ? `${action}:${getKey(data)}` : null;
+
+            // Anyone waiting on an older copy of a coalesced message receives the reply to the newest one instead
+            let waiters = [{resolve, reject}];
+            const previous = key ? this.queue.find((queued) => queued.key === key) : null;
+            if (previous) {
+                this.removeFromQueue(previous);
+                waiters = [...previous.waiters, ...waiters];
+            }
+
+            const queued = {action, data, key, waiters, timeout: null};
+            queued.timeout = setTimeout(() => {
+                this.removeFromQueue(queued);
+                rejectWaiters(queued, {message: 'The websocket did not reconnect in time', timed_out: true});
+            }, this.queueTimeout);
+
+            this.queue.push(queued);
+
+            if (this.queue.length > MAX_QUEUED_MESSAGES) {
+                const oldest = this.queue[0];
+                this.removeFromQueue(oldest);
+                rejectWaiters(oldest, {message: 'Too many messages were sent while the websocket was disconnected'});
+            }
+        });
+    }
+
+    removeFromQueue(queued) {
+        clearTimeout(queued.timeout);
+        this.queue = this.queue.filter((q) => q !== queued);
+    }
+
+    flushQueue = () => {
+        if (!this.isReady()) {
+            return;
+        }
+
+        const queue = this.queue;
+        this.queue = [];
+
+        for (const queued of queue) {
+            clearTimeout(queued.timeout);
+
+            this.send(queued.action, queued.data).then(
+                (data) => queued.waiters.forEach((waiter) => waiter.resolve(data)),
+                (error) => queued.waiters.forEach((waiter) => waiter.reject(error))
+            );
+        }
+    };
+
+    rejectQueue() {
+        for (const queued of this.queue) {
+            clearTimeout(queued.timeout);
+            rejectWaiters(queued, {message: 'The websocket was closed before the message was sent'});
+        }
+
+        this.queue = [];
+    }
+
+    waitForReply(msg, replyTimeout) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pendingReplies.delete(msg.seq);
+                reject(new WebSocketError(msg.action, {message: 'The server did not reply in time', timed_out: true}));
+            }, replyTimeout);
+
+            this.pendingReplies.set(msg.seq, {action: msg.action, resolve, reject, timeout});
+        });
+    }
+
+    handleReply(msg) {
+        const pending = this.pendingReplies.get(msg.seq_reply);
+        if (!pending) {
+            if (msg.error) {
+                console.warn(msg); //eslint-disable-line no-console
+            }
+            return;
+        }
+
+        this.pendingReplies.delete(msg.seq_reply);
+        clearTimeout(pending.timeout);
+
+        if (msg.status === 'OK') {
+            pending.resolve(msg.data);
+        } else {
+            pending.reject(new WebSocketError(pending.action, msg.error || {message: 'The server returned an error'}));
         }
     }
 
+    // rejectPendingReplies fails every message that's waiting for a reply since the server won't reply once the
+    // connection that they were sent on has closed
+    rejectPendingReplies() {
+        for (const pending of this.pendingReplies.values()) {
+            clearTimeout(pending.timeout);
+            pending.reject(new WebSocketError(pending.action, {message: 'The websocket closed before the server replied'}));
+        }
+
+        this.pendingReplies.clear();
+    }
+
     userTyping(channelId, parentId) {
-        this.sendMessage('user_typing', {
+        return this.sendMessage('user_typing', {
             channel_id: channelId,
             parent_id: parentId,
         });
     }
 
+    // getStatuses resolves to an object mapping the IDs of the users that the client knows about to their statuses
     getStatuses() {
-        this.sendMessage('get_statuses', null);
+        return this.sendMessage('get_statuses', null);
     }
 
+    // getStatusesByIds resolves to an object mapping the given user IDs to their statuses
     getStatusesByIds(userIds) {
-        this.sendMessage('get_statuses_by_ids', {
+        return this.sendMessage('get_statuses_by_ids', {
             user_ids: userIds,
         });
     }
 }
 
+function rejectWaiters(queued, data) {
+    const error = new WebSocketError(queued.action, data);
+    queued.waiters.forEach((waiter) => waiter.reject(error));
+}
+
+// WebSocketError is used to reject the promise returned by sendMessage. Its fields match those of ClientError where
+// they come from the server.
+export class WebSocketError extends Error {
+    constructor(action, data) {
+        super(data.message);
+
+        this.message = data.message;
+        this.action = action;
+        this.server_error_id = data.id;
+        this.status_code = data.status_code;
+        this.detailed_error = data.detailed_error;
+        this.requestId = data.request_id;
+        this.timedOut = Boolean(data.timed_out);
+
+        // Ensure message is treated as a property of this class when object spreading
+        Object.defineProperty(this, 'message', {enumerable: true});
+    }
+}
+
 export default new WebSocketClient();
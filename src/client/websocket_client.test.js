@@ -0,0 +1,448 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+import {Server, WebSocket as MockWebSocket} from 'mock-socket';
+
+import websocketClient, {ReconnectStrategies, WebSocketClient, WebSocketError, WebSocketStates} from 'client/websocket_client';
+
+describe('WebSocketClient', () => {
+    const connectionUrl = 'ws://localhost:8065/api/v4/websocket';
+
+    let mockServer;
+    beforeEach(() => {
+        mockServer = new Server(connectionUrl);
+    });
+
+    afterEach(() => {
+        websocketClient.close(true);
+        websocketClient.setEventCallback(null);
+        websocketClient.setMissedEventsCallback(null);
+        websocketClient.setHeartbeatCallback(null);
+        websocketClient.setCloseCallback(null);
+        websocketClient.setErrorCallback(null);
+        websocketClient.setStateCallback(null);
+        mockServer.stop();
+    });
+
+    describe('sequence tracking', () => {
+        it('should report events dropped by the server', async () => {
+            const events = [];
+            const missed = [];
+            websocketClient.setEventCallback((msg) => events.push(msg.seq));
+            websocketClient.setMissedEventsCallback((count, lastSyncAt) => missed.push({count, lastSyncAt}));
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+
+            mockServer.emit('message', JSON.stringify({event: 'hello', seq: 0}));
+            mockServer.emit('message', JSON.stringify({event: 'posted', seq: 1}));
+
+            const lastSyncAt = websocketClient.getLastSyncAt();
+
+            mockServer.emit('message', JSON.stringify({event: 'posted', seq: 4}));
+
+            assert.deepEqual(events, [0, 1, 4]);
+            assert.deepEqual(missed, [{count: 2, lastSyncAt}]);
+        });
+
+        it('should not treat replies or repeated events as gaps', () => {
+            const missed = [];
+            websocketClient.setMissedEventsCallback((count) => missed.push(count));
+
+            websocketClient.trackSequence({event: 'hello', seq: 5});
+            websocketClient.trackSequence({seq_reply: 1});
+            websocketClient.trackSequence({event: 'posted', seq: 5});
+            websocketClient.trackSequence({event: 'posted', seq: 6});
+
+            assert.deepEqual(missed, []);
+            assert.equal(websocketClient.serverSequence, 6);
+        });
+
+        it('should start again on a new connection', () => {
+            const missed = [];
+            websocketClient.setMissedEventsCallback((count) => missed.push(count));
+
+            websocketClient.trackSequence({event: 'posted', seq: 10});
+            websocketClient.close();
+            websocketClient.trackSequence({event: 'hello', seq: 0});
+
+            assert.deepEqual(missed, []);
+            assert.equal(websocketClient.serverSequence, 0);
+        });
+    });
+
+    describe('replies', () => {
+        function replyWith(getReply) {
+            mockServer.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    const reply = getReply(msg);
+                    if (reply) {
+                        socket.send(JSON.stringify({seq_reply: msg.seq, ...reply}));
+                    }
+                });
+            });
+        }
+
+        it('should resolve to the data in the reply', async () => {
+            replyWith((msg) => {
+                if (msg.action === 'get_statuses_by_ids') {
+                    return {status: 'OK', data: {[msg.data.user_ids[0]]: 'online'}};
+                }
+
+                return {status: 'OK'};
+            });
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+
+            const statuses = await websocketClient.getStatusesByIds(['user1']);
+
+            assert.deepEqual(statuses, {user1: 'online'});
+        });
+
+        it('should reject with the error in the reply', async () => {
+            replyWith((msg) => {
+                if (msg.action === 'user_typing') {
+                    return {status: 'FAIL', error: {id: 'api.web_socket_router.bad_seq.app_error', message: 'Invalid sequence', status_code: 400}};
+                }
+
+                return {status: 'OK'};
+            });
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+
+            try {
+                await websocketClient.userTyping('channel1', '');
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof WebSocketError);
+                assert.equal(error.action, 'user_typing');
+                assert.equal(error.server_error_id, 'api.web_socket_router.bad_seq.app_error');
+                assert.equal(error.status_code, 400);
+            }
+        });
+
+        it('should reject if the server does not reply in time', async () => {
+            replyWith((msg) => (msg.action === 'authentication_challenge' ? {status: 'OK'} : null));
+
+            websocketClient.replyTimeout = 10;
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+
+            try {
+                await websocketClient.getStatuses();
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.timedOut, true);
+            } finally {
+                websocketClient.replyTimeout = 10000;
+            }
+
+            assert.equal(websocketClient.pendingReplies.size, 0);
+        });
+
+        it('should reject when the connection closes', async () => {
+            replyWith((msg) => (msg.action === 'authentication_challenge' ? {status: 'OK'} : null));
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            const reply = websocketClient.getStatuses();
+            assert.equal(websocketClient.pendingReplies.size, 1);
+
+            websocketClient.close(true);
+
+            try {
+                await reply;
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof WebSocketError);
+                assert.equal(error.timedOut, false);
+            }
+        });
+    });
+
+    describe('queue', () => {
+        it('should send messages queued while disconnected once authenticated', async () => {
+            const received = [];
+            mockServer.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    received.push(msg.action);
+                    socket.send(JSON.stringify({seq_reply: msg.seq, status: 'OK', data: msg.action}));
+                });
+            });
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+            websocketClient.close();
+
+            // Sending a message reconnects using the original connector
+            const statuses = websocketClient.getStatusesByIds(['user1']);
+            const typing = [
+                websocketClient.userTyping('channel1', ''),
+                websocketClient.userTyping('channel2', ''),
+                websocketClient.userTyping('channel1', ''),
+            ];
+
+            assert.equal(await statuses, 'get_statuses_by_ids');
+            assert.deepEqual(await Promise.all(typing), ['user_typing', 'user_typing', 'user_typing']);
+
+            assert.deepEqual(received, [
+                'authentication_challenge',
+                'authentication_challenge',
+                'get_statuses_by_ids',
+                'user_typing',
+                'user_typing',
+            ]);
+        });
+
+        it('should not send messages until authenticated', async () => {
+            const received = [];
+            let acceptToken;
+            mockServer.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    received.push(msg.action);
+
+                    const reply = () => socket.send(JSON.stringify({seq_reply: msg.seq, status: 'OK', data: msg.action}));
+                    if (msg.action === 'authentication_challenge') {
+                        acceptToken = reply;
+                    } else {
+                        reply();
+                    }
+                });
+            });
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+            assert.equal(websocketClient.getState().state, WebSocketStates.AUTHENTICATING);
+
+            const statuses = websocketClient.getStatuses();
+            await new Promise((resolve) => setTimeout(resolve, 10));
+
+            assert.deepEqual(received, ['authentication_challenge']);
+
+            acceptToken();
+
+            assert.equal(await statuses, 'get_statuses');
+            assert.deepEqual(received, ['authentication_challenge', 'get_statuses']);
+        });
+
+        it('should stop and reject queued messages if the server rejects the token', async () => {
+            mockServer.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    socket.send(JSON.stringify({
+                        seq_reply: msg.seq,
+                        status: 'FAIL',
+                        error: {id: 'api.web_socket_router.bad_token.app_error', message: 'Invalid token', status_code: 400},
+                    }));
+                });
+            });
+
+            const failed = new Promise((resolve) => websocketClient.setErrorCallback(resolve));
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+            const statuses = websocketClient.getStatuses();
+
+            const error = await failed;
+            assert.equal(error.server_error_id, 'api.web_socket_router.bad_token.app_error');
+            assert.equal(websocketClient.getState().state, WebSocketStates.STOPPED);
+
+            try {
+                await statuses;
+                assert.fail('should have thrown');
+            } catch (e) {
+                assert.ok(e instanceof WebSocketError);
+            }
+        });
+
+        it('should reject messages that are queued for too long', async () => {
+            websocketClient.queueTimeout = 10;
+
+            try {
+                await websocketClient.enqueue('get_statuses', null);
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.equal(error.action, 'get_statuses');
+                assert.equal(error.timedOut, true);
+            } finally {
+                websocketClient.queueTimeout = 30000;
+            }
+
+            assert.equal(websocketClient.queue.length, 0);
+        });
+
+        it('should reject queued messages when closed', async () => {
+            const reply = websocketClient.enqueue('get_statuses', null);
+
+            websocketClient.close(true);
+
+            try {
+                await reply;
+                assert.fail('should have thrown');
+            } catch (error) {
+                assert.ok(error instanceof WebSocketError);
+                assert.equal(error.timedOut, false);
+            }
+        });
+    });
+
+    describe('heartbeat', () => {
+        const heartbeatOptions = {heartbeatInterval: 20, heartbeatTimeout: 20};
+
+        afterEach(() => {
+            websocketClient.heartbeatInterval = 30000;
+            websocketClient.heartbeatTimeout = 10000;
+        });
+
+        it('should report the latency of the connection', async () => {
+            mockServer.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    socket.send(JSON.stringify({seq_reply: msg.seq, status: 'OK', data: {text: 'pong'}}));
+                });
+            });
+
+            const health = new Promise((resolve) => websocketClient.setHeartbeatCallback(resolve));
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket, ...heartbeatOptions});
+
+            const {latency, lastMessageAt} = await health;
+            assert.ok(latency >= 0);
+            assert.ok(lastMessageAt > 0);
+        });
+
+        it('should close a connection that stops responding', async () => {
+            const closed = new Promise((resolve) => websocketClient.setCloseCallback(resolve));
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket, ...heartbeatOptions});
+
+            const failCount = await closed;
+            assert.equal(failCount, 1);
+            assert.equal(websocketClient.conn, null);
+        });
+    });
+
+    describe('reconnection', () => {
+        afterEach(() => {
+            websocketClient.setReconnectStrategy(ReconnectStrategies.fullJitter());
+        });
+
+        it('should move between states', async () => {
+            let serverSocket;
+            mockServer.on('connection', (socket) => {
+                serverSocket = socket;
+                socket.on('message', (data) => {
+                    const msg = JSON.parse(data);
+                    socket.send(JSON.stringify({seq_reply: msg.seq, status: 'OK'}));
+                });
+            });
+
+            const states = [];
+            let onStateChange = null;
+            websocketClient.setStateCallback((state) => {
+                states.push(state);
+                if (onStateChange) {
+                    onStateChange(state);
+                }
+            });
+            const waitForState = (expected) => new Promise((resolve) => {
+                onStateChange = (state) => {
+                    if (state.state === expected) {
+                        resolve(state);
+                    }
+                };
+            });
+
+            let opened = waitForState(WebSocketStates.OPEN);
+            await websocketClient.initialize('token', {
+                connectionUrl,
+                webSocketConnector: MockWebSocket,
+                reconnectStrategy: () => 60000,
+            });
+            await opened;
+
+            assert.deepEqual(states.map((state) => state.state), [
+                WebSocketStates.CONNECTING,
+                WebSocketStates.AUTHENTICATING,
+                WebSocketStates.OPEN,
+            ]);
+
+            const backingOff = waitForState(WebSocketStates.BACKING_OFF);
+            serverSocket.close();
+
+            const state = await backingOff;
+            assert.equal(state.attempt, 1);
+            assert.ok(state.retryAt > Date.now() + 50000);
+
+            opened = waitForState(WebSocketStates.OPEN);
+            websocketClient.reconnectNow();
+            await opened;
+
+            websocketClient.close(true);
+            assert.equal(websocketClient.getState().state, WebSocketStates.STOPPED);
+        });
+
+        it('should support different strategies', () => {
+            const linear = ReconnectStrategies.linear();
+            assert.equal(linear(1), 3000);
+            assert.equal(linear(7), 3000);
+            assert.equal(linear(8), 24000);
+            assert.equal(linear(1000), 300000);
+
+            const exponential = ReconnectStrategies.exponential({baseDelay: 1000, maxDelay: 5000});
+            assert.equal(exponential(1), 1000);
+            assert.equal(exponential(2), 2000);
+            assert.equal(exponential(4), 5000);
+
+            const fullJitter = ReconnectStrategies.fullJitter({baseDelay: 1000, maxDelay: 5000});
+            for (let i = 0; i < 20; i++) {
+                const delay = fullJitter(3);
+                assert.ok(delay >= 0 && delay < 4000);
+            }
+        });
+    });
+
+    describe('multiple instances', () => {
+        const otherUrl = 'ws://localhost:8066/api/v4/websocket';
+
+        let otherServer;
+        let otherClient;
+        beforeEach(() => {
+            otherServer = new Server(otherUrl);
+            otherClient = new WebSocketClient();
+        });
+
+        afterEach(() => {
+            otherClient.close(true);
+            otherServer.stop();
+        });
+
+        it('should keep a separate connection for each instance', async () => {
+            const events = [];
+            const otherEvents = [];
+            websocketClient.setEventCallback((msg) => events.push(msg.event));
+            otherClient.setEventCallback((msg) => otherEvents.push(msg.event));
+
+            await websocketClient.initialize('token', {connectionUrl, webSocketConnector: MockWebSocket});
+            await otherClient.initialize('token2', {connectionUrl: otherUrl, webSocketConnector: MockWebSocket});
+
+            mockServer.emit('message', JSON.stringify({event: 'posted', seq: 0}));
+            otherServer.emit('message', JSON.stringify({event: 'typing', seq: 0}));
+
+            assert.deepEqual(events, ['posted']);
+            assert.deepEqual(otherEvents, ['typing']);
+
+            otherClient.close(true);
+
+            assert.equal(otherClient.getState().state, WebSocketStates.STOPPED);
+            assert.notEqual(websocketClient.conn, null);
+        });
+
+        it('should remember the Client4 that it belongs to', () => {
+            const client4 = {};
+
+            assert.equal(new WebSocketClient(client4).client4, client4);
+            assert.equal(websocketClient.client4, null);
+        });
+    });
+});
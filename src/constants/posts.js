@@ -37,6 +37,12 @@ export default {
         COMMENT: 'comment',
     },
     MAX_PREV_MSGS: 100,
+
+    // The default limits on how many posts are kept in the store by prunePosts. The current channel is never limited.
+    DEFAULT_RETENTION_POLICY: {
+        maxPostsPerChannel: 200,
+        maxChannels: 10,
+    },
     POST_COLLAPSE_TIMEOUT: 1000 * 60 * 5, // five minutes
     IGNORE_POST_TYPES: [
         PostTypes.ADD_REMOVE,
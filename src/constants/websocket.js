@@ -9,16 +9,22 @@ const WebsocketEvents = {
     CHANNEL_CONVERTED: 'channel_converted',
     CHANNEL_CREATED: 'channel_created',
     CHANNEL_DELETED: 'channel_deleted',
+    CHANNEL_RESTORED: 'channel_restored',
     CHANNEL_UPDATED: 'channel_updated',
     CHANNEL_VIEWED: 'channel_viewed',
     CHANNEL_MEMBER_UPDATED: 'channel_member_updated',
     DIRECT_ADDED: 'direct_added',
+    GROUP_ADDED: 'group_added',
     ADDED_TO_TEAM: 'added_to_team',
     LEAVE_TEAM: 'leave_team',
     UPDATE_TEAM: 'update_team',
+    DELETE_TEAM: 'delete_team',
+    MEMBERROLE_UPDATED: 'memberrole_updated',
+    NEW_USER: 'new_user',
     USER_ADDED: 'user_added',
     USER_REMOVED: 'user_removed',
     USER_UPDATED: 'user_updated',
+    USER_ROLE_UPDATED: 'user_role_updated',
     ROLE_ADDED: 'role_added',
     ROLE_REMOVED: 'role_removed',
     ROLE_UPDATED: 'role_updated',
@@ -30,10 +36,16 @@ const WebsocketEvents = {
     EPHEMERAL_MESSAGE: 'ephemeral_message',
     STATUS_CHANGED: 'status_change',
     HELLO: 'hello',
-    WEBRTC: 'webrtc',
+    WEBRTC: 'webrtc', // No longer sent since the server removed support for WebRTC
     REACTION_ADDED: 'reaction_added',
     REACTION_REMOVED: 'reaction_removed',
     EMOJI_ADDED: 'emoji_added',
+    EMOJI_DELETED: 'emoji_deleted',
+    RECEIVED_GROUP: 'received_group',
+    GROUP_MEMBER_ADDED: 'group_member_add',
+    GROUP_MEMBER_DELETED: 'group_member_delete',
+    SCHEME_UPDATED: 'scheme_updated',
+    SCHEME_DELETED: 'scheme_deleted',
     LICENSE_CHANGED: 'license_changed',
     CONFIG_CHANGED: 'config_changed',
     PLUGIN_STATUSES_CHANGED: 'plugin_statuses_changed',
@@ -0,0 +1,596 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import {General, WebsocketEvents} from 'constants';
+import {generateId} from 'utils/helpers';
+
+export const DEFAULT_PASSWORD = 'password';
+
+// MockServerError is thrown by the Datastore and the routes of the MockServer to respond to a request with an error in
+// the same format as the real server
+export class MockServerError extends Error {
+    constructor(statusCode, id, message) {
+        super(message);
+
+        this.status_code = statusCode;
+        this.id = id;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            message: this.message,
+            status_code: this.status_code,
+        };
+    }
+}
+
+// Datastore holds the data of a MockServer in memory. Changes made through it emit the same websocket events that the
+// real server would, so it can be used by tests to simulate other users.
+export default class Datastore {
+    constructor(emit = () => null) {
+        this.emit = emit;
+        this.lastTime = 0;
+
+        this.users = {};
+        this.passwords = {};
+        this.tokens = {};
+        this.statuses = {};
+        this.teams = {};
+        this.teamMembers = {};
+        this.channels = {};
+        this.channelMembers = {};
+        this.posts = {};
+        this.preferences = {};
+        this.reactions = {};
+    }
+
+    // now returns the current time, making sure that no two things are created at the same time so that they're always
+    // sorted in the order that they were created
+    now() {
+        this.lastTime = Math.max(Date.now(), this.lastTime + 1);
+        return this.lastTime;
+    }
+
+    // Users
+
+    createUser = (user = {}) => {
+        const id = user.id || generateId();
+        const username = user.username || 'user' + id.substring(0, 8);
+        if (Object.values(this.users).some((other) => other.username === username)) {
+            throw new MockServerError(400, 'store.sql_user.save.username_exists.app_error', 'An account with that username already exists.');
+        }
+
+        const now = this.now();
+        const created = {
+            id,
+            create_at: now,
+            update_at: now,
+            delete_at: 0,
+            username,
+            email: `${username}@example.com`,
+            nickname: '',
+            first_name: '',
+            last_name: '',
+            position: '',
+            roles: 'system_user',
+            locale: General.DEFAULT_LOCALE,
+            props: {},
+            notify_props: {},
+            ...user,
+        };
+        Reflect.deleteProperty(created, 'password');
+
+        this.users[id] = created;
+        this.passwords[id] = user.password || DEFAULT_PASSWORD;
+        this.statuses[id] = {user_id: id, status: General.OFFLINE, manual: false, last_activity_at: 0};
+
+        this.emit(WebsocketEvents.NEW_USER, {user_id: id});
+
+        return created;
+    }
+
+    getUser = (userId) => {
+        const user = this.users[userId];
+        if (!user) {
+            throw new MockServerError(404, 'store.sql_user.missing_account.const', 'We couldn’t find an existing account matching your details.');
+        }
+
+        return user;
+    }
+
+    getUserByUsername = (username) => {
+        const user = Object.values(this.users).find((other) => other.username === username);
+        if (!user) {
+            throw new MockServerError(404, 'store.sql_user.get_by_username.app_error', 'We couldn’t find an existing account matching your username.');
+        }
+
+        return user;
+    }
+
+    // login creates a session for the user with the given username or email and returns its token
+    login = (loginId, password) => {
+        const user = Object.values(this.users).find((other) => other.username === loginId || other.email === loginId);
+        if (!user || this.passwords[user.id] !== password || user.delete_at) {
+            throw new MockServerError(401, 'api.user.login.invalid_credentials', 'Enter a valid email or username and/or password.');
+        }
+
+        return this.createToken(user.id);
+    }
+
+    createToken = (userId) => {
+        const token = generateId();
+        this.tokens[token] = userId;
+        return token;
+    }
+
+    revokeToken = (token) => {
+        Reflect.deleteProperty(this.tokens, token);
+    }
+
+    getUserIdForToken = (token) => {
+        return this.tokens[token] || '';
+    }
+
+    createUserAccessToken = (userId, description) => {
+        return {
+            id: generateId(),
+            token: this.createToken(userId),
+            user_id: userId,
+            description,
+            is_active: true,
+        };
+    }
+
+    setStatus = (userId, status) => {
+        this.statuses[userId] = {user_id: userId, status, manual: false, last_activity_at: this.now()};
+
+        this.emit(WebsocketEvents.STATUS_CHANGED, {user_id: userId, status});
+    }
+
+    // Teams
+
+    createTeam = (team = {}, creatorId = '') => {
+        const id = team.id || generateId();
+        const now = this.now();
+        const created = {
+            id,
+            create_at: now,
+            update_at: now,
+            delete_at: 0,
+            display_name: 'Team',
+            name: 'team' + id.substring(0, 8),
+            description: '',
+            email: '',
+            type: General.OPEN_CHANNEL,
+            allow_open_invite: false,
+            scheme_id: '',
+            ...team,
+        };
+
+        this.teams[id] = created;
+        this.teamMembers[id] = {};
+
+        this.createChannel({team_id: id, name: General.DEFAULT_CHANNEL, display_name: 'Town Square'});
+
+        if (creatorId) {
+            this.addUserToTeam(id, creatorId, 'team_user team_admin');
+        }
+
+        return created;
+    }
+
+    getTeam = (teamId) => {
+        const team = this.teams[teamId];
+        if (!team) {
+            throw new MockServerError(404, 'store.sql_team.get.find.app_error', 'Unable to find the existing team.');
+        }
+
+        return team;
+    }
+
+    getTeamByName = (name) => {
+        const team = Object.values(this.teams).find((other) => other.name === name);
+        if (!team) {
+            throw new MockServerError(404, 'store.sql_team.get_by_name.app_error', 'Unable to find the existing team.');
+        }
+
+        return team;
+    }
+
+    addUserToTeam = (teamId, userId, roles = 'team_user') => {
+        this.getTeam(teamId);
+        this.getUser(userId);
+
+        const member = {
+            team_id: teamId,
+            user_id: userId,
+            roles,
+            delete_at: 0,
+            scheme_user: true,
+            scheme_admin: roles.includes('team_admin'),
+        };
+        this.teamMembers[teamId][userId] = member;
+
+        const townSquare = Object.values(this.channels).find((channel) => channel.team_id === teamId && channel.name === General.DEFAULT_CHANNEL);
+        if (townSquare && !this.isChannelMember(townSquare.id, userId)) {
+            this.addUserToChannel(townSquare.id, userId);
+        }
+
+        this.emit(WebsocketEvents.ADDED_TO_TEAM, {team_id: teamId, user_id: userId}, {user_id: userId});
+
+        return member;
+    }
+
+    getTeamMember = (teamId, userId) => {
+        const member = this.teamMembers[teamId] && this.teamMembers[teamId][userId];
+        if (!member) {
+            throw new MockServerError(404, 'store.sql_team.get_member.missing.app_error', 'No team member found for that user ID and team ID.');
+        }
+
+        return member;
+    }
+
+    getTeamsForUser = (userId) => {
+        return Object.values(this.teams).filter((team) => this.teamMembers[team.id][userId]);
+    }
+
+    getTeamMembersForUser = (userId) => {
+        return this.getTeamsForUser(userId).map((team) => this.teamMembers[team.id][userId]);
+    }
+
+    // Channels
+
+    createChannel = (channel = {}, creatorId = '') => {
+        const id = channel.id || generateId();
+        const now = this.now();
+        const created = {
+            id,
+            create_at: now,
+            update_at: now,
+            delete_at: 0,
+            team_id: '',
+            type: General.OPEN_CHANNEL,
+            display_name: 'Channel',
+            name: 'channel' + id.substring(0, 8),
+            header: '',
+            purpose: '',
+            last_post_at: 0,
+            total_msg_count: 0,
+            extra_update_at: now,
+            creator_id: creatorId,
+            ...channel,
+        };
+        if (Object.values(this.channels).some((other) => other.team_id === created.team_id && other.name === created.name)) {
+            throw new MockServerError(400, 'store.sql_channel.save_channel.exists.app_error', 'A channel with that name already exists on the same team.');
+        }
+
+        this.channels[id] = created;
+        this.channelMembers[id] = {};
+
+        if (creatorId) {
+            this.addUserToChannel(id, creatorId, 'channel_user channel_admin');
+            this.emit(WebsocketEvents.CHANNEL_CREATED, {channel_id: id, team_id: created.team_id}, {user_id: creatorId});
+        }
+
+        return created;
+    }
+
+    // createDirectChannel returns the DM channel between two users, creating it if it doesn't already exist
+    createDirectChannel = (userId, otherUserId) => {
+        this.getUser(userId);
+        this.getUser(otherUserId);
+
+        const name = [userId, otherUserId].sort().join('__');
+        const existing = Object.values(this.channels).find((channel) => channel.name === name);
+        if (existing) {
+            return existing;
+        }
+
+        const channel = this.createChannel({type: General.DM_CHANNEL, name, display_name: ''});
+        this.addUserToChannel(channel.id, userId);
+        if (otherUserId !== userId) {
+            this.addUserToChannel(channel.id, otherUserId);
+        }
+
+        this.emit(WebsocketEvents.DIRECT_ADDED, {teammate_id: otherUserId}, {channel_id: channel.id});
+
+        return channel;
+    }
+
+    getChannel = (channelId) => {
+        const channel = this.channels[channelId];
+        if (!channel) {
+            throw new MockServerError(404, 'store.sql_channel.get.existing.app_error', 'Unable to find the existing channel.');
+        }
+
+        return channel;
+    }
+
+    getChannelByName = (teamId, name) => {
+        const channel = Object.values(this.channels).find((other) => other.team_id === teamId && other.name === name);
+        if (!channel) {
+            throw new MockServerError(404, 'store.sql_channel.get_by_name.missing.app_error', 'Channel does not exist.');
+        }
+
+        return channel;
+    }
+
+    addUserToChannel = (channelId, userId, roles = 'channel_user') => {
+        const channel = this.getChannel(channelId);
+        this.getUser(userId);
+
+        const member = {
+            channel_id: channelId,
+            user_id: userId,
+            roles,
+            last_viewed_at: 0,
+            msg_count: 0,
+            mention_count: 0,
+            notify_props: {desktop: 'default', email: 'default', mark_unread: 'all', push: 'default', ignore_channel_mentions: 'default'},
+            last_update_at: this.now(),
+            scheme_user: true,
+            scheme_admin: roles.includes('channel_admin'),
+        };
+        this.channelMembers[channelId][userId] = member;
+
+        if (channel.type !== General.DM_CHANNEL) {
+            this.emit(WebsocketEvents.USER_ADDED, {user_id: userId, team_id: channel.team_id}, {channel_id: channelId});
+        }
+
+        return member;
+    }
+
+    removeUserFromChannel = (channelId, userId, removerId = userId) => {
+        this.getChannelMember(channelId, userId);
+
+        Reflect.deleteProperty(this.channelMembers[channelId], userId);
+
+        this.emit(WebsocketEvents.USER_REMOVED, {user_id: userId, remover_id: removerId}, {channel_id: channelId});
+        this.emit(WebsocketEvents.USER_REMOVED, {channel_id: channelId, remover_id: removerId}, {user_id: userId});
+    }
+
+    isChannelMember = (channelId, userId) => {
+        return Boolean(this.channelMembers[channelId] && this.channelMembers[channelId][userId]);
+    }
+
+    getChannelMember = (channelId, userId) => {
+        if (!this.isChannelMember(channelId, userId)) {
+            throw new MockServerError(404, 'store.sql_channel.get_member.missing.app_error', 'No channel member found for that user ID and channel ID.');
+        }
+
+        return this.channelMembers[channelId][userId];
+    }
+
+    getChannelsForUser = (teamId, userId) => {
+        return Object.values(this.channels).filter((channel) => {
+            return (channel.team_id === teamId || channel.team_id === '') && this.isChannelMember(channel.id, userId);
+        });
+    }
+
+    getChannelMembersForUser = (teamId, userId) => {
+        return this.getChannelsForUser(teamId, userId).map((channel) => this.channelMembers[channel.id][userId]);
+    }
+
+    viewChannel = (channelId, userId) => {
+        const channel = this.getChannel(channelId);
+        const member = this.getChannelMember(channelId, userId);
+
+        this.channelMembers[channelId][userId] = {
+            ...member,
+            last_viewed_at: this.now(),
+            msg_count: channel.total_msg_count,
+            mention_count: 0,
+        };
+
+        this.emit(WebsocketEvents.CHANNEL_VIEWED, {channel_id: channelId}, {user_id: userId});
+    }
+
+    // Posts
+
+    createPost = (post) => {
+        const channel = this.getChannel(post.channel_id);
+        if (!this.isChannelMember(channel.id, post.user_id)) {
+            throw new MockServerError(403, 'api.context.permissions.app_error', 'You do not have the appropriate permissions.');
+        }
+        if (post.root_id && !this.posts[post.root_id]) {
+            throw new MockServerError(400, 'api.post.create_post.root_id.app_error', 'Invalid RootId parameter.');
+        }
+
+        const now = this.now();
+        const created = {
+            id: generateId(),
+            create_at: now,
+            update_at: now,
+            edit_at: 0,
+            delete_at: 0,
+            is_pinned: false,
+            root_id: '',
+            parent_id: '',
+            original_id: '',
+            message: '',
+            type: '',
+            props: {},
+            hashtags: '',
+            pending_post_id: '',
+            ...post,
+        };
+
+        this.posts[created.id] = created;
+        this.channels[channel.id] = {
+            ...channel,
+            last_post_at: now,
+            total_msg_count: channel.total_msg_count + 1,
+        };
+
+        const mentions = this.getMentions(created);
+        for (const userId of mentions) {
+            const member = this.channelMembers[channel.id][userId];
+            this.channelMembers[channel.id][userId] = {...member, mention_count: member.mention_count + 1};
+        }
+
+        const data = {
+            channel_display_name: channel.display_name,
+            channel_name: channel.name,
+            channel_type: channel.type,
+            post: JSON.stringify(created),
+            sender_name: this.users[created.user_id] ? this.users[created.user_id].username : '',
+            team_id: channel.team_id,
+        };
+        if (mentions.length > 0) {
+            data.mentions = JSON.stringify(mentions);
+        }
+
+        this.emit(WebsocketEvents.POSTED, data, {channel_id: channel.id});
+
+        return created;
+    }
+
+    // getMentions returns the IDs of the other channel members mentioned by username in a post or, for posts in a DM
+    // channel, the other member of the channel
+    getMentions = (post) => {
+        const channel = this.channels[post.channel_id];
+
+        return Object.keys(this.channelMembers[channel.id]).filter((userId) => {
+            if (userId === post.user_id) {
+                return false;
+            }
+
+            if (channel.type === General.DM_CHANNEL) {
+                return true;
+            }
+
+            return new RegExp(`@${this.users[userId].username}\\b`).test(post.message);
+        });
+    }
+
+    getPost = (postId) => {
+        const post = this.posts[postId];
+        if (!post || post.delete_at) {
+            throw new MockServerError(404, 'store.sql_post.get.app_error', 'Unable to get the post.');
+        }
+
+        return post;
+    }
+
+    updatePost = (post) => {
+        const existing = this.getPost(post.id);
+
+        const now = this.now();
+        const updated = {
+            ...existing,
+            message: post.message === undefined ? existing.message : post.message,
+            props: post.props || existing.props,
+            is_pinned: post.is_pinned === undefined ? existing.is_pinned : post.is_pinned,
+            edit_at: post.message === undefined ? existing.edit_at : now,
+            update_at: now,
+        };
+        this.posts[post.id] = updated;
+
+        this.emit(WebsocketEvents.POST_EDITED, {post: JSON.stringify(updated)}, {channel_id: updated.channel_id});
+
+        return updated;
+    }
+
+    deletePost = (postId) => {
+        const post = this.getPost(postId);
+
+        const now = this.now();
+        const deleted = {...post, delete_at: now, update_at: now};
+        this.posts[postId] = deleted;
+
+        this.emit(WebsocketEvents.POST_DELETED, {post: JSON.stringify(deleted)}, {channel_id: post.channel_id});
+
+        return deleted;
+    }
+
+    // getPostsInChannel returns the posts in a channel from newest to oldest
+    getPostsInChannel = (channelId, {since = 0, before = '', after = ''} = {}) => {
+        let posts = Object.values(this.posts).filter((post) => post.channel_id === channelId);
+
+        if (since) {
+            return posts.filter((post) => post.update_at > since).sort(byNewest);
+        }
+
+        posts = posts.filter((post) => !post.delete_at).sort(byNewest);
+
+        if (before) {
+            const index = posts.findIndex((post) => post.id === before);
+            posts = index === -1 ? [] : posts.slice(index + 1);
+        } else if (after) {
+            const index = posts.findIndex((post) => post.id === after);
+            posts = index === -1 ? [] : posts.slice(0, index);
+        }
+
+        return posts;
+    }
+
+    getPostThread = (postId) => {
+        const post = this.getPost(postId);
+        const rootId = post.root_id || post.id;
+
+        return Object.values(this.posts).filter((other) => !other.delete_at && (other.id === rootId || other.root_id === rootId)).sort(byNewest);
+    }
+
+    // Preferences
+
+    getPreferences = (userId) => {
+        return Object.values(this.preferences[userId] || {});
+    }
+
+    savePreferences = (userId, preferences) => {
+        const saved = preferences.map((preference) => ({...preference, user_id: userId}));
+
+        this.preferences[userId] = {...this.preferences[userId]};
+        for (const preference of saved) {
+            this.preferences[userId][`${preference.category}--${preference.name}`] = preference;
+        }
+
+        this.emit(WebsocketEvents.PREFERENCES_CHANGED, {preferences: JSON.stringify(saved)}, {user_id: userId});
+    }
+
+    deletePreferences = (userId, preferences) => {
+        this.preferences[userId] = {...this.preferences[userId]};
+        for (const preference of preferences) {
+            Reflect.deleteProperty(this.preferences[userId], `${preference.category}--${preference.name}`);
+        }
+
+        this.emit(WebsocketEvents.PREFERENCES_DELETED, {preferences: JSON.stringify(preferences)}, {user_id: userId});
+    }
+
+    // Reactions
+
+    addReaction = (userId, postId, emojiName) => {
+        const post = this.getPost(postId);
+
+        const reaction = {user_id: userId, post_id: postId, emoji_name: emojiName, create_at: this.now()};
+        this.reactions[postId] = {...this.reactions[postId], [`${userId}--${emojiName}`]: reaction};
+
+        this.emit(WebsocketEvents.REACTION_ADDED, {reaction: JSON.stringify(reaction)}, {channel_id: post.channel_id});
+
+        return reaction;
+    }
+
+    removeReaction = (userId, postId, emojiName) => {
+        const post = this.getPost(postId);
+        const key = `${userId}--${emojiName}`;
+
+        const reaction = this.reactions[postId] && this.reactions[postId][key];
+        if (!reaction) {
+            throw new MockServerError(404, 'store.sql_reaction.delete.app_error', 'Unable to delete reaction.');
+        }
+
+        this.reactions[postId] = {...this.reactions[postId]};
+        Reflect.deleteProperty(this.reactions[postId], key);
+
+        this.emit(WebsocketEvents.REACTION_REMOVED, {reaction: JSON.stringify(reaction)}, {channel_id: post.channel_id});
+    }
+
+    getReactions = (postId) => {
+        return Object.values(this.reactions[postId] || {});
+    }
+}
+
+function byNewest(a, b) {
+    return b.create_at - a.create_at;
+}
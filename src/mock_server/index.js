@@ -0,0 +1,7 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import MockServer from './mock_server';
+import Datastore, {DEFAULT_PASSWORD, MockServerError} from './datastore';
+
+export {MockServer, Datastore, DEFAULT_PASSWORD, MockServerError};
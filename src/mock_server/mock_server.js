@@ -0,0 +1,271 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import {Server} from 'mock-socket';
+import nock from 'nock';
+import {parse} from 'url';
+
+import {HEADER_X_VERSION_ID} from 'client/client4';
+import {General, WebsocketEvents} from 'constants';
+
+import Datastore, {MockServerError} from './datastore';
+import {Response, matchRoute} from './routes';
+
+const API_ROUTE = '/api/v4';
+const METHODS = ['get', 'post', 'put', 'delete'];
+
+const DEFAULT_URL = 'http://localhost:8065';
+const DEFAULT_SERVER_VERSION = '5.8.0';
+
+// MockServer is a fake Mattermost server that runs in the same process as the code being tested. It implements the
+// core parts of the API using nock and the websocket using mock-socket, storing everything in memory, so a Client4 or
+// WebSocketClient pointed at its URL behaves as it would when connected to a real server.
+//
+// Tests can prepare the data they need and act as other users through the datastore. Any changes made that way or by
+// requests to the API emit websocket events to the connected clients which would receive them.
+export default class MockServer {
+    constructor({url = DEFAULT_URL, serverVersion = DEFAULT_SERVER_VERSION} = {}) {
+        this.url = url;
+        this.serverVersion = serverVersion;
+        this.datastore = new Datastore(this.emit);
+
+        this.interceptors = [];
+        this.websocketServer = null;
+        this.connections = new Map();
+    }
+
+    getWebSocketUrl() {
+        return this.url.replace(/^http/, 'ws') + API_ROUTE + '/websocket';
+    }
+
+    // start begins intercepting requests to the server's URL
+    start = () => {
+        if (!nock.isActive()) {
+            nock.activate();
+        }
+
+        const server = this;
+        const scope = nock(this.url).persist();
+        for (const method of METHODS) {
+            const interceptor = scope.intercept(new RegExp('^' + API_ROUTE + '/'), method);
+            interceptor.reply(function reply(uri, body) {
+                return server.handleRequest(method, uri, body, this.req.headers);
+            });
+
+            this.interceptors.push(interceptor);
+        }
+
+        this.websocketServer = new Server(this.getWebSocketUrl());
+        this.websocketServer.on('connection', this.handleConnection);
+    }
+
+    stop = () => {
+        for (const interceptor of this.interceptors) {
+            nock.removeInterceptor(interceptor);
+        }
+        this.interceptors = [];
+
+        if (this.websocketServer) {
+            this.websocketServer.stop();
+            this.websocketServer = null;
+        }
+        this.connections.clear();
+    }
+
+    // handleRequest returns the status code, body and headers of the response to a request
+    handleRequest = (method, uri, body, headers) => {
+        const {pathname, query} = parse(uri, true);
+        const responseHeaders = {
+            'Content-Type': 'application/json',
+            [HEADER_X_VERSION_ID]: this.serverVersion,
+        };
+
+        try {
+            const match = matchRoute(method, pathname.substring(API_ROUTE.length));
+            if (!match) {
+                throw new MockServerError(404, 'api.context.404.app_error', 'Sorry, we could not find the page.');
+            }
+
+            const {route, params} = match;
+
+            const token = getToken(headers);
+            const userId = this.datastore.getUserIdForToken(token);
+            if (!route.isPublic && !userId) {
+                throw new MockServerError(401, 'api.context.session_expired.app_error', 'Invalid or expired session, please login again.');
+            }
+
+            if (params.user_id === 'me') {
+                params.user_id = userId;
+            }
+            if (route.self && params.user_id !== userId) {
+                throw new MockServerError(403, 'api.context.permissions.app_error', 'You do not have the appropriate permissions.');
+            }
+
+            let result = route.handler(this.datastore, {
+                params,
+                query,
+                body: parseBody(body),
+                token,
+                userId,
+            });
+            if (!(result instanceof Response)) {
+                result = new Response(200, result);
+            }
+
+            return [result.status, JSON.stringify(result.data), {...responseHeaders, ...result.headers}];
+        } catch (error) {
+            if (error instanceof MockServerError) {
+                return [error.status_code, JSON.stringify(error), responseHeaders];
+            }
+
+            return [500, JSON.stringify({id: 'api.mock_server.app_error', message: error.message, status_code: 500}), responseHeaders];
+        }
+    }
+
+    handleConnection = (socket) => {
+        const connection = {socket, userId: '', sequence: 0};
+        this.connections.set(socket, connection);
+
+        socket.on('message', (data) => this.handleMessage(connection, JSON.parse(data)));
+        socket.on('close', () => {
+            this.connections.delete(socket);
+
+            if (connection.userId && !this.isConnected(connection.userId)) {
+                this.datastore.setStatus(connection.userId, General.OFFLINE);
+            }
+        });
+    }
+
+    // handleMessage responds to a message sent over the websocket
+    handleMessage = (connection, msg) => {
+        const reply = (status, data = {}, error) => {
+            connection.socket.send(JSON.stringify({status, seq_reply: msg.seq, data, error}));
+        };
+
+        if (msg.action === 'authentication_challenge') {
+            const userId = this.datastore.getUserIdForToken(msg.data && msg.data.token);
+            if (!userId) {
+                reply('FAIL', {}, new MockServerError(401, 'api.web_socket_router.not_authenticated.app_error', 'Not authenticated.'));
+                return;
+            }
+
+            const wasConnected = this.isConnected(userId);
+            connection.userId = userId;
+
+            reply('OK');
+            this.send(connection, WebsocketEvents.HELLO, {server_version: this.serverVersion}, {user_id: userId});
+
+            if (!wasConnected) {
+                this.datastore.setStatus(userId, General.ONLINE);
+            }
+            return;
+        }
+
+        if (!connection.userId) {
+            reply('FAIL', {}, new MockServerError(401, 'api.web_socket_router.not_authenticated.app_error', 'Not authenticated.'));
+            return;
+        }
+
+        switch (msg.action) {
+        case 'ping':
+            reply('OK', {text: 'pong', version: this.serverVersion, server_time: Date.now()});
+            break;
+        case 'user_typing':
+            reply('OK');
+            this.emit(WebsocketEvents.TYPING, {parent_id: msg.data.parent_id, user_id: connection.userId}, {
+                channel_id: msg.data.channel_id,
+                omit_users: {[connection.userId]: true},
+            });
+            break;
+        case 'get_statuses': {
+            const statuses = {};
+            for (const status of Object.values(this.datastore.statuses)) {
+                statuses[status.user_id] = status.status;
+            }
+
+            reply('OK', statuses);
+            break;
+        }
+        case 'get_statuses_by_ids': {
+            const statuses = {};
+            for (const userId of msg.data.user_ids) {
+                if (this.datastore.statuses[userId]) {
+                    statuses[userId] = this.datastore.statuses[userId].status;
+                }
+            }
+
+            reply('OK', statuses);
+            break;
+        }
+        default:
+            reply('FAIL', {}, new MockServerError(501, 'api.web_socket_router.bad_action.app_error', 'Invalid websocket action.'));
+        }
+    }
+
+    isConnected = (userId) => {
+        return Array.from(this.connections.values()).some((connection) => connection.userId === userId);
+    }
+
+    // emit sends an event to every connected user that would receive it according to its broadcast
+    emit = (event, data, broadcast = {}) => {
+        for (const connection of this.connections.values()) {
+            if (connection.userId && this.shouldReceive(connection.userId, broadcast)) {
+                this.send(connection, event, data, broadcast);
+            }
+        }
+    }
+
+    shouldReceive = (userId, broadcast) => {
+        if (broadcast.omit_users && broadcast.omit_users[userId]) {
+            return false;
+        }
+
+        if (broadcast.user_id) {
+            return broadcast.user_id === userId;
+        }
+
+        if (broadcast.channel_id) {
+            return this.datastore.isChannelMember(broadcast.channel_id, userId);
+        }
+
+        if (broadcast.team_id) {
+            return Boolean(this.datastore.teamMembers[broadcast.team_id] && this.datastore.teamMembers[broadcast.team_id][userId]);
+        }
+
+        return true;
+    }
+
+    send = (connection, event, data, broadcast) => {
+        connection.socket.send(JSON.stringify({
+            event,
+            data,
+            broadcast: {
+                omit_users: null,
+                user_id: '',
+                channel_id: '',
+                team_id: '',
+                ...broadcast,
+            },
+            seq: connection.sequence++,
+        }));
+    }
+}
+
+function getToken(headers) {
+    const authorization = headers.authorization || headers.Authorization || '';
+    const header = Array.isArray(authorization) ? authorization[0] : authorization;
+
+    return header.replace(/^Bearer /i, '');
+}
+
+function parseBody(body) {
+    if (typeof body !== 'string') {
+        return body || {};
+    }
+
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return {};
+    }
+}
@@ -0,0 +1,165 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+import nock from 'nock';
+import {WebSocket as MockWebSocket} from 'mock-socket';
+
+import ClientClass4 from 'client/client4';
+import {WebSocketClient} from 'client/websocket_client';
+import {General, WebsocketEvents} from 'constants';
+import {DEFAULT_PASSWORD, MockServer} from 'mock_server';
+import TestHelper from 'test/test_helper';
+
+describe('MockServer', () => {
+    let server;
+    let client4;
+    let user;
+    let otherUser;
+    function createClient() {
+        const client = new ClientClass4();
+        client.setUrl(server.url);
+
+        return client;
+    }
+
+    beforeEach(() => {
+        server = new MockServer();
+        server.start();
+
+        client4 = createClient();
+
+        user = server.datastore.createUser({username: 'user1'});
+        otherUser = server.datastore.createUser({username: 'user2'});
+
+        client4.setToken(server.datastore.login(user.username, DEFAULT_PASSWORD));
+    });
+
+    afterEach(() => {
+        server.stop();
+    });
+
+    afterAll(() => {
+        nock.restore();
+    });
+
+    it('should log in and out', async () => {
+        const loggedIn = await createClient().login(user.username, DEFAULT_PASSWORD);
+        assert.equal(loggedIn.id, user.id);
+
+        const token = client4.getToken();
+        const me = await client4.getMe();
+        assert.equal(me.id, user.id);
+
+        await client4.logout();
+
+        client4.setToken(token);
+        await assert.rejects(client4.getMe(), {status_code: 401});
+    });
+
+    it('should reject incorrect passwords', async () => {
+        await assert.rejects(createClient().login(user.username, 'wrong'), {status_code: 401});
+    });
+
+    it('should report the server version', async () => {
+        await client4.getMe();
+
+        assert.equal(client4.getServerVersion(), server.serverVersion);
+    });
+
+    it('should not allow users to load the data of other users', async () => {
+        await assert.rejects(client4.getTeamsForUser(otherUser.id), {status_code: 403});
+    });
+
+    it('should create teams, channels and posts', async () => {
+        const team = await client4.createTeam({name: 'test-team', display_name: 'Test Team', type: 'O'});
+
+        const teams = await client4.getMyTeams();
+        assert.deepEqual(teams.map((t) => t.id), [team.id]);
+
+        const channel = await client4.createChannel({team_id: team.id, name: 'test-channel', display_name: 'Test Channel', type: General.OPEN_CHANNEL});
+
+        const channels = await client4.getMyChannels(team.id);
+        assert.deepEqual(channels.map((c) => c.name).sort(), ['test-channel', General.DEFAULT_CHANNEL]);
+
+        const post1 = await client4.createPost({channel_id: channel.id, message: 'first'});
+        const post2 = await client4.createPost({channel_id: channel.id, message: 'second', root_id: post1.id});
+
+        const postList = await client4.getPosts(channel.id);
+        assert.deepEqual(postList.order, [post2.id, post1.id]);
+
+        const thread = await client4.getPostThread(post1.id);
+        assert.deepEqual(Object.keys(thread.posts).sort(), [post1.id, post2.id].sort());
+
+        await client4.deletePost(post2.id);
+
+        assert.deepEqual((await client4.getPosts(channel.id)).order, [post1.id]);
+    });
+
+    it('should save preferences and reactions', async () => {
+        const team = server.datastore.createTeam({}, user.id);
+        const channel = server.datastore.getChannelByName(team.id, General.DEFAULT_CHANNEL);
+        const post = server.datastore.createPost({channel_id: channel.id, user_id: user.id, message: 'test'});
+
+        await client4.savePreferences(user.id, [{user_id: user.id, category: 'test', name: 'name', value: 'value'}]);
+        assert.deepEqual(await client4.getMyPreferences(), [{user_id: user.id, category: 'test', name: 'name', value: 'value'}]);
+
+        await client4.addReaction(user.id, post.id, 'smile');
+        assert.deepEqual((await client4.getReactionsForPost(post.id)).map((r) => r.emoji_name), ['smile']);
+
+        await client4.removeReaction(user.id, post.id, 'smile');
+        assert.deepEqual(await client4.getReactionsForPost(post.id), []);
+    });
+
+    describe('websocket', () => {
+        let websocket;
+        let events;
+        beforeEach(async () => {
+            websocket = new WebSocketClient(client4);
+
+            events = [];
+            websocket.setEventCallback((msg) => events.push(msg));
+
+            await websocket.initialize(client4.getToken(), {connectionUrl: server.getWebSocketUrl(), webSocketConnector: MockWebSocket});
+            await TestHelper.wait(10);
+        });
+
+        afterEach(() => {
+            websocket.close(true);
+        });
+
+        it('should say hello and set the user online', () => {
+            assert.equal(events[0].event, WebsocketEvents.HELLO);
+            assert.equal(events[0].data.server_version, server.serverVersion);
+            assert.equal(server.datastore.statuses[user.id].status, General.ONLINE);
+        });
+
+        it('should send events only to users who can see them', async () => {
+            const team = server.datastore.createTeam({}, otherUser.id);
+            const channel = server.datastore.createChannel({team_id: team.id}, otherUser.id);
+
+            server.datastore.createPost({channel_id: channel.id, user_id: otherUser.id, message: 'not seen'});
+
+            server.datastore.addUserToTeam(team.id, user.id);
+            server.datastore.addUserToChannel(channel.id, user.id);
+            server.datastore.createPost({channel_id: channel.id, user_id: otherUser.id, message: 'seen by @user1'});
+
+            await TestHelper.wait(10);
+
+            const posted = events.filter((msg) => msg.event === WebsocketEvents.POSTED);
+            assert.equal(posted.length, 1);
+            assert.equal(JSON.parse(posted[0].data.post).message, 'seen by @user1');
+            assert.deepEqual(JSON.parse(posted[0].data.mentions), [user.id]);
+
+            assert.ok(events.some((msg) => msg.event === WebsocketEvents.ADDED_TO_TEAM && msg.data.team_id === team.id));
+            assert.deepEqual(events.map((msg) => msg.seq), events.map((msg, i) => i));
+        });
+
+        it('should respond to websocket actions', async () => {
+            const statuses = await websocket.getStatuses();
+
+            assert.equal(statuses[user.id], General.ONLINE);
+            assert.equal(statuses[otherUser.id], General.OFFLINE);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import {General} from 'constants';
+
+import {MockServerError} from './datastore';
+
+// Response lets a route respond with a status code or headers other than the defaults
+export class Response {
+    constructor(status, data, headers = {}) {
+        this.status = status;
+        this.data = data;
+        this.headers = headers;
+    }
+}
+
+const OK = {status: 'OK'};
+
+// The routes of the API, relative to /api/v4, that the MockServer implements. Each handler is called with the
+// Datastore and the request, including the ID of the user making it, and returns the data to respond with. Unless a
+// route is public, requests to it must be made by a logged in user. Any :user_id parameter of "me" is replaced by the ID
+// of that user.
+const routes = [
+    // System
+    route('get', '/system/ping', () => OK, {public: true}),
+    route('get', '/config/client', () => ({}), {public: true}),
+    route('get', '/license/client', () => ({IsLicensed: 'false'}), {public: true}),
+
+    // Users
+    route('post', '/users', (datastore, {body}) => new Response(201, datastore.createUser(body)), {public: true}),
+    route('post', '/users/login', (datastore, {body}) => {
+        const token = datastore.login(body.login_id, body.password);
+        const user = datastore.getUser(datastore.getUserIdForToken(token));
+
+        return new Response(200, user, {Token: token});
+    }, {public: true}),
+    route('post', '/users/logout', (datastore, {token}) => {
+        datastore.revokeToken(token);
+        return OK;
+    }),
+    route('get', '/users', (datastore, {query}) => {
+        let users = Object.values(datastore.users);
+        if (query.in_team) {
+            users = users.filter((user) => datastore.teamMembers[query.in_team] && datastore.teamMembers[query.in_team][user.id]);
+        }
+        if (query.in_channel) {
+            users = users.filter((user) => datastore.isChannelMember(query.in_channel, user.id));
+        }
+
+        return paginate(users, query);
+    }),
+    route('post', '/users/ids', (datastore, {body}) => body.filter((id) => datastore.users[id]).map((id) => datastore.users[id])),
+    route('post', '/users/status/ids', (datastore, {body}) => body.filter((id) => datastore.statuses[id]).map((id) => datastore.statuses[id])),
+    route('get', '/users/username/:username', (datastore, {params}) => datastore.getUserByUsername(params.username)),
+    route('get', '/users/:user_id', (datastore, {params}) => datastore.getUser(params.user_id)),
+    route('get', '/users/:user_id/status', (datastore, {params}) => {
+        datastore.getUser(params.user_id);
+        return datastore.statuses[params.user_id];
+    }),
+    route('post', '/users/:user_id/tokens', (datastore, {params, body}) => datastore.createUserAccessToken(params.user_id, body.description), {self: true}),
+
+    // Teams
+    route('post', '/teams', (datastore, {body, userId}) => new Response(201, datastore.createTeam(body, userId))),
+    route('get', '/teams/name/:name', (datastore, {params}) => datastore.getTeamByName(params.name)),
+    route('get', '/teams/:team_id', (datastore, {params}) => datastore.getTeam(params.team_id)),
+    route('post', '/teams/:team_id/members', (datastore, {params, body}) => new Response(201, datastore.addUserToTeam(params.team_id, body.user_id))),
+    route('get', '/teams/:team_id/members/:user_id', (datastore, {params}) => datastore.getTeamMember(params.team_id, params.user_id)),
+    route('get', '/teams/:team_id/channels/name/:name', (datastore, {params}) => datastore.getChannelByName(params.team_id, params.name)),
+    route('get', '/users/:user_id/teams', (datastore, {params}) => datastore.getTeamsForUser(params.user_id), {self: true}),
+    route('get', '/users/:user_id/teams/members', (datastore, {params}) => datastore.getTeamMembersForUser(params.user_id), {self: true}),
+    route('get', '/users/:user_id/teams/unread', (datastore, {params}) => {
+        return datastore.getTeamsForUser(params.user_id).map((team) => {
+            const members = datastore.getChannelMembersForUser(team.id, params.user_id).filter((member) => datastore.channels[member.channel_id].team_id);
+
+            return {
+                team_id: team.id,
+                msg_count: members.reduce((count, member) => count + (datastore.channels[member.channel_id].total_msg_count - member.msg_count), 0),
+                mention_count: members.reduce((count, member) => count + member.mention_count, 0),
+            };
+        });
+    }, {self: true}),
+
+    // Channels
+    route('post', '/channels', (datastore, {body, userId}) => {
+        datastore.getTeamMember(body.team_id, userId);
+        return new Response(201, datastore.createChannel(body, userId));
+    }),
+    route('post', '/channels/direct', (datastore, {body, userId}) => {
+        if (!body.includes(userId)) {
+            throw new MockServerError(403, 'api.context.permissions.app_error', 'You do not have the appropriate permissions.');
+        }
+
+        return new Response(201, datastore.createDirectChannel(body[0], body[1]));
+    }),
+    route('post', '/channels/members/:user_id/view', (datastore, {params, body}) => {
+        datastore.viewChannel(body.channel_id, params.user_id);
+        return OK;
+    }, {self: true}),
+    route('get', '/channels/:channel_id', (datastore, {params}) => datastore.getChannel(params.channel_id)),
+    route('get', '/channels/:channel_id/stats', (datastore, {params}) => {
+        datastore.getChannel(params.channel_id);
+        return {channel_id: params.channel_id, member_count: Object.keys(datastore.channelMembers[params.channel_id]).length};
+    }),
+    route('post', '/channels/:channel_id/members', (datastore, {params, body}) => new Response(201, datastore.addUserToChannel(params.channel_id, body.user_id))),
+    route('get', '/channels/:channel_id/members/:user_id', (datastore, {params}) => datastore.getChannelMember(params.channel_id, params.user_id)),
+    route('delete', '/channels/:channel_id/members/:user_id', (datastore, {params, userId}) => {
+        datastore.removeUserFromChannel(params.channel_id, params.user_id, userId);
+        return OK;
+    }),
+    route('get', '/users/:user_id/teams/:team_id/channels', (datastore, {params}) => datastore.getChannelsForUser(params.team_id, params.user_id), {self: true}),
+    route('get', '/users/:user_id/teams/:team_id/channels/members', (datastore, {params}) => datastore.getChannelMembersForUser(params.team_id, params.user_id), {self: true}),
+
+    // Posts
+    route('post', '/posts', (datastore, {body, userId}) => new Response(201, datastore.createPost({...body, user_id: userId}))),
+    route('get', '/posts/:post_id', (datastore, {params}) => datastore.getPost(params.post_id)),
+    route('put', '/posts/:post_id', (datastore, {params, body}) => datastore.updatePost({...body, id: params.post_id})),
+    route('put', '/posts/:post_id/patch', (datastore, {params, body}) => datastore.updatePost({...body, id: params.post_id})),
+    route('post', '/posts/:post_id/pin', (datastore, {params}) => {
+        datastore.updatePost({id: params.post_id, is_pinned: true});
+        return OK;
+    }),
+    route('post', '/posts/:post_id/unpin', (datastore, {params}) => {
+        datastore.updatePost({id: params.post_id, is_pinned: false});
+        return OK;
+    }),
+    route('delete', '/posts/:post_id', (datastore, {params}) => {
+        datastore.deletePost(params.post_id);
+        return OK;
+    }),
+    route('get', '/posts/:post_id/thread', (datastore, {params}) => toPostList(datastore.getPostThread(params.post_id))),
+    route('get', '/channels/:channel_id/posts', (datastore, {params, query}) => {
+        datastore.getChannel(params.channel_id);
+
+        const posts = datastore.getPostsInChannel(params.channel_id, {
+            since: parseInt(query.since, 10) || 0,
+            before: query.before,
+            after: query.after,
+        });
+
+        return toPostList(query.since ? posts : paginate(posts, query));
+    }),
+
+    // Preferences
+    route('get', '/users/:user_id/preferences', (datastore, {params}) => datastore.getPreferences(params.user_id), {self: true}),
+    route('put', '/users/:user_id/preferences', (datastore, {params, body}) => {
+        datastore.savePreferences(params.user_id, body);
+        return OK;
+    }, {self: true}),
+    route('post', '/users/:user_id/preferences/delete', (datastore, {params, body}) => {
+        datastore.deletePreferences(params.user_id, body);
+        return OK;
+    }, {self: true}),
+
+    // Reactions
+    route('post', '/reactions', (datastore, {body, userId}) => {
+        if (body.user_id !== userId) {
+            throw new MockServerError(403, 'api.context.permissions.app_error', 'You do not have the appropriate permissions.');
+        }
+
+        return new Response(201, datastore.addReaction(body.user_id, body.post_id, body.emoji_name));
+    }),
+    route('get', '/posts/:post_id/reactions', (datastore, {params}) => datastore.getReactions(params.post_id)),
+    route('delete', '/users/:user_id/posts/:post_id/reactions/:emoji_name', (datastore, {params}) => {
+        datastore.removeReaction(params.user_id, params.post_id, params.emoji_name);
+        return OK;
+    }, {self: true}),
+];
+
+export default routes;
+
+// route creates a route for the given path. If self is true, the user may only make that request for themselves.
+function route(method, path, handler, {public: isPublic = false, self = false} = {}) {
+    const paramNames = [];
+    const pattern = new RegExp('^' + path.replace(/:(\w+)/g, (match, name) => {
+        paramNames.push(name);
+        return '([^/]+)';
+    }) + '$');
+
+    return {method, pattern, paramNames, handler, isPublic, self};
+}
+
+// matchRoute returns the route for a request along with the parameters in its path or null if there isn't one
+export function matchRoute(method, path) {
+    for (const r of routes) {
+        if (r.method !== method) {
+            continue;
+        }
+
+        const match = r.pattern.exec(path);
+        if (match) {
+            const params = {};
+            r.paramNames.forEach((name, i) => {
+                params[name] = decodeURIComponent(match[i + 1]);
+            });
+
+            return {route: r, params};
+        }
+    }
+
+    return null;
+}
+
+function paginate(items, query) {
+    const page = parseInt(query.page, 10) || 0;
+    const perPage = parseInt(query.per_page, 10) || General.PAGE_SIZE_DEFAULT;
+
+    return items.slice(page * perPage, (page + 1) * perPage);
+}
+
+function toPostList(posts) {
+    const postList = {order: [], posts: {}};
+    for (const post of posts) {
+        postList.order.push(post.id);
+        postList.posts[post.id] = post;
+    }
+
+    return postList;
+}
@@ -0,0 +1,59 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+// @flow
+
+import {ChannelTypes, DraftTypes, UserTypes} from 'action_types';
+
+import type {GenericAction} from 'types/actions';
+import type {DraftsState} from 'types/drafts';
+
+export default function drafts(state: DraftsState = {}, action: GenericAction): DraftsState {
+    switch (action.type) {
+    case DraftTypes.RECEIVED_DRAFT: {
+        const draft = action.data;
+
+        return {
+            ...state,
+            [draft.channelId]: {
+                ...state[draft.channelId],
+                [draft.rootId]: draft,
+            },
+        };
+    }
+    case DraftTypes.REMOVED_DRAFT: {
+        const {channelId, rootId} = action.data;
+
+        if (!state[channelId] || !state[channelId][rootId]) {
+            return state;
+        }
+
+        const draftsInChannel = {...state[channelId]};
+        Reflect.deleteProperty(draftsInChannel, rootId);
+
+        const nextState = {...state};
+        if (Object.keys(draftsInChannel).length === 0) {
+            Reflect.deleteProperty(nextState, channelId);
+        } else {
+            nextState[channelId] = draftsInChannel;
+        }
+
+        return nextState;
+    }
+
+    case ChannelTypes.LEAVE_CHANNEL: {
+        if (!action.data || !state[action.data.id]) {
+            return state;
+        }
+
+        const nextState = {...state};
+        Reflect.deleteProperty(nextState, action.data.id);
+
+        return nextState;
+    }
+
+    case UserTypes.LOGOUT_SUCCESS:
+        return {};
+    default:
+        return state;
+    }
+}
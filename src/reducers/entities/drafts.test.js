@@ -0,0 +1,75 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import {ChannelTypes, DraftTypes, UserTypes} from 'action_types';
+import draftsReducer from 'reducers/entities/drafts';
+import deepFreeze from 'utils/deep_freeze';
+
+describe('reducers/entities/drafts', () => {
+    const draft = {channelId: 'channel1', rootId: '', message: 'test', fileInfos: [], createAt: 1000, updateAt: 1000};
+    const threadDraft = {channelId: 'channel1', rootId: 'root1', message: 'reply', fileInfos: [], createAt: 2000, updateAt: 2000};
+
+    it('should store drafts by channel and root id', () => {
+        let state = draftsReducer(deepFreeze({}), {type: DraftTypes.RECEIVED_DRAFT, data: draft});
+        state = draftsReducer(deepFreeze(state), {type: DraftTypes.RECEIVED_DRAFT, data: threadDraft});
+
+        assert.deepEqual(state, {
+            channel1: {
+                '': draft,
+                root1: threadDraft,
+            },
+        });
+    });
+
+    it('should remove drafts', () => {
+        let state = draftsReducer(deepFreeze({channel1: {'': draft, root1: threadDraft}}), {
+            type: DraftTypes.REMOVED_DRAFT,
+            data: {channelId: 'channel1', rootId: 'root1'},
+        });
+
+        assert.deepEqual(state, {channel1: {'': draft}});
+
+        state = draftsReducer(deepFreeze(state), {
+            type: DraftTypes.REMOVED_DRAFT,
+            data: {channelId: 'channel1', rootId: ''},
+        });
+
+        assert.deepEqual(state, {});
+    });
+
+    it('should not change when removing a draft that does not exist', () => {
+        const state = deepFreeze({channel1: {'': draft}});
+        const nextState = draftsReducer(state, {
+            type: DraftTypes.REMOVED_DRAFT,
+            data: {channelId: 'channel1', rootId: 'root1'},
+        });
+
+        assert.equal(nextState, state);
+    });
+
+    it('should remove the drafts in a channel that was left', () => {
+        const state = draftsReducer(deepFreeze({channel1: {'': draft}, channel2: {'': {...draft, channelId: 'channel2'}}}), {
+            type: ChannelTypes.LEAVE_CHANNEL,
+            data: {id: 'channel1', user_id: 'user1'},
+        });
+
+        assert.deepEqual(Object.keys(state), ['channel2']);
+    });
+
+    it('should ignore leaving a channel without data', () => {
+        const state = deepFreeze({channel1: {'': draft}});
+        const nextState = draftsReducer(state, {
+            type: ChannelTypes.LEAVE_CHANNEL,
+        });
+
+        assert.equal(nextState, state);
+    });
+
+    it('should clear drafts on logout', () => {
+        const state = draftsReducer(deepFreeze({channel1: {'': draft}}), {type: UserTypes.LOGOUT_SUCCESS});
+
+        assert.deepEqual(state, {});
+    });
+});
@@ -43,7 +43,8 @@ export function customEmoji(state: IDMappedObjects<CustomEmoji> = {}, action: Ge
 
         return storeEmojisForPost(state, post);
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const posts = Object.values(action.data.posts);
 
         return (posts: any).reduce(storeEmojisForPost, state); // Cast to any to avoid typing problems caused by Object.values
@@ -3,6 +3,7 @@
 
 import {combineReducers} from 'redux';
 import {FileTypes, PostTypes, UserTypes} from 'action_types';
+import {RequestStatus} from 'constants';
 
 export function files(state = {}, action) {
     switch (action.type) {
@@ -24,7 +25,8 @@ export function files(state = {}, action) {
 
         return storeFilesForPost(state, post);
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const posts = Object.values(action.data.posts);
 
         return posts.reduce(storeFilesForPost, state);
@@ -44,6 +46,20 @@ export function files(state = {}, action) {
         return state;
     }
 
+    case PostTypes.PRUNE_POSTS: {
+        const fileIds = action.data.fileIds.filter((id) => state[id]);
+        if (fileIds.length === 0) {
+            return state;
+        }
+
+        const nextState = {...state};
+        fileIds.forEach((id) => {
+            Reflect.deleteProperty(nextState, id);
+        });
+
+        return nextState;
+    }
+
     case UserTypes.LOGOUT_SUCCESS:
         return {};
     default:
@@ -85,7 +101,8 @@ export function fileIdsByPostId(state = {}, action) {
 
         return storeFilesIdsForPost(state, post);
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const posts = Object.values(action.data.posts);
 
         return posts.reduce(storeFilesIdsForPost, state);
@@ -101,6 +118,20 @@ export function fileIdsByPostId(state = {}, action) {
         return state;
     }
 
+    case PostTypes.PRUNE_POSTS: {
+        const postIds = action.data.postIds.filter((id) => state[id]);
+        if (postIds.length === 0) {
+            return state;
+        }
+
+        const nextState = {...state};
+        postIds.forEach((id) => {
+            Reflect.deleteProperty(nextState, id);
+        });
+
+        return nextState;
+    }
+
     case UserTypes.LOGOUT_SUCCESS:
         return {};
     default:
@@ -132,8 +163,102 @@ function filePublicLink(state = {}, action) {
     }
 }
 
+// uploads keeps track of the files that are being uploaded, keyed by their client ID, until they've either been
+// received by the server or cancelled
+export function uploads(state = {}, action) {
+    switch (action.type) {
+    case FileTypes.UPLOAD_FILES_REQUEST: {
+        if (!action.clientIds) {
+            return state;
+        }
+
+        const nextState = {...state};
+        for (const clientId of action.clientIds) {
+            nextState[clientId] = {
+                clientId,
+                channelId: action.channelId,
+                rootId: action.rootId,
+                status: RequestStatus.STARTED,
+                loaded: 0,
+                total: 0,
+                uploadId: state[clientId] ? state[clientId].uploadId : null,
+                error: null,
+            };
+        }
+
+        return nextState;
+    }
+    case FileTypes.UPLOAD_FILES_PROGRESS: {
+        const {clientId, loaded, total, uploadId} = action.data;
+        const upload = state[clientId];
+        if (!upload) {
+            return state;
+        }
+
+        return {
+            ...state,
+            [clientId]: {
+                ...upload,
+                loaded,
+                total,
+                uploadId: uploadId || upload.uploadId,
+            },
+        };
+    }
+    case FileTypes.UPLOAD_FILES_FAILURE: {
+        if (!action.clientIds) {
+            return state;
+        }
+
+        let error = action.error;
+        if (error instanceof Error) {
+            error = error.hasOwnProperty('intl') ? {...error} : error.toString();
+        }
+
+        const nextState = {...state};
+        for (const clientId of action.clientIds) {
+            if (nextState[clientId]) {
+                nextState[clientId] = {
+                    ...nextState[clientId],
+                    status: RequestStatus.FAILURE,
+                    error,
+                };
+            }
+        }
+
+        return nextState;
+    }
+    case FileTypes.UPLOAD_FILES_CANCEL: {
+        if (!action.clientIds) {
+            return state;
+        }
+
+        const nextState = {...state};
+        for (const clientId of action.clientIds) {
+            Reflect.deleteProperty(nextState, clientId);
+        }
+
+        return nextState;
+    }
+    case FileTypes.RECEIVED_UPLOAD_FILES: {
+        const nextState = {...state};
+        for (const file of action.data) {
+            Reflect.deleteProperty(nextState, file.clientId);
+        }
+
+        return nextState;
+    }
+
+    case UserTypes.LOGOUT_SUCCESS:
+        return {};
+    default:
+        return state;
+    }
+}
+
 export default combineReducers({
     files,
     fileIdsByPostId,
     filePublicLink,
+    uploads,
 });
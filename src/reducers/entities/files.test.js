@@ -3,10 +3,12 @@
 
 import assert from 'assert';
 
-import {PostTypes} from 'action_types';
+import {FileTypes, PostTypes} from 'action_types';
+import {RequestStatus} from 'constants';
 import {
     files as filesReducer,
     fileIdsByPostId as fileIdsByPostIdReducer,
+    uploads as uploadsReducer,
 } from 'reducers/entities/files';
 import deepFreeze from 'utils/deep_freeze';
 
@@ -163,6 +165,21 @@ describe('reducers/entities/files', () => {
                 });
             });
         });
+
+        it('should remove files for pruned posts', () => {
+            const state = deepFreeze({
+                file1: {id: 'file1', post_id: 'post1'},
+                file2: {id: 'file2', post_id: 'post2'},
+            });
+            const nextState = filesReducer(state, {
+                type: PostTypes.PRUNE_POSTS,
+                data: {postIds: ['post1'], channelIds: [], fileIds: ['file1'], openGraphUrls: []},
+            });
+
+            assert.deepEqual(nextState, {
+                file2: {id: 'file2', post_id: 'post2'},
+            });
+        });
     });
 
     describe('fileIdsByPostId', () => {
@@ -319,5 +336,111 @@ describe('reducers/entities/files', () => {
                 });
             });
         });
+
+        it('should remove file ids for pruned posts', () => {
+            const state = deepFreeze({
+                post1: ['file1'],
+                post2: ['file2'],
+            });
+            const nextState = fileIdsByPostIdReducer(state, {
+                type: PostTypes.PRUNE_POSTS,
+                data: {postIds: ['post1'], channelIds: [], fileIds: ['file1'], openGraphUrls: []},
+            });
+
+            assert.deepEqual(nextState, {
+                post2: ['file2'],
+            });
+        });
+    });
+
+    describe('uploads', () => {
+        const upload = {
+            clientId: 'client1',
+            channelId: 'channel1',
+            rootId: '',
+            status: RequestStatus.STARTED,
+            loaded: 0,
+            total: 0,
+            uploadId: null,
+            error: null,
+        };
+
+        it('should start tracking files when they start uploading', () => {
+            const state = deepFreeze({});
+            const nextState = uploadsReducer(state, {
+                type: FileTypes.UPLOAD_FILES_REQUEST,
+                data: {},
+                clientIds: ['client1'],
+                channelId: 'channel1',
+                rootId: '',
+            });
+
+            assert.deepEqual(nextState, {client1: upload});
+        });
+
+        it('should keep the upload session when an upload is retried', () => {
+            const state = deepFreeze({
+                client1: {...upload, status: RequestStatus.FAILURE, loaded: 10, total: 20, uploadId: 'upload1', error: 'error'},
+            });
+            const nextState = uploadsReducer(state, {
+                type: FileTypes.UPLOAD_FILES_REQUEST,
+                data: {},
+                clientIds: ['client1'],
+                channelId: 'channel1',
+                rootId: '',
+            });
+
+            assert.deepEqual(nextState, {client1: {...upload, uploadId: 'upload1'}});
+        });
+
+        it('should save progress', () => {
+            const state = deepFreeze({client1: upload});
+            const nextState = uploadsReducer(state, {
+                type: FileTypes.UPLOAD_FILES_PROGRESS,
+                data: {clientId: 'client1', loaded: 10, total: 20, uploadId: 'upload1'},
+            });
+
+            assert.deepEqual(nextState, {client1: {...upload, loaded: 10, total: 20, uploadId: 'upload1'}});
+        });
+
+        it('should ignore progress for unknown uploads', () => {
+            const state = deepFreeze({client1: upload});
+            const nextState = uploadsReducer(state, {
+                type: FileTypes.UPLOAD_FILES_PROGRESS,
+                data: {clientId: 'client2', loaded: 10, total: 20},
+            });
+
+            assert.equal(nextState, state);
+        });
+
+        it('should mark failed uploads', () => {
+            const state = deepFreeze({client1: upload, client2: {...upload, clientId: 'client2'}});
+            const nextState = uploadsReducer(state, {
+                type: FileTypes.UPLOAD_FILES_FAILURE,
+                clientIds: ['client1'],
+                error: {message: 'error'},
+            });
+
+            assert.deepEqual(nextState, {
+                client1: {...upload, status: RequestStatus.FAILURE, error: {message: 'error'}},
+                client2: state.client2,
+            });
+        });
+
+        it('should stop tracking files once they are received or cancelled', () => {
+            const state = deepFreeze({client1: upload, client2: {...upload, clientId: 'client2'}});
+
+            let nextState = uploadsReducer(state, {
+                type: FileTypes.RECEIVED_UPLOAD_FILES,
+                data: [{id: 'file1', clientId: 'client1'}],
+            });
+            assert.deepEqual(nextState, {client2: state.client2});
+
+            nextState = uploadsReducer(nextState, {
+                type: FileTypes.UPLOAD_FILES_CANCEL,
+                clientIds: ['client2'],
+            });
+            assert.deepEqual(nextState, {});
+        });
     });
 });
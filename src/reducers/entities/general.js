@@ -92,6 +92,36 @@ function serverVersion(state = '', action) {
     }
 }
 
+function throttle(state = {throttled: false, resetAt: 0}, action) {
+    switch (action.type) {
+    case GeneralTypes.CLIENT_THROTTLE_CHANGED:
+        return action.data;
+
+    default:
+        return state;
+    }
+}
+
+function websocketHealth(state = {latency: null, lastMessageAt: 0}, action) {
+    switch (action.type) {
+    case GeneralTypes.WEBSOCKET_HEALTH_CHANGED:
+        return action.data;
+
+    default:
+        return state;
+    }
+}
+
+function websocketState(state = {state: 'stopped', attempt: 0, retryAt: 0}, action) {
+    switch (action.type) {
+    case GeneralTypes.WEBSOCKET_STATE_CHANGED:
+        return action.data;
+
+    default:
+        return state;
+    }
+}
+
 export default combineReducers({
     appState,
     credentials,
@@ -100,5 +130,8 @@ export default combineReducers({
     deviceToken,
     license,
     serverVersion,
+    throttle,
     timezones,
+    websocketHealth,
+    websocketState,
 });
@@ -122,6 +122,34 @@ function members(state = {}, action) {
             },
         };
     }
+    case GroupTypes.RECEIVED_GROUP_MEMBER: {
+        const groupMembers = state[action.group_id];
+        if (!groupMembers || groupMembers.members.some((member) => member.id === action.data.id)) {
+            return state;
+        }
+
+        return {
+            ...state,
+            [action.group_id]: {
+                members: [...groupMembers.members, action.data],
+                totalMemberCount: groupMembers.totalMemberCount + 1,
+            },
+        };
+    }
+    case GroupTypes.REMOVED_GROUP_MEMBER: {
+        const groupMembers = state[action.group_id];
+        if (!groupMembers || !groupMembers.members.some((member) => member.id === action.data.user_id)) {
+            return state;
+        }
+
+        return {
+            ...state,
+            [action.group_id]: {
+                members: groupMembers.members.filter((member) => member.id !== action.data.user_id),
+                totalMemberCount: groupMembers.totalMemberCount - 1,
+            },
+        };
+    }
     default:
         return state;
     }
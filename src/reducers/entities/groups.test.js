@@ -0,0 +1,76 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import {GroupTypes} from 'action_types';
+import groupsReducer from 'reducers/entities/groups';
+import deepFreeze from 'utils/deep_freeze';
+
+describe('reducers/entities/groups', () => {
+    describe('members', () => {
+        const user1 = {id: 'user1'};
+        const user2 = {id: 'user2'};
+
+        const state = deepFreeze({
+            syncables: {},
+            members: {
+                group1: {
+                    members: [user1],
+                    totalMemberCount: 1,
+                },
+            },
+            groups: {},
+        });
+
+        it('RECEIVED_GROUP_MEMBER', () => {
+            const nextState = groupsReducer(state, {
+                type: GroupTypes.RECEIVED_GROUP_MEMBER,
+                group_id: 'group1',
+                data: user2,
+            });
+
+            assert.deepEqual(nextState.members.group1, {members: [user1, user2], totalMemberCount: 2});
+        });
+
+        it('RECEIVED_GROUP_MEMBER for a member that already exists', () => {
+            const nextState = groupsReducer(state, {
+                type: GroupTypes.RECEIVED_GROUP_MEMBER,
+                group_id: 'group1',
+                data: user1,
+            });
+
+            assert.equal(nextState.members, state.members);
+        });
+
+        it('RECEIVED_GROUP_MEMBER for a group whose members have not been loaded', () => {
+            const nextState = groupsReducer(state, {
+                type: GroupTypes.RECEIVED_GROUP_MEMBER,
+                group_id: 'group2',
+                data: user2,
+            });
+
+            assert.equal(nextState.members, state.members);
+        });
+
+        it('REMOVED_GROUP_MEMBER', () => {
+            const nextState = groupsReducer(state, {
+                type: GroupTypes.REMOVED_GROUP_MEMBER,
+                group_id: 'group1',
+                data: {group_id: 'group1', user_id: user1.id},
+            });
+
+            assert.deepEqual(nextState.members.group1, {members: [], totalMemberCount: 0});
+        });
+
+        it('REMOVED_GROUP_MEMBER for a user who is not a member', () => {
+            const nextState = groupsReducer(state, {
+                type: GroupTypes.REMOVED_GROUP_MEMBER,
+                group_id: 'group1',
+                data: {group_id: 'group1', user_id: user2.id},
+            });
+
+            assert.equal(nextState.members, state.members);
+        });
+    });
+});
@@ -21,6 +21,7 @@ import search from './search';
 import roles from './roles';
 import schemes from './schemes';
 import groups from './groups';
+import drafts from './drafts';
 
 export default combineReducers({
     general,
@@ -41,4 +42,5 @@ export default combineReducers({
     roles,
     schemes,
     groups,
+    drafts,
 });
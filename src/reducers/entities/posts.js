@@ -5,6 +5,169 @@ import {PostTypes, SearchTypes, UserTypes, ChannelTypes, GeneralTypes} from 'act
 import {Posts} from 'constants';
 import {comparePosts, combineSystemPosts} from 'utils/post_utils';
 
+// The posts loaded for a channel are stored as a list of blocks, each of which has an order containing a range of
+// consecutive posts in the channel with the most recent post first. Blocks never overlap and are sorted with the most
+// recent block first, so any space between two blocks is a gap containing posts that haven't been loaded yet. The block
+// containing the most recent posts in the channel is marked as recent, and the one containing the first post in the
+// channel is marked as oldest.
+
+function sortPostIds(postIds, posts) {
+    return Array.from(new Set(postIds)).filter((id) => posts[id]).sort((a, b) => comparePosts(posts[a], posts[b]));
+}
+
+function sortPostBlocks(blocks, posts) {
+    return blocks.sort((a, b) => {
+        if (a.recent !== b.recent) {
+            return a.recent ? -1 : 1;
+        }
+
+        if (a.order.length === 0 || b.order.length === 0) {
+            return b.order.length - a.order.length;
+        }
+
+        return comparePosts(posts[a.order[0]], posts[b.order[0]]);
+    });
+}
+
+// addPostBlock adds a block of consecutive posts to a channel, merging it with any blocks that it overlaps with
+function addPostBlock(blocks = [], block, posts, channelId) {
+    let nextBlock = {
+        order: sortPostIds(block.order, posts),
+        recent: Boolean(block.recent),
+        oldest: Boolean(block.oldest),
+    };
+
+    const nextBlocks = [];
+    for (const other of blocks) {
+        const overlaps = other.order.some((id) => nextBlock.order.includes(id));
+
+        if (overlaps) {
+            nextBlock = {
+                order: sortPostIds([...nextBlock.order, ...other.order], posts),
+                recent: nextBlock.recent || other.recent,
+                oldest: nextBlock.oldest || other.oldest,
+            };
+            continue;
+        }
+
+        // If the new block contains the most recent or the oldest posts and doesn't overlap the block that used to,
+        // there's a gap between them, so the old block no longer does
+        const recent = other.recent && !block.recent;
+        const oldest = other.oldest && !block.oldest;
+        if (other.order.length > 0 || recent || oldest) {
+            nextBlocks.push(recent === other.recent && oldest === other.oldest ? other : {...other, recent, oldest});
+        }
+    }
+
+    const withCombineSystemPosts = combineSystemPosts(nextBlock.order, posts, channelId);
+    nextBlock.order = withCombineSystemPosts.postsForChannel;
+    nextBlocks.push(nextBlock);
+
+    return {
+        blocks: sortPostBlocks(nextBlocks, withCombineSystemPosts.nextPosts),
+        posts: withCombineSystemPosts.nextPosts,
+    };
+}
+
+// addNewPosts adds posts that have just been made to the block containing the most recent posts in the channel
+function addNewPosts(blocks = [], postIds, posts, channelId) {
+    let recentBlock = blocks.find((block) => block.recent);
+
+    const newPostIds = postIds.filter((id) => {
+        if (blocks.some((block) => block.order.includes(id))) {
+            return false;
+        }
+
+        if (!recentBlock || recentBlock.order.length === 0) {
+            return true;
+        }
+
+        // Ignore older posts that would otherwise look like they follow the oldest post in the block
+        const oldestPost = posts[recentBlock.order[recentBlock.order.length - 1]];
+        return comparePosts(posts[id], oldestPost) <= 0;
+    });
+
+    if (newPostIds.length === 0) {
+        return {blocks, posts};
+    }
+
+    if (!recentBlock) {
+        recentBlock = {order: [], recent: true, oldest: false};
+    }
+
+    return addPostBlock(blocks.filter((block) => block !== recentBlock), {
+        ...recentBlock,
+        order: [...newPostIds, ...recentBlock.order],
+    }, posts, channelId);
+}
+
+// removePostIdsFromBlocks removes posts from every block of a channel, keeping the blocks the same if none of them
+// contain any of the posts
+function removePostIdsFromBlocks(blocks = [], postIds) {
+    let changed = false;
+
+    const nextBlocks = [];
+    for (const block of blocks) {
+        if (!block.order.some((id) => postIds.includes(id))) {
+            nextBlocks.push(block);
+            continue;
+        }
+
+        changed = true;
+
+        const order = block.order.filter((id) => !postIds.includes(id));
+        if (order.length > 0 || block.recent || block.oldest) {
+            nextBlocks.push({...block, order});
+        }
+    }
+
+    return changed ? nextBlocks : blocks;
+}
+
+function removePostIdsFromChannel(postsInChannel, channelId, postIds) {
+    const blocks = postsInChannel[channelId];
+    const nextBlocks = removePostIdsFromBlocks(blocks, postIds);
+    if (nextBlocks === blocks) {
+        return postsInChannel;
+    }
+
+    return {
+        ...postsInChannel,
+        [channelId]: nextBlocks,
+    };
+}
+
+function getPostIdsInBlocks(blocks = []) {
+    return blocks.reduce((postIds, block) => postIds.concat(block.order), []);
+}
+
+// prunePostIdsFromBlocks removes posts from the blocks of a channel without removing them from the channel itself, so
+// a block that has had its oldest posts removed no longer contains the first post in the channel
+function prunePostIdsFromBlocks(blocks, postIds) {
+    let changed = false;
+
+    const nextBlocks = [];
+    for (const block of blocks) {
+        if (!block.order.some((id) => postIds.has(id))) {
+            nextBlocks.push(block);
+            continue;
+        }
+
+        changed = true;
+
+        const order = block.order.filter((id) => !postIds.has(id));
+        if (order.length > 0) {
+            nextBlocks.push({
+                order,
+                recent: block.recent && !postIds.has(block.order[0]),
+                oldest: block.oldest && !postIds.has(block.order[block.order.length - 1]),
+            });
+        }
+    }
+
+    return changed ? nextBlocks : blocks;
+}
+
 function handleReceivedPost(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
     const post = removeUnneededMetadata(action.data);
     const channelId = post.channel_id;
@@ -14,18 +177,13 @@ function handleReceivedPost(posts = {}, postsInChannel = {}, postsInThread = {},
         [post.id]: post,
     };
 
-    let nextPostsInChannel = postsInChannel;
-
-    // Only change postsInChannel if the order of the posts needs to change
-    if (!postsInChannel[channelId] || !postsInChannel[channelId].includes(post.id)) {
-        // If we don't already have the post, assume it's the most recent one
-        const postsForChannel = postsInChannel[channelId] || [];
+    // If we don't already have the post, assume it's the most recent one
+    const withNewPosts = addNewPosts(postsInChannel[channelId], [post.id], nextPosts, channelId);
 
+    let nextPostsInChannel = postsInChannel;
+    if (withNewPosts.blocks !== postsInChannel[channelId]) {
         nextPostsInChannel = {...postsInChannel};
-        nextPostsInChannel[channelId] = [
-            post.id,
-            ...postsForChannel,
-        ];
+        nextPostsInChannel[channelId] = withNewPosts.blocks;
     }
 
     let nextPostsInThread = postsInThread;
@@ -39,9 +197,7 @@ function handleReceivedPost(posts = {}, postsInChannel = {}, postsInThread = {},
         ];
     }
 
-    const withCombineSystemPosts = combineSystemPosts(nextPostsInChannel[channelId], nextPosts);
-    nextPostsInChannel[channelId] = withCombineSystemPosts.postsForChannel;
-    return {posts: withCombineSystemPosts.nextPosts, postsInChannel: nextPostsInChannel, postsInThread: nextPostsInThread};
+    return {posts: withNewPosts.posts, postsInChannel: nextPostsInChannel, postsInThread: nextPostsInThread};
 }
 
 function handleRemovePendingPost(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
@@ -55,16 +211,7 @@ function handleRemovePendingPost(posts = {}, postsInChannel = {}, postsInThread
 
     Reflect.deleteProperty(nextPosts, pendingPostId);
 
-    let nextPostsInChannel = postsInChannel;
-
-    // Only change postsInChannel if the order of the posts needs to change
-    if (!postsInChannel[channelId] || postsInChannel[channelId].includes(pendingPostId)) {
-        // If we don't already have the post, assume it's the most recent one
-        const postsForChannel = postsInChannel[channelId] || [];
-
-        nextPostsInChannel = {...postsInChannel};
-        nextPostsInChannel[channelId] = postsForChannel.filter((postId) => postId !== pendingPostId);
-    }
+    const nextPostsInChannel = removePostIdsFromChannel(postsInChannel, channelId, [pendingPostId]);
 
     let nextPostsInThread = postsInThread;
     if (pendingPost.root_id && (!postsInThread[pendingPost.root_id] || postsInThread[pendingPost.root_id].includes(pendingPostId))) {
@@ -77,21 +224,23 @@ function handleRemovePendingPost(posts = {}, postsInChannel = {}, postsInThread
     return {posts: nextPosts, postsInChannel: nextPostsInChannel, postsInThread: nextPostsInThread};
 }
 
-function handleReceivedPosts(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
+// handleReceivedPosts stores posts received from the server. Unless skipAddToChannel is set, they're also added to
+// the posts in the channel, either as a block of consecutive posts if one is provided or as new posts otherwise.
+function handleReceivedPosts(posts = {}, postsInChannel = {}, postsInThread = {}, action, block = null) {
     const newPosts = action.data.posts;
     const channelId = action.channelId;
-    const skipAddToChannel = action.skipAddToChannel;
+    const skipAddToChannel = action.skipAddToChannel || !channelId;
 
-    // Change the state only if we have new posts,
+    // Change the state only if we have new posts or a block that tells us something about the channel,
     // otherwise there's no need to create a new object for the same state.
-    if (!Object.keys(newPosts).length) {
+    if (!Object.keys(newPosts).length && !block) {
         return {posts, postsInChannel, postsInThread};
     }
 
-    const nextPosts = {...posts};
-    const nextPostsInChannel = {...postsInChannel};
+    let nextPosts = {...posts};
     const nextPostsInThread = {...postsInThread};
-    const postsForChannel = postsInChannel[channelId] ? [...postsInChannel[channelId]] : [];
+    const receivedPostIds = [];
+    const pendingPostIds = [];
 
     for (const post of Object.values(newPosts)) {
         const newPost = removeUnneededMetadata(post);
@@ -115,19 +264,12 @@ function handleReceivedPosts(posts = {}, postsInChannel = {}, postsInThread = {}
             nextPosts[newPost.id] = newPost;
         }
 
-        if (!skipAddToChannel && !postsForChannel.includes(newPost.id)) {
-            // Just add the post id to the end of the order and we'll sort it out later
-            postsForChannel.push(newPost.id);
-        }
+        receivedPostIds.push(newPost.id);
 
         // Remove any temporary posts
         if (nextPosts[newPost.pending_post_id]) {
             Reflect.deleteProperty(nextPosts, newPost.pending_post_id);
-
-            const index = postsForChannel.indexOf(newPost.pending_post_id);
-            if (index !== -1) {
-                postsForChannel.splice(index, 1);
-            }
+            pendingPostIds.push(newPost.pending_post_id);
         }
 
         if (!newPost.root_id) {
@@ -147,16 +289,31 @@ function handleReceivedPosts(posts = {}, postsInChannel = {}, postsInThread = {}
         nextPostsInThread[newPost.root_id] = postsForThread;
     }
 
-    // Sort to ensure that the most recent posts are first, with pending
-    // and failed posts first
-    postsForChannel.sort((a, b) => {
-        return comparePosts(nextPosts[a], nextPosts[b]);
-    });
+    let nextPostsInChannel = postsInChannel;
+    if (pendingPostIds.length > 0) {
+        nextPostsInChannel = removePostIdsFromChannel(nextPostsInChannel, channelId, pendingPostIds);
+    }
 
-    const withCombineSystemPosts = combineSystemPosts(postsForChannel, nextPosts, channelId);
-    nextPostsInChannel[channelId] = withCombineSystemPosts.postsForChannel;
+    if (!skipAddToChannel) {
+        let added;
+        if (block) {
+            const order = action.data.order || receivedPostIds;
+            added = addPostBlock(nextPostsInChannel[channelId], {
+                ...block,
+                order: [...order, block.beforePostId, block.afterPostId].filter((id) => id && !pendingPostIds.includes(id)),
+            }, nextPosts, channelId);
+        } else {
+            added = addNewPosts(nextPostsInChannel[channelId], receivedPostIds, nextPosts, channelId);
+        }
 
-    return {posts: withCombineSystemPosts.nextPosts, postsInChannel: nextPostsInChannel, postsInThread: nextPostsInThread};
+        nextPosts = added.posts;
+        nextPostsInChannel = {
+            ...nextPostsInChannel,
+            [channelId]: added.blocks,
+        };
+    }
+
+    return {posts: nextPosts, postsInChannel: nextPostsInChannel, postsInThread: nextPostsInThread};
 }
 
 export function removeUnneededMetadata(post) {
@@ -231,7 +388,8 @@ function handlePendingPosts(pendingPostIds = [], action) {
         const nextPendingPostIds = pendingPostIds.filter((postId) => postId !== pendingPostId);
         return nextPendingPostIds;
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const newPosts = action.data.posts;
         const nextPendingPostIds = [...pendingPostIds];
 
@@ -274,7 +432,8 @@ function handleSendingPosts(sendingPostIds = [], action) {
 
         return sendingPostIds.filter((postId) => postId !== sendingPostId);
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const postIds = Object.values(action.data.posts).map((post) => post.pending_post_id);
 
         const nextSendingPostIds = sendingPostIds.filter((sendingPostId) => !postIds.includes(sendingPostId));
@@ -290,26 +449,8 @@ function handleSendingPosts(sendingPostIds = [], action) {
 }
 
 function handlePostsFromSearch(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
-    const newPosts = action.data.posts;
-    let info = {posts, postsInChannel, postsInThread};
-    const postsForChannel = new Map();
-
-    const postIds = Object.keys(newPosts);
-    for (const id of postIds) {
-        const nextPost = newPosts[id];
-        const channelId = nextPost.channel_id;
-        if (postsForChannel.has(channelId)) {
-            postsForChannel.get(channelId)[id] = nextPost;
-        } else {
-            postsForChannel.set(channelId, {[id]: nextPost});
-        }
-    }
-
-    postsForChannel.forEach((postList, channelId) => {
-        info = handleReceivedPosts(info.posts, postsInChannel, postsInThread, {channelId, data: {posts: postList}});
-    });
-
-    return info;
+    // Search results aren't consecutive posts, so they're stored without being added to their channels
+    return handleReceivedPosts(posts, postsInChannel, postsInThread, {data: action.data, skipAddToChannel: true});
 }
 
 function handlePostDeleted(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
@@ -323,7 +464,6 @@ function handlePostDeleted(posts = {}, postsInChannel = {}, postsInThread = {},
     // We only need to do something if already have the post
     if (posts[post.id]) {
         nextPosts = {...posts};
-        nextPostsForChannel = {...postsInChannel};
 
         // Mark the post as deleted
         nextPosts[post.id] = {
@@ -334,20 +474,12 @@ function handlePostDeleted(posts = {}, postsInChannel = {}, postsInThread = {},
         };
 
         // Remove any of its comments
-        const channelPosts = postsInChannel[channelId] ? [...postsInChannel[channelId]] : [];
-        const postsForChannel = [...channelPosts]; // make sure we don't modify the array we loop over
-        for (const id of channelPosts) {
-            if (nextPosts[id].root_id === post.id) {
-                Reflect.deleteProperty(nextPosts, id);
-
-                const commentIndex = postsForChannel.indexOf(id);
-                if (commentIndex !== -1) {
-                    postsForChannel.splice(commentIndex, 1);
-                }
-            }
+        const commentIds = getPostIdsInBlocks(postsInChannel[channelId]).filter((id) => nextPosts[id] && nextPosts[id].root_id === post.id);
+        for (const id of commentIds) {
+            Reflect.deleteProperty(nextPosts, id);
         }
 
-        nextPostsForChannel[channelId] = postsForChannel;
+        nextPostsForChannel = removePostIdsFromChannel(postsInChannel, channelId, commentIds);
 
         if (postsInThread[post.id]) {
             nextPostsForThread = {...postsInThread};
@@ -391,34 +523,15 @@ function handleRemovePost(posts = {}, postsInChannel = {}, postsInThread = {}, a
     // We only need to do something if already have the post
     if (nextPosts[post.id]) {
         nextPosts = {...posts};
-        nextPostsForChannel = {...postsInChannel};
-        const channelPosts = postsInChannel[channelId] ? [...postsInChannel[channelId]] : [];
-
-        // Remove the post itself
-        Reflect.deleteProperty(nextPosts, post.id);
-
-        const index = channelPosts.indexOf(post.id);
-        if (index !== -1) {
-            channelPosts.splice(index, 1);
-        }
-
-        // Create a copy of the channelPosts after we splice the
-        // parent post so we can safely loop and have the latest changes
-        const postsForChannel = [...channelPosts];
-
-        // Remove any of its comments
-        for (const id of channelPosts) {
-            if (nextPosts[id].root_id === post.id) {
-                Reflect.deleteProperty(nextPosts, id);
 
-                const commentIndex = postsForChannel.indexOf(id);
-                if (commentIndex !== -1) {
-                    postsForChannel.splice(commentIndex, 1);
-                }
-            }
+        // Remove the post itself and any of its comments
+        const commentIds = getPostIdsInBlocks(postsInChannel[channelId]).filter((id) => nextPosts[id] && nextPosts[id].root_id === post.id);
+        const removedIds = [post.id, ...commentIds];
+        for (const id of removedIds) {
+            Reflect.deleteProperty(nextPosts, id);
         }
 
-        nextPostsForChannel[channelId] = postsForChannel;
+        nextPostsForChannel = removePostIdsFromChannel(postsInChannel, channelId, removedIds);
 
         if (postsInThread[post.id]) {
             nextPostsForThread = nextPostsForThread || {...postsInThread};
@@ -439,6 +552,35 @@ function handleRemovePost(posts = {}, postsInChannel = {}, postsInThread = {}, a
     return {posts: nextPosts, postsInChannel: nextPostsForChannel, postsInThread: nextPostsForThread || postsInThread};
 }
 
+function handlePrunePosts(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
+    const postIds = new Set(action.data.postIds);
+    const channelIds = action.data.channelIds;
+
+    const nextPosts = {...posts};
+    for (const id of postIds) {
+        Reflect.deleteProperty(nextPosts, id);
+    }
+
+    const nextPostsInChannel = {};
+    for (const channelId of Object.keys(postsInChannel)) {
+        if (!channelIds.includes(channelId)) {
+            nextPostsInChannel[channelId] = prunePostIdsFromBlocks(postsInChannel[channelId], postIds);
+        }
+    }
+
+    const nextPostsInThread = {};
+    for (const rootId of Object.keys(postsInThread)) {
+        if (postIds.has(rootId)) {
+            continue;
+        }
+
+        const postsForThread = postsInThread[rootId];
+        nextPostsInThread[rootId] = postsForThread.some((id) => postIds.has(id)) ? postsForThread.filter((id) => !postIds.has(id)) : postsForThread;
+    }
+
+    return {posts: nextPosts, postsInChannel: nextPostsInChannel, postsInThread: nextPostsInThread};
+}
+
 function handlePosts(posts = {}, postsInChannel = {}, postsInThread = {}, action) {
     switch (action.type) {
     case PostTypes.RECEIVED_POST: {
@@ -457,6 +599,13 @@ function handlePosts(posts = {}, postsInChannel = {}, postsInThread = {}, action
     }
     case PostTypes.RECEIVED_POSTS:
         return handleReceivedPosts(posts, postsInChannel, postsInThread, action);
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL:
+        return handleReceivedPosts(posts, postsInChannel, postsInThread, action, {
+            recent: action.recent,
+            oldest: action.oldest,
+            beforePostId: action.beforePostId,
+            afterPostId: action.afterPostId,
+        });
     case PostTypes.POST_DELETED:
         if (action.data) {
             return handlePostDeleted(posts, postsInChannel, postsInThread, action);
@@ -470,6 +619,8 @@ function handlePosts(posts = {}, postsInChannel = {}, postsInThread = {}, action
         return {posts, postsInChannel, postsInThread};
     case PostTypes.REMOVE_POST:
         return handleRemovePost(posts, postsInChannel, postsInThread, action);
+    case PostTypes.PRUNE_POSTS:
+        return handlePrunePosts(posts, postsInChannel, postsInThread, action);
 
     case SearchTypes.RECEIVED_SEARCH_POSTS:
     case SearchTypes.RECEIVED_SEARCH_FLAGGED_POSTS:
@@ -501,6 +652,43 @@ function selectedPostId(state = '', action) {
     }
 }
 
+// visitedChannelIds keeps track of the channels that the user has viewed with the most recently viewed one first so
+// that the posts in the channels that haven't been viewed recently can be pruned first
+function visitedChannelIds(state = [], action) {
+    switch (action.type) {
+    case ChannelTypes.SELECT_CHANNEL: {
+        const channelId = action.data;
+        if (!channelId || state[0] === channelId) {
+            return state;
+        }
+
+        return [channelId, ...state.filter((id) => id !== channelId)];
+    }
+    case ChannelTypes.RECEIVED_CHANNEL_DELETED:
+    case ChannelTypes.DELETE_CHANNEL_SUCCESS:
+        if (!action.data.viewArchivedChannels && state.includes(action.data.id)) {
+            return state.filter((id) => id !== action.data.id);
+        }
+        return state;
+    case ChannelTypes.LEAVE_CHANNEL:
+        if (action.data && state.includes(action.data.id)) {
+            return state.filter((id) => id !== action.data.id);
+        }
+        return state;
+    case PostTypes.PRUNE_POSTS: {
+        const {channelIds} = action.data;
+        if (state.some((id) => channelIds.includes(id))) {
+            return state.filter((id) => !channelIds.includes(id));
+        }
+        return state;
+    }
+    case UserTypes.LOGOUT_SUCCESS:
+        return [];
+    default:
+        return state;
+    }
+}
+
 function currentFocusedPostId(state = '', action) {
     switch (action.type) {
     case PostTypes.RECEIVED_FOCUSED_POST:
@@ -557,7 +745,8 @@ export function reactions(state = {}, action) {
 
         return storeReactionsForPost(state, post);
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const posts = Object.values(action.data.posts);
 
         return posts.reduce(storeReactionsForPost, state);
@@ -576,6 +765,8 @@ export function reactions(state = {}, action) {
 
         return state;
     }
+    case PostTypes.PRUNE_POSTS:
+        return removeKeys(state, action.data.postIds);
 
     case UserTypes.LOGOUT_SUCCESS:
         return {};
@@ -584,6 +775,20 @@ export function reactions(state = {}, action) {
     }
 }
 
+// removeKeys returns a copy of state without the given keys or state itself if it doesn't have any of them
+function removeKeys(state, keys) {
+    if (!keys.some((key) => state.hasOwnProperty(key))) {
+        return state;
+    }
+
+    const nextState = {...state};
+    for (const key of keys) {
+        Reflect.deleteProperty(nextState, key);
+    }
+
+    return nextState;
+}
+
 function storeReactionsForPost(state, post) {
     if (!post.metadata) {
         return state;
@@ -617,11 +822,14 @@ export function openGraph(state = {}, action) {
 
         return storeOpenGraphForPost(state, post);
     }
-    case PostTypes.RECEIVED_POSTS: {
+    case PostTypes.RECEIVED_POSTS:
+    case PostTypes.RECEIVED_POSTS_IN_CHANNEL: {
         const posts = Object.values(action.data.posts);
 
         return posts.reduce(storeOpenGraphForPost, state);
     }
+    case PostTypes.PRUNE_POSTS:
+        return removeKeys(state, action.data.openGraphUrls);
 
     case UserTypes.LOGOUT_SUCCESS:
         return {};
@@ -648,6 +856,28 @@ function storeOpenGraphForPost(state, post) {
     }, state);
 }
 
+// scheduledPosts keeps track of the posts that the user has scheduled to be sent later, keyed by the id of the
+// scheduled post
+export function scheduledPosts(state = {}, action) {
+    switch (action.type) {
+    case PostTypes.RECEIVED_SCHEDULED_POST:
+        return {
+            ...state,
+            [action.data.id]: action.data,
+        };
+    case PostTypes.REMOVED_SCHEDULED_POST:
+        if (!state[action.data.id]) {
+            return state;
+        }
+
+        return removeKeys(state, [action.data.id]);
+    case UserTypes.LOGOUT_SUCCESS:
+        return {};
+    default:
+        return state;
+    }
+}
+
 function messagesHistory(state = {}, action) {
     switch (action.type) {
     case PostTypes.ADD_MESSAGE_INTO_HISTORY: {
@@ -754,7 +984,8 @@ export default function(state = {}, action) {
         // Array that contains the sending post ids for those messages being sent to the server.
         sendingPostIds: handleSendingPosts(state.sendingPostIds, action),
 
-        // Object mapping channel ids to an array of posts ids in that channel with the most recent post first
+        // Object mapping channel ids to an array of blocks of consecutive posts that have been loaded in that channel, each
+        // of which has the post ids in its order with the most recent post first
         postsInChannel,
 
         // Object mapping post root ids to an array of posts ids in that thread with no guaranteed order
@@ -766,12 +997,18 @@ export default function(state = {}, action) {
         // The current selected focused post (permalink view)
         currentFocusedPostId: currentFocusedPostId(state.currentFocusedPostId, action),
 
+        // Array of the ids of the channels that have been viewed with the most recently viewed one first
+        visitedChannelIds: visitedChannelIds(state.visitedChannelIds, action),
+
         // Object mapping post ids to an object of emoji reactions using userId-emojiName as keys
         reactions: reactions(state.reactions, action),
 
         // Object mapping URLs to their relevant opengraph metadata for link previews
         openGraph: openGraph(state.openGraph, action),
 
+        // Object mapping ids to the posts that have been scheduled to be sent later
+        scheduledPosts: scheduledPosts(state.scheduledPosts, action),
+
         // History of posts and comments
         messagesHistory: messagesHistory(state.messagesHistory, action),
 
@@ -784,8 +1021,10 @@ export default function(state = {}, action) {
         state.sendingPostIds === nextState.sendingPostIds &&
         state.selectedPostId === nextState.selectedPostId &&
         state.currentFocusedPostId === nextState.currentFocusedPostId &&
+        state.visitedChannelIds === nextState.visitedChannelIds &&
         state.reactions === nextState.reactions &&
         state.openGraph === nextState.openGraph &&
+        state.scheduledPosts === nextState.scheduledPosts &&
         state.messagesHistory === nextState.messagesHistory) {
         // None of the children have changed so don't even let the parent object change
         return state;
@@ -3,7 +3,7 @@
 
 import assert from 'assert';
 
-import {PostTypes, ChannelTypes, GeneralTypes} from 'action_types';
+import {PostTypes, ChannelTypes, GeneralTypes, SearchTypes, UserTypes} from 'action_types';
 import postsReducer, {
     openGraph as openGraphReducer,
     reactions as reactionsReducer,
@@ -121,8 +121,8 @@ describe('Reducers.posts', () => {
             other_post_id: {},
         };
         const postsInChannel = {
-            channel_id: ['post_id', 'other_post_id'],
-            other_channel_id: ['post_id', 'other_post_id'],
+            channel_id: [{order: ['post_id', 'other_post_id'], recent: true, oldest: false}],
+            other_channel_id: [{order: ['post_id', 'other_post_id'], recent: true, oldest: false}],
         };
         const pendingPostIds = ['post_id', 'other_post_id'];
 
@@ -132,6 +132,8 @@ describe('Reducers.posts', () => {
             data: {id: 'post_id', channel_id: 'channel_id'},
             result: {
                 currentFocusedPostId: '',
+                visitedChannelIds: [],
+                scheduledPosts: {},
                 expandedURLs: {},
                 messagesHistory: {},
                 openGraph: {},
@@ -141,8 +143,8 @@ describe('Reducers.posts', () => {
                     other_post_id: {},
                 },
                 postsInChannel: {
-                    channel_id: ['other_post_id'],
-                    other_channel_id: ['post_id', 'other_post_id'],
+                    channel_id: [{order: ['other_post_id'], recent: true, oldest: false}],
+                    other_channel_id: [{order: ['post_id', 'other_post_id'], recent: true, oldest: false}],
                 },
                 postsInThread: {},
                 pendingPostIds: ['other_post_id'],
@@ -161,9 +163,9 @@ describe('Reducers.posts', () => {
             other_post_more_id: {channel_id: 'other_channel_more_id'},
         };
         const postsInChannel = {
-            channel_id: ['post_id', 'post_id2'],
-            other_channel_id: ['other_post_id', 'other_post_id2'],
-            other_channel_more_id: ['other_post_more_id', 'other_post_more_id2'],
+            channel_id: [{order: ['post_id', 'post_id2'], recent: true, oldest: false}],
+            other_channel_id: [{order: ['other_post_id', 'other_post_id2'], recent: true, oldest: false}],
+            other_channel_more_id: [{order: ['other_post_more_id', 'other_post_more_id2'], recent: true, oldest: false}],
         };
         const postsInThread = {
             post_id: ['other_post_id', 'other_post_more_id'],
@@ -176,6 +178,8 @@ describe('Reducers.posts', () => {
             data: {id: 'channel_id', viewArchivedChannels: false},
             result: {
                 currentFocusedPostId: '',
+                visitedChannelIds: [],
+                scheduledPosts: {},
                 expandedURLs: {},
                 messagesHistory: {},
                 openGraph: {},
@@ -186,8 +190,8 @@ describe('Reducers.posts', () => {
                     other_post_more_id: {channel_id: 'other_channel_more_id'},
                 },
                 postsInChannel: {
-                    other_channel_id: ['other_post_id', 'other_post_id2'],
-                    other_channel_more_id: ['other_post_more_id', 'other_post_more_id2'],
+                    other_channel_id: [{order: ['other_post_id', 'other_post_id2'], recent: true, oldest: false}],
+                    other_channel_more_id: [{order: ['other_post_more_id', 'other_post_more_id2'], recent: true, oldest: false}],
                 },
                 postsInThread: {
                     other_post_id: ['other_post_more_id'],
@@ -208,9 +212,9 @@ describe('Reducers.posts', () => {
             other_post_more_id: {channel_id: 'other_channel_more_id'},
         };
         const postsInChannel = {
-            channel_id: ['post_id', 'post_id2'],
-            other_channel_id: ['other_post_id', 'other_post_id2'],
-            other_channel_more_id: ['other_post_more_id', 'other_post_more_id2'],
+            channel_id: [{order: ['post_id', 'post_id2'], recent: true, oldest: false}],
+            other_channel_id: [{order: ['other_post_id', 'other_post_id2'], recent: true, oldest: false}],
+            other_channel_more_id: [{order: ['other_post_more_id', 'other_post_more_id2'], recent: true, oldest: false}],
         };
         const postsInThread = {
             post_id: ['other_post_id', 'other_post_more_id'],
@@ -224,6 +228,8 @@ describe('Reducers.posts', () => {
             data: {id: 'channel_id', viewArchivedChannels: true},
             result: {
                 currentFocusedPostId: '',
+                visitedChannelIds: [],
+                scheduledPosts: {},
                 expandedURLs: {},
                 messagesHistory: {},
                 openGraph: {},
@@ -240,6 +246,290 @@ describe('Reducers.posts', () => {
         assert.deepEqual(state, testAction.result);
     });
 
+    describe('postsInChannel', () => {
+        const posts = {
+            post1: {id: 'post1', channel_id: 'channel', create_at: 1000},
+            post2: {id: 'post2', channel_id: 'channel', create_at: 2000},
+            post3: {id: 'post3', channel_id: 'channel', create_at: 3000},
+            post4: {id: 'post4', channel_id: 'channel', create_at: 4000},
+            post5: {id: 'post5', channel_id: 'channel', create_at: 5000},
+            post6: {id: 'post6', channel_id: 'channel', create_at: 6000},
+        };
+
+        function receivePosts(state, postIds, options = {}) {
+            return postsReducer(state, {
+                type: PostTypes.RECEIVED_POSTS_IN_CHANNEL,
+                channelId: 'channel',
+                data: {
+                    order: postIds,
+                    posts: postIds.reduce((postsById, id) => ({...postsById, [id]: posts[id]}), {}),
+                },
+                ...options,
+            });
+        }
+
+        it('should store the most recent posts as a block', () => {
+            const state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: false},
+            ]);
+        });
+
+        it('should store posts that are not consecutive with the loaded ones as a separate block', () => {
+            let state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+            state = receivePosts(deepFreeze(state), ['post2', 'post1'], {oldest: true});
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: false},
+                {order: ['post2', 'post1'], recent: false, oldest: true},
+            ]);
+        });
+
+        it('should merge blocks when the posts between them are loaded', () => {
+            let state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+            state = receivePosts(deepFreeze(state), ['post2', 'post1'], {oldest: true});
+            state = receivePosts(deepFreeze(state), ['post4', 'post3'], {beforePostId: 'post5'});
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5', 'post4', 'post3'], recent: true, oldest: false},
+                {order: ['post2', 'post1'], recent: false, oldest: true},
+            ]);
+
+            state = receivePosts(deepFreeze(state), ['post3'], {afterPostId: 'post2'});
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5', 'post4', 'post3', 'post2', 'post1'], recent: true, oldest: true},
+            ]);
+        });
+
+        it('should mark the block containing the first post as the oldest when there are no posts before it', () => {
+            let state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+            state = receivePosts(deepFreeze(state), [], {beforePostId: 'post5', oldest: true});
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: true},
+            ]);
+        });
+
+        it('should no longer consider a block to be the most recent when newer posts are loaded that do not connect to it', () => {
+            let state = receivePosts(deepFreeze({}), ['post2', 'post1'], {recent: true});
+            state = receivePosts(deepFreeze(state), ['post6', 'post5'], {recent: true});
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: false},
+                {order: ['post2', 'post1'], recent: false, oldest: false},
+            ]);
+        });
+
+        it('should add new posts to the most recent block', () => {
+            let state = receivePosts(deepFreeze({}), ['post5', 'post4'], {recent: true});
+            state = postsReducer(deepFreeze(state), {
+                type: PostTypes.RECEIVED_NEW_POST,
+                data: posts.post6,
+            });
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5', 'post4'], recent: true, oldest: false},
+            ]);
+        });
+
+        it('should not connect new posts to a block that is not the most recent', () => {
+            let state = receivePosts(deepFreeze({}), ['post2', 'post1'], {afterPostId: 'post1'});
+            state = postsReducer(deepFreeze(state), {
+                type: PostTypes.RECEIVED_POSTS,
+                channelId: 'channel',
+                data: {order: [], posts: {post6: posts.post6}},
+            });
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6'], recent: true, oldest: false},
+                {order: ['post2', 'post1'], recent: false, oldest: false},
+            ]);
+        });
+
+        it('should not add older posts to the most recent block', () => {
+            let state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+            state = postsReducer(deepFreeze(state), {
+                type: PostTypes.RECEIVED_POSTS,
+                channelId: 'channel',
+                data: {order: [], posts: {post1: posts.post1}},
+            });
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: false},
+            ]);
+            assert.ok(state.posts.post1);
+        });
+
+        it('should not add search results to any block', () => {
+            let state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+            state = postsReducer(deepFreeze(state), {
+                type: SearchTypes.RECEIVED_SEARCH_POSTS,
+                data: {order: ['post3'], posts: {post3: posts.post3}},
+            });
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: false},
+            ]);
+            assert.ok(state.posts.post3);
+        });
+
+        it('should remove posts from their block', () => {
+            let state = receivePosts(deepFreeze({}), ['post6', 'post5'], {recent: true});
+            state = receivePosts(deepFreeze(state), ['post2'], {});
+            state = postsReducer(deepFreeze(state), {
+                type: PostTypes.REMOVE_POST,
+                data: posts.post2,
+            });
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post6', 'post5'], recent: true, oldest: false},
+            ]);
+
+            state = postsReducer(deepFreeze(state), {
+                type: PostTypes.REMOVE_POST,
+                data: posts.post6,
+            });
+
+            assert.deepEqual(state.postsInChannel.channel, [
+                {order: ['post5'], recent: true, oldest: false},
+            ]);
+        });
+    });
+
+    describe('PRUNE_POSTS', () => {
+        const state = deepFreeze({
+            posts: {
+                post1: {id: 'post1', channel_id: 'channel1', create_at: 1000},
+                post2: {id: 'post2', channel_id: 'channel1', create_at: 2000},
+                post3: {id: 'post3', channel_id: 'channel1', create_at: 3000, root_id: 'post1'},
+                post4: {id: 'post4', channel_id: 'channel2', create_at: 4000},
+            },
+            postsInChannel: {
+                channel1: [
+                    {order: ['post3', 'post2', 'post1'], recent: true, oldest: true},
+                ],
+                channel2: [
+                    {order: ['post4'], recent: true, oldest: true},
+                ],
+            },
+            postsInThread: {
+                post1: ['post3'],
+            },
+            reactions: {
+                post1: {'user-smile': {user_id: 'user', post_id: 'post1', emoji_name: 'smile'}},
+                post3: {'user-smile': {user_id: 'user', post_id: 'post3', emoji_name: 'smile'}},
+            },
+            openGraph: {
+                'https://example.com': {title: 'Example'},
+                'https://mattermost.com': {title: 'Mattermost'},
+            },
+            visitedChannelIds: ['channel1', 'channel2'],
+        });
+
+        const nextState = postsReducer(state, {
+            type: PostTypes.PRUNE_POSTS,
+            data: {
+                postIds: ['post1', 'post4'],
+                channelIds: ['channel2'],
+                fileIds: [],
+                openGraphUrls: ['https://example.com'],
+            },
+        });
+
+        it('should remove the posts and the channels', () => {
+            assert.deepEqual(Object.keys(nextState.posts), ['post2', 'post3']);
+            assert.deepEqual(nextState.postsInChannel, {
+                channel1: [
+                    {order: ['post3', 'post2'], recent: true, oldest: false},
+                ],
+            });
+            assert.deepEqual(nextState.visitedChannelIds, ['channel1']);
+        });
+
+        it('should remove threads whose root post was removed', () => {
+            assert.deepEqual(nextState.postsInThread, {});
+        });
+
+        it('should remove reactions and opengraph metadata', () => {
+            assert.deepEqual(Object.keys(nextState.reactions), ['post3']);
+            assert.deepEqual(Object.keys(nextState.openGraph), ['https://mattermost.com']);
+        });
+
+        it('should not change the state when nothing is removed', () => {
+            const unchangedReactions = reactionsReducer(state.reactions, {
+                type: PostTypes.PRUNE_POSTS,
+                data: {postIds: ['post2'], channelIds: [], fileIds: [], openGraphUrls: []},
+            });
+
+            assert.equal(unchangedReactions, state.reactions);
+        });
+    });
+
+    describe('visitedChannelIds', () => {
+        it('should move the selected channel to the front', () => {
+            let state = postsReducer(deepFreeze({}), {type: ChannelTypes.SELECT_CHANNEL, data: 'channel1'});
+            state = postsReducer(deepFreeze(state), {type: ChannelTypes.SELECT_CHANNEL, data: 'channel2'});
+            state = postsReducer(deepFreeze(state), {type: ChannelTypes.SELECT_CHANNEL, data: 'channel1'});
+
+            assert.deepEqual(state.visitedChannelIds, ['channel1', 'channel2']);
+        });
+
+        it('should remove channels that have been left', () => {
+            const state = postsReducer(deepFreeze({visitedChannelIds: ['channel1', 'channel2']}), {
+                type: ChannelTypes.LEAVE_CHANNEL,
+                data: {id: 'channel1', user_id: 'user'},
+            });
+
+            assert.deepEqual(state.visitedChannelIds, ['channel2']);
+        });
+
+        it('should ignore leaving a channel without data', () => {
+            const state = deepFreeze({visitedChannelIds: ['channel1', 'channel2']});
+            const nextState = postsReducer(state, {
+                type: ChannelTypes.LEAVE_CHANNEL,
+            });
+
+            assert.equal(nextState.visitedChannelIds, state.visitedChannelIds);
+        });
+    });
+
+    describe('scheduledPosts', () => {
+        const scheduledPost = {id: 'scheduled1', post: {channel_id: 'channel', message: 'test'}, files: [], scheduledAt: 1000};
+
+        it('should store scheduled posts', () => {
+            const state = postsReducer(deepFreeze({}), {
+                type: PostTypes.RECEIVED_SCHEDULED_POST,
+                data: scheduledPost,
+            });
+
+            assert.deepEqual(state.scheduledPosts, {scheduled1: scheduledPost});
+        });
+
+        it('should remove scheduled posts', () => {
+            let state = postsReducer(deepFreeze({scheduledPosts: {scheduled1: scheduledPost}}), {
+                type: PostTypes.REMOVED_SCHEDULED_POST,
+                data: scheduledPost,
+            });
+
+            assert.deepEqual(state.scheduledPosts, {});
+
+            const nextState = postsReducer(deepFreeze(state), {
+                type: PostTypes.REMOVED_SCHEDULED_POST,
+                data: scheduledPost,
+            });
+
+            assert.equal(nextState, state);
+
+            state = postsReducer(deepFreeze({scheduledPosts: {scheduled1: scheduledPost}}), {
+                type: UserTypes.LOGOUT_SUCCESS,
+            });
+
+            assert.deepEqual(state.scheduledPosts, {});
+        });
+    });
+
     describe('sendingPostIds', () => {
         it('should remain unchanged for an UNKNOWN action', () => {
             const state = ['other_post'];
@@ -44,3 +44,23 @@ export function handleRequest(
         return state;
     }
 }
+
+// handleCancellableRequest is like handleRequest, but also marks the request as cancelled when CANCEL is dispatched
+export function handleCancellableRequest(
+    REQUEST: string,
+    SUCCESS: string,
+    FAILURE: string,
+    CANCEL: string,
+    state: RequestStatusType,
+    action: GenericAction
+): RequestStatusType {
+    if (action.type === CANCEL) {
+        return {
+            ...state,
+            status: RequestStatus.CANCELLED,
+            error: null,
+        };
+    }
+
+    return handleRequest(REQUEST, SUCCESS, FAILURE, state, action);
+}
@@ -5,7 +5,7 @@
 import {combineReducers} from 'redux';
 import {SearchTypes} from 'action_types';
 
-import {handleRequest, initialRequestState} from './helpers';
+import {handleCancellableRequest, handleRequest, initialRequestState} from './helpers';
 
 import type {GenericAction} from 'types/actions';
 import type {SearchRequestsStatuses, RequestStatusType} from 'types/requests';
@@ -15,10 +15,11 @@ function searchPosts(state: RequestStatusType = initialRequestState(), action: G
         return initialRequestState();
     }
 
-    return handleRequest(
+    return handleCancellableRequest(
         SearchTypes.SEARCH_POSTS_REQUEST,
         SearchTypes.SEARCH_POSTS_SUCCESS,
         SearchTypes.SEARCH_POSTS_FAILURE,
+        SearchTypes.SEARCH_POSTS_CANCEL,
         state,
         action
     );
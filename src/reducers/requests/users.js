@@ -6,7 +6,7 @@ import {combineReducers} from 'redux';
 import {RequestStatus} from 'constants';
 import {UserTypes} from 'action_types';
 
-import {handleRequest, initialRequestState} from './helpers';
+import {handleCancellableRequest, handleRequest, initialRequestState} from './helpers';
 
 import type {GenericAction} from 'types/actions';
 import type {UsersRequestsStatuses, RequestStatusType} from 'types/requests';
@@ -69,10 +69,11 @@ function logout(state: RequestStatusType = initialRequestState(), action: Generi
 }
 
 function autocompleteUsers(state: RequestStatusType = initialRequestState(), action: GenericAction): RequestStatusType {
-    return handleRequest(
+    return handleCancellableRequest(
         UserTypes.AUTOCOMPLETE_USERS_REQUEST,
         UserTypes.AUTOCOMPLETE_USERS_SUCCESS,
         UserTypes.AUTOCOMPLETE_USERS_FAILURE,
+        UserTypes.AUTOCOMPLETE_USERS_CANCEL,
         state,
         action
     );
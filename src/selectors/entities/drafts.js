@@ -0,0 +1,40 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+// @flow
+
+import {createSelector} from 'reselect';
+
+import type {Channel} from 'types/channels';
+import type {Draft, DraftsState} from 'types/drafts';
+import type {Post} from 'types/posts';
+import type {GlobalState} from 'types/store';
+import type {$ID} from 'types/utilities';
+
+export function getDrafts(state: GlobalState): DraftsState {
+    return state.entities.drafts;
+}
+
+export function getDraft(state: GlobalState, channelId: $ID<Channel>, rootId: $ID<Post> | '' = ''): ?Draft {
+    const draftsInChannel = state.entities.drafts[channelId];
+
+    return draftsInChannel ? draftsInChannel[rootId] : null;
+}
+
+// getChannelIdsWithDrafts returns the ids of every channel that has a draft in it or in one of its threads
+export const getChannelIdsWithDrafts: (GlobalState) => Array<$ID<Channel>> = createSelector(
+    getDrafts,
+    (drafts) => Object.keys(drafts)
+);
+
+// getAllDrafts returns every draft with the most recently updated one first
+export const getAllDrafts: (GlobalState) => Array<Draft> = createSelector(
+    getDrafts,
+    (drafts) => {
+        const allDrafts = [];
+        for (const draftsInChannel of Object.values(drafts)) {
+            allDrafts.push(...Object.values(draftsInChannel));
+        }
+
+        return allDrafts.sort((a, b) => b.updateAt - a.updateAt);
+    }
+);
@@ -0,0 +1,42 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import * as Selectors from 'selectors/entities/drafts';
+import deepFreezeAndThrowOnMutation from 'utils/deep_freeze';
+
+describe('Selectors.Drafts', () => {
+    const draft1 = {channelId: 'channel1', rootId: '', message: 'test', fileInfos: [], createAt: 1000, updateAt: 1000};
+    const draft2 = {channelId: 'channel1', rootId: 'root1', message: 'reply', fileInfos: [], createAt: 1000, updateAt: 3000};
+    const draft3 = {channelId: 'channel2', rootId: '', message: 'other', fileInfos: [], createAt: 2000, updateAt: 2000};
+
+    const state = deepFreezeAndThrowOnMutation({
+        entities: {
+            drafts: {
+                channel1: {
+                    '': draft1,
+                    root1: draft2,
+                },
+                channel2: {
+                    '': draft3,
+                },
+            },
+        },
+    });
+
+    it('getDraft', () => {
+        assert.equal(Selectors.getDraft(state, 'channel1'), draft1);
+        assert.equal(Selectors.getDraft(state, 'channel1', 'root1'), draft2);
+        assert.ok(!Selectors.getDraft(state, 'channel2', 'root1'));
+        assert.ok(!Selectors.getDraft(state, 'channel3'));
+    });
+
+    it('getChannelIdsWithDrafts', () => {
+        assert.deepEqual(Selectors.getChannelIdsWithDrafts(state), ['channel1', 'channel2']);
+    });
+
+    it('getAllDrafts', () => {
+        assert.deepEqual(Selectors.getAllDrafts(state), [draft2, draft3, draft1]);
+    });
+});
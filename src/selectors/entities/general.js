@@ -8,6 +8,7 @@ import {isMinimumServerVersion} from 'utils/helpers';
 import {General} from 'constants';
 
 import type {GlobalState} from 'types/store';
+import type {ClientThrottle, WebSocketHealth, WebSocketState} from 'types/general';
 
 export function getConfig(state: GlobalState): Object {
     return state.entities.general.config;
@@ -25,6 +26,24 @@ export function getCurrentUrl(state: GlobalState): string {
     return state.entities.general.credentials.url;
 }
 
+// getClientThrottle returns whether or not Client4 is delaying requests to stay within the server's rate limit and,
+// if it is, when it will resume sending them
+export function getClientThrottle(state: GlobalState): ClientThrottle {
+    return state.entities.general.throttle;
+}
+
+// getWebSocketHealth returns the round trip time of the last websocket heartbeat and the last time that anything was
+// received over the websocket
+export function getWebSocketHealth(state: GlobalState): WebSocketHealth {
+    return state.entities.general.websocketHealth;
+}
+
+// getWebSocketState returns whether the websocket is connected and, if it's waiting to reconnect, how many attempts
+// have failed and when it will try again
+export function getWebSocketState(state: GlobalState): WebSocketState {
+    return state.entities.general.websocketState;
+}
+
 export function hasNewPermissions(state: GlobalState): boolean {
     const version = state.entities.general.serverVersion;
 
@@ -13,7 +13,7 @@ import {isPostEphemeral, isSystemMessage, shouldFilterJoinLeavePost, comparePost
 import {getPreferenceKey} from 'utils/preference_utils';
 
 import type {GlobalState} from 'types/store';
-import type {Post, PostWithFormatData} from 'types/posts';
+import type {Post, PostGap, PostOrderBlock, PostWithFormatData, ScheduledPost} from 'types/posts';
 import type {Reaction} from 'types/reactions';
 import type {UserProfile} from 'types/users';
 import type {Channel} from 'types/channels';
@@ -58,8 +58,78 @@ export function getOpenGraphMetadataForUrl(state: GlobalState, url: string): Obj
     return state.entities.posts.openGraph[url];
 }
 
+export function getPostBlocksInChannel(state: GlobalState, channelId: $ID<Channel>): ?Array<PostOrderBlock> {
+    return state.entities.posts.postsInChannel[channelId];
+}
+
+// getPostIdsInChannel returns the ids of the most recent posts loaded in a channel or null if they haven't been loaded.
+// Older posts that aren't connected to those are stored in other blocks since there are posts missing between them.
+export function getPostIdsInChannel(state: GlobalState, channelId: $ID<Channel>): ?Array<$ID<Post>> {
+    const blocks = getPostBlocksInChannel(state, channelId);
+    if (!blocks) {
+        return null;
+    }
+
+    const recentBlock = blocks.find((block) => block.recent);
+    if (!recentBlock) {
+        return null;
+    }
+
+    return recentBlock.order;
+}
+
+// getPostIdsAroundPostInChannel returns the ids of the loaded posts that are consecutive with the given post, or null
+// if the post hasn't been loaded in the channel
+export function getPostIdsAroundPostInChannel(state: GlobalState, postId: $ID<Post>, channelId: $ID<Channel>): ?Array<$ID<Post>> {
+    const blocks = getPostBlocksInChannel(state, channelId);
+    if (!blocks) {
+        return null;
+    }
+
+    const block = blocks.find((b) => b.order.includes(postId));
+    if (!block) {
+        return null;
+    }
+
+    return block.order;
+}
+
+// makeGetPostGapsInChannel returns a selector that finds the ranges of posts that haven't been loaded between the
+// loaded blocks of posts in a channel. Each gap contains the ids of the loaded posts on either side of it with an
+// empty newerPostId if the most recent posts haven't been loaded and an empty olderPostId if the oldest posts
+// haven't been loaded, so the missing posts can be loaded with getPostsBefore and getPostsAfter.
+export function makeGetPostGapsInChannel(): (GlobalState, $ID<Channel>) => Array<PostGap> {
+    return createSelector(
+        getPostBlocksInChannel,
+        (blocks) => {
+            if (!blocks || blocks.length === 0) {
+                return [];
+            }
+
+            const gaps = [];
+            const loaded = blocks.filter((block) => block.order.length > 0);
+
+            if (loaded.length > 0 && !loaded[0].recent) {
+                gaps.push({newerPostId: '', olderPostId: loaded[0].order[0]});
+            }
+
+            for (let i = 0; i < loaded.length - 1; i++) {
+                const newer = loaded[i].order;
+                gaps.push({newerPostId: newer[newer.length - 1], olderPostId: loaded[i + 1].order[0]});
+            }
+
+            const last = loaded[loaded.length - 1];
+            if (last && !last.oldest && !blocks.some((block) => block.oldest && block.order.length === 0)) {
+                gaps.push({newerPostId: last.order[last.order.length - 1], olderPostId: ''});
+            }
+
+            return gaps;
+        }
+    );
+}
+
 export const getPostIdsInCurrentChannel: (state: GlobalState) => Array<$ID<Post>> = createIdsSelector(
-    (state: GlobalState) => state.entities.posts.postsInChannel[state.entities.channels.currentChannelId],
+    (state: GlobalState) => getPostIdsInChannel(state, state.entities.channels.currentChannelId),
     (postIdsInCurrentChannel) => {
         return postIdsInCurrentChannel || [];
     }
@@ -101,7 +171,7 @@ export function makeGetPostIdsForThread(): (GlobalState, $ID<Post>) => Array<$ID
 
 export function makeGetPostIdsAroundPost(): (GlobalState, $ID<Post>, $ID<Channel>, {postBeforeCount: number, postAfterCount: number}) => ?Array<$ID<Post>> {
     return createIdsSelector(
-        (state: GlobalState, focusedPostId, channelId) => state.entities.posts.postsInChannel[channelId],
+        getPostIdsAroundPostInChannel,
         (state: GlobalState, focusedPostId) => focusedPostId,
         (state: GlobalState, focusedPostId, channelId, options) => options && options.postsBeforeCount,
         (state: GlobalState, focusedPostId, channelId, options) => options && options.postsAfterCount,
@@ -212,7 +282,7 @@ export function makeGetPostsInChannel(): (GlobalState, $ID<Channel>, number) =>
     return createSelector(
         getAllPosts,
         getPostsInThread,
-        (state: GlobalState, channelId: $ID<Channel>) => state.entities.posts.postsInChannel[channelId],
+        getPostIdsInChannel,
         getCurrentUser,
         getMyPreferences,
         (state: GlobalState, channelId: $ID<Channel>, numPosts: number) => numPosts || Posts.POST_CHUNK_SIZE,
@@ -246,7 +316,7 @@ export function makeGetPostsAroundPost(): (GlobalState, $ID<Post>, $ID<Channel>)
     return createSelector(
         getAllPosts,
         getPostsInThread,
-        (state: GlobalState, postId, channelId) => state.entities.posts.postsInChannel[channelId],
+        getPostIdsAroundPostInChannel,
         (state: GlobalState, postId) => postId,
         getCurrentUser,
         getMyPreferences,
@@ -357,6 +427,27 @@ export function getSearchMatches(state: GlobalState): {[string]: Array<string>}
     return state.entities.search.matches;
 }
 
+export function getScheduledPost(state: GlobalState, scheduledPostId: string): ?ScheduledPost {
+    return state.entities.posts.scheduledPosts[scheduledPostId];
+}
+
+// getScheduledPosts returns all of the posts that are scheduled to be sent in the order that they will be sent
+export const getScheduledPosts: (GlobalState) => Array<ScheduledPost> = createSelector(
+    (state) => state.entities.posts.scheduledPosts,
+    (scheduledPosts) => Object.values(scheduledPosts).sort((a, b) => a.scheduledAt - b.scheduledAt)
+);
+
+export function makeGetScheduledPostsInChannel(): (GlobalState, $ID<Channel>, $ID<Post>) => Array<ScheduledPost> {
+    return createSelector(
+        getScheduledPosts,
+        (state, channelId) => channelId,
+        (state, channelId, rootId = '') => rootId,
+        (scheduledPosts, channelId, rootId) => {
+            return scheduledPosts.filter((scheduledPost) => scheduledPost.post.channel_id === channelId && (scheduledPost.post.root_id || '') === rootId);
+        }
+    );
+}
+
 export function makeGetMessageInHistoryItem(type: string): (GlobalState) => string {
     return createSelector(
         (state: GlobalState) => state.entities.posts.messagesHistory,
@@ -393,9 +484,9 @@ export const getLastPostPerChannel: (GlobalState) => RelationOneToOne<Channel, P
 
         for (const channelId in allChannels) {
             if (allChannels.hasOwnProperty(channelId)) {
-                const channelPosts = allChannels[channelId];
-                if (channelPosts.length > 0) {
-                    const postId = channelPosts[0];
+                const recentBlock = allChannels[channelId].find((block) => block.recent);
+                if (recentBlock && recentBlock.order.length > 0) {
+                    const postId = recentBlock.order[0];
                     if (allPosts.hasOwnProperty(postId)) {
                         ret[channelId] = allPosts[postId];
                     }
@@ -409,7 +500,7 @@ export const getLastPostPerChannel: (GlobalState) => RelationOneToOne<Channel, P
 
 export const getMostRecentPostIdInChannel: (GlobalState, $ID<Channel>) => ?$ID<Post> = createSelector(
     getAllPosts,
-    (state: GlobalState, channelId) => state.entities.posts.postsInChannel[channelId],
+    getPostIdsInChannel,
     getMyPreferences,
     (posts, postIdsInChannel, preferences) => {
         if (!postIdsInChannel) {
@@ -477,10 +568,6 @@ export const getCurrentUsersLatestPost: (GlobalState, $ID<Post>) => ?Post = crea
     }
 );
 
-export function getPostIdsInChannel(state: GlobalState, channelId: $ID<Channel>): Array<$ID<Post>> {
-    return state.entities.posts.postsInChannel[channelId];
-}
-
 export const isPostIdSending = (state: GlobalState, postId: $ID<Post>): boolean =>
     state.entities.posts.sendingPostIds.some((sendingPostId) => sendingPostId === postId);
 
@@ -42,8 +42,8 @@ describe('Selectors.Posts', () => {
             posts: {
                 posts,
                 postsInChannel: {
-                    1: ['e', 'd', 'c', 'b', 'a'],
-                    2: ['f'],
+                    1: [{order: ['e', 'd', 'c', 'b', 'a'], recent: true}],
+                    2: [{order: ['f'], recent: true}],
                 },
                 postsInThread: {
                     a: ['c', 'e'],
@@ -254,8 +254,8 @@ describe('Selectors.Posts', () => {
                 posts: {
                     posts: postsAny,
                     postsInChannel: {
-                        1: ['f', 'e', 'd', 'c', 'b', 'a'],
-                        2: ['g'],
+                        1: [{order: ['f', 'e', 'd', 'c', 'b', 'a'], recent: true}],
+                        2: [{order: ['g'], recent: true}],
                     },
                     postsInThread: {
                         a: ['c', 'e'],
@@ -363,8 +363,8 @@ describe('Selectors.Posts', () => {
                 posts: {
                     posts: postsRoot,
                     postsInChannel: {
-                        1: ['f', 'e', 'd', 'c', 'b', 'a'],
-                        2: ['g'],
+                        1: [{order: ['f', 'e', 'd', 'c', 'b', 'a'], recent: true}],
+                        2: [{order: ['g'], recent: true}],
                     },
                     postsInThread: {
                         a: ['c', 'e'],
@@ -472,8 +472,8 @@ describe('Selectors.Posts', () => {
                 posts: {
                     posts: postsNever,
                     postsInChannel: {
-                        1: ['f', 'e', 'd', 'c', 'b', 'a'],
-                        2: ['g'],
+                        1: [{order: ['f', 'e', 'd', 'c', 'b', 'a'], recent: true}],
+                        2: [{order: ['g'], recent: true}],
                     },
                     postsInThread: {
                         a: ['c', 'e'],
@@ -578,8 +578,8 @@ describe('Selectors.Posts', () => {
                 posts: {
                     posts: postsAny,
                     postsInChannel: {
-                        1: ['c', 'b', 'a'],
-                        2: ['d'],
+                        1: [{order: ['c', 'b', 'a'], recent: true}],
+                        2: [{order: ['d'], recent: true}],
                     },
                     postsInThread: {
                         a: ['b', 'c'],
@@ -651,8 +651,8 @@ describe('Selectors.Posts', () => {
                 posts: {
                     posts: postsAny,
                     postsInChannel: {
-                        1: ['c', 'b', 'a'],
-                        2: ['d'],
+                        1: [{order: ['c', 'b', 'a'], recent: true}],
+                        2: [{order: ['d'], recent: true}],
                     },
                     postsInThread: {
                         a: ['b', 'c'],
@@ -783,13 +783,13 @@ describe('Selectors.Posts', () => {
                     },
                     posts: {
                         postsInChannel: {
-                            [currentChannelId]: ['a', 'b', 'c', 'd'],
-                            abcd: ['e', 'f', 'g'],
+                            [currentChannelId]: [{order: ['a', 'b', 'c', 'd'], recent: true}],
+                            abcd: [{order: ['e', 'f', 'g'], recent: true}],
                         },
                     },
                 },
             };
-            const expected = state.entities.posts.postsInChannel[currentChannelId];
+            const expected = state.entities.posts.postsInChannel[currentChannelId][0].order;
 
             assert.equal(Selectors.getPostIdsInCurrentChannel(state), expected);
         });
@@ -823,7 +823,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            abcd: ['e', 'f', 'g'],
+                            abcd: [{order: ['e', 'f', 'g'], recent: true}],
                         },
                     },
                 },
@@ -843,7 +843,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            [currentChannelId]: ['a', 'b', 'c', 'd'],
+                            [currentChannelId]: [{order: ['a', 'b', 'c', 'd'], recent: true}],
                         },
                     },
                 },
@@ -868,7 +868,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            [currentChannelId]: ['a', 'b', 'c', 'd'],
+                            [currentChannelId]: [{order: ['a', 'b', 'c', 'd'], recent: true}],
                         },
                     },
                 },
@@ -888,7 +888,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            [currentChannelId]: ['a', 'b', 'c', 'd', 'h'],
+                            [currentChannelId]: [{order: ['a', 'b', 'c', 'd', 'h'], recent: true}],
                         },
                     },
                 },
@@ -1137,7 +1137,7 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a'],
+                            1234: [{order: ['a'], recent: true}],
                         },
                     },
                 },
@@ -1153,7 +1153,7 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a', 'b', 'c', 'd', 'e'],
+                            1234: [{order: ['a', 'b', 'c', 'd', 'e'], recent: true}],
                         },
                     },
                 },
@@ -1169,7 +1169,7 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a', 'b', 'c', 'd', 'e'],
+                            1234: [{order: ['a', 'b', 'c', 'd', 'e'], recent: true}],
                         },
                     },
                 },
@@ -1185,7 +1185,7 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a', 'b', 'c', 'd', 'e'],
+                            1234: [{order: ['a', 'b', 'c', 'd', 'e'], recent: true}],
                         },
                     },
                 },
@@ -1201,7 +1201,7 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a', 'b', 'c', 'd', 'e', 'f'],
+                            1234: [{order: ['a', 'b', 'c', 'd', 'e', 'f'], recent: true}],
                         },
                     },
                 },
@@ -1217,7 +1217,7 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a', 'b', 'c', 'd', 'e'],
+                            1234: [{order: ['a', 'b', 'c', 'd', 'e'], recent: true}],
                         },
                     },
                 },
@@ -1238,7 +1238,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            abcd: ['g', 'h', 'i', 'j', 'k', 'l'],
+                            abcd: [{order: ['g', 'h', 'i', 'j', 'k', 'l'], recent: true}],
                         },
                     },
                 },
@@ -1258,7 +1258,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            1234: [...state.entities.posts.postsInChannel['1234'], 'f'],
+                            1234: [{order: [...state.entities.posts.postsInChannel['1234'][0].order, 'f'], recent: true}],
                         },
                     },
                 },
@@ -1327,7 +1327,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            abcd: ['y', ...state.entities.posts.postsInChannel.abcd, 'z'],
+                            abcd: [{order: ['y', ...state.entities.posts.postsInChannel.abcd[0].order, 'z'], recent: true}],
                         },
                     },
                 },
@@ -1346,7 +1346,7 @@ describe('Selectors.Posts', () => {
                         ...state.entities.posts,
                         postsInChannel: {
                             ...state.entities.posts.postsInChannel,
-                            abcd: ['y', 'g', 'i', 'h', 'j', 'l', 'k', 'z'],
+                            abcd: [{order: ['y', 'g', 'i', 'h', 'j', 'l', 'k', 'z'], recent: true}],
                         },
                     },
                 },
@@ -1371,8 +1371,8 @@ describe('Selectors.Posts', () => {
                 entities: {
                     posts: {
                         postsInChannel: {
-                            1234: ['a', 'b', 'c', 'd', 'e', 'f'],
-                            abcd: ['g', 'h', 'i'],
+                            1234: [{order: ['a', 'b', 'c', 'd', 'e', 'f'], recent: true}],
+                            abcd: [{order: ['g', 'h', 'i'], recent: true}],
                         },
                     },
                 },
@@ -1527,7 +1527,7 @@ describe('Selectors.Posts', () => {
                 1003: {id: '1003'},
             };
             const testPostsInChannel = {
-                channelId: ['1000', '1001', '1002', '1003'],
+                channelId: [{order: ['1000', '1001', '1002', '1003'], recent: true}],
             };
             const state = {
                 entities: {
@@ -1555,7 +1555,7 @@ describe('Selectors.Posts', () => {
                 1003: {id: '1003'},
             };
             const testPostsInChannel = {
-                channelId: ['1000', '1001', '1002', '1003'],
+                channelId: [{order: ['1000', '1001', '1002', '1003'], recent: true}],
             };
             const state = {
                 entities: {
@@ -1608,7 +1608,7 @@ describe('Selectors.Posts', () => {
                     posts: {
                         posts: postsAny,
                         postsInChannel: {
-                            abcd: ['b', 'c', 'd', 'e'],
+                            abcd: [{order: ['b', 'c', 'd', 'e'], recent: true}],
                         },
                     },
                     channels: {
@@ -1814,7 +1814,7 @@ describe('getCurrentUsersLatestPost', () => {
                 posts: {
                     posts: postsAny,
                     postsInChannel: {
-                        abcd: ['b', 'c', 'd', 'e', 'f'],
+                        abcd: [{order: ['b', 'c', 'd', 'e', 'f'], recent: true}],
                     },
                 },
                 channels: {
@@ -1845,7 +1845,7 @@ describe('getCurrentUsersLatestPost', () => {
                 posts: {
                     posts: postsAny,
                     postsInChannel: {
-                        abcd: ['b', 'c', 'd', 'e', 'f'],
+                        abcd: [{order: ['b', 'c', 'd', 'e', 'f'], recent: true}],
                     },
                 },
                 channels: {
@@ -1876,7 +1876,7 @@ describe('getCurrentUsersLatestPost', () => {
                 posts: {
                     posts: postsAny,
                     postsInChannel: {
-                        abcd: ['b', 'c', 'd', 'e', 'f'],
+                        abcd: [{order: ['b', 'c', 'd', 'e', 'f'], recent: true}],
                     },
                 },
                 channels: {
@@ -1945,4 +1945,83 @@ describe('getExpandedLink', () => {
         assert.equal(Selectors.getExpandedLink(state, 'b'), undefined);
         assert.equal(Selectors.getExpandedLink(state, ''), undefined);
     });
+
+    describe('post blocks', () => {
+        const state = deepFreezeAndThrowOnMutation({
+            entities: {
+                posts: {
+                    postsInChannel: {
+                        channel1: [
+                            {order: ['h', 'g', 'f'], recent: true, oldest: false},
+                            {order: ['c', 'b'], recent: false, oldest: false},
+                        ],
+                        channel2: [
+                            {order: ['e', 'd'], recent: false, oldest: false},
+                            {order: ['a'], recent: false, oldest: true},
+                        ],
+                        channel3: [
+                            {order: [], recent: true, oldest: true},
+                        ],
+                    },
+                },
+            },
+        });
+
+        it('getPostIdsInChannel should only return the most recent block', () => {
+            assert.deepEqual(Selectors.getPostIdsInChannel(state, 'channel1'), ['h', 'g', 'f']);
+            assert.equal(Selectors.getPostIdsInChannel(state, 'channel2'), null);
+            assert.deepEqual(Selectors.getPostIdsInChannel(state, 'channel3'), []);
+            assert.equal(Selectors.getPostIdsInChannel(state, 'channel4'), null);
+        });
+
+        it('getPostIdsAroundPostInChannel should return the block containing the post', () => {
+            assert.deepEqual(Selectors.getPostIdsAroundPostInChannel(state, 'c', 'channel1'), ['c', 'b']);
+            assert.deepEqual(Selectors.getPostIdsAroundPostInChannel(state, 'd', 'channel2'), ['e', 'd']);
+            assert.equal(Selectors.getPostIdsAroundPostInChannel(state, 'a', 'channel1'), null);
+        });
+
+        it('makeGetPostGapsInChannel', () => {
+            const getPostGapsInChannel = Selectors.makeGetPostGapsInChannel();
+
+            assert.deepEqual(getPostGapsInChannel(state, 'channel1'), [
+                {newerPostId: 'f', olderPostId: 'c'},
+                {newerPostId: 'b', olderPostId: ''},
+            ]);
+            assert.deepEqual(getPostGapsInChannel(state, 'channel2'), [
+                {newerPostId: '', olderPostId: 'e'},
+                {newerPostId: 'd', olderPostId: 'a'},
+            ]);
+            assert.deepEqual(getPostGapsInChannel(state, 'channel3'), []);
+            assert.deepEqual(getPostGapsInChannel(state, 'channel4'), []);
+
+            assert.equal(getPostGapsInChannel(state, 'channel1'), getPostGapsInChannel(state, 'channel1'));
+        });
+    });
+});
+
+describe('scheduled posts', () => {
+    const state = deepFreezeAndThrowOnMutation({
+        entities: {
+            posts: {
+                scheduledPosts: {
+                    scheduled1: {id: 'scheduled1', post: {channel_id: 'channel1', root_id: ''}, files: [], scheduledAt: 3000},
+                    scheduled2: {id: 'scheduled2', post: {channel_id: 'channel1', root_id: 'root1'}, files: [], scheduledAt: 1000},
+                    scheduled3: {id: 'scheduled3', post: {channel_id: 'channel2'}, files: [], scheduledAt: 2000},
+                    scheduled4: {id: 'scheduled4', post: {channel_id: 'channel1'}, files: [], scheduledAt: 500},
+                },
+            },
+        },
+    });
+
+    it('getScheduledPosts should return the scheduled posts in the order they will be sent', () => {
+        assert.deepEqual(Selectors.getScheduledPosts(state).map((scheduledPost) => scheduledPost.id), ['scheduled4', 'scheduled2', 'scheduled3', 'scheduled1']);
+    });
+
+    it('makeGetScheduledPostsInChannel should return the scheduled posts in a channel or thread', () => {
+        const getScheduledPostsInChannel = Selectors.makeGetScheduledPostsInChannel();
+
+        assert.deepEqual(getScheduledPostsInChannel(state, 'channel1').map((scheduledPost) => scheduledPost.id), ['scheduled4', 'scheduled1']);
+        assert.deepEqual(getScheduledPostsInChannel(state, 'channel1', 'root1').map((scheduledPost) => scheduledPost.id), ['scheduled2']);
+        assert.deepEqual(getScheduledPostsInChannel(state, 'channel3'), []);
+    });
 });
@@ -25,7 +25,7 @@ const devToolsEnhancer = (
 import serviceReducer from 'reducers';
 import deepFreezeAndThrowOnMutation from 'utils/deep_freeze';
 import initialState from './initial_state';
-import {offlineConfig, createReducer} from './helpers';
+import {offlineConfig, createReducer, listenForThrottling} from './helpers';
 import {createMiddleware} from './middleware';
 
 /**
@@ -71,6 +71,8 @@ export default function configureServiceStore(preloadedState, appReducer, userOf
         });
     }
 
+    listenForThrottling(store);
+
     if (module.hot) {
         // Enable Webpack hot module replacement for reducers
         module.hot.accept(() => {
@@ -9,7 +9,7 @@ import {Client4} from 'client';
 
 import serviceReducer from 'reducers';
 
-import {offlineConfig, createReducer} from './helpers';
+import {offlineConfig, createReducer, listenForThrottling} from './helpers';
 import initialState from './initial_state';
 import {createMiddleware} from './middleware';
 
@@ -54,5 +54,7 @@ export default function configureOfflineServiceStore(preloadedState, appReducer,
         });
     }
 
+    listenForThrottling(store);
+
     return store;
 }
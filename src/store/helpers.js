@@ -3,6 +3,8 @@
 
 import {combineReducers} from 'redux';
 import {enableBatching} from 'redux-batched-actions';
+import {GeneralTypes} from 'action_types';
+import {Client4} from 'client';
 import {General} from 'constants';
 import reducerRegistry from 'store/reducer_registry';
 
@@ -25,6 +27,17 @@ export const offlineConfig = {
     },
 };
 
+// listenForThrottling keeps the store up to date with whether or not the given Client4 is delaying requests to stay
+// within the server's rate limit. It returns a function that stops doing so.
+export function listenForThrottling(store, client4 = Client4) {
+    return client4.getRateLimiter().addListener((throttled, resetAt) => {
+        store.dispatch({
+            type: GeneralTypes.CLIENT_THROTTLE_CHANGED,
+            data: {throttled, resetAt},
+        });
+    });
+}
+
 export function createReducer(baseState, ...reducers) {
     reducerRegistry.setReducers(Object.assign({}, ...reducers));
     const baseReducer = combineReducers(reducerRegistry.getReducers());
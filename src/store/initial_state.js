@@ -14,7 +14,20 @@ const state: GlobalState = {
             deviceToken: '',
             license: {},
             serverVersion: '',
+            throttle: {
+                throttled: false,
+                resetAt: 0,
+            },
             timezones: [],
+            websocketHealth: {
+                latency: null,
+                lastMessageAt: 0,
+            },
+            websocketState: {
+                state: 'stopped',
+                attempt: 0,
+                retryAt: 0,
+            },
         },
         users: {
             currentUserId: '',
@@ -58,6 +71,8 @@ const state: GlobalState = {
             openGraph: {},
             selectedPostId: '',
             currentFocusedPostId: '',
+            visitedChannelIds: [],
+            scheduledPosts: {},
             messagesHistory: {
                 messages: [],
                 index: {
@@ -95,6 +110,7 @@ const state: GlobalState = {
         files: {
             files: {},
             fileIdsByPostId: {},
+            uploads: {},
         },
         emojis: {
             customEmoji: {},
@@ -133,6 +149,7 @@ const state: GlobalState = {
             syncables: {},
             members: {},
         },
+        drafts: {},
     },
     errors: [],
     requests: {
@@ -19,7 +19,12 @@ export type GenericAction = {|
     remove?: Function,
 |};
 
-type Thunk = (DispatchFunc, GetStateFunc) => Promise<ActionResult>; // eslint-disable-line no-use-before-define
+// ThunkExtra is passed to thunks as their third argument by stores and dispatch functions that provide one
+export type ThunkExtra = {
+    client4?: Object,
+};
+
+type Thunk = (DispatchFunc, GetStateFunc, ?ThunkExtra) => Promise<ActionResult>; // eslint-disable-line no-use-before-define
 
 type BatchAction = {
     type: 'BATCHING_REDUCER.BATCH';
@@ -30,4 +35,4 @@ type Action = GenericAction | Thunk | BatchAction
 
 export type ActionResult = {|data: any|} | {|error: any|};
 export type DispatchFunc = (Action, ?GetStateFunc) => Promise<ActionResult>;
-export type ActionFunc = (DispatchFunc, GetStateFunc) => Promise<ActionResult>;
+export type ActionFunc = (DispatchFunc, GetStateFunc, ?ThunkExtra) => Promise<ActionResult>;
@@ -27,7 +27,11 @@ type ErrorApi = {|
   message: string,
   server_error_id: string,
   status_code: number,
-  url: string
+  url: string,
+  method?: string,
+  detailed_error?: string,
+  requestId?: string,
+  isRetriable?: boolean
 |}
 
 export type Client4Error = ErrorOffline | ErrorInvalidResponse | ErrorApi;
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+// @flow
+
+import type {Channel} from './channels';
+import type {FileInfo} from './files';
+import type {Post} from './posts';
+import type {$ID} from './utilities';
+
+export type Draft = {|
+    channelId: $ID<Channel>,
+    rootId: $ID<Post> | '',
+    message: string,
+    fileInfos: Array<FileInfo>,
+    createAt: number,
+    updateAt: number,
+|};
+
+// DraftsState maps channel ids to the drafts in that channel, keyed by their root ids. A draft in the channel itself
+// has an empty root id.
+export type DraftsState = {[$ID<Channel>]: {[$ID<Post> | '']: Draft}};
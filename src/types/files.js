@@ -18,7 +18,19 @@ export type FileInfo = {|
 	clientId: string
 |}
 
+export type FileUpload = {|
+    clientId: string,
+    channelId: string,
+    rootId: string,
+    status: string,
+    loaded: number,
+    total: number,
+    uploadId: ?string,
+    error: ?Object
+|};
+
 export type FilesState = {|
     files: {[string]: FileInfo},
-    fileIdsByPostId: {[string]: Array<string>}
+    fileIdsByPostId: {[string]: Array<string>},
+    uploads: {[string]: FileUpload}
 |};
@@ -10,5 +10,24 @@ export type GeneralState = {|
     deviceToken: string,
     license: Object,
     serverVersion: string,
-    timezones: Array<string>
+    throttle: ClientThrottle,
+    timezones: Array<string>,
+    websocketHealth: WebSocketHealth,
+    websocketState: WebSocketState
+|};
+
+export type ClientThrottle = {|
+    throttled: boolean,
+    resetAt: number
+|};
+
+export type WebSocketHealth = {|
+    latency: ?number,
+    lastMessageAt: number
+|};
+
+export type WebSocketState = {|
+    state: 'connecting' | 'authenticating' | 'open' | 'backing_off' | 'stopped',
+    attempt: number,
+    retryAt: number
 |};
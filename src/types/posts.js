@@ -6,7 +6,7 @@ import type {CustomEmoji} from './emojis';
 import type {FileInfo} from './files';
 import type {Reaction} from './reactions';
 import type {Channel} from './channels';
-import type {RelationOneToOne, RelationOneToMany, IDMappedObjects} from './utilities';
+import type {$ID, RelationOneToOne, RelationOneToMany, IDMappedObjects} from './utilities';
 
 export type PostType = 'system_add_remove' |
                        'system_add_to_channel' |
@@ -79,15 +79,37 @@ export type PostWithFormatData = {|
     highlight: boolean,
 |};
 
+export type PostOrderBlock = {|
+    order: Array<$ID<Post>>,
+    recent: boolean,
+    oldest: boolean,
+|};
+
+export type PostGap = {|
+    newerPostId: $ID<Post>,
+    olderPostId: $ID<Post>,
+|};
+
+export type ScheduledPost = {|
+    id: string,
+    post: $Shape<Post>,
+    files: Array<FileInfo>,
+    scheduledAt: number,
+    createAt: number,
+    updateAt: number,
+|};
+
 export type PostsState = {|
     posts: IDMappedObjects<Post>,
-    postsInChannel: RelationOneToMany<Channel, Post>,
+    postsInChannel: {[$ID<Channel>]: Array<PostOrderBlock>},
     postsInThread: RelationOneToMany<Post, Post>,
     reactions: RelationOneToOne<Post, Array<Reaction>>,
     openGraph: RelationOneToOne<Post, Object>,
     sendingPostIds: Array<string>,
     selectedPostId: string,
     currentFocusedPostId: string,
+    visitedChannelIds: Array<$ID<Channel>>,
+    scheduledPosts: {[string]: ScheduledPost},
     messagesHistory: {|
         messages: Array<string>,
         index: {|
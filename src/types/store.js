@@ -17,6 +17,7 @@ import type {EmojisState} from './emojis';
 import type {SchemesState} from './schemes';
 import type {Typing} from './typing';
 import type {GroupsState} from './groups';
+import type {DraftsState} from './drafts';
 import type {
     ChannelsRequestsStatuses,
     GeneralRequestsStatuses,
@@ -64,6 +65,7 @@ export type GlobalState = {|
         schemes: SchemesState,
         gifs: Object,
         groups: GroupsState,
+        drafts: DraftsState,
     |},
     errors: Array<Object>,
     requests: {|
@@ -0,0 +1,118 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+// @flow
+
+type BatchFunc<K, V> = (keys: Array<K>) => Promise<Array<V | Error>>;
+
+type BatchLoaderOptions = {
+    maxBatchSize?: number,
+    wait?: number,
+};
+
+type Pending<V> = {
+    promise: Promise<V>,
+    resolve: (value: V) => void,
+    reject: (error: Error) => void,
+};
+
+// BatchLoader collects the keys passed to load within a short period of time and fetches them together by calling
+// batchFunc, which must return a value or an Error for each of the keys in the same order that they were passed in.
+// Keys that are requested again while they're still being loaded share the same request.
+export default class BatchLoader<K, V> {
+    batchFunc: BatchFunc<K, V>;
+    maxBatchSize: number;
+    wait: number;
+
+    pending: Map<K, Pending<V>>;
+    queue: Array<K>;
+    timer: TimeoutID | null;
+
+    constructor(batchFunc: BatchFunc<K, V>, options: BatchLoaderOptions = {}) {
+        this.batchFunc = batchFunc;
+        this.maxBatchSize = options.maxBatchSize || Infinity;
+        this.wait = options.wait || 0;
+
+        this.pending = new Map();
+        this.queue = [];
+        this.timer = null;
+    }
+
+    load = (key: K): Promise<V> => {
+        const existing = this.pending.get(key);
+        if (existing) {
+            return existing.promise;
+        }
+
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+
+        // $FlowFixMe - resolve and reject are always set by the Promise constructor
+        this.pending.set(key, {promise, resolve, reject});
+        this.queue.push(key);
+
+        if (this.timer === null) {
+            this.timer = setTimeout(this.dispatch, this.wait);
+        }
+
+        return promise;
+    };
+
+    loadMany = (keys: Array<K>): Promise<Array<V>> => {
+        return Promise.all(keys.map(this.load));
+    };
+
+    dispatch = (): void => {
+        const queue = this.queue;
+
+        this.queue = [];
+        this.timer = null;
+
+        for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+            this.loadBatch(queue.slice(i, i + this.maxBatchSize));
+        }
+    };
+
+    loadBatch = async (keys: Array<K>): Promise<void> => {
+        let values;
+        try {
+            values = await this.batchFunc(keys);
+
+            if (values.length !== keys.length) {
+                throw new Error(`BatchLoader: expected ${keys.length} values but received ${values.length}`);
+            }
+        } catch (error) {
+            keys.forEach((key) => this.settle(key, error));
+            return;
+        }
+
+        keys.forEach((key, i) => this.settle(key, values[i]));
+    };
+
+    settle(key: K, value: V | Error): void {
+        const pending = this.pending.get(key);
+        if (!pending) {
+            return;
+        }
+
+        this.pending.delete(key);
+
+        if (value instanceof Error) {
+            pending.reject(value);
+        } else {
+            pending.resolve(value);
+        }
+    }
+}
+
+// alignToKeys orders the objects returned by an API that fetches multiple objects at once to match the keys that
+// were requested, substituting null for any that weren't returned, for use in a BatchLoader's batchFunc.
+export function alignToKeys<K, V>(keys: Array<K>, values: Array<V>, getKey: (value: V) => K): Array<V | null> {
+    const byKey = new Map();
+    values.forEach((value) => byKey.set(getKey(value), value));
+
+    return keys.map((key) => (byKey.has(key) ? byKey.get(key) : null));
+}
@@ -0,0 +1,86 @@
+// Copyright (c) 2015-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import assert from 'assert';
+
+import BatchLoader, {alignToKeys} from 'utils/batch_loader';
+
+describe('BatchLoader', () => {
+    it('should combine keys loaded at the same time into one batch', async () => {
+        const batchFunc = jest.fn((keys) => Promise.resolve(keys.map((key) => key.toUpperCase())));
+        const loader = new BatchLoader(batchFunc);
+
+        const results = await Promise.all([
+            loader.load('a'),
+            loader.loadMany(['b', 'c']),
+        ]);
+
+        assert.deepEqual(results, ['A', ['B', 'C']]);
+        expect(batchFunc).toHaveBeenCalledTimes(1);
+        expect(batchFunc).toHaveBeenCalledWith(['a', 'b', 'c']);
+    });
+
+    it('should only request each key once while it is being loaded', async () => {
+        const batchFunc = jest.fn((keys) => Promise.resolve(keys));
+        const loader = new BatchLoader(batchFunc);
+
+        const first = loader.load('a');
+        const second = loader.load('a');
+
+        assert.equal(first, second);
+        assert.deepEqual(await Promise.all([first, second]), ['a', 'a']);
+        expect(batchFunc).toHaveBeenCalledWith(['a']);
+
+        await loader.load('a');
+        expect(batchFunc).toHaveBeenCalledTimes(2);
+    });
+
+    it('should split batches larger than maxBatchSize', async () => {
+        const batchFunc = jest.fn((keys) => Promise.resolve(keys));
+        const loader = new BatchLoader(batchFunc, {maxBatchSize: 2});
+
+        await loader.loadMany(['a', 'b', 'c']);
+
+        expect(batchFunc).toHaveBeenCalledTimes(2);
+        expect(batchFunc).toHaveBeenCalledWith(['a', 'b']);
+        expect(batchFunc).toHaveBeenCalledWith(['c']);
+    });
+
+    it('should reject only the keys that failed', async () => {
+        const loader = new BatchLoader((keys) => Promise.resolve(keys.map((key) => (key === 'b' ? new Error('not found') : key))));
+
+        const a = loader.load('a');
+        const b = loader.load('b');
+
+        assert.equal(await a, 'a');
+        await expect(b).rejects.toThrow('not found');
+    });
+
+    it('should reject every key when the batch fails', async () => {
+        const loader = new BatchLoader(() => Promise.reject(new Error('failed')));
+
+        const a = loader.load('a');
+        const b = loader.load('b');
+
+        await expect(a).rejects.toThrow('failed');
+        await expect(b).rejects.toThrow('failed');
+    });
+
+    it('should reject every key when the wrong number of values is returned', async () => {
+        const loader = new BatchLoader(() => Promise.resolve(['a']));
+
+        const a = loader.load('a');
+        const b = loader.load('b');
+
+        await expect(a).rejects.toThrow();
+        await expect(b).rejects.toThrow();
+    });
+});
+
+describe('alignToKeys', () => {
+    it('should order values by key and fill in missing ones', () => {
+        const values = [{id: 'c'}, {id: 'a'}];
+
+        assert.deepEqual(alignToKeys(['a', 'b', 'c'], values, (value) => value.id), [{id: 'a'}, null, {id: 'c'}]);
+    });
+});
@@ -404,6 +404,9 @@ class TestHelper {
 
     initBasic = async (client4 = this.createClient4()) => {
         client4.setUrl(DEFAULT_SERVER);
+
+        // Requests that aren't mocked fail straight away, so don't wait to retry them
+        client4.setRetryPolicy({maxAttempts: 1});
         this.basicClient4 = client4;
 
         this.initMockEntities();